@@ -0,0 +1,74 @@
+import { AABB, Intersection, Matrix4, Vector3 } from '../src/index';
+import './lib/array_close_to';
+
+const delta = 0.001;
+
+describe('AABB', () => {
+  test('fromPoints, center and size', () => {
+    const box = AABB.fromPoints([new Vector3(1, -2, 3), new Vector3(-1, 4, 0), new Vector3(0, 0, 5)]);
+
+    expect(box.min.values).arrayToBeCloseTo([-1, -2, 0], delta);
+    expect(box.max.values).arrayToBeCloseTo([1, 4, 5], delta);
+    expect(box.center.values).arrayToBeCloseTo([0, 1, 2.5], delta);
+    expect(box.size.values).arrayToBeCloseTo([2, 6, 5], delta);
+  });
+
+  test('Empty box', () => {
+    const empty = AABB.fromPoints([]);
+    const box = new AABB(new Vector3(0, 0, 0), new Vector3(1, 1, 1));
+
+    expect(empty.isEmpty()).toBe(true);
+    expect(box.isEmpty()).toBe(false);
+    expect(empty.containsPoint(new Vector3(0, 0, 0))).toBe(false);
+    expect(empty.union(box).min.values).arrayToBeCloseTo([0, 0, 0], delta);
+    expect(empty.union(box).max.values).arrayToBeCloseTo([1, 1, 1], delta);
+    expect(empty.transform(Matrix4.translation(1, 2, 3)).isEmpty()).toBe(true);
+  });
+
+  test('containsPoint and containsAABB', () => {
+    const box = new AABB(new Vector3(0, 0, 0), new Vector3(2, 2, 2));
+
+    expect(box.containsPoint(new Vector3(2, 1, 0))).toBe(true);
+    expect(box.containsPoint(new Vector3(2.1, 1, 0))).toBe(false);
+    expect(box.containsAABB(new AABB(new Vector3(0.5, 0.5, 0.5), new Vector3(1, 2, 1)))).toBe(true);
+    expect(box.containsAABB(new AABB(new Vector3(0.5, 0.5, 0.5), new Vector3(1, 3, 1)))).toBe(false);
+  });
+
+  test('union and expandByPoint', () => {
+    const box = new AABB(new Vector3(0, 0, 0), new Vector3(1, 1, 1));
+    const union = box.union(new AABB(new Vector3(-1, 0.5, 0.5), new Vector3(0, 3, 0.5)));
+    const expanded = box.expandByPoint(new Vector3(2, -1, 0.5));
+
+    expect(union.min.values).arrayToBeCloseTo([-1, 0, 0], delta);
+    expect(union.max.values).arrayToBeCloseTo([1, 3, 1], delta);
+    expect(expanded.min.values).arrayToBeCloseTo([0, -1, 0], delta);
+    expect(expanded.max.values).arrayToBeCloseTo([2, 1, 1], delta);
+  });
+
+  test('intersectsAABB and intersectAABB', () => {
+    const box = new AABB(new Vector3(0, 0, 0), new Vector3(2, 2, 2));
+    const other = new AABB(new Vector3(1.5, 1, -1), new Vector3(4, 3, 3));
+    const hit = box.intersectAABB(other) as Intersection;
+
+    expect(box.intersectsAABB(other)).toBe(true);
+    expect(hit.distance).toBeCloseTo(0.5);
+    expect(hit.normal.values).arrayToBeCloseTo([-1, 0, 0], delta);
+    expect((other.intersectAABB(box) as Intersection).normal.values).arrayToBeCloseTo([1, 0, 0], delta);
+
+    const apart = new AABB(new Vector3(2.5, 0, 0), new Vector3(3, 1, 1));
+    expect(box.intersectsAABB(apart)).toBe(false);
+    expect(box.intersectAABB(apart)).toBeNull();
+  });
+
+  test('transform', () => {
+    const box = new AABB(new Vector3(-1, -2, -3), new Vector3(1, 2, 3));
+    const transformed = box.transform(Matrix4.translation(10, 0, 0).rotateZ(Math.PI / 2));
+
+    expect(transformed.min.values).arrayToBeCloseTo([8, -1, -3], delta);
+    expect(transformed.max.values).arrayToBeCloseTo([12, 1, 3], delta);
+
+    // A rotation by 45 degrees grows the box to contain the rotated corners.
+    const rotated = new AABB(new Vector3(-1, -1, 0), new Vector3(1, 1, 0)).transform(Matrix4.rotationZ(Math.PI / 4));
+    expect(rotated.max.values).arrayToBeCloseTo([Math.SQRT2, Math.SQRT2, 0], delta);
+  });
+});
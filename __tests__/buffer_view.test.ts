@@ -0,0 +1,23 @@
+import { viewBuffer } from '../src/buffer_view';
+
+describe('viewBuffer', () => {
+  test('Shares the memory of the buffer', () => {
+    const buffer = new ArrayBuffer(16);
+    const view = viewBuffer(Float32Array, buffer, 4, 2);
+
+    view[1] = 5;
+    expect(view.length).toBe(2);
+    expect(new Float32Array(buffer)).toEqual(new Float32Array([0, 0, 5, 0]));
+  });
+
+  test('Throws a RangeError for a misaligned byteOffset', () => {
+    expect(() => viewBuffer(Float32Array, new ArrayBuffer(16), 2, 2)).toThrow(RangeError);
+    expect(() => viewBuffer(Float64Array, new ArrayBuffer(32), 4, 2)).toThrow('multiple of 8');
+  });
+
+  test('Throws a RangeError if the view does not fit in the buffer', () => {
+    expect(() => viewBuffer(Int32Array, new ArrayBuffer(16), 8, 3)).toThrow(RangeError);
+    expect(() => viewBuffer(Int32Array, new ArrayBuffer(16), -4, 1)).toThrow('does not fit in 16 bytes');
+    expect(viewBuffer(Int32Array, new ArrayBuffer(16), 8, 2).length).toBe(2);
+  });
+});
@@ -1,4 +1,4 @@
-import { Vector2, Vector3, Vector4 } from '../src/index';
+import { Float32Vector3, Vector2, Vector3, Vector4 } from '../src/index';
 import './lib/array_close_to';
 
 const delta = 0.001;
@@ -26,6 +26,63 @@ describe('Vector2', () => {
 
     expect(vec1.mulByScalar(5).values).arrayToBeCloseTo([5, 10], delta);
   });
+
+  test('Dot Vector2', () => {
+    expect(new Vector2(1, 2).dot(new Vector2(3, 4))).toBeCloseTo(11);
+  });
+
+  test('Cross Vector2', () => {
+    expect(new Vector2(1, 0).cross(new Vector2(0, 1))).toBeCloseTo(1);
+    expect(new Vector2(1, 2).cross(new Vector2(3, 4))).toBeCloseTo(-2);
+  });
+
+  test('Angle Vector2', () => {
+    expect(new Vector2(1, 0).angle(new Vector2(0, 2))).toBeCloseTo(Math.PI / 2);
+    expect(new Vector2(1, 1).angle(new Vector2(1, 0))).toBeCloseTo(-Math.PI / 4);
+    expect(new Vector2(1, 0).angle(new Vector2(-1, 0))).toBeCloseTo(Math.PI);
+  });
+
+  test('Normal Vector2', () => {
+    expect(new Vector2(3, 4).normalize().values).arrayToBeCloseTo([0.6, 0.8], delta);
+    const zero2 = new Vector2(0, 0);
+    expect(zero2.normalize().values).arrayToBeCloseTo([0, 0], delta);
+    expect(zero2.normalize()).not.toBe(zero2);
+  });
+
+  test('Negate Vector2', () => {
+    expect(new Vector2(1, -2).negate().values).arrayToBeCloseTo([-1, 2], delta);
+  });
+
+  test('Component-wise Mul and Div Vector2', () => {
+    const vec1 = new Vector2(1, 2);
+    const vec2 = new Vector2(4, 8);
+
+    expect(vec1.mul(vec2).values).arrayToBeCloseTo([4, 16], delta);
+    expect(vec1.div(vec2).values).arrayToBeCloseTo([0.25, 0.25], delta);
+  });
+
+  test('Distance Vector2', () => {
+    expect(new Vector2(1, 2).distance(new Vector2(4, 6))).toBeCloseTo(5);
+  });
+
+  test('Lerp Vector2', () => {
+    expect(new Vector2(1, 2).lerp(new Vector2(3, 6), 0.25).values).arrayToBeCloseTo([1.5, 3], delta);
+  });
+
+  test('Min, Max and Clamp Vector2', () => {
+    const vec1 = new Vector2(1, 5);
+    const vec2 = new Vector2(3, 4);
+
+    expect(vec1.min(vec2).values).arrayToBeCloseTo([1, 4], delta);
+    expect(vec1.max(vec2).values).arrayToBeCloseTo([3, 5], delta);
+    expect(new Vector2(-1, 9).clamp(new Vector2(0, 0), new Vector2(5, 5)).values).arrayToBeCloseTo([0, 5], delta);
+  });
+
+  test('Equals Vector2', () => {
+    expect(new Vector2(1, 2).equals(new Vector2(1, 2))).toBe(true);
+    expect(new Vector2(1, 2).equals(new Vector2(1, 2.1))).toBe(false);
+    expect(new Vector2(1, 2).equals(new Vector2(1, 2.1), 0.2)).toBe(true);
+  });
 });
 
 //
@@ -86,6 +143,99 @@ describe('Vector3', () => {
     const vec = new Vector3(1, 2, 3);
     expect(vec.xy.values).arrayToBeCloseTo([1, 2], delta);
   });
+
+  test('Negate Vector3', () => {
+    expect(new Vector3(1, -2, 3).negate().values).arrayToBeCloseTo([-1, 2, -3], delta);
+  });
+
+  test('Component-wise Mul and Div Vector3', () => {
+    const vec1 = new Vector3(1, 2, 3);
+    const vec2 = new Vector3(4, 8, 12);
+
+    expect(vec1.mul(vec2).values).arrayToBeCloseTo([4, 16, 36], delta);
+    expect(vec1.div(vec2).values).arrayToBeCloseTo([0.25, 0.25, 0.25], delta);
+  });
+
+  test('Distance Vector3', () => {
+    expect(new Vector3(1, 2, 3).distance(new Vector3(3, 5, 9))).toBeCloseTo(7);
+  });
+
+  test('Lerp Vector3', () => {
+    expect(new Vector3(1, 2, 3).lerp(new Vector3(3, 6, -1), 0.25).values).arrayToBeCloseTo([1.5, 3, 2], delta);
+  });
+
+  test('Min, Max and Clamp Vector3', () => {
+    const vec1 = new Vector3(1, 5, 3);
+    const vec2 = new Vector3(3, 4, 3);
+
+    expect(vec1.min(vec2).values).arrayToBeCloseTo([1, 4, 3], delta);
+    expect(vec1.max(vec2).values).arrayToBeCloseTo([3, 5, 3], delta);
+    expect(new Vector3(-1, 9, 2).clamp(new Vector3(0, 0, 0), new Vector3(5, 5, 5)).values).arrayToBeCloseTo([0, 5, 2], delta);
+  });
+
+  test('Equals Vector3', () => {
+    expect(new Vector3(1, 2, 3).equals(new Vector3(1, 2, 3))).toBe(true);
+    expect(new Vector3(1, 2, 3).equals(new Vector3(1, 2, 3.1))).toBe(false);
+    expect(new Vector3(1, 2, 3).equals(new Vector3(1, 2, 3.1), 0.2)).toBe(true);
+  });
+
+  test('set and copyFrom', () => {
+    const vec = new Vector3(1, 2, 3);
+
+    expect(vec.set(4, 5, 6)).toBe(vec);
+    expect(vec.values).arrayToBeCloseTo([4, 5, 6], delta);
+    expect(vec.copyFrom(new Vector3(7, 8, 9))).toBe(vec);
+    expect(vec.values).arrayToBeCloseTo([7, 8, 9], delta);
+  });
+
+  test('Write results into out', () => {
+    const vec1 = new Vector3(1, 2, 3);
+    const vec2 = new Vector3(4, 5, 6);
+    const out = new Vector3(0, 0, 0);
+
+    expect(vec1.add(vec2, out)).toBe(out);
+    expect(out.values).arrayToBeCloseTo([5, 7, 9], delta);
+    expect(vec1.cross(vec2, out)).toBe(out);
+    expect(out.values).arrayToBeCloseTo([-3, 6, -3], delta);
+    expect(vec1.values).arrayToBeCloseTo([1, 2, 3], delta);
+  });
+
+  test('Use the vector itself as out', () => {
+    const vec = new Vector3(1, 2, 3);
+
+    vec.cross(new Vector3(4, 5, 6), vec);
+    expect(vec.values).arrayToBeCloseTo([-3, 6, -3], delta);
+    vec.clamp(new Vector3(-1, -1, -1), new Vector3(1, 1, 1), vec);
+    expect(vec.values).arrayToBeCloseTo([-1, 1, -1], delta);
+    vec.normalize(vec);
+    expect(vec.magnitude).toBeCloseTo(1);
+  });
+
+  test('clamp into min or max', () => {
+    const vec = new Vector3(-5, 0.5, 5);
+    const min = new Vector3(-1, -1, -1);
+    const max = new Vector3(1, 1, 1);
+
+    vec.clamp(min, max, max);
+    expect(max.values).arrayToBeCloseTo([-1, 0.5, 1], delta);
+
+    max.set(1, 1, 1);
+    vec.clamp(min, max, min);
+    expect(min.values).arrayToBeCloseTo([-1, 0.5, 1], delta);
+  });
+
+  test('View over a shared buffer', () => {
+    const bytes = Float32Array.BYTES_PER_ELEMENT;
+    const buffer = new ArrayBuffer(6 * bytes);
+    const position = Vector3.view(buffer);
+    const normal = Vector3.view(buffer, 3 * bytes);
+
+    position.set(1, 2, 3);
+    normal.z = 1;
+    expect(new Float32Array(buffer)).arrayToBeCloseTo([1, 2, 3, 0, 0, 1], delta);
+    expect(position).toBeInstanceOf(Float32Vector3);
+    expect(position.add(normal).values).arrayToBeCloseTo([1, 2, 4], delta);
+  });
 });
 
 //
@@ -116,4 +266,51 @@ describe('Vector4', () => {
     const vec = new Vector4(1, 2, 3, 4);
     expect(vec.xyz.values).arrayToBeCloseTo([1, 2, 3], delta);
   });
+
+  test('Dot Vector4', () => {
+    expect(new Vector4(1, 2, 3, 4).dot(new Vector4(5, 6, 7, 8))).toBeCloseTo(70);
+  });
+
+  test('Normal Vector4', () => {
+    expect(new Vector4(1, 1, 1, 1).normalize().values).arrayToBeCloseTo([0.5, 0.5, 0.5, 0.5], delta);
+    const zero4 = new Vector4(0, 0, 0, 0);
+    expect(zero4.normalize().values).arrayToBeCloseTo([0, 0, 0, 0], delta);
+    expect(zero4.normalize()).not.toBe(zero4);
+  });
+
+  test('Negate Vector4', () => {
+    expect(new Vector4(1, -2, 3, -4).negate().values).arrayToBeCloseTo([-1, 2, -3, 4], delta);
+  });
+
+  test('Component-wise Mul and Div Vector4', () => {
+    const vec1 = new Vector4(1, 2, 3, 4);
+    const vec2 = new Vector4(4, 8, 12, 16);
+
+    expect(vec1.mul(vec2).values).arrayToBeCloseTo([4, 16, 36, 64], delta);
+    expect(vec1.div(vec2).values).arrayToBeCloseTo([0.25, 0.25, 0.25, 0.25], delta);
+  });
+
+  test('Distance Vector4', () => {
+    expect(new Vector4(1, 2, 3, 4).distance(new Vector4(2, 3, 4, 5))).toBeCloseTo(2);
+  });
+
+  test('Lerp Vector4', () => {
+    expect(new Vector4(1, 2, 3, 4).lerp(new Vector4(3, 6, -1, 0), 0.25).values).arrayToBeCloseTo([1.5, 3, 2, 3], delta);
+  });
+
+  test('Min, Max and Clamp Vector4', () => {
+    const vec1 = new Vector4(1, 5, 3, -2);
+    const vec2 = new Vector4(3, 4, 3, -1);
+
+    expect(vec1.min(vec2).values).arrayToBeCloseTo([1, 4, 3, -2], delta);
+    expect(vec1.max(vec2).values).arrayToBeCloseTo([3, 5, 3, -1], delta);
+    expect(new Vector4(-1, 9, 2, 5).clamp(new Vector4(0, 0, 0, 0), new Vector4(5, 5, 5, 1)).values)
+      .arrayToBeCloseTo([0, 5, 2, 1], delta);
+  });
+
+  test('Equals Vector4', () => {
+    expect(new Vector4(1, 2, 3, 4).equals(new Vector4(1, 2, 3, 4))).toBe(true);
+    expect(new Vector4(1, 2, 3, 4).equals(new Vector4(1, 2, 3, 4.1))).toBe(false);
+    expect(new Vector4(1, 2, 3, 4).equals(new Vector4(1, 2, 3, 4.1), 0.2)).toBe(true);
+  });
 });
@@ -0,0 +1,91 @@
+import { Float64Matrix3x3, Float64Matrix4x4, Float64Quaternion, Float64Vector3, Float64Vector4, Matrix3x3, Matrix4x4 } from '../src/index';
+import { Matrix3, Matrix4 } from '../src/matrix';
+import { Vector3 } from '../src/float32vector';
+import './lib/array_close_to';
+
+const delta = 0.001;
+
+//
+// Float64Matrix3x3
+//
+describe('Float64Matrix3x3', () => {
+  test('Same result as Matrix3x3', () => {
+    const m = Float64Matrix3x3.identity().translate(5, -6).rotate(0.4).scale(2, 3);
+    const expected = Matrix3.identity().translate(5, -6).rotate(0.4).scale(2, 3);
+
+    expect(m.values).toBeInstanceOf(Float64Array);
+    expect(m.values).arrayToBeCloseTo(expected.values, delta);
+  });
+
+  test('Inverse', () => {
+    const m = Float64Matrix3x3.identity().translate(5, -6).rotate(0.4).scale(2, 3);
+    const inv = m.inverse() as Float64Matrix3x3;
+
+    expect(m.mulByMatrix3x3(inv).values).arrayToBeCloseTo(Float64Matrix3x3.identity().values, delta);
+  });
+
+  test('toFloat32', () => {
+    const m = new Float64Matrix3x3(1, 2, 3, 4, 5, 6, 7, 8, 9).toFloat32();
+
+    expect(m).toBeInstanceOf(Matrix3x3);
+    expect(m.values).arrayToBeCloseTo([1, 2, 3, 4, 5, 6, 7, 8, 9], delta);
+  });
+});
+
+//
+// Float64Matrix4x4
+//
+describe('Float64Matrix4x4', () => {
+  test('Same result as Matrix4x4', () => {
+    const m = Float64Matrix4x4.identity().translate(40, 0, -20).rotateZ(Math.PI / 8).scale(1, 2, 3);
+    const expected = Matrix4.identity().translate(40, 0, -20).rotateZ(Math.PI / 8).scale(1, 2, 3);
+
+    expect(m.values).toBeInstanceOf(Float64Array);
+    expect(m.values).arrayToBeCloseTo(expected.values, delta);
+  });
+
+  test('Keeps precision at large coordinates', () => {
+    const origin = new Float64Vector4(6378137.125, 0, 0, 1);
+    const model = Float64Matrix4x4.translation(6378137, 0, 0);
+    const local = (model.inverse() as Float64Matrix4x4).mulByVector4(origin);
+
+    expect(local.x).toBeCloseTo(0.125, 6);
+  });
+
+  test('lookAt, perspective and normalMatrix', () => {
+    const eye = new Float64Vector3(0, 60, 90);
+    const view = Float64Matrix4x4.lookAt(eye, new Float64Vector3(0, 0, 0), new Float64Vector3(0, 1, 0));
+    const expectedView = Matrix4.lookAt(new Vector3(0, 60, 90), new Vector3(0, 0, 0), new Vector3(0, 1, 0));
+    const projection = Float64Matrix4x4.perspective({ fovYRadian: 1, aspectRatio: 1.5, near: 1, far: 100 });
+    const expectedProjection = Matrix4.perspective({ fovYRadian: 1, aspectRatio: 1.5, near: 1, far: 100 });
+
+    expect(view.values).arrayToBeCloseTo(expectedView.values, delta);
+    expect(projection.values).arrayToBeCloseTo(expectedProjection.values, delta);
+    expect((view.normalMatrix() as Float64Matrix3x3).values).arrayToBeCloseTo(view.upperLeft3x3().values, delta);
+  });
+
+  test('compose and decompose', () => {
+    const q = Float64Quaternion.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 0.7);
+    const m = Float64Matrix4x4.compose(new Float64Vector3(40, 0, -20), q, new Float64Vector3(1, 2, 3));
+    const { translation, rotation, scale } = m.decompose() as { translation: Float64Vector3, rotation: Float64Quaternion, scale: Float64Vector3 };
+
+    expect(translation.values).arrayToBeCloseTo([40, 0, -20], delta);
+    expect(rotation.values).arrayToBeCloseTo(q.values, delta);
+    expect(scale.values).arrayToBeCloseTo([1, 2, 3], delta);
+  });
+
+  test('toFloat32', () => {
+    const m = Float64Matrix4x4.translation(1, 2, 3).toFloat32();
+
+    expect(m).toBeInstanceOf(Matrix4x4);
+    expect(m.values).arrayToBeCloseTo(Matrix4.translation(1, 2, 3).values, delta);
+  });
+
+  test('Batch transform of Float64Array', () => {
+    const m = Float64Matrix4x4.translation(6378137.5, 0, 0);
+    const points = new Float64Array([0.25, 1, 2]);
+
+    expect(m.transformPoints(points)).toBe(points);
+    expect(points[0]).toBe(6378137.75);
+  });
+});
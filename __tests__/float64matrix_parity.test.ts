@@ -0,0 +1,612 @@
+// This file is generated by scripts/generate_float64.js from __tests__/matrix.test.ts. Do not edit it by hand.
+
+import { EulerOrder, Float64Matrix3x3, Float64Matrix4x4, Float64Quaternion, Float64Vector3, Float64Vector4 } from '../src/index';
+import './lib/array_close_to';
+
+const delta = 0.001;
+
+//
+// Float64Matrix3x3
+//
+describe('Float64Matrix3x3', () => {
+  test('Transpose', () => {
+    const m = new Float64Matrix3x3(1, 2, 3, 4, 5, 6, 7, 8, 9);
+    expect(m.transpose().values).arrayToBeCloseTo([1, 4, 7, 2, 5, 8, 3, 6, 9], delta);
+  });
+
+  test('Determinant', () => {
+    expect(new Float64Matrix3x3(2, 0, 1, 1, 3, 2, 1, 1, 2).determinant()).toBeCloseTo(6);
+    expect(Float64Matrix3x3.scaling(2, 3).rotate(0.4).translate(5, 6).determinant()).toBeCloseTo(6);
+  });
+
+  test('Inverse', () => {
+    const m = Float64Matrix3x3.identity().translate(5, -6).rotate(0.4).scale(2, 3);
+    const inv = m.inverse() as Float64Matrix3x3;
+
+    expect(m.mulByMatrix3x3(inv).values).arrayToBeCloseTo(Float64Matrix3x3.identity().values, delta);
+    expect(inv.mulByMatrix3x3(m).values).arrayToBeCloseTo(Float64Matrix3x3.identity().values, delta);
+  });
+
+  test('Inverse of Singular Matrix', () => {
+    expect(new Float64Matrix3x3(1, 2, 3, 4, 5, 6, 7, 8, 9).inverse()).toBeNull();
+  });
+
+  test('Inverse of Projective Transformation', () => {
+    const quad = [1, 2, 9, 1, 8, 7, 2, 6];
+    const inv = Float64Matrix3x3.projectiveTransform(1, 2, 9, 1, 8, 7, 2, 6).inverse() as Float64Matrix3x3;
+    const expected = Float64Matrix3x3.projectiveInvTransform(1, 2, 9, 1, 8, 7, 2, 6);
+
+    for (let i = 0; i < 4; i += 1) {
+      const p = new Float64Vector3(quad[i * 2], quad[i * 2 + 1], 1);
+      expect(inv.mulByVector3(p).hom2cart.values).arrayToBeCloseTo(expected.mulByVector3(p).hom2cart.values, delta);
+    }
+    const center = new Float64Vector3(4.5, 4, 1);
+    expect(inv.mulByVector3(center).hom2cart.values).arrayToBeCloseTo(expected.mulByVector3(center).hom2cart.values, delta);
+  });
+
+  test('set, copyFrom and setIdentity', () => {
+    const m = Float64Matrix3x3.identity();
+
+    expect(m.set(1, 2, 3, 4, 5, 6, 7, 8, 9)).toBe(m);
+    expect(m.values).arrayToBeCloseTo([1, 2, 3, 4, 5, 6, 7, 8, 9], delta);
+    expect(m.copyFrom(Float64Matrix3x3.translation(1, 2))).toBe(m);
+    expect(m.values).arrayToBeCloseTo(Float64Matrix3x3.translation(1, 2).values, delta);
+    expect(m.setIdentity()).toBe(m);
+    expect(m.values).arrayToBeCloseTo(Float64Matrix3x3.identity().values, delta);
+  });
+
+  test('Batch transform of 3-dimensional vectors', () => {
+    const m = Float64Matrix4x4.rotationZ(0.5).scale(1, 2, 3).normalMatrix() as Float64Matrix3x3;
+    const normals = new Float64Array([1, 0, 0, 0, 1, 1]);
+    m.transformVectors(normals);
+
+    expect(normals.subarray(0, 3)).arrayToBeCloseTo(m.mulByVector3(new Float64Vector3(1, 0, 0)).values, delta);
+    expect(normals.subarray(3, 6)).arrayToBeCloseTo(m.mulByVector3(new Float64Vector3(0, 1, 1)).values, delta);
+  });
+
+  test('View over a shared buffer', () => {
+    const bytes = Float64Array.BYTES_PER_ELEMENT;
+    const buffer = new ArrayBuffer(10 * bytes);
+    const m = Float64Matrix3x3.view(buffer, bytes);
+    new Float64Array(buffer).set([1, 0, 0, 0, 1, 0, 2, 3, 1], 1);
+
+    expect(m.mulByVector3(new Float64Vector3(1, 1, 1)).values).arrayToBeCloseTo([3, 4, 1], delta);
+  });
+});
+
+//
+// Float64Matrix4x4
+//
+describe('Float64Matrix4x4', () => {
+  test('Model Matrix', () => {
+    const model = Float64Matrix4x4.identity()
+                         .translate(40, 0, -20)
+                         .rotateZ(Math.PI / 8)
+                         .scale(1,2,3);
+
+    expect(model.values).arrayToBeCloseTo(
+      [
+        0.9238795042037964,0.3826834261417389,0,0,
+        -0.7653668522834778,1.8477590084075928,0,0,
+        0,0,3,0,
+        40,0,-20,1,
+      ],
+      delta);
+  });
+
+  test('View Matrix', () => {
+    const cameraPosition = new Float64Vector3(0, 60, 90);
+    const lookAtPosition = new Float64Vector3(0, 0, 0);
+    const upDirection    = new Float64Vector3(0, 1, 0);
+    const view = Float64Matrix4x4.lookAt(cameraPosition, lookAtPosition, upDirection);
+
+    expect(view.values).arrayToBeCloseTo(
+      [
+        1,0,0,0,
+        0,0.8320503234863281,0.5547001957893372,0,
+        0,-0.5547001957893372,0.8320503234863281,0,
+        0,0,-108.16654205322266,1,
+      ],
+      delta);
+  });
+
+  test('View Matrix for a left-handed coordinate system', () => {
+    const view = Float64Matrix4x4.lookAtLH(new Float64Vector3(0, 60, -90), new Float64Vector3(0, 0, 0), new Float64Vector3(0, 1, 0));
+
+    // The same camera as the right-handed one mirrored by z-axis.
+    const mirrored = Float64Matrix4x4.lookAt(new Float64Vector3(0, 60, 90), new Float64Vector3(0, 0, 0), new Float64Vector3(0, 1, 0)).convertHandedness();
+    expect(view.values).arrayToBeCloseTo(mirrored.values, delta);
+    expect(view.mulByVector4(new Float64Vector4(0, 0, 0, 1)).values).arrayToBeCloseTo([0, 0, 108.16654205322266, 1], delta);
+  });
+
+  test('Projection Matrix Orthographic', () => {
+    const left   = -40;
+    const right  = 40;
+    const top    = 40;
+    const bottom = -40;
+    const near   = 30;
+    const far    = 150;
+    const projection = Float64Matrix4x4.orthographic({ top, right, left, bottom, near, far });
+
+    expect(projection.values).arrayToBeCloseTo(
+      [
+        0.02500000037252903,0,0,0,
+        0,0.02500000037252903,0,
+        0,0,0,-0.01666666753590107,
+        0,0,0,-1.5,1,
+      ],
+      delta);
+  });
+
+  test('Projection Matrix Frustum', () => {
+    const left   = -40;
+    const right  = 40;
+    const top    = 40;
+    const bottom = -40;
+    const near   = 30;
+    const far    = 150;
+    const frustum = Float64Matrix4x4.frustum({ top, right, left, bottom, near, far });
+
+    expect(frustum.values).arrayToBeCloseTo(
+      [
+        0.75,0,0,0,
+        0,0.75,0,0,
+        0,0,-1.5,-1,
+        0,0,-75,0,
+      ],
+      delta);
+  });
+
+  test('Projection Matrix Perspective', () => {
+    const fovY = 60 * Math.PI / 180;
+    const aspectRatio = 500 / 500;
+    const near = 30;
+    const far  = 300;
+    const projection = Float64Matrix4x4.perspective({ fovYRadian: fovY, aspectRatio, near, far });
+
+    expect(projection.values).arrayToBeCloseTo(
+      [
+        1.7320507764816284,0,0,0,
+        0,1.7320507764816284,0,0,
+        0,0,-1.2222222089767456,-1,
+        0,0,-66.66666412353516,0,
+      ],
+      delta);
+  });
+
+  test('Projection depth options', () => {
+    const depthAt = (projection: Float64Matrix4x4, z: number) => projection.mulByVector4(new Float64Vector4(0, 0, z, 1)).hom2cart.z;
+    const args = { fovYRadian: Math.PI / 3, aspectRatio: 1.5, near: 0.5, far: 100 };
+
+    const zeroToOne = Float64Matrix4x4.perspective({ ...args, depthRange: 'zeroToOne' });
+    expect(depthAt(zeroToOne, -0.5)).toBeCloseTo(0);
+    expect(depthAt(zeroToOne, -100)).toBeCloseTo(1);
+
+    const reversed = Float64Matrix4x4.perspective({ ...args, depthRange: 'zeroToOne', reversedDepth: true });
+    expect(depthAt(reversed, -0.5)).toBeCloseTo(1);
+    expect(depthAt(reversed, -100)).toBeCloseTo(0);
+
+    const reversedMinusOneToOne = Float64Matrix4x4.frustum({ top: 1, bottom: -1, left: -1, right: 1, near: 1, far: 10, reversedDepth: true });
+    expect(depthAt(reversedMinusOneToOne, -1)).toBeCloseTo(1);
+    expect(depthAt(reversedMinusOneToOne, -10)).toBeCloseTo(-1);
+
+    const ortho = Float64Matrix4x4.orthographic({ top: 1, bottom: -1, left: -1, right: 1, near: 2, far: 20, depthRange: 'zeroToOne', reversedDepth: true });
+    expect(depthAt(ortho, -2)).toBeCloseTo(1);
+    expect(depthAt(ortho, -11)).toBeCloseTo(0.5);
+    expect(depthAt(ortho, -20)).toBeCloseTo(0);
+  });
+
+  test('Projection matrices for a left-handed coordinate system', () => {
+    const depthAt = (projection: Float64Matrix4x4, z: number) => projection.mulByVector4(new Float64Vector4(0, 0, z, 1)).hom2cart.z;
+
+    const perspective = Float64Matrix4x4.perspectiveLH({ fovYRadian: Math.PI / 3, aspectRatio: 1.5, near: 0.5, far: 100, depthRange: 'zeroToOne' });
+    expect(depthAt(perspective, 0.5)).toBeCloseTo(0);
+    expect(depthAt(perspective, 100)).toBeCloseTo(1);
+    expect(perspective.mulByVector4(new Float64Vector4(1, 1, 10, 1)).values).arrayToBeCloseTo(
+      Float64Matrix4x4.perspective({ fovYRadian: Math.PI / 3, aspectRatio: 1.5, near: 0.5, far: 100, depthRange: 'zeroToOne' })
+        .mulByVector4(new Float64Vector4(1, 1, -10, 1)).values,
+      delta);
+
+    const frustum = Float64Matrix4x4.frustumLH({ top: 1, bottom: -1, left: -1, right: 1, near: 1, far: 10 });
+    expect(depthAt(frustum, 1)).toBeCloseTo(-1);
+    expect(depthAt(frustum, 10)).toBeCloseTo(1);
+
+    const ortho = Float64Matrix4x4.orthographicLH({ top: 1, bottom: -1, left: -1, right: 1, near: 2, far: 20, reversedDepth: true });
+    expect(depthAt(ortho, 2)).toBeCloseTo(1);
+    expect(depthAt(ortho, 20)).toBeCloseTo(-1);
+  });
+
+  test('convertHandedness', () => {
+    const m = Float64Matrix4x4.translation(1, 2, 3).rotateY(0.5).rotateX(-0.3).scale(1, 2, 3);
+    const point = new Float64Vector4(4, -5, 6, 1);
+
+    // Converting the point, transforming it, and converting back gives the original transformation.
+    const converted = m.convertHandedness().mulByVector4(new Float64Vector4(4, -5, -6, 1));
+    expect(converted.values).arrayToBeCloseTo(m.mulByVector4(point).mul(new Float64Vector4(1, 1, -1, 1)).values, delta);
+  });
+
+  test('Projection with an infinite far plane', () => {
+    const depthAt = (projection: Float64Matrix4x4, z: number) => projection.mulByVector4(new Float64Vector4(0, 0, z, 1)).hom2cart.z;
+    const args = { fovYRadian: Math.PI / 3, aspectRatio: 1.5, near: 0.5, far: Infinity };
+
+    const infinite = Float64Matrix4x4.perspective(args);
+    expect(infinite.values).arrayToBeCloseTo(
+      [
+        1.1547005, 0, 0, 0,
+        0, 1.7320508, 0, 0,
+        0, 0, -1, -1,
+        0, 0, -1, 0,
+      ],
+      delta);
+    expect(depthAt(infinite, -0.5)).toBeCloseTo(-1);
+    expect(depthAt(infinite, -1e6)).toBeCloseTo(1);
+
+    const reversed = Float64Matrix4x4.perspective({ ...args, depthRange: 'zeroToOne', reversedDepth: true });
+    expect(depthAt(reversed, -0.5)).toBeCloseTo(1);
+    expect(depthAt(reversed, -1)).toBeCloseTo(0.5);
+    expect(depthAt(reversed, -1e6)).toBeCloseTo(0);
+
+    const infiniteOrtho = { top: 1, bottom: -1, left: -1, right: 1, near: 1, far: Infinity };
+    expect(() => Float64Matrix4x4.orthographic(infiniteOrtho)).toThrow(RangeError);
+    expect(() => Float64Matrix4x4.orthographic(infiniteOrtho)).toThrow('Float64Matrix4x4.orthographic needs a finite far plane.');
+    expect(() => Float64Matrix4x4.orthographicLH(infiniteOrtho)).toThrow('Float64Matrix4x4.orthographic needs a finite far plane.');
+  });
+
+  test('Transpose', () => {
+    const m = new Float64Matrix4x4(
+      1, 2, 3, 4,
+      5, 6, 7, 8,
+      9, 10, 11, 12,
+      13, 14, 15, 16,
+    );
+
+    expect(m.transpose().values).arrayToBeCloseTo(
+      [
+        1, 5, 9, 13,
+        2, 6, 10, 14,
+        3, 7, 11, 15,
+        4, 8, 12, 16,
+      ],
+      delta);
+  });
+
+  test('Determinant', () => {
+    expect(Float64Matrix4x4.identity().determinant()).toBeCloseTo(1);
+    expect(Float64Matrix4x4.scaling(2, 3, 4).determinant()).toBeCloseTo(24);
+    expect(Float64Matrix4x4.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 1.2).determinant()).toBeCloseTo(1);
+
+    const m = new Float64Matrix4x4(
+      2, 0, 1, 3,
+      1, 1, 0, 2,
+      0, 3, 1, 1,
+      1, 0, 2, 1,
+    );
+    expect(m.determinant()).toBeCloseTo(-1);
+  });
+
+  test('Inverse', () => {
+    const m = new Float64Matrix4x4(
+      2, 0, 1, 3,
+      1, 1, 0, 2,
+      0, 3, 1, 1,
+      1, 0, 2, 1,
+    );
+    const inv = m.inverse() as Float64Matrix4x4;
+
+    expect(inv).not.toBeNull();
+    expect(m.mulByMatrix4x4(inv).values).arrayToBeCloseTo(Float64Matrix4x4.identity().values, delta);
+    expect(inv.mulByMatrix4x4(m).values).arrayToBeCloseTo(Float64Matrix4x4.identity().values, delta);
+  });
+
+  test('Inverse of View Matrix', () => {
+    const view = Float64Matrix4x4.lookAt(new Float64Vector3(0, 60, 90), new Float64Vector3(0, 0, 0), new Float64Vector3(0, 1, 0));
+    const inv = view.inverse() as Float64Matrix4x4;
+
+    // The inverse view matrix carries the camera position in its translation part.
+    expect(inv.values.slice(12)).arrayToBeCloseTo([0, 60, 90, 1], delta);
+  });
+
+  test('Inverse of Singular Matrix', () => {
+    expect(Float64Matrix4x4.scaling(1, 0, 1).inverse()).toBeNull();
+  });
+
+  test('Inverse of Affine Matrices', () => {
+    const axis = new Float64Vector3(1, 2, 3).normalize();
+    const matrices = [
+      Float64Matrix4x4.translation(1, -2, 3),
+      Float64Matrix4x4.rotationX(0.3),
+      Float64Matrix4x4.rotationY(-1.1),
+      Float64Matrix4x4.rotationZ(2.5),
+      Float64Matrix4x4.rotationAround(axis, 0.7),
+      Float64Matrix4x4.scaling(2, -3, 0.5),
+      Float64Matrix4x4.lookAt(new Float64Vector3(0, 60, 90), new Float64Vector3(1, 2, 3), new Float64Vector3(0, 1, 0)),
+      Float64Matrix4x4.identity().translate(40, 0, -20).rotateZ(Math.PI / 8).scale(1, 2, 3),
+    ];
+
+    for (const m of matrices) {
+      const expected = (m.inverse() as Float64Matrix4x4).values;
+      expect((m.invertAffine() as Float64Matrix4x4).values).arrayToBeCloseTo(expected, delta);
+    }
+  });
+
+  test('Inverse of Singular Affine Matrix', () => {
+    expect(Float64Matrix4x4.scaling(1, 1, 0).invertAffine()).toBeNull();
+  });
+
+  test('Inverse of Rigid Matrices', () => {
+    const axis = new Float64Vector3(1, 2, 3).normalize();
+    const matrices = [
+      Float64Matrix4x4.translation(1, -2, 3),
+      Float64Matrix4x4.rotationX(0.3),
+      Float64Matrix4x4.rotationY(-1.1),
+      Float64Matrix4x4.rotationZ(2.5),
+      Float64Matrix4x4.rotationAround(axis, 0.7),
+      Float64Matrix4x4.lookAt(new Float64Vector3(0, 60, 90), new Float64Vector3(1, 2, 3), new Float64Vector3(0, 1, 0)),
+      Float64Matrix4x4.identity().translate(40, 0, -20).rotateZ(Math.PI / 8).rotateAround(axis, 1.3),
+    ];
+
+    for (const m of matrices) {
+      const expected = (m.inverse() as Float64Matrix4x4).values;
+      expect(m.invertRigid().values).arrayToBeCloseTo(expected, delta);
+    }
+  });
+
+  test('Upper-left 3x3', () => {
+    const m = new Float64Matrix4x4(
+      1, 2, 3, 4,
+      5, 6, 7, 8,
+      9, 10, 11, 12,
+      13, 14, 15, 16,
+    );
+
+    expect(m.upperLeft3x3().values).arrayToBeCloseTo([1, 2, 3, 5, 6, 7, 9, 10, 11], delta);
+  });
+
+  test('Normal Matrix of Rotation', () => {
+    const model = Float64Matrix4x4.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 0.7).translate(1, 2, 3);
+    const normal = model.normalMatrix() as Float64Matrix3x3;
+
+    expect(normal.values).arrayToBeCloseTo(model.upperLeft3x3().values, delta);
+  });
+
+  test('Normal Matrix of Non-uniform Scaling', () => {
+    const modelView = Float64Matrix4x4.rotationZ(Math.PI / 6).scale(1, 4, 2);
+    const normal = modelView.normalMatrix() as Float64Matrix3x3;
+
+    // A surface spanned by the tangent (1, -1, 0) with the normal (1, 1, 0).
+    const tangent = modelView.mulByVector4(new Float64Vector4(1, -1, 0, 0)).xyz;
+    const n = normal.mulByVector3(new Float64Vector3(1, 1, 0));
+
+    expect((Float64Matrix4x4.scaling(2, 4, 8).normalMatrix() as Float64Matrix3x3).values).arrayToBeCloseTo(
+      [
+        0.5, 0, 0,
+        0, 0.25, 0,
+        0, 0, 0.125,
+      ],
+      delta);
+    expect(tangent.dot(n)).toBeCloseTo(0);
+  });
+
+  test('Normal Matrix of Singular Matrix', () => {
+    expect(Float64Matrix4x4.scaling(0, 1, 1).normalMatrix()).toBeNull();
+  });
+
+  test('Compose', () => {
+    const axis = new Float64Vector3(1, 2, 3).normalize();
+    const m = Float64Matrix4x4.compose(new Float64Vector3(40, 0, -20), Float64Quaternion.rotationAround(axis, 0.7), new Float64Vector3(1, 2, 3));
+    const expected = Float64Matrix4x4.identity().translate(40, 0, -20).rotateAround(axis, 0.7).scale(1, 2, 3);
+
+    expect(m.values).arrayToBeCloseTo(expected.values, delta);
+  });
+
+  test('Decompose', () => {
+    const q = Float64Quaternion.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 0.7);
+    const m = Float64Matrix4x4.compose(new Float64Vector3(40, 0, -20), q, new Float64Vector3(1, 2, 3));
+    const { translation, rotation, scale } = m.decompose() as { translation: Float64Vector3, rotation: Float64Quaternion, scale: Float64Vector3 };
+
+    expect(translation.values).arrayToBeCloseTo([40, 0, -20], delta);
+    expect(rotation.values).arrayToBeCloseTo(q.values, delta);
+    expect(scale.values).arrayToBeCloseTo([1, 2, 3], delta);
+  });
+
+  test('Decompose with Negative Scale', () => {
+    const m = Float64Matrix4x4.identity().translate(1, 2, 3).rotateY(2.8).scale(2, -3, 4);
+    const { translation, rotation, scale } = m.decompose() as { translation: Float64Vector3, rotation: Float64Quaternion, scale: Float64Vector3 };
+
+    expect(scale.x).toBeLessThan(0);
+    expect(Float64Matrix4x4.compose(translation, rotation, scale).values).arrayToBeCloseTo(m.values, delta);
+  });
+
+  test('Decompose Matrices that cannot be Decomposed', () => {
+    const shear = new Float64Matrix4x4(
+      1, 0, 0, 0,
+      0.5, 1, 0, 0,
+      0, 0, 1, 0,
+      0, 0, 0, 1,
+    );
+    const projection = Float64Matrix4x4.perspective({ fovYRadian: 1, aspectRatio: 1, near: 1, far: 10 });
+
+    expect(shear.decompose()).toBeNull();
+    expect(projection.decompose()).toBeNull();
+    expect(Float64Matrix4x4.scaling(1, 0, 1).decompose()).toBeNull();
+  });
+
+  test('fromEuler', () => {
+    const m = Float64Matrix4x4.fromEuler(0.3, -1.2, 2.2, 'YXZ');
+    const expected = Float64Matrix4x4.rotationY(-1.2).rotateX(0.3).rotateZ(2.2);
+
+    expect(m.values).arrayToBeCloseTo(expected.values, delta);
+    expect(Float64Matrix4x4.fromEuler(0.3, -1.2, 2.2).values).arrayToBeCloseTo(Float64Matrix4x4.fromEuler(0.3, -1.2, 2.2, 'XYZ').values, delta);
+  });
+
+  test('toEuler round-trips with fromEuler', () => {
+    const orders: EulerOrder[] = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
+
+    for (const order of orders) {
+      const angles = Float64Matrix4x4.fromEuler(-0.7, 1.1, 1.4, order).toEuler(order);
+      expect(angles.values).arrayToBeCloseTo([-0.7, 1.1, 1.4], delta);
+    }
+  });
+
+  test('toEuler at gimbal lock', () => {
+    const orders: EulerOrder[] = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
+
+    for (const order of orders) {
+      for (const middle of [Math.PI / 2, -Math.PI / 2]) {
+        // Index 0, 1 and 2 for 'X', 'Y' and 'Z'.
+        const angles: number[] = [];
+        angles[order.charCodeAt(0) - 88] = 0.4;
+        angles[order.charCodeAt(1) - 88] = middle;
+        angles[order.charCodeAt(2) - 88] = 0.9;
+
+        const m = Float64Matrix4x4.fromEuler(angles[0], angles[1], angles[2], order);
+        const euler = m.toEuler(order);
+
+        // The last rotation is merged into the first one.
+        expect(euler.values[order.charCodeAt(2) - 88]).toBeCloseTo(0);
+        expect(Float64Matrix4x4.fromEuler(euler.x, euler.y, euler.z, order).values).arrayToBeCloseTo(m.values, delta);
+      }
+    }
+  });
+
+  test('set, copyFrom and setIdentity', () => {
+    const m = Float64Matrix4x4.identity();
+
+    expect(m.set(1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16)).toBe(m);
+    expect(m.values).arrayToBeCloseTo([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16], delta);
+    expect(m.copyFrom(Float64Matrix4x4.translation(1, 2, 3))).toBe(m);
+    expect(m.values).arrayToBeCloseTo(Float64Matrix4x4.translation(1, 2, 3).values, delta);
+    expect(m.setIdentity()).toBe(m);
+    expect(m.values).arrayToBeCloseTo(Float64Matrix4x4.identity().values, delta);
+  });
+
+  test('Transform methods equal multiplying the transformation matrices', () => {
+    const m = Float64Matrix4x4.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 0.7).translate(1, 2, 3);
+
+    expect(m.translate(4, 5, 6).values).arrayToBeCloseTo(m.mulByMatrix4x4(Float64Matrix4x4.translation(4, 5, 6)).values, delta);
+    expect(m.scale(2, 3, 4).values).arrayToBeCloseTo(m.mulByMatrix4x4(Float64Matrix4x4.scaling(2, 3, 4)).values, delta);
+    expect(m.rotateX(0.5).values).arrayToBeCloseTo(m.mulByMatrix4x4(Float64Matrix4x4.rotationX(0.5)).values, delta);
+    expect(m.rotateY(0.5).values).arrayToBeCloseTo(m.mulByMatrix4x4(Float64Matrix4x4.rotationY(0.5)).values, delta);
+    expect(m.rotateZ(0.5).values).arrayToBeCloseTo(m.mulByMatrix4x4(Float64Matrix4x4.rotationZ(0.5)).values, delta);
+
+    const axis = new Float64Vector3(-2, 1, 3).normalize();
+    expect(m.rotateAround(axis, 1.2).values).arrayToBeCloseTo(m.mulByMatrix4x4(Float64Matrix4x4.rotationAround(axis, 1.2)).values, delta);
+  });
+
+  test('Write results into out', () => {
+    const a = Float64Matrix4x4.rotationX(0.3).translate(1, 2, 3);
+    const b = Float64Matrix4x4.scaling(2, 3, 4).rotateY(0.4);
+    const expected = a.mulByMatrix4x4(b);
+    const out = Float64Matrix4x4.identity();
+
+    expect(a.mulByMatrix4x4(b, out)).toBe(out);
+    expect(out.values).arrayToBeCloseTo(expected.values, delta);
+
+    const vecOut = new Float64Vector4(0, 0, 0, 0);
+    expect(a.mulByVector4(new Float64Vector4(1, 2, 3, 1), vecOut)).toBe(vecOut);
+    expect(vecOut.values).arrayToBeCloseTo(a.mulByVector4(new Float64Vector4(1, 2, 3, 1)).values, delta);
+
+    const matrix3Out = Float64Matrix3x3.identity();
+    expect(b.upperLeft3x3(matrix3Out)).toBe(matrix3Out);
+    expect(matrix3Out.values).arrayToBeCloseTo(b.upperLeft3x3().values, delta);
+    expect(b.normalMatrix(matrix3Out)).toBe(matrix3Out);
+    expect(matrix3Out.values).arrayToBeCloseTo((b.normalMatrix() as Float64Matrix3x3).values, delta);
+    expect(Float64Matrix4x4.scaling(0, 1, 1).normalMatrix(matrix3Out)).toBeNull();
+    expect(matrix3Out.values).arrayToBeCloseTo((b.normalMatrix() as Float64Matrix3x3).values, delta);
+
+    const eulerOut = new Float64Vector3(0, 0, 0);
+    expect(a.toEuler('ZXY', eulerOut)).toBe(eulerOut);
+    expect(eulerOut.values).arrayToBeCloseTo(a.toEuler('ZXY').values, delta);
+  });
+
+  test('Use the matrix itself as out', () => {
+    const a = Float64Matrix4x4.rotationX(0.3).translate(1, 2, 3);
+    const b = Float64Matrix4x4.scaling(2, 3, 4).rotateY(0.4);
+    const expected = a.mulByMatrix4x4(b).translate(1, 0, 0).rotateZ(0.2).inverse() as Float64Matrix4x4;
+
+    a.mulByMatrix4x4(b, a).translate(1, 0, 0, a).rotateZ(0.2, a).inverse(a);
+    expect(a.values).arrayToBeCloseTo(expected.values, delta);
+
+    const axis = new Float64Vector3(1, 2, 3).normalize();
+    const rotated = a.rotateAround(axis, 0.6);
+    a.rotateAround(axis, 0.6, a);
+    expect(a.values).arrayToBeCloseTo(rotated.values, delta);
+
+    b.mulByMatrix4x4(b, b);
+    expect(b.values).arrayToBeCloseTo(Float64Matrix4x4.scaling(2, 3, 4).rotateY(0.4).mulByMatrix4x4(Float64Matrix4x4.scaling(2, 3, 4).rotateY(0.4)).values, delta);
+  });
+
+  test('Batch transform of interleaved points', () => {
+    const m = Float64Matrix4x4.rotationX(0.3).translate(1, 2, 3).scale(2, 2, 2);
+    // Interleaved position (3) and color (2), with 1 padding element at the start.
+    const buffer = new Float64Array([
+      -1,
+      1, 2, 3, 0.5, 0.5,
+      4, 5, 6, 0.25, 0.25,
+    ]);
+
+    const result = m.transformPoints(buffer, { stride: 5, offset: 1 });
+    expect(result).toBe(buffer);
+    expect(buffer[0]).toBe(-1);
+    expect(buffer.subarray(1, 4)).arrayToBeCloseTo(m.mulByVector4(new Float64Vector4(1, 2, 3, 1)).xyz.values, delta);
+    expect(buffer.subarray(4, 6)).arrayToBeCloseTo([0.5, 0.5], delta);
+    expect(buffer.subarray(6, 9)).arrayToBeCloseTo(m.mulByVector4(new Float64Vector4(4, 5, 6, 1)).xyz.values, delta);
+    expect(buffer.subarray(9, 11)).arrayToBeCloseTo([0.25, 0.25], delta);
+  });
+
+  test('Batch transform into an output buffer', () => {
+    const m = Float64Matrix4x4.rotationY(0.4).translate(1, 2, 3);
+    const source = new Float64Array([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    const out = new Float64Array(9);
+
+    expect(m.transformDirections(source, { out, count: 2 })).toBe(out);
+    expect(source).arrayToBeCloseTo([1, 2, 3, 4, 5, 6, 7, 8, 9], delta);
+    expect(out.subarray(0, 3)).arrayToBeCloseTo(m.mulByVector4(new Float64Vector4(1, 2, 3, 0)).xyz.values, delta);
+    expect(out.subarray(3, 6)).arrayToBeCloseTo(m.mulByVector4(new Float64Vector4(4, 5, 6, 0)).xyz.values, delta);
+    expect(out.subarray(6, 9)).arrayToBeCloseTo([0, 0, 0], delta);
+  });
+
+  test('Batch transform with homogeneous divide', () => {
+    const m = Float64Matrix4x4.perspective({ fovYRadian: Math.PI / 3, aspectRatio: 1.5, near: 0.1, far: 100 });
+    const points = new Float64Array([1, 2, -5, -3, 1, -20]);
+    m.transformPointsProjective(points);
+
+    const clip1 = m.mulByVector4(new Float64Vector4(1, 2, -5, 1));
+    const clip2 = m.mulByVector4(new Float64Vector4(-3, 1, -20, 1));
+    expect(points.subarray(0, 3)).arrayToBeCloseTo(clip1.xyz.mulByScalar(1 / clip1.w).values, delta);
+    expect(points.subarray(3, 6)).arrayToBeCloseTo(clip2.xyz.mulByScalar(1 / clip2.w).values, delta);
+  });
+
+  test('Batch transform throws if the layout does not fit', () => {
+    const m = Float64Matrix4x4.identity();
+
+    expect(() => m.transformPoints(new Float64Array(6), { count: 3 })).toThrow();
+    expect(() => m.transformPoints(new Float64Array(6), { stride: 2 })).toThrow();
+    expect(() => m.transformPoints(new Float64Array(6), { out: new Float64Array(3) })).toThrow();
+    expect(m.transformPoints(new Float64Array(2)).length).toBe(2);
+  });
+
+  test('View over a shared buffer', () => {
+    const bytes = Float64Array.BYTES_PER_ELEMENT;
+    const buffer = new ArrayBuffer(32 * bytes);
+    const instance0 = Float64Matrix4x4.view(buffer);
+    const instance1 = Float64Matrix4x4.view(buffer, 16 * bytes);
+
+    instance1.copyFrom(Float64Matrix4x4.translation(1, 2, 3));
+    instance0.setIdentity().scale(2, 2, 2, instance0);
+
+    const floats = new Float64Array(buffer);
+    expect(floats.subarray(0, 16)).arrayToBeCloseTo(Float64Matrix4x4.scaling(2, 2, 2).values, delta);
+    expect(floats.subarray(16, 32)).arrayToBeCloseTo(Float64Matrix4x4.translation(1, 2, 3).values, delta);
+
+    floats[28] = 5;
+    expect(instance1.values[12]).toBe(5);
+    expect(instance1.mulByVector4(new Float64Vector4(0, 0, 0, 1)).values).arrayToBeCloseTo([5, 2, 3, 1], delta);
+  });
+
+  test('View throws if it does not fit in the buffer', () => {
+    const bytes = Float64Array.BYTES_PER_ELEMENT;
+    expect(() => Float64Matrix4x4.view(new ArrayBuffer(16 * bytes), 2)).toThrow(RangeError);
+    expect(() => Float64Matrix4x4.view(new ArrayBuffer(16 * bytes), bytes)).toThrow(RangeError);
+  });
+});
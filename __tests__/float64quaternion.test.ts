@@ -0,0 +1,46 @@
+import { Float64Quaternion } from '../src/float64quaternion';
+import { Float64Vector3 } from '../src/float64vector';
+import { Quaternion } from '../src/quaternion';
+import { Vector3 } from '../src/float32vector';
+import './lib/array_close_to';
+
+const delta = 0.001;
+
+describe('Float64Quaternion', () => {
+  test('Same result as Quaternion', () => {
+    const q = Float64Quaternion.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 45.6 * Math.PI / 180);
+    const expected = Quaternion.rotationAround(new Vector3(1, 2, 3).normalize(), 45.6 * Math.PI / 180);
+
+    expect(q.values).toBeInstanceOf(Float64Array);
+    expect(q.toRotationMatrix4().values).arrayToBeCloseTo(expected.toRotationMatrix4().values, delta);
+  });
+
+  test('slerp', () => {
+    const q1 = new Float64Quaternion(1, 2, 3, 4).normalize();
+    const q2 = new Float64Quaternion(5, 6, 7, 8).normalize();
+    const expected = [0.20761071976221868, 0.37753696937382647, 0.5474632189854343, 0.717389468597042];
+
+    expect(q1.slerp(q2, 0.123).values).arrayToBeCloseTo(expected, delta);
+  });
+
+  test('mul and rotateVector3', () => {
+    const q1 = Float64Quaternion.rotationAround(new Float64Vector3(0, 0, 1), Math.PI / 4);
+    const q = q1.mul(q1);
+
+    expect(q.rotateVector3(new Float64Vector3(1, 0, 0)).values).arrayToBeCloseTo([0, 1, 0], delta);
+  });
+
+  test('fromRotationMatrix4 round-trips with toRotationMatrix4', () => {
+    const q = Float64Quaternion.fromEuler(0.3, -1.2, 0.9, 'ZYX');
+
+    expect(Float64Quaternion.fromRotationMatrix4(q.toRotationMatrix4()).values).arrayToBeCloseTo(q.values, delta);
+    expect(q.toEuler('ZYX').values).arrayToBeCloseTo([0.3, -1.2, 0.9], delta);
+  });
+
+  test('toFloat32', () => {
+    const q = new Float64Quaternion(1, 2, 3, 4).toFloat32();
+
+    expect(q).toBeInstanceOf(Quaternion);
+    expect(q.values).arrayToBeCloseTo([1, 2, 3, 4], delta);
+  });
+});
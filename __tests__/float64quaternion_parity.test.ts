@@ -0,0 +1,407 @@
+// This file is generated by scripts/generate_float64.js from __tests__/quaternion.test.ts. Do not edit it by hand.
+
+import { EulerOrder, Float64Matrix4x4, Float64Quaternion, Float64Vector3, Float64Vector4 } from '../src/index';
+import './lib/array_close_to';
+
+const delta = 0.001;
+
+describe('Float64Quaternion', () => {
+  test('toRotationMatrix4', () => {
+    const axis = new Float64Vector3(1, 2, 3).normalize();
+    const rad = 45.6 * Math.PI / 180;
+    const quaternion = Float64Quaternion.rotationAround(axis, rad);
+    const rotationMatrix = quaternion.toRotationMatrix4();
+    const expected = [
+      0.7211159467697144, 0.6157578229904175, -0.3175438642501831, 0,
+      -0.5299473404884338, 0.7854738235473633, 0.3196665644645691, 0,
+      0.4462595582008362, -0.062235139310359955, 0.8927369117736816, 0,
+      0, 0, 0, 1,
+    ];
+
+    expect(rotationMatrix.values).arrayToBeCloseTo(expected, delta);
+  });
+
+  test('normalize', () => {
+    const normalized = new Float64Quaternion(1, 2, 3, 4).normalize();
+    const expected = [0.18257418583505536, 0.3651483716701107, 0.5477225575051661, 0.7302967433402214];
+
+    expect(normalized.values).arrayToBeCloseTo(expected, delta);
+  });
+
+  test('normalize with zero norm', () => {
+    const normalized = new Float64Quaternion(0, 0, 0, 0).normalize();
+    expect(normalized.values).arrayToBeCloseTo([0, 0, 0, 0], delta);
+  });
+
+  test('slerp', () => {
+    const q1 = new Float64Quaternion(1, 2, 3, 4).normalize();
+    const q2 = new Float64Quaternion(5, 6, 7, 8).normalize();
+    const s = q1.slerp(q2, 0.123);
+    const expected = [0.20761071976221868, 0.37753696937382647, 0.5474632189854343, 0.717389468597042];
+
+    expect(s.values).arrayToBeCloseTo(expected, delta);
+  });
+
+  test('slerp chooses shorter angle', () => {
+    const q1 = new Float64Quaternion(0, 0, 0, 1);
+    const q2 = Float64Quaternion.rotationAround(new Float64Vector3(0, 0, 1), Math.PI / 2).mulByScalar(-1);
+    const s = q1.slerp(q2, 0.5);
+
+    expect(s.toRotationMatrix4().values).arrayToBeCloseTo(Float64Matrix4x4.rotationZ(Math.PI / 4).values, delta);
+  });
+
+  test('slerp chooses longer angle', () => {
+    const q1 = new Float64Quaternion(0, 0, 0, 1);
+    const q2 = Float64Quaternion.rotationAround(new Float64Vector3(0, 0, 1), Math.PI / 2);
+    const s = q1.slerp(q2, 0.5, { chooseShorterAngle: false });
+
+    expect(s.toRotationMatrix4().values).arrayToBeCloseTo(Float64Matrix4x4.rotationZ(-Math.PI * 3 / 4).values, delta);
+  });
+
+  test('slerp between almost identical quaternions', () => {
+    const q1 = Float64Quaternion.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 1.0);
+    const q2 = Float64Quaternion.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 1.0001);
+
+    for (const t of [0, 0.3, 1]) {
+      const s = q1.slerp(q1, t);
+      expect(s.values).arrayToBeCloseTo(q1.values, delta);
+    }
+    expect(q1.slerp(q2, 0.5).values).arrayToBeCloseTo(q1.values, delta);
+    expect(q1.slerp(q2, 0.5).magnitude).toBeCloseTo(1);
+  });
+
+  test('slerp through longer angle between identical quaternions', () => {
+    const q = Float64Quaternion.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 1.0);
+
+    const half = q.slerp(q, 0.5, { chooseShorterAngle: false });
+    const end = q.slerp(q, 1, { chooseShorterAngle: false });
+
+    expect(half.magnitude).toBeCloseTo(1);
+    expect(end.toRotationMatrix4().values).arrayToBeCloseTo(q.toRotationMatrix4().values, delta);
+  });
+
+  test('slerp through longer angle between close quaternions', () => {
+    const q1 = Float64Quaternion.rotationAround(new Float64Vector3(0, 0, 1), 1.0);
+    const q2 = Float64Quaternion.rotationAround(new Float64Vector3(0, 0, 1), 1.06);
+    expect(q1.dot(q2)).toBeGreaterThan(0.9995);
+
+    const options = { chooseShorterAngle: false };
+    expect(q1.slerp(q2, 0, options).values).arrayToBeCloseTo(q1.values, delta);
+    expect(q1.slerp(q2, 1, options).values).arrayToBeCloseTo(q2.mulByScalar(-1).values, delta);
+    expect(q1.slerp(q2, 1, options).toRotationMatrix4().values).arrayToBeCloseTo(q2.toRotationMatrix4().values, delta);
+
+    // The path is continuous, of unit length, and goes the long way around.
+    expect(q1.slerp(q2, 0.499, options).values).arrayToBeCloseTo(q1.slerp(q2, 0.501, options).values, 0.01);
+    for (const t of [0.25, 0.5, 0.75]) {
+      expect(q1.slerp(q2, t, options).magnitude).toBeCloseTo(1);
+    }
+    expect(q1.slerp(q2, 0.5, options).dot(q1)).toBeCloseTo(0);
+  });
+
+  test('fromRotationMatrix4 round-trips with toRotationMatrix4', () => {
+    const axes = [
+      new Float64Vector3(1, 0, 0),
+      new Float64Vector3(0, 1, 0),
+      new Float64Vector3(0, 0, 1),
+      new Float64Vector3(-1, 2, 3).normalize(),
+      new Float64Vector3(3, -1, -2).normalize(),
+    ];
+    const angles = [0, 0.5, Math.PI / 2, 2.5, Math.PI, 4.0, -Math.PI / 3];
+
+    for (const axis of axes) {
+      for (const angle of angles) {
+        const m = Float64Quaternion.rotationAround(axis, angle).toRotationMatrix4();
+        const q = Float64Quaternion.fromRotationMatrix4(m);
+
+        expect(q.magnitude).toBeCloseTo(1);
+        expect(q.toRotationMatrix4().values).arrayToBeCloseTo(m.values, delta);
+      }
+    }
+  });
+
+  test('fromRotationMatrix4 with rotationX/Y/Z and lookAt', () => {
+    const matrices = [
+      Float64Matrix4x4.rotationX(0.8),
+      Float64Matrix4x4.rotationY(-2.9),
+      Float64Matrix4x4.rotationZ(Math.PI),
+      Float64Matrix4x4.lookAt(new Float64Vector3(0, 0, 0), new Float64Vector3(-1, -2, -3), new Float64Vector3(0, 1, 0)),
+    ];
+
+    for (const m of matrices) {
+      const q = Float64Quaternion.fromRotationMatrix4(m);
+      expect(q.toRotationMatrix4().values).arrayToBeCloseTo(m.values, delta);
+    }
+  });
+
+  test('fromRotationMatrix4 ignores translation', () => {
+    const view = Float64Matrix4x4.lookAt(new Float64Vector3(0, 60, 90), new Float64Vector3(0, 0, 0), new Float64Vector3(0, 1, 0));
+    const q = Float64Quaternion.fromRotationMatrix4(view);
+
+    expect(q.toRotationMatrix4().upperLeft3x3().values).arrayToBeCloseTo(view.upperLeft3x3().values, delta);
+  });
+
+  test('fromRotationMatrix3', () => {
+    const q = Float64Quaternion.fromRotationMatrix3(Float64Matrix4x4.rotationX(Math.PI / 2).upperLeft3x3());
+    expect(q.values).arrayToBeCloseTo([Math.SQRT1_2, 0, 0, Math.SQRT1_2], delta);
+  });
+
+  test('mul', () => {
+    const q1 = new Float64Quaternion(1, 2, 3, 4);
+    const q2 = new Float64Quaternion(5, 6, 7, 8);
+
+    expect(q1.mul(q2).values).arrayToBeCloseTo([24, 48, 48, -6], delta);
+  });
+
+  test('mul has the same order as Float64Matrix4x4.mulByMatrix4x4', () => {
+    const q1 = Float64Quaternion.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 0.8);
+    const q2 = Float64Quaternion.rotationAround(new Float64Vector3(0, 1, 0), -1.9);
+    const expected = q1.toRotationMatrix4().mulByMatrix4x4(q2.toRotationMatrix4());
+
+    expect(q1.mul(q2).toRotationMatrix4().values).arrayToBeCloseTo(expected.values, delta);
+  });
+
+  test('conjugate', () => {
+    expect(new Float64Quaternion(1, 2, 3, 4).conjugate().values).arrayToBeCloseTo([-1, -2, -3, 4], delta);
+  });
+
+  test('convertHandedness', () => {
+    const q = Float64Quaternion.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 0.7);
+
+    expect(q.convertHandedness().toRotationMatrix4().values)
+      .arrayToBeCloseTo(q.toRotationMatrix4().convertHandedness().values, delta);
+    expect(q.convertHandedness().convertHandedness().values).arrayToBeCloseTo(q.values, delta);
+  });
+
+  test('inverse', () => {
+    const q = new Float64Quaternion(1, 2, 3, 4);
+    const inv = q.inverse() as Float64Quaternion;
+
+    expect(q.mul(inv).values).arrayToBeCloseTo([0, 0, 0, 1], delta);
+    expect(inv.mul(q).values).arrayToBeCloseTo([0, 0, 0, 1], delta);
+  });
+
+  test('inverse with zero norm', () => {
+    expect(new Float64Quaternion(0, 0, 0, 0).inverse()).toBeNull();
+  });
+
+  test('rotateVector3', () => {
+    const q = Float64Quaternion.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 2.1);
+    const v = new Float64Vector3(4, -5, 6);
+    const expected = q.toRotationMatrix4().mulByVector4(new Float64Vector4(4, -5, 6, 0)).xyz;
+
+    expect(Float64Quaternion.rotationAround(new Float64Vector3(0, 0, 1), Math.PI / 2).rotateVector3(new Float64Vector3(1, 0, 0)).values)
+      .arrayToBeCloseTo([0, 1, 0], delta);
+    expect(q.rotateVector3(v).values).arrayToBeCloseTo(expected.values, delta);
+  });
+
+  test('fromEuler', () => {
+    const q = Float64Quaternion.fromEuler(0.3, -1.2, 2.2, 'ZXY');
+    const expected = Float64Matrix4x4.rotationZ(2.2).rotateX(0.3).rotateY(-1.2);
+
+    expect(q.toRotationMatrix4().values).arrayToBeCloseTo(expected.values, delta);
+  });
+
+  test('toEuler round-trips with fromEuler', () => {
+    const orders: EulerOrder[] = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
+
+    for (const order of orders) {
+      const angles = Float64Quaternion.fromEuler(0.3, -1.2, 0.9, order).toEuler(order);
+      expect(angles.values).arrayToBeCloseTo([0.3, -1.2, 0.9], delta);
+    }
+  });
+
+  test('nlerp', () => {
+    const q1 = new Float64Quaternion(0, 0, 0, 1);
+    const q2 = Float64Quaternion.rotationAround(new Float64Vector3(0, 0, 1), Math.PI / 2);
+    const n = q1.nlerp(q2, 0.5);
+
+    expect(n.magnitude).toBeCloseTo(1);
+    expect(n.toRotationMatrix4().values).arrayToBeCloseTo(Float64Matrix4x4.rotationZ(Math.PI / 4).values, delta);
+    expect(q1.nlerp(q2.mulByScalar(-1), 0.5).values).arrayToBeCloseTo(n.values, delta);
+  });
+
+  test('squadControlPoints', () => {
+    const axis = new Float64Vector3(1, 2, 3).normalize();
+    const keyframes = [0, 0.5, 1.0, 1.5].map(angle => Float64Quaternion.rotationAround(axis, angle));
+    const controls = Float64Quaternion.squadControlPoints(keyframes);
+
+    // Rotations with constant angular velocity need no correction.
+    expect(controls.length).toBe(4);
+    controls.forEach((c, i) => expect(c.values).arrayToBeCloseTo(keyframes[i].values, delta));
+  });
+
+  test('squad', () => {
+    const keyframes = [
+      Float64Quaternion.rotationAround(new Float64Vector3(1, 0, 0), 0.3),
+      Float64Quaternion.rotationAround(new Float64Vector3(0, 1, 0), 1.2),
+      Float64Quaternion.rotationAround(new Float64Vector3(0, 0, 1), -0.8),
+    ];
+    const [c0, c1] = Float64Quaternion.squadControlPoints(keyframes);
+
+    expect(keyframes[0].squad(keyframes[1], c0, c1, 0).values).arrayToBeCloseTo(keyframes[0].values, delta);
+    expect(keyframes[0].squad(keyframes[1], c0, c1, 1).values).arrayToBeCloseTo(keyframes[1].values, delta);
+    expect(keyframes[0].squad(keyframes[1], c0, c1, 0.4).magnitude).toBeCloseTo(1);
+  });
+
+  test('squad with constant angular velocity equals slerp', () => {
+    const axis = new Float64Vector3(1, 2, 3).normalize();
+    const keyframes = [0, 0.5, 1.0].map(angle => Float64Quaternion.rotationAround(axis, angle));
+    const [c0, c1] = Float64Quaternion.squadControlPoints(keyframes);
+
+    expect(keyframes[0].squad(keyframes[1], c0, c1, 0.3).values)
+      .arrayToBeCloseTo(keyframes[0].slerp(keyframes[1], 0.3).values, delta);
+  });
+
+  test('exp and log', () => {
+    const q = new Float64Quaternion(1, 2, 3, 4);
+
+    expect(q.log().exp().values).arrayToBeCloseTo(q.values, delta);
+    expect(new Float64Quaternion(0, 0, 0, 2).log().values).arrayToBeCloseTo([0, 0, 0, Math.log(2)], delta);
+    expect(new Float64Quaternion(0, 0, 0, 0).exp().values).arrayToBeCloseTo([0, 0, 0, 1], delta);
+  });
+
+  test('log of rotation', () => {
+    const axis = new Float64Vector3(1, 2, 3).normalize();
+    const q = Float64Quaternion.rotationAround(axis, 1.2);
+
+    expect(q.log().values).arrayToBeCloseTo([axis.x * 0.6, axis.y * 0.6, axis.z * 0.6, 0], delta);
+  });
+
+  test('pow', () => {
+    const axis = new Float64Vector3(1, 2, 3).normalize();
+    const q = Float64Quaternion.rotationAround(axis, 1.2);
+
+    expect(q.pow(0.25).values).arrayToBeCloseTo(Float64Quaternion.rotationAround(axis, 0.3).values, delta);
+    expect(q.pow(2).values).arrayToBeCloseTo(q.mul(q).values, delta);
+    expect(q.pow(0).values).arrayToBeCloseTo([0, 0, 0, 1], delta);
+  });
+
+  test('toAxisAngle', () => {
+    const axis = new Float64Vector3(1, -2, 3).normalize();
+    const result = Float64Quaternion.rotationAround(axis, 2.2).toAxisAngle();
+
+    expect(result.axis.values).arrayToBeCloseTo(axis.values, delta);
+    expect(result.angle).toBeCloseTo(2.2);
+  });
+
+  test('toAxisAngle of identity', () => {
+    const result = new Float64Quaternion(0, 0, 0, 1).toAxisAngle();
+
+    expect(result.axis.values).arrayToBeCloseTo([1, 0, 0], delta);
+    expect(result.angle).toBe(0);
+  });
+
+  test('fromUnitVectors', () => {
+    const from = new Float64Vector3(1, 2, 3).normalize();
+    const to = new Float64Vector3(-3, 0, 1).normalize();
+    const q = Float64Quaternion.fromUnitVectors(from, to);
+
+    expect(q.magnitude).toBeCloseTo(1);
+    expect(q.rotateVector3(from).values).arrayToBeCloseTo(to.values, delta);
+    expect(Float64Quaternion.fromUnitVectors(from, from).values).arrayToBeCloseTo([0, 0, 0, 1], delta);
+  });
+
+  test('fromUnitVectors with opposite vectors', () => {
+    const vectors = [
+      new Float64Vector3(1, 0, 0),
+      new Float64Vector3(0, 1, 0),
+      new Float64Vector3(0, 0, 1),
+      new Float64Vector3(1, 2, 3).normalize(),
+    ];
+
+    for (const v of vectors) {
+      const opposite = v.mulByScalar(-1);
+      const q = Float64Quaternion.fromUnitVectors(v, opposite);
+
+      expect(q.magnitude).toBeCloseTo(1);
+      expect(q.rotateVector3(v).values).arrayToBeCloseTo(opposite.values, delta);
+    }
+  });
+
+  test('lookRotation', () => {
+    const forward = new Float64Vector3(1, -2, -3).normalize();
+    const up = new Float64Vector3(0, 1, 0);
+    const q = Float64Quaternion.lookRotation(forward, up);
+    const view = Float64Matrix4x4.lookAt(new Float64Vector3(0, 0, 0), forward, up);
+
+    expect(q.rotateVector3(new Float64Vector3(0, 0, -1)).values).arrayToBeCloseTo(forward.values, delta);
+    expect(q.rotateVector3(new Float64Vector3(0, 1, 0)).dot(up)).toBeGreaterThan(0);
+    expect(q.conjugate().toRotationMatrix4().values).arrayToBeCloseTo(view.values, delta);
+  });
+
+  test('lookRotation with up parallel to forward', () => {
+    const q = Float64Quaternion.lookRotation(new Float64Vector3(0, 2, 0), new Float64Vector3(0, 1, 0));
+
+    expect(q.magnitude).toBeCloseTo(1);
+    expect(q.rotateVector3(new Float64Vector3(0, 0, -1)).values).arrayToBeCloseTo([0, 1, 0], delta);
+  });
+
+  test('set, copyFrom and setIdentity', () => {
+    const q = new Float64Quaternion(1, 2, 3, 4);
+
+    expect(q.set(5, 6, 7, 8)).toBe(q);
+    expect(q.values).arrayToBeCloseTo([5, 6, 7, 8], delta);
+    expect(q.copyFrom(new Float64Quaternion(1, 0, 0, 0))).toBe(q);
+    expect(q.values).arrayToBeCloseTo([1, 0, 0, 0], delta);
+    expect(q.setIdentity()).toBe(q);
+    expect(q.values).arrayToBeCloseTo([0, 0, 0, 1], delta);
+  });
+
+  test('Write results into out', () => {
+    const q1 = Float64Quaternion.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 0.7);
+    const q2 = Float64Quaternion.rotationAround(new Float64Vector3(-3, 1, 2).normalize(), 1.1);
+    const out = new Float64Quaternion(0, 0, 0, 1);
+
+    expect(q1.slerp(q2, 0.3, { chooseShorterAngle: true }, out)).toBe(out);
+    expect(out.values).arrayToBeCloseTo(q1.slerp(q2, 0.3).values, delta);
+
+    const matrixOut = Float64Matrix4x4.identity();
+    expect(q1.toRotationMatrix4(matrixOut)).toBe(matrixOut);
+    expect(matrixOut.values).arrayToBeCloseTo(q1.toRotationMatrix4().values, delta);
+
+    const vecOut = new Float64Vector3(0, 0, 0);
+    expect(q1.rotateVector3(new Float64Vector3(4, -5, 6), vecOut)).toBe(vecOut);
+    expect(vecOut.values).arrayToBeCloseTo(q1.rotateVector3(new Float64Vector3(4, -5, 6)).values, delta);
+    expect(q1.toEuler('YXZ', vecOut)).toBe(vecOut);
+    expect(vecOut.values).arrayToBeCloseTo(q1.toEuler('YXZ').values, delta);
+
+    expect(q1.exp(out)).toBe(out);
+    expect(out.values).arrayToBeCloseTo(q1.exp().values, delta);
+    expect(q1.log(out)).toBe(out);
+    expect(out.values).arrayToBeCloseTo(q1.log().values, delta);
+    expect(q1.pow(0.3, out)).toBe(out);
+    expect(out.values).arrayToBeCloseTo(q1.pow(0.3).values, delta);
+
+    const [a, b] = Float64Quaternion.squadControlPoints([q2, q1, q2, q1]).slice(1, 3);
+    expect(q1.squad(q2, a, b, 0.4, out)).toBe(out);
+    expect(out.values).arrayToBeCloseTo(q1.squad(q2, a, b, 0.4).values, delta);
+  });
+
+  test('Use the quaternion itself as out', () => {
+    const q1 = Float64Quaternion.rotationAround(new Float64Vector3(1, 2, 3).normalize(), 0.7);
+    const q2 = Float64Quaternion.rotationAround(new Float64Vector3(-3, 1, 2).normalize(), 1.1);
+    const expected = q1.mul(q2).nlerp(q2, 0.4).conjugate();
+
+    q1.mul(q2, q1).nlerp(q2, 0.4, q1).conjugate(q1);
+    expect(q1.values).arrayToBeCloseTo(expected.values, delta);
+
+    const powered = q2.log().mulByScalar(0.5).exp().pow(3);
+    q2.log(q2).mulByScalar(0.5, q2).exp(q2).pow(3, q2);
+    expect(q2.values).arrayToBeCloseTo(powered.values, delta);
+
+    const [a, b] = Float64Quaternion.squadControlPoints([q2, q1, q2, q1]).slice(1, 3);
+    const squad = q1.squad(q2, a, b, 0.4);
+    q1.squad(q2, a, b, 0.4, q2);
+    expect(q2.values).arrayToBeCloseTo(squad.values, delta);
+  });
+
+  test('View over a shared buffer', () => {
+    const bytes = Float64Array.BYTES_PER_ELEMENT;
+    const buffer = new ArrayBuffer(8 * bytes);
+    const q = Float64Quaternion.view(buffer, 4 * bytes);
+
+    q.setIdentity();
+    expect(new Float64Array(buffer)).arrayToBeCloseTo([0, 0, 0, 0, 0, 0, 0, 1], delta);
+    expect(q.toRotationMatrix4().values).arrayToBeCloseTo(Float64Matrix4x4.identity().values, delta);
+  });
+});
@@ -0,0 +1,103 @@
+import { Float32Vector2, Float32Vector3, Float32Vector4, Float64Vector2, Float64Vector3, Float64Vector4 } from '../src/index';
+import './lib/array_close_to';
+
+const delta = 0.001;
+
+//
+// Float64Vector2
+//
+describe('Float64Vector2', () => {
+  test('Add and Sub Float64Vector2', () => {
+    const vec1 = new Float64Vector2(1, 2);
+    const vec2 = new Float64Vector2(3, 4);
+
+    expect(vec1.add(vec2).values).arrayToBeCloseTo([4, 6], delta);
+    expect(vec1.sub(vec2).values).arrayToBeCloseTo([-2, -2], delta);
+  });
+
+  test('Cross and Angle Float64Vector2', () => {
+    expect(new Float64Vector2(1, 2).cross(new Float64Vector2(3, 4))).toBeCloseTo(-2);
+    expect(new Float64Vector2(1, 0).angle(new Float64Vector2(0, 2))).toBeCloseTo(Math.PI / 2);
+  });
+
+  test('toFloat32', () => {
+    const vec = new Float64Vector2(1.5, -2.5).toFloat32();
+
+    expect(vec).toBeInstanceOf(Float32Vector2);
+    expect(vec.values).arrayToBeCloseTo([1.5, -2.5], delta);
+  });
+});
+
+//
+// Float64Vector3
+//
+describe('Float64Vector3', () => {
+  test('Keeps precision at large coordinates', () => {
+    const vec1 = new Float64Vector3(100000000.25, 0, 0);
+    const vec2 = new Float64Vector3(100000000, 0, 0);
+
+    expect(vec1.sub(vec2).x).toBe(0.25);
+    expect(vec1.values).toBeInstanceOf(Float64Array);
+  });
+
+  test('Dot and Cross Float64Vector3', () => {
+    const vec1 = new Float64Vector3(1, 2, 3);
+    const vec2 = new Float64Vector3(4, 5, 6);
+
+    expect(vec1.dot(vec2)).toBeCloseTo(32);
+    expect(vec1.cross(vec2).values).arrayToBeCloseTo([-3, 6, -3], delta);
+  });
+
+  test('Normal Float64Vector3', () => {
+    expect(new Float64Vector3(1.05, 3.47, 7.43).normalize().values).arrayToBeCloseTo([0.127006, 0.419726, 0.898721], delta);
+  });
+
+  test('Get xy and hom2cart', () => {
+    const vec = new Float64Vector3(2, 4, 2);
+
+    expect(vec.xy).toBeInstanceOf(Float64Vector2);
+    expect(vec.hom2cart.values).arrayToBeCloseTo([1, 2], delta);
+  });
+
+  test('toFloat32', () => {
+    const vec = new Float64Vector3(1, 2, 3).toFloat32();
+
+    expect(vec).toBeInstanceOf(Float32Vector3);
+    expect(vec.values).arrayToBeCloseTo([1, 2, 3], delta);
+  });
+
+  test('View over a shared buffer', () => {
+    const buffer = new ArrayBuffer(32);
+    const vec = Float64Vector3.view(buffer, 8);
+    vec.set(0.1, 0.2, 0.3);
+
+    expect(new Float64Array(buffer)).toEqual(new Float64Array([0, 0.1, 0.2, 0.3]));
+  });
+});
+
+//
+// Float64Vector4
+//
+describe('Float64Vector4', () => {
+  test('Mul and Lerp Float64Vector4', () => {
+    const vec1 = new Float64Vector4(1, 2, 3, 4);
+    const vec2 = new Float64Vector4(3, 6, -1, 0);
+
+    expect(vec1.mulByScalar(5).values).arrayToBeCloseTo([5, 10, 15, 20], delta);
+    expect(vec1.lerp(vec2, 0.25).values).arrayToBeCloseTo([1.5, 3, 2, 3], delta);
+  });
+
+  test('Get xyz and hom2cart', () => {
+    const vec = new Float64Vector4(2, 4, 6, 2);
+
+    expect(vec.xyz).toBeInstanceOf(Float64Vector3);
+    expect(vec.hom2cart.values).arrayToBeCloseTo([1, 2, 3], delta);
+  });
+
+  test('toFloat32', () => {
+    const vec = new Float64Vector4(1, 2, 3, 4).toFloat32();
+
+    expect(vec).toBeInstanceOf(Float32Vector4);
+    expect(vec.values).arrayToBeCloseTo([1, 2, 3, 4], delta);
+  });
+});
@@ -0,0 +1,318 @@
+// This file is generated by scripts/generate_float64.js from __tests__/float32vector.test.ts. Do not edit it by hand.
+
+import { Float64Vector2, Float64Vector3, Float64Vector4 } from '../src/index';
+import './lib/array_close_to';
+
+const delta = 0.001;
+
+//
+// Float64Vector2
+//
+describe('Float64Vector2', () => {
+  test('Add Float64Vector2', () => {
+    const vec1 = new Float64Vector2(1, 2);
+    const vec2 = new Float64Vector2(3, 4);
+
+    expect(vec1.add(vec2).values).arrayToBeCloseTo([4, 6], delta);
+  });
+
+  test('Sub Float64Vector2', () => {
+    const vec1 = new Float64Vector2(1, 2);
+    const vec2 = new Float64Vector2(3, 4);
+
+    expect(vec1.sub(vec2).values).arrayToBeCloseTo([-2, -2], delta);
+  });
+
+  test('Mul Float64Vector2', () => {
+    const vec1 = new Float64Vector2(1, 2);
+
+    expect(vec1.mulByScalar(5).values).arrayToBeCloseTo([5, 10], delta);
+  });
+
+  test('Dot Float64Vector2', () => {
+    expect(new Float64Vector2(1, 2).dot(new Float64Vector2(3, 4))).toBeCloseTo(11);
+  });
+
+  test('Cross Float64Vector2', () => {
+    expect(new Float64Vector2(1, 0).cross(new Float64Vector2(0, 1))).toBeCloseTo(1);
+    expect(new Float64Vector2(1, 2).cross(new Float64Vector2(3, 4))).toBeCloseTo(-2);
+  });
+
+  test('Angle Float64Vector2', () => {
+    expect(new Float64Vector2(1, 0).angle(new Float64Vector2(0, 2))).toBeCloseTo(Math.PI / 2);
+    expect(new Float64Vector2(1, 1).angle(new Float64Vector2(1, 0))).toBeCloseTo(-Math.PI / 4);
+    expect(new Float64Vector2(1, 0).angle(new Float64Vector2(-1, 0))).toBeCloseTo(Math.PI);
+  });
+
+  test('Normal Float64Vector2', () => {
+    expect(new Float64Vector2(3, 4).normalize().values).arrayToBeCloseTo([0.6, 0.8], delta);
+    const zero2 = new Float64Vector2(0, 0);
+    expect(zero2.normalize().values).arrayToBeCloseTo([0, 0], delta);
+    expect(zero2.normalize()).not.toBe(zero2);
+  });
+
+  test('Negate Float64Vector2', () => {
+    expect(new Float64Vector2(1, -2).negate().values).arrayToBeCloseTo([-1, 2], delta);
+  });
+
+  test('Component-wise Mul and Div Float64Vector2', () => {
+    const vec1 = new Float64Vector2(1, 2);
+    const vec2 = new Float64Vector2(4, 8);
+
+    expect(vec1.mul(vec2).values).arrayToBeCloseTo([4, 16], delta);
+    expect(vec1.div(vec2).values).arrayToBeCloseTo([0.25, 0.25], delta);
+  });
+
+  test('Distance Float64Vector2', () => {
+    expect(new Float64Vector2(1, 2).distance(new Float64Vector2(4, 6))).toBeCloseTo(5);
+  });
+
+  test('Lerp Float64Vector2', () => {
+    expect(new Float64Vector2(1, 2).lerp(new Float64Vector2(3, 6), 0.25).values).arrayToBeCloseTo([1.5, 3], delta);
+  });
+
+  test('Min, Max and Clamp Float64Vector2', () => {
+    const vec1 = new Float64Vector2(1, 5);
+    const vec2 = new Float64Vector2(3, 4);
+
+    expect(vec1.min(vec2).values).arrayToBeCloseTo([1, 4], delta);
+    expect(vec1.max(vec2).values).arrayToBeCloseTo([3, 5], delta);
+    expect(new Float64Vector2(-1, 9).clamp(new Float64Vector2(0, 0), new Float64Vector2(5, 5)).values).arrayToBeCloseTo([0, 5], delta);
+  });
+
+  test('Equals Float64Vector2', () => {
+    expect(new Float64Vector2(1, 2).equals(new Float64Vector2(1, 2))).toBe(true);
+    expect(new Float64Vector2(1, 2).equals(new Float64Vector2(1, 2.1))).toBe(false);
+    expect(new Float64Vector2(1, 2).equals(new Float64Vector2(1, 2.1), 0.2)).toBe(true);
+  });
+});
+
+//
+// Float64Vector3
+//
+describe('Float64Vector3', () => {
+  test('Add Float64Vector3', () => {
+    const vec1 = new Float64Vector3(1, 2, 3);
+    const vec2 = new Float64Vector3(4, 5, 6);
+
+    expect(vec1.add(vec2).values).arrayToBeCloseTo([5, 7, 9], delta);
+  });
+
+  test('Sub Float64Vector3', () => {
+    const vec1 = new Float64Vector3(1, 2, 3);
+    const vec2 = new Float64Vector3(4, 5, 6);
+
+    expect(vec1.sub(vec2).values).arrayToBeCloseTo([-3, -3, -3], delta);
+  });
+
+  test('Mul Float64Vector3', () => {
+    const vec1 = new Float64Vector3(1, 2, 3);
+
+    expect(vec1.mulByScalar(5).values).arrayToBeCloseTo([5, 10, 15], delta);
+  });
+
+  test('Dot Float64Vector3', () => {
+    const vec1 = new Float64Vector3(1, 2, 3);
+    const vec2 = new Float64Vector3(4, 5, 6);
+
+    expect(vec1.dot(vec2)).toBeCloseTo(32);
+  });
+
+  test('Cross Float64Vector3', () => {
+    const vec1 = new Float64Vector3(1, 2, 3);
+    const vec2 = new Float64Vector3(4, 5, 6);
+
+    expect(vec1.cross(vec2).values).arrayToBeCloseTo([-3, 6, -3], delta);
+  });
+
+  test('Magnitude of Float64Vector3', () => {
+    const vec = new Float64Vector3(1.23 , 4.56, 7.89);
+
+    expect(vec.magnitude).toBeCloseTo(9.19558);
+  });
+
+  test('Normal Float64Vector3', () => {
+    const vec = new Float64Vector3(1.05, 3.47, 7.43);
+    expect(vec.normalize().values).arrayToBeCloseTo([0.127006, 0.419726, 0.898721], delta);
+  });
+
+  test('Normal Zero Float64Vector3', () => {
+    const vec = new Float64Vector3(0.0, 0.0, 0.0);
+    expect(vec.normalize().values).arrayToBeCloseTo([0.0, 0.0, 0.0], delta);
+  });
+
+  test('Get xy', () => {
+    const vec = new Float64Vector3(1, 2, 3);
+    expect(vec.xy.values).arrayToBeCloseTo([1, 2], delta);
+  });
+
+  test('Negate Float64Vector3', () => {
+    expect(new Float64Vector3(1, -2, 3).negate().values).arrayToBeCloseTo([-1, 2, -3], delta);
+  });
+
+  test('Component-wise Mul and Div Float64Vector3', () => {
+    const vec1 = new Float64Vector3(1, 2, 3);
+    const vec2 = new Float64Vector3(4, 8, 12);
+
+    expect(vec1.mul(vec2).values).arrayToBeCloseTo([4, 16, 36], delta);
+    expect(vec1.div(vec2).values).arrayToBeCloseTo([0.25, 0.25, 0.25], delta);
+  });
+
+  test('Distance Float64Vector3', () => {
+    expect(new Float64Vector3(1, 2, 3).distance(new Float64Vector3(3, 5, 9))).toBeCloseTo(7);
+  });
+
+  test('Lerp Float64Vector3', () => {
+    expect(new Float64Vector3(1, 2, 3).lerp(new Float64Vector3(3, 6, -1), 0.25).values).arrayToBeCloseTo([1.5, 3, 2], delta);
+  });
+
+  test('Min, Max and Clamp Float64Vector3', () => {
+    const vec1 = new Float64Vector3(1, 5, 3);
+    const vec2 = new Float64Vector3(3, 4, 3);
+
+    expect(vec1.min(vec2).values).arrayToBeCloseTo([1, 4, 3], delta);
+    expect(vec1.max(vec2).values).arrayToBeCloseTo([3, 5, 3], delta);
+    expect(new Float64Vector3(-1, 9, 2).clamp(new Float64Vector3(0, 0, 0), new Float64Vector3(5, 5, 5)).values).arrayToBeCloseTo([0, 5, 2], delta);
+  });
+
+  test('Equals Float64Vector3', () => {
+    expect(new Float64Vector3(1, 2, 3).equals(new Float64Vector3(1, 2, 3))).toBe(true);
+    expect(new Float64Vector3(1, 2, 3).equals(new Float64Vector3(1, 2, 3.1))).toBe(false);
+    expect(new Float64Vector3(1, 2, 3).equals(new Float64Vector3(1, 2, 3.1), 0.2)).toBe(true);
+  });
+
+  test('set and copyFrom', () => {
+    const vec = new Float64Vector3(1, 2, 3);
+
+    expect(vec.set(4, 5, 6)).toBe(vec);
+    expect(vec.values).arrayToBeCloseTo([4, 5, 6], delta);
+    expect(vec.copyFrom(new Float64Vector3(7, 8, 9))).toBe(vec);
+    expect(vec.values).arrayToBeCloseTo([7, 8, 9], delta);
+  });
+
+  test('Write results into out', () => {
+    const vec1 = new Float64Vector3(1, 2, 3);
+    const vec2 = new Float64Vector3(4, 5, 6);
+    const out = new Float64Vector3(0, 0, 0);
+
+    expect(vec1.add(vec2, out)).toBe(out);
+    expect(out.values).arrayToBeCloseTo([5, 7, 9], delta);
+    expect(vec1.cross(vec2, out)).toBe(out);
+    expect(out.values).arrayToBeCloseTo([-3, 6, -3], delta);
+    expect(vec1.values).arrayToBeCloseTo([1, 2, 3], delta);
+  });
+
+  test('Use the vector itself as out', () => {
+    const vec = new Float64Vector3(1, 2, 3);
+
+    vec.cross(new Float64Vector3(4, 5, 6), vec);
+    expect(vec.values).arrayToBeCloseTo([-3, 6, -3], delta);
+    vec.clamp(new Float64Vector3(-1, -1, -1), new Float64Vector3(1, 1, 1), vec);
+    expect(vec.values).arrayToBeCloseTo([-1, 1, -1], delta);
+    vec.normalize(vec);
+    expect(vec.magnitude).toBeCloseTo(1);
+  });
+
+  test('clamp into min or max', () => {
+    const vec = new Float64Vector3(-5, 0.5, 5);
+    const min = new Float64Vector3(-1, -1, -1);
+    const max = new Float64Vector3(1, 1, 1);
+
+    vec.clamp(min, max, max);
+    expect(max.values).arrayToBeCloseTo([-1, 0.5, 1], delta);
+
+    max.set(1, 1, 1);
+    vec.clamp(min, max, min);
+    expect(min.values).arrayToBeCloseTo([-1, 0.5, 1], delta);
+  });
+
+  test('View over a shared buffer', () => {
+    const bytes = Float64Array.BYTES_PER_ELEMENT;
+    const buffer = new ArrayBuffer(6 * bytes);
+    const position = Float64Vector3.view(buffer);
+    const normal = Float64Vector3.view(buffer, 3 * bytes);
+
+    position.set(1, 2, 3);
+    normal.z = 1;
+    expect(new Float64Array(buffer)).arrayToBeCloseTo([1, 2, 3, 0, 0, 1], delta);
+    expect(position).toBeInstanceOf(Float64Vector3);
+    expect(position.add(normal).values).arrayToBeCloseTo([1, 2, 4], delta);
+  });
+});
+
+//
+// Float64Vector4
+//
+describe('Float64Vector4', () => {
+  test('Add Float64Vector4', () => {
+    const vec1 = new Float64Vector4(1, 2, 3, 4);
+    const vec2 = new Float64Vector4(5, 6, 7, 8);
+
+    expect(vec1.add(vec2).values).arrayToBeCloseTo([6, 8, 10, 12], delta);
+  });
+
+  test('Sub Float64Vector4', () => {
+    const vec1 = new Float64Vector4(1, 2, 3, 4);
+    const vec2 = new Float64Vector4(5, 6, 7, 8);
+
+    expect(vec1.sub(vec2).values).arrayToBeCloseTo([-4, -4, -4, -4], delta);
+  });
+
+  test('Mul Float64Vector4', () => {
+    const vec1 = new Float64Vector4(1, 2, 3, 4);
+
+    expect(vec1.mulByScalar(5).values).arrayToBeCloseTo([5, 10, 15, 20], delta);
+  });
+
+  test('Get xyz', () => {
+    const vec = new Float64Vector4(1, 2, 3, 4);
+    expect(vec.xyz.values).arrayToBeCloseTo([1, 2, 3], delta);
+  });
+
+  test('Dot Float64Vector4', () => {
+    expect(new Float64Vector4(1, 2, 3, 4).dot(new Float64Vector4(5, 6, 7, 8))).toBeCloseTo(70);
+  });
+
+  test('Normal Float64Vector4', () => {
+    expect(new Float64Vector4(1, 1, 1, 1).normalize().values).arrayToBeCloseTo([0.5, 0.5, 0.5, 0.5], delta);
+    const zero4 = new Float64Vector4(0, 0, 0, 0);
+    expect(zero4.normalize().values).arrayToBeCloseTo([0, 0, 0, 0], delta);
+    expect(zero4.normalize()).not.toBe(zero4);
+  });
+
+  test('Negate Float64Vector4', () => {
+    expect(new Float64Vector4(1, -2, 3, -4).negate().values).arrayToBeCloseTo([-1, 2, -3, 4], delta);
+  });
+
+  test('Component-wise Mul and Div Float64Vector4', () => {
+    const vec1 = new Float64Vector4(1, 2, 3, 4);
+    const vec2 = new Float64Vector4(4, 8, 12, 16);
+
+    expect(vec1.mul(vec2).values).arrayToBeCloseTo([4, 16, 36, 64], delta);
+    expect(vec1.div(vec2).values).arrayToBeCloseTo([0.25, 0.25, 0.25, 0.25], delta);
+  });
+
+  test('Distance Float64Vector4', () => {
+    expect(new Float64Vector4(1, 2, 3, 4).distance(new Float64Vector4(2, 3, 4, 5))).toBeCloseTo(2);
+  });
+
+  test('Lerp Float64Vector4', () => {
+    expect(new Float64Vector4(1, 2, 3, 4).lerp(new Float64Vector4(3, 6, -1, 0), 0.25).values).arrayToBeCloseTo([1.5, 3, 2, 3], delta);
+  });
+
+  test('Min, Max and Clamp Float64Vector4', () => {
+    const vec1 = new Float64Vector4(1, 5, 3, -2);
+    const vec2 = new Float64Vector4(3, 4, 3, -1);
+
+    expect(vec1.min(vec2).values).arrayToBeCloseTo([1, 4, 3, -2], delta);
+    expect(vec1.max(vec2).values).arrayToBeCloseTo([3, 5, 3, -1], delta);
+    expect(new Float64Vector4(-1, 9, 2, 5).clamp(new Float64Vector4(0, 0, 0, 0), new Float64Vector4(5, 5, 5, 1)).values)
+      .arrayToBeCloseTo([0, 5, 2, 1], delta);
+  });
+
+  test('Equals Float64Vector4', () => {
+    expect(new Float64Vector4(1, 2, 3, 4).equals(new Float64Vector4(1, 2, 3, 4))).toBe(true);
+    expect(new Float64Vector4(1, 2, 3, 4).equals(new Float64Vector4(1, 2, 3, 4.1))).toBe(false);
+    expect(new Float64Vector4(1, 2, 3, 4).equals(new Float64Vector4(1, 2, 3, 4.1), 0.2)).toBe(true);
+  });
+});
@@ -0,0 +1,74 @@
+import { AABB, Frustum, Matrix4, Sphere, Vector3 } from '../src/index';
+import './lib/array_close_to';
+
+const delta = 0.001;
+
+describe('Frustum', () => {
+  // Camera at (0, 0, 5) looking at the origin, with near = 1 and far = 11.
+  const view = Matrix4.lookAt(new Vector3(0, 0, 5), new Vector3(0, 0, 0), new Vector3(0, 1, 0));
+  const proj = Matrix4.perspective({ fovYRadian: Math.PI / 2, aspectRatio: 1, near: 1, far: 11 });
+  const frustum = Frustum.fromMatrix(proj.mulByMatrix4x4(view));
+
+  test('Planes are normalized and face inward', () => {
+    const [left, right, bottom, top, near, far] = frustum.planes;
+
+    frustum.planes.forEach(plane => expect(plane.normal.magnitude).toBeCloseTo(1));
+    expect(left.normal.values).arrayToBeCloseTo([Math.SQRT1_2, 0, -Math.SQRT1_2], delta);
+    expect(right.normal.values).arrayToBeCloseTo([-Math.SQRT1_2, 0, -Math.SQRT1_2], delta);
+    expect(bottom.normal.values).arrayToBeCloseTo([0, Math.SQRT1_2, -Math.SQRT1_2], delta);
+    expect(top.normal.values).arrayToBeCloseTo([0, -Math.SQRT1_2, -Math.SQRT1_2], delta);
+    expect(near.normal.values).arrayToBeCloseTo([0, 0, -1], delta);
+    expect(near.distanceToPoint(new Vector3(0, 0, 4))).toBeCloseTo(0);
+    expect(far.normal.values).arrayToBeCloseTo([0, 0, 1], delta);
+    expect(far.distanceToPoint(new Vector3(0, 0, -6))).toBeCloseTo(0);
+  });
+
+  test('containsPoint', () => {
+    expect(frustum.containsPoint(new Vector3(0, 0, 0))).toBe(true);
+    expect(frustum.containsPoint(new Vector3(4.9, 0, -0.1))).toBe(true);
+    expect(frustum.containsPoint(new Vector3(5.1, 0, 0))).toBe(false);
+    expect(frustum.containsPoint(new Vector3(0, 0, 4.5))).toBe(false);
+    expect(frustum.containsPoint(new Vector3(0, 0, -6.5))).toBe(false);
+  });
+
+  test('intersectsSphere', () => {
+    expect(frustum.intersectsSphere(new Sphere(new Vector3(0, 0, 0), 1))).toBe(true);
+    expect(frustum.intersectsSphere(new Sphere(new Vector3(0, 0, 6), 2.5))).toBe(true);
+    expect(frustum.intersectsSphere(new Sphere(new Vector3(0, 0, 6), 1.5))).toBe(false);
+    expect(frustum.intersectsSphere(new Sphere(new Vector3(0, 8, 0), 1))).toBe(false);
+  });
+
+  test('intersectsAABB', () => {
+    expect(frustum.intersectsAABB(new AABB(new Vector3(-1, -1, -1), new Vector3(1, 1, 1)))).toBe(true);
+    expect(frustum.intersectsAABB(new AABB(new Vector3(-20, -20, -1), new Vector3(20, 20, 1)))).toBe(true);
+    expect(frustum.intersectsAABB(new AABB(new Vector3(7, -1, -1), new Vector3(9, 1, 1)))).toBe(false);
+    expect(frustum.intersectsAABB(new AABB(new Vector3(-1, -1, -20), new Vector3(1, 1, -12)))).toBe(false);
+  });
+
+  test('Orthographic projection', () => {
+    const ortho = Frustum.fromMatrix(Matrix4.orthographic({ top: 1, bottom: -1, left: -2, right: 2, near: 0.5, far: 10 }));
+
+    expect(ortho.containsPoint(new Vector3(1.9, -0.9, -9.9))).toBe(true);
+    expect(ortho.containsPoint(new Vector3(2.1, 0, -5))).toBe(false);
+    expect(ortho.containsPoint(new Vector3(0, 0, -0.4))).toBe(false);
+  });
+
+  test('Depth options', () => {
+    const options = { depthRange: 'zeroToOne' as 'zeroToOne', reversedDepth: true };
+    const reversed = Matrix4.perspective({ fovYRadian: Math.PI / 2, aspectRatio: 1, near: 1, far: 11, ...options });
+    const [, , , , near, far] = Frustum.fromMatrix(reversed.mulByMatrix4x4(view), options).planes;
+
+    expect(near.normal.values).arrayToBeCloseTo([0, 0, -1], delta);
+    expect(near.distanceToPoint(new Vector3(0, 0, 4))).toBeCloseTo(0);
+    expect(far.normal.values).arrayToBeCloseTo([0, 0, 1], delta);
+    expect(far.distanceToPoint(new Vector3(0, 0, -6))).toBeCloseTo(0);
+  });
+
+  test('Infinite far plane', () => {
+    const infinite = Matrix4.perspective({ fovYRadian: Math.PI / 2, aspectRatio: 1, near: 1, far: Infinity });
+    const culling = Frustum.fromMatrix(infinite.mulByMatrix4x4(view));
+
+    expect(culling.containsPoint(new Vector3(0, 0, -1e6))).toBe(true);
+    expect(culling.containsPoint(new Vector3(0, 0, 4.5))).toBe(false);
+  });
+});
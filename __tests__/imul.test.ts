@@ -0,0 +1,15 @@
+import { imul } from '../src/imul';
+
+describe('imul', () => {
+  test('Keeps the lower 32 bits of large products', () => {
+    expect(imul(123456789, 987654321)).toBe(-67153019);
+    expect(imul(65536, 65536)).toBe(0);
+    expect(imul(46341, 46341)).toBe(-2147479015);
+  });
+
+  test('Treats operands as 32-bit integers', () => {
+    expect(imul(-1, -1)).toBe(1);
+    expect(imul(4294967295, 2)).toBe(-2);
+    expect(imul(2.9, -3.9)).toBe(-6);
+  });
+});
@@ -0,0 +1,191 @@
+import { Int32Vector2, Int32Vector3, Int32Vector4 } from '../src/index';
+
+//
+// Int32Vector2
+//
+describe('Int32Vector2', () => {
+  test('Truncates fractions', () => {
+    expect(new Int32Vector2(1.9, -1.9).values).toEqual(new Int32Array([1, -1]));
+  });
+
+  test('Add and Sub Int32Vector2', () => {
+    const vec1 = new Int32Vector2(1, 2);
+    const vec2 = new Int32Vector2(3, 5);
+
+    expect(vec1.add(vec2).values).toEqual(new Int32Array([4, 7]));
+    expect(vec1.sub(vec2).values).toEqual(new Int32Array([-2, -3]));
+  });
+
+  test('Div truncates toward zero', () => {
+    const vec1 = new Int32Vector2(7, -7);
+    const vec2 = new Int32Vector2(2, 2);
+
+    expect(vec1.div(vec2).values).toEqual(new Int32Array([3, -3]));
+    expect(vec1.div(new Int32Vector2(0, 0)).values).toEqual(new Int32Array([0, 0]));
+  });
+
+  test('Min, Max, Clamp and Equals Int32Vector2', () => {
+    const vec1 = new Int32Vector2(1, 5);
+    const vec2 = new Int32Vector2(3, 4);
+
+    expect(vec1.min(vec2).values).toEqual(new Int32Array([1, 4]));
+    expect(vec1.max(vec2).values).toEqual(new Int32Array([3, 5]));
+    expect(new Int32Vector2(-1, 9).clamp(new Int32Vector2(0, 0), new Int32Vector2(5, 5)).values).toEqual(new Int32Array([0, 5]));
+    expect(vec1.equals(new Int32Vector2(1, 5))).toBe(true);
+    expect(vec1.equals(vec2)).toBe(false);
+  });
+
+  test('Add and Sub wrap around on overflow', () => {
+    const vec = new Int32Vector2(2147483647, -2147483648);
+    const one = new Int32Vector2(1, -1);
+
+    expect(vec.add(one).values).toEqual(new Int32Array([-2147483648, 2147483647]));
+    expect(vec.sub(one).values).toEqual(new Int32Array([2147483646, -2147483647]));
+    expect(new Int32Vector2(-2147483648, 2147483647).sub(one).values).toEqual(new Int32Array([2147483647, -2147483648]));
+  });
+
+  test('Mul and MulByScalar wrap around on overflow', () => {
+    expect(new Int32Vector2(46341, -46341).mul(new Int32Vector2(46341, 46341)).values).toEqual(new Int32Array([-2147479015, 2147479015]));
+    expect(new Int32Vector2(65536, -65536).mul(new Int32Vector2(65536, 65536)).values).toEqual(new Int32Array([0, 0]));
+    expect(new Int32Vector2(1073741824, -3).mulByScalar(2).values).toEqual(new Int32Array([-2147483648, -6]));
+  });
+
+  test('MulByScalar truncates the scalar toward zero', () => {
+    const vec = new Int32Vector2(1073741824, -3);
+
+    expect(vec.mulByScalar(2.9).values).toEqual(new Int32Array([-2147483648, -6]));
+    expect(vec.mulByScalar(-2.9).values).toEqual(new Int32Array([-2147483648, 6]));
+  });
+
+  test('Div wraps around on overflow', () => {
+    expect(new Int32Vector2(-2147483648, 5).div(new Int32Vector2(-1, -1)).values).toEqual(new Int32Array([-2147483648, -5]));
+  });
+
+  test('Negate wraps around on overflow', () => {
+    expect(new Int32Vector2(-2147483648, 5).negate().values).toEqual(new Int32Array([-2147483648, -5]));
+  });
+
+  test('View over a shared buffer', () => {
+    const buffer = new ArrayBuffer(16);
+    const vec = Int32Vector2.view(buffer, 4);
+    vec.values.set([5, 6]);
+
+    expect(new Int32Array(buffer)).toEqual(new Int32Array([0, 5, 6, 0]));
+    expect(() => Int32Vector2.view(buffer, 6)).toThrow(RangeError);
+  });
+});
+
+//
+// Int32Vector3
+//
+describe('Int32Vector3', () => {
+  test('Add wraps around on overflow', () => {
+    const vec = new Int32Vector3(2147483647, -2147483648, 0);
+    const one = new Int32Vector3(1, -1, 1);
+
+    expect(vec.add(one).values).toEqual(new Int32Array([-2147483648, 2147483647, 1]));
+  });
+
+  test('Mul wraps around on overflow', () => {
+    const vec = new Int32Vector3(123456789, 65536, -3);
+
+    // 123456789 * 987654321 exceeds 2^53, so the plain `*` operator would lose the lower bits.
+    expect(vec.mul(new Int32Vector3(987654321, 65536, 4)).values).toEqual(new Int32Array([-67153019, 0, -12]));
+    expect(vec.mulByScalar(2).values).toEqual(new Int32Array([246913578, 131072, -6]));
+  });
+
+  test('Negate Int32Vector3', () => {
+    expect(new Int32Vector3(1, -2, -2147483648).negate().values).toEqual(new Int32Array([-1, 2, -2147483648]));
+  });
+
+  test('View over a shared buffer', () => {
+    const buffer = new ArrayBuffer(16);
+    const vec = Int32Vector3.view(buffer, 4);
+    vec.x = -7;
+
+    expect(new Int32Array(buffer)).toEqual(new Int32Array([0, -7, 0, 0]));
+    expect(vec.add(new Int32Vector3(1, 1, 1)).values).toEqual(new Int32Array([-6, 1, 1]));
+  });
+
+  test('Sub wraps around on overflow', () => {
+    const vec = new Int32Vector3(-2147483648, 2147483647, 0);
+
+    expect(vec.sub(new Int32Vector3(1, -1, 1)).values).toEqual(new Int32Array([2147483647, -2147483648, -1]));
+  });
+
+  test('Truncates fractions', () => {
+    expect(new Int32Vector3(2.5, -2.5, 4294967296.5).values).toEqual(new Int32Array([2, -2, 0]));
+    expect(new Int32Vector3(1, -5, 1073741824).mulByScalar(-2.5).values).toEqual(new Int32Array([-2, 10, -2147483648]));
+  });
+
+  test('Div truncates toward zero and division by zero results in 0', () => {
+    const vec = new Int32Vector3(9, -9, 1);
+
+    expect(vec.div(new Int32Vector3(4, 4, 0)).values).toEqual(new Int32Array([2, -2, 0]));
+  });
+
+  test('Min, Max and Clamp Int32Vector3', () => {
+    const vec = new Int32Vector3(-2147483648, 0, 2147483647);
+    const zero = new Int32Vector3(0, 0, 0);
+
+    expect(vec.min(zero).values).toEqual(new Int32Array([-2147483648, 0, 0]));
+    expect(vec.max(zero).values).toEqual(new Int32Array([0, 0, 2147483647]));
+    expect(vec.clamp(new Int32Vector3(-1, -1, -1), new Int32Vector3(1, 1, 1)).values).toEqual(new Int32Array([-1, 0, 1]));
+    expect(vec.equals(new Int32Vector3(-2147483648, 0, 2147483647))).toBe(true);
+    expect(vec.equals(zero)).toBe(false);
+  });
+});
+
+//
+// Int32Vector4
+//
+describe('Int32Vector4', () => {
+  test('Arithmetic Int32Vector4', () => {
+    const vec1 = new Int32Vector4(1, 2, 3, 4);
+    const vec2 = new Int32Vector4(5, 6, 7, 8);
+
+    expect(vec1.add(vec2).values).toEqual(new Int32Array([6, 8, 10, 12]));
+    expect(vec2.div(vec1).values).toEqual(new Int32Array([5, 3, 2, 2]));
+    expect(vec1.mulByScalar(-3).values).toEqual(new Int32Array([-3, -6, -9, -12]));
+    expect(vec1.equals(new Int32Vector4(1, 2, 3, 4))).toBe(true);
+  });
+
+  test('Add and Sub wrap around on overflow', () => {
+    const vec = new Int32Vector4(2147483647, 0, 0, -2147483648);
+
+    expect(vec.add(new Int32Vector4(1, 1, 1, -1)).values).toEqual(new Int32Array([-2147483648, 1, 1, 2147483647]));
+    expect(vec.sub(new Int32Vector4(-1, 0, 0, 1)).values).toEqual(new Int32Array([-2147483648, 0, 0, 2147483647]));
+  });
+
+  test('Mul and MulByScalar wrap around on overflow', () => {
+    const vec = new Int32Vector4(65536, 3, -4, 46341);
+
+    expect(vec.mul(new Int32Vector4(65536, -3, -4, 46341)).values).toEqual(new Int32Array([0, -9, 16, -2147479015]));
+    expect(new Int32Vector4(65536, 1, -1, 2).mulByScalar(65536.5).values).toEqual(new Int32Array([0, 65536, -65536, 131072]));
+  });
+
+  test('Div truncates toward zero and division by zero results in 0', () => {
+    const vec = new Int32Vector4(5, -5, 0, 2147483647);
+
+    expect(vec.div(new Int32Vector4(2, 3, 0, -1)).values).toEqual(new Int32Array([2, -1, 0, -2147483647]));
+  });
+
+  test('Negate, Min, Max and Clamp Int32Vector4', () => {
+    const vec = new Int32Vector4(1, -1, 0, 2147483647);
+    const zero = new Int32Vector4(0, 0, 0, 0);
+
+    expect(vec.negate().values).toEqual(new Int32Array([-1, 1, 0, -2147483647]));
+    expect(vec.min(zero).values).toEqual(new Int32Array([0, -1, 0, 0]));
+    expect(vec.max(zero).values).toEqual(new Int32Array([1, 0, 0, 2147483647]));
+    expect(vec.clamp(zero, new Int32Vector4(1, 1, 1, 1)).values).toEqual(new Int32Array([1, 0, 0, 1]));
+  });
+
+  test('View over a shared buffer', () => {
+    const buffer = new ArrayBuffer(16);
+    const vec = Int32Vector4.view(buffer, 0);
+    vec.values.set([5, 6, 7, 8]);
+
+    expect(new Int32Array(buffer)).toEqual(new Int32Array([5, 6, 7, 8]));
+    expect(() => Int32Vector4.view(buffer, 2)).toThrow(RangeError);
+  });
+});
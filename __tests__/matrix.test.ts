@@ -1,9 +1,128 @@
-import { Matrix4 } from '../src/index';
-import { Vector3 } from '../src/float32vector';
+import { EulerOrder, Matrix2, Matrix2x2, Matrix3, Matrix3x3, Matrix4, Matrix4x4 } from '../src/index';
+import { Float32Vector3, Vector2, Vector3, Vector4 } from '../src/float32vector';
+import { Quaternion } from '../src/quaternion';
 import './lib/array_close_to';
 
 const delta = 0.001;
 
+//
+// Matrix2
+//
+describe('Matrix2', () => {
+  test('Scaling', () => {
+    const s = Matrix2.scaling(2, 3);
+    expect(s.mulByVector2(new Vector2(1, 1)).values).arrayToBeCloseTo([2, 3], delta);
+  });
+
+  test('Rotation', () => {
+    const r = Matrix2.rotation(Math.PI / 2);
+    expect(r.mulByVector2(new Vector2(1, 0)).values).arrayToBeCloseTo([0, 1], delta);
+  });
+
+  test('Mul Matrix2', () => {
+    const m1 = new Matrix2(1, 2, 3, 4);
+    const m2 = new Matrix2(5, 6, 7, 8);
+
+    expect(m1.mulByMatrix2x2(m2).values).arrayToBeCloseTo([23, 34, 31, 46], delta);
+    expect(m1.mulByMatrix2(m2).values).arrayToBeCloseTo([23, 34, 31, 46], delta);
+  });
+
+  test('Rotate and Scale', () => {
+    const m = Matrix2.identity().rotate(Math.PI / 2).scale(2, 3);
+    expect(m.mulByVector2(new Vector2(1, 1)).values).arrayToBeCloseTo([-3, 2], delta);
+  });
+
+  test('Transpose', () => {
+    expect(new Matrix2(1, 2, 3, 4).transpose().values).arrayToBeCloseTo([1, 3, 2, 4], delta);
+  });
+
+  test('Determinant', () => {
+    expect(new Matrix2(1, 2, 3, 4).determinant()).toBeCloseTo(-2);
+    expect(Matrix2.rotation(0.7).determinant()).toBeCloseTo(1);
+  });
+
+  test('Inverse', () => {
+    const m = new Matrix2(1, 2, 3, 4);
+    const inv = m.inverse() as Matrix2x2;
+
+    expect(inv.values).arrayToBeCloseTo([-2, 1, 1.5, -0.5], delta);
+    expect(m.mulByMatrix2x2(inv).values).arrayToBeCloseTo(Matrix2.identity().values, delta);
+  });
+
+  test('Inverse of Singular Matrix', () => {
+    expect(new Matrix2(1, 2, 2, 4).inverse()).toBeNull();
+  });
+});
+
+//
+// Matrix3
+//
+describe('Matrix3', () => {
+  test('Transpose', () => {
+    const m = new Matrix3(1, 2, 3, 4, 5, 6, 7, 8, 9);
+    expect(m.transpose().values).arrayToBeCloseTo([1, 4, 7, 2, 5, 8, 3, 6, 9], delta);
+  });
+
+  test('Determinant', () => {
+    expect(new Matrix3(2, 0, 1, 1, 3, 2, 1, 1, 2).determinant()).toBeCloseTo(6);
+    expect(Matrix3.scaling(2, 3).rotate(0.4).translate(5, 6).determinant()).toBeCloseTo(6);
+  });
+
+  test('Inverse', () => {
+    const m = Matrix3.identity().translate(5, -6).rotate(0.4).scale(2, 3);
+    const inv = m.inverse() as Matrix3x3;
+
+    expect(m.mulByMatrix3x3(inv).values).arrayToBeCloseTo(Matrix3.identity().values, delta);
+    expect(inv.mulByMatrix3x3(m).values).arrayToBeCloseTo(Matrix3.identity().values, delta);
+  });
+
+  test('Inverse of Singular Matrix', () => {
+    expect(new Matrix3(1, 2, 3, 4, 5, 6, 7, 8, 9).inverse()).toBeNull();
+  });
+
+  test('Inverse of Projective Transformation', () => {
+    const quad = [1, 2, 9, 1, 8, 7, 2, 6];
+    const inv = Matrix3.projectiveTransform(1, 2, 9, 1, 8, 7, 2, 6).inverse() as Matrix3x3;
+    const expected = Matrix3.projectiveInvTransform(1, 2, 9, 1, 8, 7, 2, 6);
+
+    for (let i = 0; i < 4; i += 1) {
+      const p = new Vector3(quad[i * 2], quad[i * 2 + 1], 1);
+      expect(inv.mulByVector3(p).hom2cart.values).arrayToBeCloseTo(expected.mulByVector3(p).hom2cart.values, delta);
+    }
+    const center = new Vector3(4.5, 4, 1);
+    expect(inv.mulByVector3(center).hom2cart.values).arrayToBeCloseTo(expected.mulByVector3(center).hom2cart.values, delta);
+  });
+
+  test('set, copyFrom and setIdentity', () => {
+    const m = Matrix3.identity();
+
+    expect(m.set(1, 2, 3, 4, 5, 6, 7, 8, 9)).toBe(m);
+    expect(m.values).arrayToBeCloseTo([1, 2, 3, 4, 5, 6, 7, 8, 9], delta);
+    expect(m.copyFrom(Matrix3.translation(1, 2))).toBe(m);
+    expect(m.values).arrayToBeCloseTo(Matrix3.translation(1, 2).values, delta);
+    expect(m.setIdentity()).toBe(m);
+    expect(m.values).arrayToBeCloseTo(Matrix3.identity().values, delta);
+  });
+
+  test('Batch transform of 3-dimensional vectors', () => {
+    const m = Matrix4.rotationZ(0.5).scale(1, 2, 3).normalMatrix() as Matrix3x3;
+    const normals = new Float32Array([1, 0, 0, 0, 1, 1]);
+    m.transformVectors(normals);
+
+    expect(normals.subarray(0, 3)).arrayToBeCloseTo(m.mulByVector3(new Vector3(1, 0, 0)).values, delta);
+    expect(normals.subarray(3, 6)).arrayToBeCloseTo(m.mulByVector3(new Vector3(0, 1, 1)).values, delta);
+  });
+
+  test('View over a shared buffer', () => {
+    const bytes = Float32Array.BYTES_PER_ELEMENT;
+    const buffer = new ArrayBuffer(10 * bytes);
+    const m = Matrix3.view(buffer, bytes);
+    new Float32Array(buffer).set([1, 0, 0, 0, 1, 0, 2, 3, 1], 1);
+
+    expect(m.mulByVector3(new Vector3(1, 1, 1)).values).arrayToBeCloseTo([3, 4, 1], delta);
+  });
+});
+
 //
 // Matrix4
 //
@@ -40,6 +159,15 @@ describe('Matrix4', () => {
       delta);
   });
 
+  test('View Matrix for a left-handed coordinate system', () => {
+    const view = Matrix4.lookAtLH(new Vector3(0, 60, -90), new Vector3(0, 0, 0), new Vector3(0, 1, 0));
+
+    // The same camera as the right-handed one mirrored by z-axis.
+    const mirrored = Matrix4.lookAt(new Vector3(0, 60, 90), new Vector3(0, 0, 0), new Vector3(0, 1, 0)).convertHandedness();
+    expect(view.values).arrayToBeCloseTo(mirrored.values, delta);
+    expect(view.mulByVector4(new Vector4(0, 0, 0, 1)).values).arrayToBeCloseTo([0, 0, 108.16654205322266, 1], delta);
+  });
+
   test('Projection Matrix Orthographic', () => {
     const left   = -40;
     const right  = 40;
@@ -94,4 +222,440 @@ describe('Matrix4', () => {
       ],
       delta);
   });
+
+  test('Projection depth options', () => {
+    const depthAt = (projection: Matrix4x4, z: number) => projection.mulByVector4(new Vector4(0, 0, z, 1)).hom2cart.z;
+    const args = { fovYRadian: Math.PI / 3, aspectRatio: 1.5, near: 0.5, far: 100 };
+
+    const zeroToOne = Matrix4.perspective({ ...args, depthRange: 'zeroToOne' });
+    expect(depthAt(zeroToOne, -0.5)).toBeCloseTo(0);
+    expect(depthAt(zeroToOne, -100)).toBeCloseTo(1);
+
+    const reversed = Matrix4.perspective({ ...args, depthRange: 'zeroToOne', reversedDepth: true });
+    expect(depthAt(reversed, -0.5)).toBeCloseTo(1);
+    expect(depthAt(reversed, -100)).toBeCloseTo(0);
+
+    const reversedMinusOneToOne = Matrix4.frustum({ top: 1, bottom: -1, left: -1, right: 1, near: 1, far: 10, reversedDepth: true });
+    expect(depthAt(reversedMinusOneToOne, -1)).toBeCloseTo(1);
+    expect(depthAt(reversedMinusOneToOne, -10)).toBeCloseTo(-1);
+
+    const ortho = Matrix4.orthographic({ top: 1, bottom: -1, left: -1, right: 1, near: 2, far: 20, depthRange: 'zeroToOne', reversedDepth: true });
+    expect(depthAt(ortho, -2)).toBeCloseTo(1);
+    expect(depthAt(ortho, -11)).toBeCloseTo(0.5);
+    expect(depthAt(ortho, -20)).toBeCloseTo(0);
+  });
+
+  test('Projection matrices for a left-handed coordinate system', () => {
+    const depthAt = (projection: Matrix4x4, z: number) => projection.mulByVector4(new Vector4(0, 0, z, 1)).hom2cart.z;
+
+    const perspective = Matrix4.perspectiveLH({ fovYRadian: Math.PI / 3, aspectRatio: 1.5, near: 0.5, far: 100, depthRange: 'zeroToOne' });
+    expect(depthAt(perspective, 0.5)).toBeCloseTo(0);
+    expect(depthAt(perspective, 100)).toBeCloseTo(1);
+    expect(perspective.mulByVector4(new Vector4(1, 1, 10, 1)).values).arrayToBeCloseTo(
+      Matrix4.perspective({ fovYRadian: Math.PI / 3, aspectRatio: 1.5, near: 0.5, far: 100, depthRange: 'zeroToOne' })
+        .mulByVector4(new Vector4(1, 1, -10, 1)).values,
+      delta);
+
+    const frustum = Matrix4.frustumLH({ top: 1, bottom: -1, left: -1, right: 1, near: 1, far: 10 });
+    expect(depthAt(frustum, 1)).toBeCloseTo(-1);
+    expect(depthAt(frustum, 10)).toBeCloseTo(1);
+
+    const ortho = Matrix4.orthographicLH({ top: 1, bottom: -1, left: -1, right: 1, near: 2, far: 20, reversedDepth: true });
+    expect(depthAt(ortho, 2)).toBeCloseTo(1);
+    expect(depthAt(ortho, 20)).toBeCloseTo(-1);
+  });
+
+  test('convertHandedness', () => {
+    const m = Matrix4.translation(1, 2, 3).rotateY(0.5).rotateX(-0.3).scale(1, 2, 3);
+    const point = new Vector4(4, -5, 6, 1);
+
+    // Converting the point, transforming it, and converting back gives the original transformation.
+    const converted = m.convertHandedness().mulByVector4(new Vector4(4, -5, -6, 1));
+    expect(converted.values).arrayToBeCloseTo(m.mulByVector4(point).mul(new Vector4(1, 1, -1, 1)).values, delta);
+  });
+
+  test('Projection with an infinite far plane', () => {
+    const depthAt = (projection: Matrix4x4, z: number) => projection.mulByVector4(new Vector4(0, 0, z, 1)).hom2cart.z;
+    const args = { fovYRadian: Math.PI / 3, aspectRatio: 1.5, near: 0.5, far: Infinity };
+
+    const infinite = Matrix4.perspective(args);
+    expect(infinite.values).arrayToBeCloseTo(
+      [
+        1.1547005, 0, 0, 0,
+        0, 1.7320508, 0, 0,
+        0, 0, -1, -1,
+        0, 0, -1, 0,
+      ],
+      delta);
+    expect(depthAt(infinite, -0.5)).toBeCloseTo(-1);
+    expect(depthAt(infinite, -1e6)).toBeCloseTo(1);
+
+    const reversed = Matrix4.perspective({ ...args, depthRange: 'zeroToOne', reversedDepth: true });
+    expect(depthAt(reversed, -0.5)).toBeCloseTo(1);
+    expect(depthAt(reversed, -1)).toBeCloseTo(0.5);
+    expect(depthAt(reversed, -1e6)).toBeCloseTo(0);
+
+    const infiniteOrtho = { top: 1, bottom: -1, left: -1, right: 1, near: 1, far: Infinity };
+    expect(() => Matrix4.orthographic(infiniteOrtho)).toThrow(RangeError);
+    expect(() => Matrix4.orthographic(infiniteOrtho)).toThrow('Matrix4x4.orthographic needs a finite far plane.');
+    expect(() => Matrix4.orthographicLH(infiniteOrtho)).toThrow('Matrix4x4.orthographic needs a finite far plane.');
+  });
+
+  test('Transpose', () => {
+    const m = new Matrix4(
+      1, 2, 3, 4,
+      5, 6, 7, 8,
+      9, 10, 11, 12,
+      13, 14, 15, 16,
+    );
+
+    expect(m.transpose().values).arrayToBeCloseTo(
+      [
+        1, 5, 9, 13,
+        2, 6, 10, 14,
+        3, 7, 11, 15,
+        4, 8, 12, 16,
+      ],
+      delta);
+  });
+
+  test('Determinant', () => {
+    expect(Matrix4.identity().determinant()).toBeCloseTo(1);
+    expect(Matrix4.scaling(2, 3, 4).determinant()).toBeCloseTo(24);
+    expect(Matrix4.rotationAround(new Vector3(1, 2, 3).normalize(), 1.2).determinant()).toBeCloseTo(1);
+
+    const m = new Matrix4(
+      2, 0, 1, 3,
+      1, 1, 0, 2,
+      0, 3, 1, 1,
+      1, 0, 2, 1,
+    );
+    expect(m.determinant()).toBeCloseTo(-1);
+  });
+
+  test('Inverse', () => {
+    const m = new Matrix4(
+      2, 0, 1, 3,
+      1, 1, 0, 2,
+      0, 3, 1, 1,
+      1, 0, 2, 1,
+    );
+    const inv = m.inverse() as Matrix4x4;
+
+    expect(inv).not.toBeNull();
+    expect(m.mulByMatrix4x4(inv).values).arrayToBeCloseTo(Matrix4.identity().values, delta);
+    expect(inv.mulByMatrix4x4(m).values).arrayToBeCloseTo(Matrix4.identity().values, delta);
+  });
+
+  test('Inverse of View Matrix', () => {
+    const view = Matrix4.lookAt(new Vector3(0, 60, 90), new Vector3(0, 0, 0), new Vector3(0, 1, 0));
+    const inv = view.inverse() as Matrix4x4;
+
+    // The inverse view matrix carries the camera position in its translation part.
+    expect(inv.values.slice(12)).arrayToBeCloseTo([0, 60, 90, 1], delta);
+  });
+
+  test('Inverse of Singular Matrix', () => {
+    expect(Matrix4.scaling(1, 0, 1).inverse()).toBeNull();
+  });
+
+  test('Inverse of Affine Matrices', () => {
+    const axis = new Vector3(1, 2, 3).normalize();
+    const matrices = [
+      Matrix4.translation(1, -2, 3),
+      Matrix4.rotationX(0.3),
+      Matrix4.rotationY(-1.1),
+      Matrix4.rotationZ(2.5),
+      Matrix4.rotationAround(axis, 0.7),
+      Matrix4.scaling(2, -3, 0.5),
+      Matrix4.lookAt(new Vector3(0, 60, 90), new Vector3(1, 2, 3), new Vector3(0, 1, 0)),
+      Matrix4.identity().translate(40, 0, -20).rotateZ(Math.PI / 8).scale(1, 2, 3),
+    ];
+
+    for (const m of matrices) {
+      const expected = (m.inverse() as Matrix4x4).values;
+      expect((m.invertAffine() as Matrix4x4).values).arrayToBeCloseTo(expected, delta);
+    }
+  });
+
+  test('Inverse of Singular Affine Matrix', () => {
+    expect(Matrix4.scaling(1, 1, 0).invertAffine()).toBeNull();
+  });
+
+  test('Inverse of Rigid Matrices', () => {
+    const axis = new Vector3(1, 2, 3).normalize();
+    const matrices = [
+      Matrix4.translation(1, -2, 3),
+      Matrix4.rotationX(0.3),
+      Matrix4.rotationY(-1.1),
+      Matrix4.rotationZ(2.5),
+      Matrix4.rotationAround(axis, 0.7),
+      Matrix4.lookAt(new Vector3(0, 60, 90), new Vector3(1, 2, 3), new Vector3(0, 1, 0)),
+      Matrix4.identity().translate(40, 0, -20).rotateZ(Math.PI / 8).rotateAround(axis, 1.3),
+    ];
+
+    for (const m of matrices) {
+      const expected = (m.inverse() as Matrix4x4).values;
+      expect(m.invertRigid().values).arrayToBeCloseTo(expected, delta);
+    }
+  });
+
+  test('Upper-left 3x3', () => {
+    const m = new Matrix4(
+      1, 2, 3, 4,
+      5, 6, 7, 8,
+      9, 10, 11, 12,
+      13, 14, 15, 16,
+    );
+
+    expect(m.upperLeft3x3().values).arrayToBeCloseTo([1, 2, 3, 5, 6, 7, 9, 10, 11], delta);
+  });
+
+  test('Normal Matrix of Rotation', () => {
+    const model = Matrix4.rotationAround(new Vector3(1, 2, 3).normalize(), 0.7).translate(1, 2, 3);
+    const normal = model.normalMatrix() as Matrix3x3;
+
+    expect(normal.values).arrayToBeCloseTo(model.upperLeft3x3().values, delta);
+  });
+
+  test('Normal Matrix of Non-uniform Scaling', () => {
+    const modelView = Matrix4.rotationZ(Math.PI / 6).scale(1, 4, 2);
+    const normal = modelView.normalMatrix() as Matrix3x3;
+
+    // A surface spanned by the tangent (1, -1, 0) with the normal (1, 1, 0).
+    const tangent = modelView.mulByVector4(new Vector4(1, -1, 0, 0)).xyz;
+    const n = normal.mulByVector3(new Vector3(1, 1, 0));
+
+    expect((Matrix4.scaling(2, 4, 8).normalMatrix() as Matrix3x3).values).arrayToBeCloseTo(
+      [
+        0.5, 0, 0,
+        0, 0.25, 0,
+        0, 0, 0.125,
+      ],
+      delta);
+    expect(tangent.dot(n)).toBeCloseTo(0);
+  });
+
+  test('Normal Matrix of Singular Matrix', () => {
+    expect(Matrix4.scaling(0, 1, 1).normalMatrix()).toBeNull();
+  });
+
+  test('Compose', () => {
+    const axis = new Vector3(1, 2, 3).normalize();
+    const m = Matrix4.compose(new Vector3(40, 0, -20), Quaternion.rotationAround(axis, 0.7), new Vector3(1, 2, 3));
+    const expected = Matrix4.identity().translate(40, 0, -20).rotateAround(axis, 0.7).scale(1, 2, 3);
+
+    expect(m.values).arrayToBeCloseTo(expected.values, delta);
+  });
+
+  test('Decompose', () => {
+    const q = Quaternion.rotationAround(new Vector3(1, 2, 3).normalize(), 0.7);
+    const m = Matrix4.compose(new Vector3(40, 0, -20), q, new Vector3(1, 2, 3));
+    const { translation, rotation, scale } = m.decompose() as { translation: Float32Vector3, rotation: Quaternion, scale: Float32Vector3 };
+
+    expect(translation.values).arrayToBeCloseTo([40, 0, -20], delta);
+    expect(rotation.values).arrayToBeCloseTo(q.values, delta);
+    expect(scale.values).arrayToBeCloseTo([1, 2, 3], delta);
+  });
+
+  test('Decompose with Negative Scale', () => {
+    const m = Matrix4.identity().translate(1, 2, 3).rotateY(2.8).scale(2, -3, 4);
+    const { translation, rotation, scale } = m.decompose() as { translation: Float32Vector3, rotation: Quaternion, scale: Float32Vector3 };
+
+    expect(scale.x).toBeLessThan(0);
+    expect(Matrix4.compose(translation, rotation, scale).values).arrayToBeCloseTo(m.values, delta);
+  });
+
+  test('Decompose Matrices that cannot be Decomposed', () => {
+    const shear = new Matrix4(
+      1, 0, 0, 0,
+      0.5, 1, 0, 0,
+      0, 0, 1, 0,
+      0, 0, 0, 1,
+    );
+    const projection = Matrix4.perspective({ fovYRadian: 1, aspectRatio: 1, near: 1, far: 10 });
+
+    expect(shear.decompose()).toBeNull();
+    expect(projection.decompose()).toBeNull();
+    expect(Matrix4.scaling(1, 0, 1).decompose()).toBeNull();
+  });
+
+  test('fromEuler', () => {
+    const m = Matrix4.fromEuler(0.3, -1.2, 2.2, 'YXZ');
+    const expected = Matrix4.rotationY(-1.2).rotateX(0.3).rotateZ(2.2);
+
+    expect(m.values).arrayToBeCloseTo(expected.values, delta);
+    expect(Matrix4.fromEuler(0.3, -1.2, 2.2).values).arrayToBeCloseTo(Matrix4.fromEuler(0.3, -1.2, 2.2, 'XYZ').values, delta);
+  });
+
+  test('toEuler round-trips with fromEuler', () => {
+    const orders: EulerOrder[] = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
+
+    for (const order of orders) {
+      const angles = Matrix4.fromEuler(-0.7, 1.1, 1.4, order).toEuler(order);
+      expect(angles.values).arrayToBeCloseTo([-0.7, 1.1, 1.4], delta);
+    }
+  });
+
+  test('toEuler at gimbal lock', () => {
+    const orders: EulerOrder[] = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
+
+    for (const order of orders) {
+      for (const middle of [Math.PI / 2, -Math.PI / 2]) {
+        // Index 0, 1 and 2 for 'X', 'Y' and 'Z'.
+        const angles: number[] = [];
+        angles[order.charCodeAt(0) - 88] = 0.4;
+        angles[order.charCodeAt(1) - 88] = middle;
+        angles[order.charCodeAt(2) - 88] = 0.9;
+
+        const m = Matrix4.fromEuler(angles[0], angles[1], angles[2], order);
+        const euler = m.toEuler(order);
+
+        // The last rotation is merged into the first one.
+        expect(euler.values[order.charCodeAt(2) - 88]).toBeCloseTo(0);
+        expect(Matrix4.fromEuler(euler.x, euler.y, euler.z, order).values).arrayToBeCloseTo(m.values, delta);
+      }
+    }
+  });
+
+  test('set, copyFrom and setIdentity', () => {
+    const m = Matrix4.identity();
+
+    expect(m.set(1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16)).toBe(m);
+    expect(m.values).arrayToBeCloseTo([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16], delta);
+    expect(m.copyFrom(Matrix4.translation(1, 2, 3))).toBe(m);
+    expect(m.values).arrayToBeCloseTo(Matrix4.translation(1, 2, 3).values, delta);
+    expect(m.setIdentity()).toBe(m);
+    expect(m.values).arrayToBeCloseTo(Matrix4.identity().values, delta);
+  });
+
+  test('Transform methods equal multiplying the transformation matrices', () => {
+    const m = Matrix4.rotationAround(new Vector3(1, 2, 3).normalize(), 0.7).translate(1, 2, 3);
+
+    expect(m.translate(4, 5, 6).values).arrayToBeCloseTo(m.mulByMatrix4x4(Matrix4.translation(4, 5, 6)).values, delta);
+    expect(m.scale(2, 3, 4).values).arrayToBeCloseTo(m.mulByMatrix4x4(Matrix4.scaling(2, 3, 4)).values, delta);
+    expect(m.rotateX(0.5).values).arrayToBeCloseTo(m.mulByMatrix4x4(Matrix4.rotationX(0.5)).values, delta);
+    expect(m.rotateY(0.5).values).arrayToBeCloseTo(m.mulByMatrix4x4(Matrix4.rotationY(0.5)).values, delta);
+    expect(m.rotateZ(0.5).values).arrayToBeCloseTo(m.mulByMatrix4x4(Matrix4.rotationZ(0.5)).values, delta);
+
+    const axis = new Vector3(-2, 1, 3).normalize();
+    expect(m.rotateAround(axis, 1.2).values).arrayToBeCloseTo(m.mulByMatrix4x4(Matrix4.rotationAround(axis, 1.2)).values, delta);
+  });
+
+  test('Write results into out', () => {
+    const a = Matrix4.rotationX(0.3).translate(1, 2, 3);
+    const b = Matrix4.scaling(2, 3, 4).rotateY(0.4);
+    const expected = a.mulByMatrix4x4(b);
+    const out = Matrix4.identity();
+
+    expect(a.mulByMatrix4x4(b, out)).toBe(out);
+    expect(out.values).arrayToBeCloseTo(expected.values, delta);
+
+    const vecOut = new Vector4(0, 0, 0, 0);
+    expect(a.mulByVector4(new Vector4(1, 2, 3, 1), vecOut)).toBe(vecOut);
+    expect(vecOut.values).arrayToBeCloseTo(a.mulByVector4(new Vector4(1, 2, 3, 1)).values, delta);
+
+    const matrix3Out = Matrix3.identity();
+    expect(b.upperLeft3x3(matrix3Out)).toBe(matrix3Out);
+    expect(matrix3Out.values).arrayToBeCloseTo(b.upperLeft3x3().values, delta);
+    expect(b.normalMatrix(matrix3Out)).toBe(matrix3Out);
+    expect(matrix3Out.values).arrayToBeCloseTo((b.normalMatrix() as Matrix3x3).values, delta);
+    expect(Matrix4.scaling(0, 1, 1).normalMatrix(matrix3Out)).toBeNull();
+    expect(matrix3Out.values).arrayToBeCloseTo((b.normalMatrix() as Matrix3x3).values, delta);
+
+    const eulerOut = new Vector3(0, 0, 0);
+    expect(a.toEuler('ZXY', eulerOut)).toBe(eulerOut);
+    expect(eulerOut.values).arrayToBeCloseTo(a.toEuler('ZXY').values, delta);
+  });
+
+  test('Use the matrix itself as out', () => {
+    const a = Matrix4.rotationX(0.3).translate(1, 2, 3);
+    const b = Matrix4.scaling(2, 3, 4).rotateY(0.4);
+    const expected = a.mulByMatrix4x4(b).translate(1, 0, 0).rotateZ(0.2).inverse() as Matrix4x4;
+
+    a.mulByMatrix4x4(b, a).translate(1, 0, 0, a).rotateZ(0.2, a).inverse(a);
+    expect(a.values).arrayToBeCloseTo(expected.values, delta);
+
+    const axis = new Vector3(1, 2, 3).normalize();
+    const rotated = a.rotateAround(axis, 0.6);
+    a.rotateAround(axis, 0.6, a);
+    expect(a.values).arrayToBeCloseTo(rotated.values, delta);
+
+    b.mulByMatrix4x4(b, b);
+    expect(b.values).arrayToBeCloseTo(Matrix4.scaling(2, 3, 4).rotateY(0.4).mulByMatrix4x4(Matrix4.scaling(2, 3, 4).rotateY(0.4)).values, delta);
+  });
+
+  test('Batch transform of interleaved points', () => {
+    const m = Matrix4.rotationX(0.3).translate(1, 2, 3).scale(2, 2, 2);
+    // Interleaved position (3) and color (2), with 1 padding element at the start.
+    const buffer = new Float32Array([
+      -1,
+      1, 2, 3, 0.5, 0.5,
+      4, 5, 6, 0.25, 0.25,
+    ]);
+
+    const result = m.transformPoints(buffer, { stride: 5, offset: 1 });
+    expect(result).toBe(buffer);
+    expect(buffer[0]).toBe(-1);
+    expect(buffer.subarray(1, 4)).arrayToBeCloseTo(m.mulByVector4(new Vector4(1, 2, 3, 1)).xyz.values, delta);
+    expect(buffer.subarray(4, 6)).arrayToBeCloseTo([0.5, 0.5], delta);
+    expect(buffer.subarray(6, 9)).arrayToBeCloseTo(m.mulByVector4(new Vector4(4, 5, 6, 1)).xyz.values, delta);
+    expect(buffer.subarray(9, 11)).arrayToBeCloseTo([0.25, 0.25], delta);
+  });
+
+  test('Batch transform into an output buffer', () => {
+    const m = Matrix4.rotationY(0.4).translate(1, 2, 3);
+    const source = new Float32Array([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    const out = new Float32Array(9);
+
+    expect(m.transformDirections(source, { out, count: 2 })).toBe(out);
+    expect(source).arrayToBeCloseTo([1, 2, 3, 4, 5, 6, 7, 8, 9], delta);
+    expect(out.subarray(0, 3)).arrayToBeCloseTo(m.mulByVector4(new Vector4(1, 2, 3, 0)).xyz.values, delta);
+    expect(out.subarray(3, 6)).arrayToBeCloseTo(m.mulByVector4(new Vector4(4, 5, 6, 0)).xyz.values, delta);
+    expect(out.subarray(6, 9)).arrayToBeCloseTo([0, 0, 0], delta);
+  });
+
+  test('Batch transform with homogeneous divide', () => {
+    const m = Matrix4.perspective({ fovYRadian: Math.PI / 3, aspectRatio: 1.5, near: 0.1, far: 100 });
+    const points = new Float32Array([1, 2, -5, -3, 1, -20]);
+    m.transformPointsProjective(points);
+
+    const clip1 = m.mulByVector4(new Vector4(1, 2, -5, 1));
+    const clip2 = m.mulByVector4(new Vector4(-3, 1, -20, 1));
+    expect(points.subarray(0, 3)).arrayToBeCloseTo(clip1.xyz.mulByScalar(1 / clip1.w).values, delta);
+    expect(points.subarray(3, 6)).arrayToBeCloseTo(clip2.xyz.mulByScalar(1 / clip2.w).values, delta);
+  });
+
+  test('Batch transform throws if the layout does not fit', () => {
+    const m = Matrix4.identity();
+
+    expect(() => m.transformPoints(new Float32Array(6), { count: 3 })).toThrow();
+    expect(() => m.transformPoints(new Float32Array(6), { stride: 2 })).toThrow();
+    expect(() => m.transformPoints(new Float32Array(6), { out: new Float32Array(3) })).toThrow();
+    expect(m.transformPoints(new Float32Array(2)).length).toBe(2);
+  });
+
+  test('View over a shared buffer', () => {
+    const bytes = Float32Array.BYTES_PER_ELEMENT;
+    const buffer = new ArrayBuffer(32 * bytes);
+    const instance0 = Matrix4.view(buffer);
+    const instance1 = Matrix4.view(buffer, 16 * bytes);
+
+    instance1.copyFrom(Matrix4.translation(1, 2, 3));
+    instance0.setIdentity().scale(2, 2, 2, instance0);
+
+    const floats = new Float32Array(buffer);
+    expect(floats.subarray(0, 16)).arrayToBeCloseTo(Matrix4.scaling(2, 2, 2).values, delta);
+    expect(floats.subarray(16, 32)).arrayToBeCloseTo(Matrix4.translation(1, 2, 3).values, delta);
+
+    floats[28] = 5;
+    expect(instance1.values[12]).toBe(5);
+    expect(instance1.mulByVector4(new Vector4(0, 0, 0, 1)).values).arrayToBeCloseTo([5, 2, 3, 1], delta);
+  });
+
+  test('View throws if it does not fit in the buffer', () => {
+    const bytes = Float32Array.BYTES_PER_ELEMENT;
+    expect(() => Matrix4.view(new ArrayBuffer(16 * bytes), 2)).toThrow(RangeError);
+    expect(() => Matrix4.view(new ArrayBuffer(16 * bytes), bytes)).toThrow(RangeError);
+  });
 });
@@ -0,0 +1,61 @@
+import { Matrix4, Plane, Vector3 } from '../src/index';
+import './lib/array_close_to';
+
+const delta = 0.001;
+
+describe('Plane', () => {
+  test('fromPointAndNormal and distanceToPoint', () => {
+    const plane = Plane.fromPointAndNormal(new Vector3(0, 2, 0), new Vector3(0, 1, 0));
+
+    expect(plane.constant).toBeCloseTo(-2);
+    expect(plane.distanceToPoint(new Vector3(5, 5, 5))).toBeCloseTo(3);
+    expect(plane.distanceToPoint(new Vector3(5, -1, 5))).toBeCloseTo(-3);
+  });
+
+  test('fromPoints faces the counter-clockwise side', () => {
+    const plane = Plane.fromPoints(new Vector3(0, 0, 1), new Vector3(1, 0, 1), new Vector3(0, 1, 1)) as Plane;
+
+    expect(plane.normal.values).arrayToBeCloseTo([0, 0, 1], delta);
+    expect(plane.constant).toBeCloseTo(-1);
+    expect(Plane.fromPoints(new Vector3(0, 0, 0), new Vector3(1, 1, 1), new Vector3(2, 2, 2))).toBeNull();
+  });
+
+  test('normalize', () => {
+    const plane = new Plane(new Vector3(0, 0, 2), 4).normalize();
+
+    expect(plane.normal.values).arrayToBeCloseTo([0, 0, 1], delta);
+    expect(plane.constant).toBeCloseTo(2);
+  });
+
+  test('transform', () => {
+    const plane = Plane.fromPointAndNormal(new Vector3(0, 0, 1), new Vector3(0, 0, 1));
+    const m = Matrix4.translation(0, 0, 3).rotateX(Math.PI / 2);
+    const transformed = plane.transform(m) as Plane;
+
+    // The z = 1 plane rotated by 90 degrees around x-axis becomes y = -1, then z is moved by 3.
+    expect(transformed.normal.values).arrayToBeCloseTo([0, -1, 0], delta);
+    expect(transformed.distanceToPoint(new Vector3(4, -1, 7))).toBeCloseTo(0);
+  });
+
+  test('transform a plane whose normal is not normalized', () => {
+    // The z = 1 plane.
+    const plane = new Plane(new Vector3(0, 0, 2), -2);
+    const transformed = plane.transform(Matrix4.translation(0, 0, 3)) as Plane;
+
+    expect(transformed.normal.values).arrayToBeCloseTo([0, 0, 1], delta);
+    expect(transformed.distanceToPoint(new Vector3(5, -2, 4))).toBeCloseTo(0);
+    expect(transformed.distanceToPoint(new Vector3(0, 0, 7))).toBeCloseTo(3);
+  });
+
+  test('transform keeps the normal perpendicular under non-uniform scaling', () => {
+    const plane = Plane.fromPointAndNormal(new Vector3(1, 0, 0), new Vector3(1, 1, 0).normalize());
+    const m = Matrix4.scaling(2, 1, 1);
+    const transformed = plane.transform(m) as Plane;
+
+    // The points (1, 0, 0) and (0, 1, 0) on the plane move to (2, 0, 0) and (0, 1, 0).
+    expect(transformed.distanceToPoint(new Vector3(2, 0, 0))).toBeCloseTo(0);
+    expect(transformed.distanceToPoint(new Vector3(0, 1, 0))).toBeCloseTo(0);
+    expect(transformed.normal.magnitude).toBeCloseTo(1);
+    expect(plane.transform(Matrix4.scaling(1, 0, 1))).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+import { Float32Vector3, Matrix4, Matrix4x4, project, unproject, Vector3 } from '../src/index';
+import './lib/array_close_to';
+
+const delta = 0.001;
+
+const viewport = { x: 10, y: 20, width: 800, height: 600 };
+const view = Matrix4.lookAt(new Vector3(1, 2, 10), new Vector3(0, 0, 0), new Vector3(0, 1, 0));
+const proj = Matrix4.perspective({ fovYRadian: Math.PI / 3, aspectRatio: 800 / 600, near: 0.5, far: 100 });
+const viewProj: Matrix4x4 = proj.mulByMatrix4x4(view);
+
+describe('project', () => {
+  test('The looked-at point is at the center of the viewport', () => {
+    const screen = project(new Vector3(0, 0, 0), viewProj, viewport) as Float32Vector3;
+    expect(screen.values).arrayToBeCloseTo([410, 320, screen.z], delta);
+    expect(screen.z).toBeGreaterThan(0);
+    expect(screen.z).toBeLessThan(1);
+  });
+
+  test('Depth is 0 on the near plane and 1 on the far plane', () => {
+    const forward = new Vector3(-1, -2, -10).normalize();
+    const camera = new Vector3(1, 2, 10);
+
+    expect((project(camera.add(forward.mulByScalar(0.5)), viewProj, viewport) as Float32Vector3).z).toBeCloseTo(0);
+    expect((project(camera.add(forward.mulByScalar(100)), viewProj, viewport) as Float32Vector3).z).toBeCloseTo(1);
+  });
+
+  test('Returns null on the plane of the camera', () => {
+    // The camera of `proj` alone is at the origin, looking down -z.
+    expect(project(new Vector3(1, 2, 0), proj, viewport)).toBeNull();
+  });
+});
+
+describe('unproject', () => {
+  test('Reverse of project', () => {
+    const point = new Vector3(1.5, -2, 3);
+    const screen = project(point, viewProj, viewport) as Float32Vector3;
+
+    expect((unproject(screen, viewProj, viewport) as Float32Vector3).values).arrayToBeCloseTo(point.values, 0.01);
+  });
+
+  test('Returns null for a singular matrix', () => {
+    expect(unproject(new Vector3(0, 0, 0), Matrix4.scaling(1, 1, 0), viewport)).toBeNull();
+  });
+});
+
+describe('Depth options', () => {
+  const options = { depthRange: 'zeroToOne' as 'zeroToOne', reversedDepth: true };
+  const reversedProj = Matrix4.perspective({ fovYRadian: Math.PI / 3, aspectRatio: 800 / 600, near: 0.5, far: Infinity, ...options });
+  const reversedViewProj: Matrix4x4 = reversedProj.mulByMatrix4x4(view);
+
+  test('Depth is 1 on the near plane and decreases with distance', () => {
+    const forward = new Vector3(-1, -2, -10).normalize();
+    const camera = new Vector3(1, 2, 10);
+
+    expect((project(camera.add(forward.mulByScalar(0.5)), reversedViewProj, viewport, options) as Float32Vector3).z).toBeCloseTo(1);
+    expect((project(camera.add(forward.mulByScalar(1)), reversedViewProj, viewport, options) as Float32Vector3).z).toBeCloseTo(0.5);
+  });
+
+  test('unproject is the reverse of project', () => {
+    const point = new Vector3(1.5, -2, 3);
+    const screen = project(point, reversedViewProj, viewport, options) as Float32Vector3;
+
+    expect((unproject(screen, reversedViewProj, viewport, options) as Float32Vector3).values).arrayToBeCloseTo(point.values, 0.01);
+  });
+});
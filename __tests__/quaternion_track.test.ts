@@ -0,0 +1,78 @@
+import { QuaternionTrack } from '../src/quaternion_track';
+import { Quaternion } from '../src/quaternion';
+import { Vector3 } from '../src/float32vector';
+import './lib/array_close_to';
+
+const delta = 0.001;
+
+describe('QuaternionTrack', () => {
+  const axis = new Vector3(1, 2, 3).normalize();
+  const times = [0, 1, 2];
+  const keyframes = [
+    Quaternion.rotationAround(axis, 0),
+    Quaternion.rotationAround(axis, 0.5),
+    Quaternion.rotationAround(axis, 1.0),
+  ];
+
+  test('sample at keyframes', () => {
+    const track = new QuaternionTrack(times, keyframes);
+
+    times.forEach((time, i) => expect(track.sample(time).values).arrayToBeCloseTo(keyframes[i].values, delta));
+  });
+
+  test('sample out of range', () => {
+    const track = new QuaternionTrack(times, keyframes);
+
+    expect(track.sample(-1).values).arrayToBeCloseTo(keyframes[0].values, delta);
+    expect(track.sample(10).values).arrayToBeCloseTo(keyframes[2].values, delta);
+  });
+
+  test('sample with each interpolation', () => {
+    const expected = Quaternion.rotationAround(axis, 0.75).values;
+
+    expect(new QuaternionTrack(times, keyframes, { interpolation: 'slerp' }).sample(1.5).values).arrayToBeCloseTo(expected, delta);
+    expect(new QuaternionTrack(times, keyframes, { interpolation: 'squad' }).sample(1.5).values).arrayToBeCloseTo(expected, delta);
+    expect(new QuaternionTrack(times, keyframes, { interpolation: 'nlerp' }).sample(1.5).values).arrayToBeCloseTo(expected, delta);
+  });
+
+  test('sample takes the shorter arc', () => {
+    const negated = keyframes.map((q, i) => i === 1 ? q.mulByScalar(-1) : q);
+    const track = new QuaternionTrack(times, negated);
+    const expected = Quaternion.rotationAround(axis, 0.25).toRotationMatrix4().values;
+
+    expect(track.sample(0.5).toRotationMatrix4().values).arrayToBeCloseTo(expected, delta);
+  });
+
+  test('sample into out', () => {
+    const track = new QuaternionTrack(times, keyframes);
+    const out = new Quaternion(0, 0, 0, 1);
+
+    expect(track.sample(1.5, out)).toBe(out);
+    expect(out.values).arrayToBeCloseTo(track.sample(1.5).values, delta);
+    expect(track.sample(10, out)).toBe(out);
+    expect(out.values).arrayToBeCloseTo(keyframes[2].values, delta);
+  });
+
+  test('Writing to a sample or a keyframe does not change the track', () => {
+    const original = keyframes.map(q => q.mulByScalar(1));
+    const track = new QuaternionTrack(times, original);
+
+    track.sample(-1).set(1, 0, 0, 0);
+    track.sample(10).set(1, 0, 0, 0);
+    original[1].set(1, 0, 0, 0);
+
+    times.forEach((time, i) => expect(track.sample(time).values).arrayToBeCloseTo(keyframes[i].values, delta));
+  });
+
+  test('sample with a single keyframe', () => {
+    const track = new QuaternionTrack([2], [keyframes[1]]);
+
+    expect(track.sample(0).values).arrayToBeCloseTo(keyframes[1].values, delta);
+    expect(track.sample(5).values).arrayToBeCloseTo(keyframes[1].values, delta);
+  });
+
+  test('throws with mismatched keyframes', () => {
+    expect(() => new QuaternionTrack([0, 1], [keyframes[0]])).toThrow();
+    expect(() => new QuaternionTrack([], [])).toThrow();
+  });
+});
@@ -0,0 +1,114 @@
+import { AABB, Float32Vector3, Intersection, Matrix4, Plane, project, Ray, Sphere, Vector3 } from '../src/index';
+import './lib/array_close_to';
+
+const delta = 0.001;
+
+describe('Ray', () => {
+  test('at', () => {
+    const ray = new Ray(new Vector3(1, 2, 3), new Vector3(0, 0, -1));
+    expect(ray.at(2).values).arrayToBeCloseTo([1, 2, 1], delta);
+  });
+
+  test('fromScreen through the center of the viewport', () => {
+    const viewport = { x: 0, y: 0, width: 640, height: 480 };
+    const camera = new Vector3(0, 0, 5);
+    const view = Matrix4.lookAt(camera, new Vector3(0, 0, 0), new Vector3(0, 1, 0));
+    const proj = Matrix4.perspective({ fovYRadian: Math.PI / 2, aspectRatio: 640 / 480, near: 1, far: 50 });
+
+    const ray = Ray.fromScreen(320, 240, view, proj, viewport) as Ray;
+    expect(ray.origin.values).arrayToBeCloseTo([0, 0, 4], delta);
+    expect(ray.direction.values).arrayToBeCloseTo([0, 0, -1], delta);
+  });
+
+  test('fromScreen passes through the projected point', () => {
+    const viewport = { x: 0, y: 0, width: 640, height: 480 };
+    const view = Matrix4.lookAt(new Vector3(3, 4, 5), new Vector3(0, 1, 0), new Vector3(0, 1, 0));
+    const proj = Matrix4.perspective({ fovYRadian: Math.PI / 3, aspectRatio: 640 / 480, near: 0.1, far: 100 });
+    const point = new Vector3(-1, 2, 0.5);
+    const screen = project(point, proj.mulByMatrix4x4(view), viewport) as Float32Vector3;
+
+    const ray = Ray.fromScreen(screen.x, screen.y, view, proj, viewport) as Ray;
+    const distance = point.sub(ray.origin).dot(ray.direction);
+    expect(ray.direction.magnitude).toBeCloseTo(1);
+    expect(distance).toBeGreaterThan(0);
+    expect(ray.at(distance).values).arrayToBeCloseTo(point.values, 0.01);
+  });
+
+  test('fromScreen with an orthographic projection', () => {
+    const viewport = { x: 0, y: 0, width: 200, height: 200 };
+    const view = Matrix4.lookAt(new Vector3(0, 0, 5), new Vector3(0, 0, 0), new Vector3(0, 1, 0));
+    const proj = Matrix4.orthographic({ top: 1, bottom: -1, left: -1, right: 1, near: 1, far: 10 });
+
+    const ray = Ray.fromScreen(150, 50, view, proj, viewport) as Ray;
+    expect(ray.origin.values).arrayToBeCloseTo([0.5, -0.5, 4], delta);
+    expect(ray.direction.values).arrayToBeCloseTo([0, 0, -1], delta);
+  });
+
+  test('fromScreen with reversed depth and an infinite far plane', () => {
+    const viewport = { x: 0, y: 0, width: 640, height: 480 };
+    const view = Matrix4.lookAt(new Vector3(0, 0, 5), new Vector3(0, 0, 0), new Vector3(0, 1, 0));
+    const options = { depthRange: 'zeroToOne' as 'zeroToOne', reversedDepth: true };
+    const proj = Matrix4.perspective({ fovYRadian: Math.PI / 2, aspectRatio: 640 / 480, near: 1, far: Infinity, ...options });
+
+    const ray = Ray.fromScreen(320, 240, view, proj, viewport, options) as Ray;
+    expect(ray.origin.values).arrayToBeCloseTo([0, 0, 4], delta);
+    expect(ray.direction.values).arrayToBeCloseTo([0, 0, -1], delta);
+  });
+
+  test('transform', () => {
+    const ray = new Ray(new Vector3(1, 0, 0), new Vector3(1, 0, 0));
+    const transformed = ray.transform(Matrix4.translation(0, 0, 5).rotateZ(Math.PI / 2).scale(2, 2, 2));
+
+    expect(transformed.origin.values).arrayToBeCloseTo([0, 2, 5], delta);
+    expect(transformed.direction.values).arrayToBeCloseTo([0, 1, 0], delta);
+  });
+
+  test('intersectPlane', () => {
+    const plane = Plane.fromPointAndNormal(new Vector3(0, 0, -2), new Vector3(0, 0, 1));
+    const hit = new Ray(new Vector3(1, 1, 2), new Vector3(0, 0, -1)).intersectPlane(plane) as Intersection;
+
+    expect(hit.distance).toBeCloseTo(4);
+    expect(hit.normal.values).arrayToBeCloseTo([0, 0, 1], delta);
+
+    const below = new Ray(new Vector3(1, 1, -5), new Vector3(0, 0, 1)).intersectPlane(plane) as Intersection;
+    expect(below.distance).toBeCloseTo(3);
+    expect(below.normal.values).arrayToBeCloseTo([0, 0, -1], delta);
+
+    expect(new Ray(new Vector3(1, 1, 2), new Vector3(0, 0, 1)).intersectPlane(plane)).toBeNull();
+    expect(new Ray(new Vector3(1, 1, 2), new Vector3(1, 0, 0)).intersectPlane(plane)).toBeNull();
+  });
+
+  test('intersectSphere', () => {
+    const sphere = new Sphere(new Vector3(0, 0, -5), 1);
+    const hit = new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, -1)).intersectSphere(sphere) as Intersection;
+
+    expect(hit.distance).toBeCloseTo(4);
+    expect(hit.normal.values).arrayToBeCloseTo([0, 0, 1], delta);
+
+    const inside = new Ray(new Vector3(0, 0, -5), new Vector3(1, 0, 0)).intersectSphere(sphere) as Intersection;
+    expect(inside.distance).toBeCloseTo(1);
+    expect(inside.normal.values).arrayToBeCloseTo([1, 0, 0], delta);
+
+    expect(new Ray(new Vector3(0, 2, 0), new Vector3(0, 0, -1)).intersectSphere(sphere)).toBeNull();
+    expect(new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, 1)).intersectSphere(sphere)).toBeNull();
+  });
+
+  test('intersectAABB', () => {
+    const box = new AABB(new Vector3(-1, -1, -1), new Vector3(1, 1, 1));
+    const hit = new Ray(new Vector3(-5, 0.5, 0), new Vector3(1, 0, 0)).intersectAABB(box) as Intersection;
+
+    expect(hit.distance).toBeCloseTo(4);
+    expect(hit.normal.values).arrayToBeCloseTo([-1, 0, 0], delta);
+
+    const fromAbove = new Ray(new Vector3(0.5, 5, 0), new Vector3(0, -1, 0)).intersectAABB(box) as Intersection;
+    expect(fromAbove.distance).toBeCloseTo(4);
+    expect(fromAbove.normal.values).arrayToBeCloseTo([0, 1, 0], delta);
+
+    const inside = new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, -1)).intersectAABB(box) as Intersection;
+    expect(inside.distance).toBeCloseTo(1);
+    expect(inside.normal.values).arrayToBeCloseTo([0, 0, -1], delta);
+
+    expect(new Ray(new Vector3(-5, 2, 0), new Vector3(1, 0, 0)).intersectAABB(box)).toBeNull();
+    expect(new Ray(new Vector3(5, 0, 0), new Vector3(1, 0, 0)).intersectAABB(box)).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+import { Matrix4, Sphere, Vector3 } from '../src/index';
+import './lib/array_close_to';
+
+const delta = 0.001;
+
+describe('Sphere', () => {
+  test('containsPoint, containsSphere and intersectsSphere', () => {
+    const sphere = new Sphere(new Vector3(1, 0, 0), 2);
+
+    expect(sphere.containsPoint(new Vector3(3, 0, 0))).toBe(true);
+    expect(sphere.containsPoint(new Vector3(3, 0.1, 0))).toBe(false);
+    expect(sphere.containsSphere(new Sphere(new Vector3(2, 0, 0), 1))).toBe(true);
+    expect(sphere.containsSphere(new Sphere(new Vector3(2, 0, 0), 1.5))).toBe(false);
+    expect(sphere.intersectsSphere(new Sphere(new Vector3(5, 0, 0), 2))).toBe(true);
+    expect(sphere.intersectsSphere(new Sphere(new Vector3(5, 0, 0), 1.9))).toBe(false);
+  });
+
+  test('union', () => {
+    const a = new Sphere(new Vector3(0, 0, 0), 1);
+    const b = new Sphere(new Vector3(4, 0, 0), 1);
+    const union = a.union(b);
+
+    expect(union.center.values).arrayToBeCloseTo([2, 0, 0], delta);
+    expect(union.radius).toBeCloseTo(3);
+    expect(a.union(new Sphere(new Vector3(0.5, 0, 0), 0.2))).toBe(a);
+  });
+
+  test('expandByPoint', () => {
+    const sphere = new Sphere(new Vector3(0, 0, 0), 1).expandByPoint(new Vector3(0, 3, 0));
+
+    expect(sphere.center.values).arrayToBeCloseTo([0, 1, 0], delta);
+    expect(sphere.radius).toBeCloseTo(2);
+    expect(sphere.containsPoint(new Vector3(0, -1, 0))).toBe(true);
+  });
+
+  test('transform', () => {
+    const sphere = new Sphere(new Vector3(1, 0, 0), 2);
+    const transformed = sphere.transform(Matrix4.translation(0, 5, 0).rotateZ(Math.PI / 2).scale(1, 3, 2));
+
+    expect(transformed.center.values).arrayToBeCloseTo([0, 6, 0], delta);
+    expect(transformed.radius).toBeCloseTo(6);
+  });
+});
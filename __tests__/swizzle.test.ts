@@ -0,0 +1,79 @@
+import {
+  Float32Vector2, Float32Vector3, Float32Vector4,
+  Float64Vector2, Float64Vector3, Float64Vector4,
+  Int32Vector3, Int32Vector4, Uint32Vector2, Uint32Vector4,
+} from '../src/index';
+
+describe('Swizzle', () => {
+  test('Read swizzles return vectors of the swizzle length', () => {
+    const vec = new Float32Vector4(1, 2, 3, 4);
+
+    expect(vec.wx).toBeInstanceOf(Float32Vector2);
+    expect(vec.wx.values).toEqual(new Float32Array([4, 1]));
+    expect(vec.zyx).toBeInstanceOf(Float32Vector3);
+    expect(vec.zyx.values).toEqual(new Float32Array([3, 2, 1]));
+    expect(vec.xxyy).toBeInstanceOf(Float32Vector4);
+    expect(vec.xxyy.values).toEqual(new Float32Array([1, 1, 2, 2]));
+  });
+
+  test('Swizzles can be longer than the vector', () => {
+    const vec = new Float32Vector2(1, 2);
+
+    expect(vec.yxy.values).toEqual(new Float32Array([2, 1, 2]));
+    expect(vec.xyxy.values).toEqual(new Float32Array([1, 2, 1, 2]));
+  });
+
+  test('rgba and stpq aliases', () => {
+    const vec = new Float32Vector4(1, 2, 3, 4);
+
+    expect([vec.r, vec.g, vec.b, vec.a]).toEqual([1, 2, 3, 4]);
+    expect([vec.s, vec.t, vec.p, vec.q]).toEqual([1, 2, 3, 4]);
+    expect(vec.bgr.values).toEqual(new Float32Array([3, 2, 1]));
+    expect(vec.qp.values).toEqual(new Float32Array([4, 3]));
+
+    vec.g = 5;
+    vec.q = 6;
+    expect(vec.values).toEqual(new Float32Array([1, 5, 3, 6]));
+  });
+
+  test('Write swizzles', () => {
+    const vec = new Float32Vector3(1, 2, 3);
+
+    vec.zx = new Float32Vector2(5, 6);
+    expect(vec.values).toEqual(new Float32Array([6, 2, 5]));
+
+    vec.bgr = new Float32Vector3(7, 8, 9);
+    expect(vec.values).toEqual(new Float32Array([9, 8, 7]));
+  });
+
+  test('Write a swizzle of the vector itself', () => {
+    const vec = new Float32Vector3(1, 2, 3);
+
+    vec.zyx = vec;
+    expect(vec.values).toEqual(new Float32Array([3, 2, 1]));
+  });
+
+  test('Swizzles keep the element type', () => {
+    const float64 = new Float64Vector4(1, 2, 3, 4);
+    expect(float64.xyz).toBeInstanceOf(Float64Vector3);
+    expect(float64.wzyx).toBeInstanceOf(Float64Vector4);
+    expect(new Float64Vector3(1, 2, 3).xy).toBeInstanceOf(Float64Vector2);
+
+    const int32 = new Int32Vector3(-1, 2, 3);
+    expect(int32.zyxx).toBeInstanceOf(Int32Vector4);
+    expect(int32.zyxx.values).toEqual(new Int32Array([3, 2, -1, -1]));
+
+    const uint32 = new Uint32Vector4(1, 2, 3, 4);
+    expect(uint32.ts).toBeInstanceOf(Uint32Vector2);
+    expect(uint32.ts.values).toEqual(new Uint32Array([2, 1]));
+
+    uint32.yw = new Uint32Vector2(7, 8);
+    expect(uint32.values).toEqual(new Uint32Array([1, 7, 3, 8]));
+  });
+
+  test('Swizzles with a repeated component are read-only', () => {
+    const vec = new Float32Vector2(1, 2);
+
+    expect(() => { (vec as any).xx = new Float32Vector2(3, 4); }).toThrow();
+  });
+});
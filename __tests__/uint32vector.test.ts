@@ -0,0 +1,161 @@
+import { Uint32Vector2, Uint32Vector3, Uint32Vector4 } from '../src/index';
+
+//
+// Uint32Vector2
+//
+describe('Uint32Vector2', () => {
+  test('Add and Sub Uint32Vector2', () => {
+    const vec1 = new Uint32Vector2(1, 5);
+    const vec2 = new Uint32Vector2(3, 4);
+
+    expect(vec1.add(vec2).values).toEqual(new Uint32Array([4, 9]));
+    expect(vec1.sub(vec2).values).toEqual(new Uint32Array([4294967294, 1]));
+  });
+
+  test('Div truncates', () => {
+    const vec = new Uint32Vector2(7, 4294967295);
+
+    expect(vec.div(new Uint32Vector2(2, 2)).values).toEqual(new Uint32Array([3, 2147483647]));
+    expect(vec.div(new Uint32Vector2(0, 1)).values).toEqual(new Uint32Array([0, 4294967295]));
+  });
+
+  test('Add wraps around on overflow', () => {
+    const vec = new Uint32Vector2(4294967295, 1);
+
+    expect(vec.add(new Uint32Vector2(1, 4294967295)).values).toEqual(new Uint32Array([0, 0]));
+  });
+
+  test('Mul and MulByScalar wrap around on overflow', () => {
+    const vec = new Uint32Vector2(65536, 4294967295);
+
+    expect(vec.mul(new Uint32Vector2(65536, 4294967295)).values).toEqual(new Uint32Array([0, 1]));
+    expect(new Uint32Vector2(1, 0).mulByScalar(-1).values).toEqual(new Uint32Array([4294967295, 0]));
+  });
+
+  test('MulByScalar truncates the scalar toward zero', () => {
+    expect(new Uint32Vector2(2147483648, 3).mulByScalar(2.5).values).toEqual(new Uint32Array([0, 6]));
+  });
+
+  test('Div by zero results in 0', () => {
+    const vec = new Uint32Vector2(0, 4294967295);
+
+    expect(vec.div(new Uint32Vector2(0, 4294967295)).values).toEqual(new Uint32Array([0, 1]));
+    expect(vec.div(new Uint32Vector2(0, 0)).values).toEqual(new Uint32Array([0, 0]));
+  });
+
+  test('Min, Max and Clamp Uint32Vector2', () => {
+    const vec = new Uint32Vector2(0, 4294967295);
+    const one = new Uint32Vector2(1, 1);
+
+    expect(vec.min(one).values).toEqual(new Uint32Array([0, 1]));
+    expect(vec.max(one).values).toEqual(new Uint32Array([1, 4294967295]));
+    expect(vec.clamp(one, new Uint32Vector2(2, 2)).values).toEqual(new Uint32Array([1, 2]));
+    expect(vec.equals(new Uint32Vector2(0, 4294967295))).toBe(true);
+    expect(vec.equals(one)).toBe(false);
+  });
+
+  test('View over a shared buffer', () => {
+    const buffer = new ArrayBuffer(16);
+    const vec = Uint32Vector2.view(buffer, 4);
+    vec.values.set([5, 6]);
+
+    expect(new Uint32Array(buffer)).toEqual(new Uint32Array([0, 5, 6, 0]));
+    expect(() => Uint32Vector2.view(buffer, 6)).toThrow(RangeError);
+  });
+});
+
+//
+// Uint32Vector3
+//
+describe('Uint32Vector3', () => {
+  test('Mul wraps around on overflow', () => {
+    const vec = new Uint32Vector3(4294967295, 65536, 3);
+
+    expect(vec.mul(new Uint32Vector3(2, 65536, 4)).values).toEqual(new Uint32Array([4294967294, 0, 12]));
+    expect(vec.mulByScalar(3).values).toEqual(new Uint32Array([4294967293, 196608, 9]));
+  });
+
+  test('Min, Max, Clamp and Equals Uint32Vector3', () => {
+    const vec1 = new Uint32Vector3(1, 5, 4294967295);
+    const vec2 = new Uint32Vector3(3, 4, 0);
+
+    expect(vec1.min(vec2).values).toEqual(new Uint32Array([1, 4, 0]));
+    expect(vec1.max(vec2).values).toEqual(new Uint32Array([3, 5, 4294967295]));
+    expect(vec1.clamp(new Uint32Vector3(2, 2, 2), new Uint32Vector3(4, 4, 4)).values).toEqual(new Uint32Array([2, 4, 4]));
+    expect(vec1.equals(new Uint32Vector3(1, 5, 4294967295))).toBe(true);
+    expect(vec1.equals(vec2)).toBe(false);
+  });
+
+  test('Add and Sub wrap around on overflow', () => {
+    expect(new Uint32Vector3(4294967295, 0, 5).add(new Uint32Vector3(2, 0, 5)).values).toEqual(new Uint32Array([1, 0, 10]));
+    expect(new Uint32Vector3(0, 1, 5).sub(new Uint32Vector3(1, 2, 5)).values).toEqual(new Uint32Array([4294967295, 4294967295, 0]));
+  });
+
+  test('Truncates fractions and wraps negative values', () => {
+    expect(new Uint32Vector3(1.9, 4294967296.5, -1).values).toEqual(new Uint32Array([1, 0, 4294967295]));
+  });
+
+  test('Div truncates and division by zero results in 0', () => {
+    expect(new Uint32Vector3(9, 9, 9).div(new Uint32Vector3(2, 0, 10)).values).toEqual(new Uint32Array([4, 0, 0]));
+  });
+
+  test('View over a shared buffer', () => {
+    const buffer = new ArrayBuffer(16);
+    const vec = Uint32Vector3.view(buffer, 4);
+    vec.values.set([5, 6, 7]);
+
+    expect(new Uint32Array(buffer)).toEqual(new Uint32Array([0, 5, 6, 7]));
+    expect(() => Uint32Vector3.view(buffer, 6)).toThrow(RangeError);
+  });
+});
+
+//
+// Uint32Vector4
+//
+describe('Uint32Vector4', () => {
+  test('Arithmetic Uint32Vector4', () => {
+    const vec1 = new Uint32Vector4(1, 2, 3, 4);
+    const vec2 = new Uint32Vector4(5, 6, 7, 8);
+
+    expect(vec1.add(vec2).values).toEqual(new Uint32Array([6, 8, 10, 12]));
+    expect(vec2.div(vec1).values).toEqual(new Uint32Array([5, 3, 2, 2]));
+    expect(vec1.equals(new Uint32Vector4(1, 2, 3, 4))).toBe(true);
+  });
+
+  test('Add and Sub wrap around on overflow', () => {
+    const one = new Uint32Vector4(1, 1, 1, 1);
+
+    expect(new Uint32Vector4(4294967295, 1, 2, 3).add(one).values).toEqual(new Uint32Array([0, 2, 3, 4]));
+    expect(new Uint32Vector4(0, 1, 2, 3).sub(one).values).toEqual(new Uint32Array([4294967295, 0, 1, 2]));
+  });
+
+  test('Mul and MulByScalar wrap around on overflow', () => {
+    const vec = new Uint32Vector4(65536, 2, 3, 4294967295);
+
+    expect(vec.mul(new Uint32Vector4(65536, 2, 3, 2)).values).toEqual(new Uint32Array([0, 4, 9, 4294967294]));
+    expect(new Uint32Vector4(1431655766, 1, 2, 0).mulByScalar(3.7).values).toEqual(new Uint32Array([2, 3, 6, 0]));
+  });
+
+  test('Div truncates and division by zero results in 0', () => {
+    const vec = new Uint32Vector4(10, 10, 0, 4294967295);
+
+    expect(vec.div(new Uint32Vector4(3, 0, 0, 4294967295)).values).toEqual(new Uint32Array([3, 0, 0, 1]));
+  });
+
+  test('Min, Max and Clamp Uint32Vector4', () => {
+    const vec = new Uint32Vector4(1, 5, 0, 4294967295);
+
+    expect(vec.min(new Uint32Vector4(3, 4, 1, 0)).values).toEqual(new Uint32Array([1, 4, 0, 0]));
+    expect(vec.max(new Uint32Vector4(3, 4, 1, 0)).values).toEqual(new Uint32Array([3, 5, 1, 4294967295]));
+    expect(vec.clamp(new Uint32Vector4(2, 2, 2, 2), new Uint32Vector4(4, 4, 4, 4)).values).toEqual(new Uint32Array([2, 4, 2, 4]));
+  });
+
+  test('View over a shared buffer', () => {
+    const buffer = new ArrayBuffer(16);
+    const vec = Uint32Vector4.view(buffer, 0);
+    vec.values.set([5, 6, 7, 8]);
+
+    expect(new Uint32Array(buffer)).toEqual(new Uint32Array([5, 6, 7, 8]));
+    expect(() => Uint32Vector4.view(buffer, 2)).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,208 @@
+/*
+ * Generates the double-precision classes in src/float64vector.ts, src/float64matrix.ts
+ * and src/float64quaternion.ts from their single-precision sources,
+ * and the parity tests that run the single-precision test suites against them.
+ *
+ * Run `npm run generate:float64` after changing src/float32vector.ts, src/matrix.ts or src/quaternion.ts,
+ * or their tests.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+function read(file) {
+  return fs.readFileSync(path.join(root, file), 'utf8');
+}
+
+function writeGenerated(file, source, body) {
+  const note = `// This file is generated by scripts/generate_float64.js from ${source}. Do not edit it by hand.\n\n`;
+  fs.writeFileSync(path.join(root, file), note + body);
+}
+
+// Renames the single-precision types to their double-precision counterparts.
+function rename(source) {
+  return source
+    .replace(/\bFloat32Array\b/g, 'Float64Array')
+    .replace(/\bFloat32Vector([234])\b/g, 'Float64Vector$1')
+    .replace(/\bMatrix(3x3|4x4)\b/g, 'Float64Matrix$1')
+    .replace(/\bQuaternion\b/g, 'Float64Quaternion')
+    .replace(/single-precision/g, 'double-precision')
+    .replace(/float32Vectors/g, 'float64Vectors');
+}
+
+// Returns the part of `source` from `start` up to `end`, or to the end of `source`.
+function cut(source, start, end) {
+  const i = source.indexOf(start);
+  if (i < 0) {
+    throw new Error(`Marker not found: ${start}`);
+  }
+  const j = end === undefined ? source.length : source.indexOf(end, i + start.length);
+  if (j < 0) {
+    throw new Error(`Marker not found: ${end}`);
+  }
+  return source.slice(i, j);
+}
+
+// Inserts `text` before the first `anchor` after `start`.
+function insertBefore(source, start, anchor, text) {
+  const i = source.indexOf(start);
+  const j = source.indexOf(anchor, i);
+  if (i < 0 || j < 0) {
+    throw new Error(`Marker not found: ${i < 0 ? start : anchor}`);
+  }
+  return source.slice(0, j) + text + source.slice(j);
+}
+
+function generateVectors() {
+  const source = read('src/float32vector.ts');
+  let body = rename(cut(source, '/**\n * A 2-dimensional vector', '/**\n * An alias for `Float32Vector2`.')).trim() + '\n';
+
+  ['xy', 'xyz', 'xyzw'].forEach((components) => {
+    const n = components.length;
+    const args = components.split('').map(c => `this.${c}`).join(', ');
+    const conversion = [
+      '',
+      '  /**',
+      `   * Convert the vector to \`Float32Vector${n}\`, for example to upload it to WebGL.`,
+      `   * @returns {Float32Vector${n}}`,
+      '   */',
+      `  toFloat32(): Float32Vector${n} {`,
+      `    return new Float32Vector${n}(${args});`,
+      '  }',
+      '',
+    ].join('\n');
+
+    // The conversion goes at the end of the class.
+    const i = body.indexOf(`export class Float64Vector${n} `);
+    const j = body.indexOf('\n}\n', i);
+    body = body.slice(0, j + 1) + conversion + body.slice(j + 1);
+  });
+
+  writeGenerated('src/float64vector.ts', 'src/float32vector.ts', [
+    "import { viewBuffer } from './buffer_view';",
+    "import { Float32Vector2, Float32Vector3, Float32Vector4 } from './float32vector';",
+    "import { defineSwizzles } from './swizzle';",
+    "import { Swizzle2, Swizzle3, Swizzle4 } from './swizzle_types';",
+    "import { Vector2Base, Vector3Base, Vector4Base } from './vector_base';",
+    '',
+    body,
+  ].join('\n'));
+}
+
+function generateMatrices() {
+  const source = read('src/matrix.ts');
+  let body = rename(cut(source, '/**\n * 3x3 Matrix of single-precision', '/**\n * An alias for `Matrix2x2`.')).trim() + '\n';
+  body = body.replace(/implements Matrix \{/g, 'implements Matrix<Float64Array> {');
+
+  [3, 4].forEach((n) => {
+    const rows = [];
+    for (let c = 1; c <= n; c += 1) {
+      const row = [];
+      for (let r = 1; r <= n; r += 1) {
+        row.push(`m${r}${c}`);
+      }
+      rows.push(`      ${row.join(', ')},`);
+    }
+    const conversion = [
+      '  /**',
+      `   * Convert the matrix to \`Matrix${n}x${n}\`, for example to upload it to WebGL.`,
+      `   * @returns {Matrix${n}x${n}}`,
+      '   */',
+      `  toFloat32(): Matrix${n}x${n} {`,
+      '    const [',
+      ...rows,
+      '    ] = this.values as any;',
+      '',
+      `    return new Matrix${n}x${n}(`,
+      ...rows,
+      '    );',
+      '  }',
+      '',
+      '',
+    ].join('\n');
+    body = insertBefore(body, `export class Float64Matrix${n}x${n} `, '  get values(): Float64Array {', conversion);
+  });
+
+  const vectors = ['Float64Vector2', 'Float64Vector3', 'Float64Vector4'].filter(name => body.indexOf(name) >= 0);
+
+  writeGenerated('src/float64matrix.ts', 'src/matrix.ts', [
+    "import { BatchTransformOptions, resolveBatchLayout } from './batch';",
+    "import { viewBuffer } from './buffer_view';",
+    "import { DepthOptions, resolveDepthValues } from './depth';",
+    "import { Float64Quaternion } from './float64quaternion';",
+    `import { ${vectors.join(', ')} } from './float64vector';`,
+    "import { EulerOrder, Matrix, Matrix3x3, Matrix4x4 } from './matrix';",
+    '',
+    body,
+  ].join('\n'));
+}
+
+function generateQuaternion() {
+  const source = read('src/quaternion.ts');
+  let body = rename(source.slice(source.indexOf('/**')))
+    .replace(' `QuaternionTrack` takes care of it.', '')
+    // The slerp options are shared with `Quaternion` instead of being exported twice.
+    .replace(/\/\*\*\n \* Options of `Float64Quaternion\.slerp`[^]*?\nexport const SHORTER_ANGLE = .*\n\n/, '')
+    .replace(
+      ' * Float64Quaternion which is 4-dimensional complex number.\n * See [Wikipedia](https://en.wikipedia.org/wiki/Float64Quaternion).',
+      ' * Quaternion of double-precision float numbers, which is 4-dimensional complex number.\n'
+        + ' * See [Wikipedia](https://en.wikipedia.org/wiki/Quaternion).',
+    );
+
+  const conversion = [
+    '  /**',
+    '   * Convert the quaternion to `Quaternion`, for example to upload it to WebGL.',
+    '   * @returns {Quaternion}',
+    '   */',
+    '  toFloat32(): Quaternion {',
+    '    return new Quaternion(this.x, this.y, this.z, this.w);',
+    '  }',
+    '',
+    '',
+  ].join('\n');
+  body = insertBefore(body, 'export class Float64Quaternion', '  /**\n   * Returns values as `String`.', conversion);
+
+  writeGenerated('src/float64quaternion.ts', 'src/quaternion.ts', [
+    "import { viewBuffer } from './buffer_view';",
+    "import { Float64Matrix3x3, Float64Matrix4x4 } from './float64matrix';",
+    "import { Float64Vector3 } from './float64vector';",
+    "import { EulerOrder } from './matrix';",
+    "import { Quaternion, SHORTER_ANGLE } from './quaternion';",
+    '',
+    body,
+  ].join('\n'));
+}
+
+// Runs a single-precision test suite against the double-precision classes.
+// `dropped` lists the sections of the suite whose classes have no double-precision counterpart.
+function generateParityTest(source, target, dropped) {
+  let body = read(source).replace(/^import \{[^}]*\} from '\.\.\/src\/\w+';\n/gm, '');
+  dropped.forEach((section) => {
+    body = body.replace(cut(body, `//\n// ${section}\n//\n`, '//\n// '), '');
+  });
+  body = rename(body)
+    .replace(/\bVector([234])\b/g, 'Float64Vector$1')
+    .replace(/\bMatrix([34])\b/g, 'Float64Matrix$1x$1')
+    .trim() + '\n';
+
+  const names = [
+    'EulerOrder',
+    'Float64Matrix3x3',
+    'Float64Matrix4x4',
+    'Float64Quaternion',
+    'Float64Vector2',
+    'Float64Vector3',
+    'Float64Vector4',
+  ].filter(name => new RegExp(`\\b${name}\\b`).test(body));
+
+  writeGenerated(target, source, `import { ${names.join(', ')} } from '../src/index';\n${body}`);
+}
+
+generateVectors();
+generateMatrices();
+generateQuaternion();
+
+generateParityTest('__tests__/float32vector.test.ts', '__tests__/float64vector_parity.test.ts', []);
+generateParityTest('__tests__/matrix.test.ts', '__tests__/float64matrix_parity.test.ts', ['Matrix2']);
+generateParityTest('__tests__/quaternion.test.ts', '__tests__/float64quaternion_parity.test.ts', []);
@@ -0,0 +1,70 @@
+/*
+ * Generates src/swizzle_types.ts, the typings of swizzling properties
+ * that `defineSwizzles` in src/swizzle.ts defines at runtime.
+ *
+ * Run `npm run generate:swizzle` after changing the component names.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Must be the same as COMPONENT_SETS in src/swizzle.ts.
+const componentSets = ['xyzw', 'rgba', 'stpq'];
+
+function indexSequences(dimension, length) {
+  if (length === 0) {
+    return [[]];
+  }
+  const sequences = [];
+  indexSequences(dimension, length - 1).forEach((sequence) => {
+    for (let i = 0; i < dimension; i += 1) {
+      sequences.push(sequence.concat(i));
+    }
+  });
+  return sequences;
+}
+
+function swizzleInterface(dimension) {
+  const lines = [];
+
+  componentSets.forEach((set, setIndex) => {
+    // x, y, z and w are already defined by the base classes.
+    if (setIndex > 0) {
+      for (let i = 0; i < dimension; i += 1) {
+        lines.push(`  ${set[i]}: number;`);
+      }
+    }
+
+    for (let length = 2; length <= 4; length += 1) {
+      indexSequences(dimension, length).forEach((indices) => {
+        const name = indices.map(i => set[i]).join('');
+        const writable = new Set(indices).size === indices.length;
+        lines.push(`  ${writable ? '' : 'readonly '}${name}: V${length};`);
+      });
+    }
+  });
+
+  return [
+    '/**',
+    ` * Swizzling properties of ${dimension}-dimensional vectors.`,
+    ' *',
+    ' * `V2`, `V3` and `V4` are the vector classes of the same element type.',
+    ' * Properties that repeat a component, such as `xx`, are read-only.',
+    ' */',
+    `export interface Swizzle${dimension}<V2, V3, V4> {`,
+    ...lines,
+    '}',
+  ].join('\n');
+}
+
+const source = [
+  '// This file is generated by scripts/generate_swizzle_types.js. Do not edit it by hand.',
+  '',
+  swizzleInterface(2),
+  '',
+  swizzleInterface(3),
+  '',
+  swizzleInterface(4),
+  '',
+].join('\n');
+
+fs.writeFileSync(path.resolve(__dirname, '../src/swizzle_types.ts'), source);
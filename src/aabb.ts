@@ -0,0 +1,190 @@
+import { Float32Vector3, Float32Vector4 } from './float32vector';
+import { Intersection } from './intersection';
+import { Matrix4x4 } from './matrix';
+
+/**
+ * An axis-aligned bounding box, the box of points between `min` and `max` component-wise.
+ */
+export class AABB {
+  protected _min: Float32Vector3;
+  protected _max: Float32Vector3;
+
+  /**
+   * @param {Float32Vector3} min
+   * @param {Float32Vector3} max
+   */
+  constructor(min: Float32Vector3, max: Float32Vector3) {
+    this._min = min;
+    this._max = max;
+  }
+
+  /**
+   * Returns an empty box, that contains no point and becomes the other box by `union`.
+   * @returns {AABB}
+   */
+  static empty(): AABB {
+    return new AABB(
+      new Float32Vector3(Infinity, Infinity, Infinity),
+      new Float32Vector3(-Infinity, -Infinity, -Infinity),
+    );
+  }
+
+  /**
+   * Returns the smallest box that contains all of `points`, or an empty box if there is no point.
+   * @param {Float32Vector3[]} points
+   * @returns {AABB}
+   */
+  static fromPoints(points: Float32Vector3[]): AABB {
+    return points.reduce((box: AABB, point: Float32Vector3) => box.expandByPoint(point), AABB.empty());
+  }
+
+  /**
+   * Returns true if the box contains no point.
+   * @returns {boolean}
+   */
+  isEmpty(): boolean {
+    return this._min.x > this._max.x || this._min.y > this._max.y || this._min.z > this._max.z;
+  }
+
+  /**
+   * Returns true if `point` is inside the box or on its surface.
+   * @param {Float32Vector3} point
+   * @returns {boolean}
+   */
+  containsPoint(point: Float32Vector3): boolean {
+    return point.x >= this._min.x && point.x <= this._max.x
+      && point.y >= this._min.y && point.y <= this._max.y
+      && point.z >= this._min.z && point.z <= this._max.z;
+  }
+
+  /**
+   * Returns true if `other` is entirely inside the box.
+   * @param {AABB} other
+   * @returns {boolean}
+   */
+  containsAABB(other: AABB): boolean {
+    return this.containsPoint(other.min) && this.containsPoint(other.max);
+  }
+
+  /**
+   * Returns true if the box and `other` overlap or touch.
+   * @param {AABB} other
+   * @returns {boolean}
+   */
+  intersectsAABB(other: AABB): boolean {
+    return this._min.x <= other.max.x && this._max.x >= other.min.x
+      && this._min.y <= other.max.y && this._max.y >= other.min.y
+      && this._min.z <= other.max.z && this._max.z >= other.min.z;
+  }
+
+  /**
+   * Returns how deep the box and `other` overlap, or `null` if they do not overlap.
+   *
+   * `distance` is the smallest overlap among the axes, and `normal` is the axis direction
+   * to move the box by `distance` to separate it from `other`.
+   * @param {AABB} other
+   * @returns {Intersection | null}
+   */
+  intersectAABB(other: AABB): Intersection | null {
+    const min = this._min.values;
+    const max = this._max.values;
+    const otherMin = other.min.values;
+    const otherMax = other.max.values;
+
+    let distance: number = Infinity;
+    let axis: number = 0;
+
+    for (let i = 0; i < 3; i += 1) {
+      const overlap: number = Math.min(max[i], otherMax[i]) - Math.max(min[i], otherMin[i]);
+      if (overlap < 0) { return null; }
+      if (overlap < distance) {
+        distance = overlap;
+        axis = i;
+      }
+    }
+
+    // Push toward the side where the center of the box is, relative to the center of `other`.
+    const sign: number = min[axis] + max[axis] < otherMin[axis] + otherMax[axis] ? -1 : 1;
+    const normal = new Float32Vector3(0, 0, 0);
+    normal.values[axis] = sign;
+
+    return { distance, normal };
+  }
+
+  /**
+   * Returns the smallest box that contains both the box and `other`.
+   * @param {AABB} other
+   * @returns {AABB}
+   */
+  union(other: AABB): AABB {
+    return new AABB(this._min.min(other.min), this._max.max(other.max));
+  }
+
+  /**
+   * Returns the smallest box that contains both the box and `point`.
+   * @param {Float32Vector3} point
+   * @returns {AABB}
+   */
+  expandByPoint(point: Float32Vector3): AABB {
+    return new AABB(this._min.min(point), this._max.max(point));
+  }
+
+  /**
+   * Returns the smallest axis-aligned box that contains the box transformed by `matrix`.
+   * @param {Matrix4x4} matrix An affine transformation matrix.
+   * @returns {AABB}
+   */
+  transform(matrix: Matrix4x4): AABB {
+    if (this.isEmpty()) { return this; }
+
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33,
+    ] = matrix.values as any;
+    const c: Float32Vector3 = this.center;
+    const e: Float32Vector3 = this.size.mulByScalar(0.5);
+
+    // The half extents of the new box are the sums of the absolute projections of the old half extents.
+    const center: Float32Vector3 = matrix.mulByVector4(new Float32Vector4(c.x, c.y, c.z, 1)).xyz;
+    const extents = new Float32Vector3(
+      Math.abs(m11) * e.x + Math.abs(m12) * e.y + Math.abs(m13) * e.z,
+      Math.abs(m21) * e.x + Math.abs(m22) * e.y + Math.abs(m23) * e.z,
+      Math.abs(m31) * e.x + Math.abs(m32) * e.y + Math.abs(m33) * e.z,
+    );
+
+    return new AABB(center.sub(extents), center.add(extents));
+  }
+
+  /**
+   * Returns the center of the box.
+   * @returns {Float32Vector3}
+   */
+  get center(): Float32Vector3 {
+    return this._min.add(this._max).mulByScalar(0.5);
+  }
+
+  /**
+   * Returns the size of the box along each axis.
+   * @returns {Float32Vector3}
+   */
+  get size(): Float32Vector3 {
+    return this._max.sub(this._min);
+  }
+
+  /**
+   * Returns the minimum corner of the box.
+   * @returns {Float32Vector3}
+   */
+  get min(): Float32Vector3 {
+    return this._min;
+  }
+
+  /**
+   * Returns the maximum corner of the box.
+   * @returns {Float32Vector3}
+   */
+  get max(): Float32Vector3 {
+    return this._max;
+  }
+}
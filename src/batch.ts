@@ -0,0 +1,60 @@
+/**
+ * Options of batch transforms such as `Matrix4x4.transformPoints`,
+ * that describe where the vectors are in an interleaved buffer.
+ */
+export interface BatchTransformOptions<T extends Float32Array | Float64Array = Float32Array> {
+  /**
+   * Number of elements from the start of a vector to the start of the next one.
+   * Defaults to the number of components of a vector, that is a tightly packed buffer.
+   */
+  stride?: number;
+
+  /**
+   * Index of the first component of the first vector. Defaults to 0.
+   */
+  offset?: number;
+
+  /**
+   * Number of vectors to transform. Defaults to as many as the buffer contains after `offset`.
+   */
+  count?: number;
+
+  /**
+   * Buffer to write the results into, with the same layout as the source.
+   * Elements between vectors are left untouched. Defaults to the source buffer, that is in place.
+   */
+  out?: T;
+}
+
+/**
+ * Resolves the defaults of `options` for a buffer of `length` elements and vectors of `size` components.
+ * Throws an `Error` if the layout does not fit in the buffers.
+ * @param {number} length
+ * @param {number} size
+ * @param {BatchTransformOptions<Float32Array | Float64Array>} options
+ * @returns {{stride: number; offset: number; count: number}}
+ */
+export function resolveBatchLayout(
+  length: number,
+  size: number,
+  options: BatchTransformOptions<Float32Array | Float64Array>,
+): { stride: number, offset: number, count: number } {
+  const stride: number = options.stride === undefined ? size : options.stride;
+  const offset: number = options.offset === undefined ? 0 : options.offset;
+
+  if (stride < size || offset < 0) {
+    throw new Error(`Batch transform needs stride >= ${size} and offset >= 0.`);
+  }
+
+  const count: number = options.count === undefined
+    ? Math.max(Math.floor((length - offset - size) / stride) + 1, 0)
+    : options.count;
+  const end: number = count === 0 ? 0 : offset + (count - 1) * stride + size;
+  const outLength: number = options.out === undefined ? length : options.out.length;
+
+  if (end > length || end > outLength) {
+    throw new Error(`Batch transform of ${count} vectors needs buffers of at least ${end} elements.`);
+  }
+
+  return { stride, offset, count };
+}
@@ -0,0 +1,31 @@
+/**
+ * A constructor of typed arrays such as `Float32Array`.
+ */
+export interface TypedArrayConstructor<T> {
+  readonly BYTES_PER_ELEMENT: number;
+  new(buffer: ArrayBuffer, byteOffset: number, length: number): T;
+}
+
+/**
+ * Returns a typed array over `length` elements of `buffer` from `byteOffset`, without copying.
+ *
+ * Typed array constructors throw errors of the realm they belong to, so the bounds are checked here
+ * to throw a `RangeError` of this realm instead.
+ * @param {TypedArrayConstructor<T>} arrayType
+ * @param {ArrayBuffer} buffer
+ * @param {number} byteOffset
+ * @param {number} length
+ * @returns {T}
+ */
+export function viewBuffer<T>(arrayType: TypedArrayConstructor<T>, buffer: ArrayBuffer, byteOffset: number, length: number): T {
+  const bytes: number = arrayType.BYTES_PER_ELEMENT;
+
+  if (byteOffset % bytes !== 0) {
+    throw new RangeError(`View needs byteOffset to be a multiple of ${bytes}, but got ${byteOffset}.`);
+  }
+  if (byteOffset < 0 || byteOffset + length * bytes > buffer.byteLength) {
+    throw new RangeError(`View of ${length} elements from byteOffset ${byteOffset} does not fit in ${buffer.byteLength} bytes.`);
+  }
+
+  return new arrayType(buffer, byteOffset, length);
+}
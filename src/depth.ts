@@ -0,0 +1,32 @@
+/**
+ * Range of depth in normalized device coordinates.
+ * `'minusOneToOne'` is the range of WebGL and `'zeroToOne'` is that of WebGPU, Direct3D, Vulkan and Metal.
+ */
+export type DepthRange = 'minusOneToOne' | 'zeroToOne';
+
+/**
+ * Depth conventions of projection matrices, shared by functions that read them back such as `Frustum.fromMatrix`.
+ */
+export interface DepthOptions {
+  /**
+   * Defaults to `'minusOneToOne'`.
+   */
+  depthRange?: DepthRange;
+
+  /**
+   * If true, the near plane is mapped to the far end of the depth range and the far plane to the near end.
+   * Combined with `'zeroToOne'` and a floating-point depth buffer, it spreads precision evenly over distance.
+   * Defaults to false.
+   */
+  reversedDepth?: boolean;
+}
+
+/**
+ * Returns the depth values in normalized device coordinates that the near and the far plane are mapped to.
+ * @param {DepthOptions} options
+ * @returns {{near: number; far: number}}
+ */
+export function resolveDepthValues(options: DepthOptions): { near: number, far: number } {
+  const min: number = options.depthRange === 'zeroToOne' ? 0 : -1;
+  return options.reversedDepth ? { near: 1, far: min } : { near: min, far: 1 };
+}
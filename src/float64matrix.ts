@@ -0,0 +1,1674 @@
+// This file is generated by scripts/generate_float64.js from src/matrix.ts. Do not edit it by hand.
+
+import { BatchTransformOptions, resolveBatchLayout } from './batch';
+import { viewBuffer } from './buffer_view';
+import { DepthOptions, resolveDepthValues } from './depth';
+import { Float64Quaternion } from './float64quaternion';
+import { Float64Vector3, Float64Vector4 } from './float64vector';
+import { EulerOrder, Matrix, Matrix3x3, Matrix4x4 } from './matrix';
+
+/**
+ * 3x3 Matrix of double-precision float numbers.
+ *
+ * Values are stored in column major order.
+ */
+export class Float64Matrix3x3 implements Matrix<Float64Array> {
+  protected _values: Float64Array;
+
+  constructor(
+    m11: number, m21: number, m31: number,
+    m12: number, m22: number, m32: number,
+    m13: number, m23: number, m33: number,
+  ) {
+    this._values = new Float64Array([
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    ]);
+  }
+
+  /**
+   * Returns new `Float64Matrix3x3` over 9 elements of `buffer` from `byteOffset`, sharing the memory instead of copying.
+   * Throws a `RangeError` if `byteOffset` is misaligned or the matrix does not fit in `buffer`.
+   * @param {ArrayBuffer} buffer
+   * @param {number} byteOffset
+   * @returns {Float64Matrix3x3}
+   */
+  static view(buffer: ArrayBuffer, byteOffset: number = 0): Float64Matrix3x3 {
+    const m: Float64Matrix3x3 = Object.create(Float64Matrix3x3.prototype);
+    m._values = viewBuffer(Float64Array, buffer, byteOffset, 9);
+    return m;
+  }
+
+  /**
+   * Set values in column major order to the matrix and returns the matrix itself.
+   * @returns {Float64Matrix3x3}
+   */
+  set(
+    m11: number, m21: number, m31: number,
+    m12: number, m22: number, m32: number,
+    m13: number, m23: number, m33: number,
+  ): Float64Matrix3x3 {
+    const v = this._values;
+    v[0] = m11; v[1] = m21; v[2] = m31;
+    v[3] = m12; v[4] = m22; v[5] = m32;
+    v[6] = m13; v[7] = m23; v[8] = m33;
+    return this;
+  }
+
+  /**
+   * Copy the values of `other` to the matrix and returns the matrix itself.
+   * @param {Float64Matrix3x3} other
+   * @returns {Float64Matrix3x3}
+   */
+  copyFrom(other: Float64Matrix3x3): Float64Matrix3x3 {
+    this._values.set(other.values);
+    return this;
+  }
+
+  /**
+   * Make the matrix an identity matrix and returns the matrix itself.
+   * @returns {Float64Matrix3x3}
+   */
+  setIdentity(): Float64Matrix3x3 {
+    return this.set(
+      1.0, 0.0, 0.0,
+      0.0, 1.0, 0.0,
+      0.0, 0.0, 1.0,
+    );
+  }
+
+  /**
+   * Returns an identity matrix.
+   * @returns {Float64Matrix3x3}
+   */
+  static identity(): Float64Matrix3x3 {
+    return new Float64Matrix3x3(
+      1.0, 0.0, 0.0,
+      0.0, 1.0, 0.0,
+      0.0, 0.0, 1.0,
+    );
+  }
+
+  /**
+   * Returns translation matrix.
+   * @param {number} tx
+   * @param {number} ty
+   * @returns {Float64Matrix3x3}
+   */
+  static translation(tx: number, ty: number): Float64Matrix3x3 {
+    return new Float64Matrix3x3(
+      1.0, 0.0, 0.0,
+      0.0, 1.0, 0.0,
+      tx,  ty,  1.0,
+    );
+  }
+
+  /**
+   * Returns scaling matrix.
+   * @param {number} sx
+   * @param {number} sy
+   * @returns {Float64Matrix3x3}
+   */
+  static scaling(sx: number, sy: number): Float64Matrix3x3 {
+    return new Float64Matrix3x3(
+      sx,  0.0, 0.0,
+      0.0, sy,  0.0,
+      0.0, 0.0, 1.0,
+    );
+  }
+
+  /**
+   * Returns rotation matrix.
+   * @param {number} radian
+   * @returns {Float64Matrix3x3}
+   */
+  static rotation(radian: number): Float64Matrix3x3 {
+    const sin: number = Math.sin(radian);
+    const cos: number = Math.cos(radian);
+
+    return new Float64Matrix3x3(
+      cos,  sin, 0.0,
+      -sin, cos, 0.0,
+      0.0,  0.0, 1.0,
+    );
+  }
+
+  /**
+   * 2D Projective transformation matrix from Square[(0,0),(1,0),(1,1),(0,1)] to ConvexQuadrilateral[(x1,y1),(x2,y2),(x3,y3),(x4,y4)]
+   * example: Float64Matrix3x3.projectiveTransform(x1,y1,x2,y2,x3,y3,x4,y4).mulByVector3(new Float64Vector3(x,y,1)).hom2cart
+   * @param {number} x1
+   * @param {number} y1
+   * @param {number} x2
+   * @param {number} y2
+   * @param {number} x3
+   * @param {number} y3
+   * @param {number} x4
+   * @param {number} y4
+   * @returns {Float64Matrix3x3}
+   */
+  static projectiveTransform(
+    x1: number, y1: number,
+    x2: number, y2: number,
+    x3: number, y3: number,
+    x4: number, y4: number,
+  ) {
+    const x2d: number = x2 - x1;
+    const y2d: number = y2 - y1;
+    const x3d: number = x3 - x1;
+    const y3d: number = y3 - y1;
+    const x4d: number = x4 - x1;
+    const y4d: number = y4 - y1;
+
+    // must sgn(d123) == sgn(d124) == sgn(d134) == sgn(d234) != 0
+    const d123: number = x2d * y3d - x3d * y2d;
+    const d124: number = x2d * y4d - x4d * y2d;
+    const d134: number = x3d * y4d - x4d * y3d;
+    const d1234: number = d123 + d134;
+    const d234: number = d1234 - d124;
+
+    const a1: number = d134 * x2d;
+    const b1: number = d123 * x4d;
+    const a2: number = d134 * y2d;
+    const b2: number = d123 * y4d;
+    const a0: number = d134 - d234;
+    const b0: number = d123 - d234;
+    const c0: number = d234;
+
+    return new Float64Matrix3x3(
+      x1 * a0 + a1, y1 * a0 + a2, a0,
+      x1 * b0 + b1, y1 * b0 + b2, b0,
+      x1 * c0,      y1 * c0,      c0,
+    );
+  }
+
+  /**
+   * 2D Projective transformation matrix from ConvexQuadrilateral[(x1,y1),(x2,y2),(x3,y3),(x4,y4)] to Square[(0,0),(1,0),(1,1),(0,1)]
+   * example: Float64Matrix3x3.projectiveInvTransform(x1,y1,x2,y2,x3,y3,x4,y4).mulByVector3(new Float64Vector3(x,y,1)).hom2cart
+   * @param {number} x1
+   * @param {number} y1
+   * @param {number} x2
+   * @param {number} y2
+   * @param {number} x3
+   * @param {number} y3
+   * @param {number} x4
+   * @param {number} y4
+   * @returns {Float64Matrix3x3}
+   */
+  static projectiveInvTransform(
+    x1: number, y1: number,
+    x2: number, y2: number,
+    x3: number, y3: number,
+    x4: number, y4: number,
+  ) {
+    const x2d: number = x2 - x1;
+    const y2d: number = y2 - y1;
+    const x3d: number = x3 - x1;
+    const y3d: number = y3 - y1;
+    const x4d: number = x4 - x1;
+    const y4d: number = y4 - y1;
+
+    // must sgn(d123) == sgn(d124) == sgn(d134) == sgn(d234) != 0
+    const d123: number = x2d * y3d - x3d * y2d;
+    const d124: number = x2d * y4d - x4d * y2d;
+    const d134: number = x3d * y4d - x4d * y3d;
+    const d1234: number = d123 + d134;
+    const d234: number = d1234 - d124;
+    const d11: number = d123 - d124;
+    const d22: number = d134 - d124;
+
+    const a1: number = -d123 * d234 * y4d;
+    const b1: number = d123 * d234 * x4d;
+    const a2: number = d134 * d234 * y2d;
+    const b2: number = -d134 * d234 * x2d;
+    const a0: number = d22 * d134 * y2d - d11 * d123 * y4d;
+    const b0: number = d11 * d123 * x4d - d22 * d134 * x2d;
+    const c0: number = -d123 * d124 * d134;
+
+    return new Float64Matrix3x3(
+      a1, a2, a0,
+      b1, b2, b0,
+      -a1 * x1 - b1 * y1,
+      -a2 * x1 - b2 * y1,
+      -a0 * x1 - b0 * y1 + c0,
+    );
+  }
+
+  /**
+   * Multiply by `other` vector and returns a vector.
+   * @param {Float64Vector3} other
+   * @returns {Float64Vector3}
+   */
+  mulByVector3(other: Float64Vector3) {
+    const [
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    ] = this.values as any;
+    const [
+      o1, o2, o3,
+    ] = other.values as any;
+
+    const p1: number = (m11 * o1) + (m12 * o2) + (m13 * o3);
+    const p2: number = (m21 * o1) + (m22 * o2) + (m23 * o3);
+    const p3: number = (m31 * o1) + (m32 * o2) + (m33 * o3);
+
+    return new Float64Vector3(p1, p2, p3);
+  }
+
+  /**
+   * Multiply every 3-dimensional vector in `array` by the matrix, as `mulByVector3` does.
+   * For example, pass a normal matrix to transform the normals of a vertex buffer.
+   * @param {Float64Array} array Interleaved vectors described by `options`.
+   * @param {BatchTransformOptions<Float64Array>} options
+   * @returns {Float64Array} `options.out` if given, otherwise `array`.
+   */
+  transformVectors(array: Float64Array, options: BatchTransformOptions<Float64Array> = {}): Float64Array {
+    const [
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    ] = this.values as any;
+    const { stride, offset, count } = resolveBatchLayout(array.length, 3, options);
+    const out: Float64Array = options.out || array;
+
+    for (let i = 0, j = offset; i < count; i += 1, j += stride) {
+      const x: number = array[j];
+      const y: number = array[j + 1];
+      const z: number = array[j + 2];
+
+      out[j] = (m11 * x) + (m12 * y) + (m13 * z);
+      out[j + 1] = (m21 * x) + (m22 * y) + (m23 * z);
+      out[j + 2] = (m31 * x) + (m32 * y) + (m33 * z);
+    }
+
+    return out;
+  }
+
+  /**
+   * Multiply by `other` matrix and returns a product.
+   *
+   * This method does not mutate the matrix.
+   * @param {Float64Matrix3x3} other
+   * @returns {Float64Matrix3x3}
+   */
+  mulByMatrix3x3(other: Float64Matrix3x3): Float64Matrix3x3 {
+    const [
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    ] = this.values as any;
+    const [
+      o11, o21, o31,
+      o12, o22, o32,
+      o13, o23, o33,
+    ] = other.values as any;
+
+    const p11: number = (m11 * o11) + (m12 * o21) + (m13 * o31);
+    const p21: number = (m21 * o11) + (m22 * o21) + (m23 * o31);
+    const p31: number = (m31 * o11) + (m32 * o21) + (m33 * o31);
+
+    const p12: number = (m11 * o12) + (m12 * o22) + (m13 * o32);
+    const p22: number = (m21 * o12) + (m22 * o22) + (m23 * o32);
+    const p32: number = (m31 * o12) + (m32 * o22) + (m33 * o32);
+
+    const p13: number = (m11 * o13) + (m12 * o23) + (m13 * o33);
+    const p23: number = (m21 * o13) + (m22 * o23) + (m23 * o33);
+    const p33: number = (m31 * o13) + (m32 * o23) + (m33 * o33);
+
+    return new Float64Matrix3x3(
+      p11, p21, p31,
+      p12, p22, p32,
+      p13, p23, p33,
+    );
+  }
+
+  /**
+   * An alias for `mulByMatrix3x3`.
+   * @param {Float64Matrix3x3} other
+   * @returns {Float64Matrix3x3}
+   */
+  mulByMatrix3(other: Float64Matrix3x3): Float64Matrix3x3 {
+    return this.mulByMatrix3x3(other);
+  }
+
+  /**
+   * Translate the matrix and returns new `Float64Matrix3x3`.
+   *
+   * This method does not mutate the matrix.
+   * @param {number} tx
+   * @param {number} ty
+   * @returns {Float64Matrix4x4}
+   */
+  translate(tx: number, ty: number): Float64Matrix3x3 {
+    const t: Float64Matrix3x3 = Float64Matrix3x3.translation(tx, ty);
+    return this.mulByMatrix3x3(t);
+  }
+
+  /**
+   * Scale the matrix and returns new `Float64Matrix3x3`.
+   * @param {number} sx
+   * @param {number} sy
+   * @returns {Float64Matrix3x3}
+   */
+  scale(sx: number, sy: number): Float64Matrix3x3 {
+    const s: Float64Matrix3x3 = Float64Matrix3x3.scaling(sx, sy);
+    return this.mulByMatrix3x3(s);
+  }
+
+  /**
+   * Rotate the matrix and returns new `Float64Matrix3x3`.
+   *
+   * This method does not mutate the matrix.
+   * @param {number} radian
+   * @returns {Float64Matrix3x3}
+   */
+  rotate(radian: number): Float64Matrix3x3 {
+    const r: Float64Matrix3x3 = Float64Matrix3x3.rotation(radian);
+    return this.mulByMatrix3x3(r);
+  }
+
+  /**
+   * Returns the transposed matrix.
+   *
+   * This method does not mutate the matrix.
+   * @returns {Float64Matrix3x3}
+   */
+  transpose(): Float64Matrix3x3 {
+    const [
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    ] = this.values as any;
+
+    return new Float64Matrix3x3(
+      m11, m12, m13,
+      m21, m22, m23,
+      m31, m32, m33,
+    );
+  }
+
+  /**
+   * Calculates the determinant of the matrix.
+   * @returns {number}
+   */
+  determinant(): number {
+    const [
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    ] = this.values as any;
+
+    return m11 * (m22 * m33 - m32 * m23)
+      + m21 * (m32 * m13 - m12 * m33)
+      + m31 * (m12 * m23 - m22 * m13);
+  }
+
+  /**
+   * Returns the inverse matrix, or `null` if the matrix is singular.
+   *
+   * This method does not mutate the matrix.
+   * @returns {Float64Matrix3x3 | null}
+   */
+  inverse(): Float64Matrix3x3 | null {
+    const [
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    ] = this.values as any;
+
+    // Cofactors of the matrix.
+    const c11: number = m22 * m33 - m32 * m23;
+    const c12: number = m31 * m23 - m21 * m33;
+    const c13: number = m21 * m32 - m31 * m22;
+    const c21: number = m32 * m13 - m12 * m33;
+    const c22: number = m11 * m33 - m31 * m13;
+    const c23: number = m31 * m12 - m11 * m32;
+    const c31: number = m12 * m23 - m22 * m13;
+    const c32: number = m21 * m13 - m11 * m23;
+    const c33: number = m11 * m22 - m21 * m12;
+
+    const det: number = m11 * c11 + m21 * c21 + m31 * c31;
+    if (det === 0) { return null; }
+    const r: number = 1 / det;
+
+    return new Float64Matrix3x3(
+      c11 * r, c12 * r, c13 * r,
+      c21 * r, c22 * r, c23 * r,
+      c31 * r, c32 * r, c33 * r,
+    );
+  }
+
+  /**
+   * Convert the matrix to `Matrix3x3`, for example to upload it to WebGL.
+   * @returns {Matrix3x3}
+   */
+  toFloat32(): Matrix3x3 {
+    const [
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    ] = this.values as any;
+
+    return new Matrix3x3(
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    );
+  }
+
+  get values(): Float64Array {
+    return this._values;
+  }
+
+  toString(): string {
+    return this._values.toString();
+  }
+}
+
+/**
+ * Tolerance used by `Float64Matrix4x4.decompose` to tell whether the matrix is affine and free of shear.
+ */
+const DECOMPOSE_TOLERANCE = 0.0001;
+
+/**
+ * `Float64Matrix4x4.toEuler` treats the middle rotation as +-90 degrees when the sine of it exceeds this value.
+ */
+const GIMBAL_LOCK_THRESHOLD = 0.9999999;
+
+/**
+ * 4x4 Matrix of double-precision float numbers.
+ *
+ * Values are stored in column major order.
+ */
+export class Float64Matrix4x4 implements Matrix<Float64Array> {
+  protected _values: Float64Array;
+
+  constructor(
+    m11: number, m21: number, m31: number, m41: number,
+    m12: number, m22: number, m32: number, m42: number,
+    m13: number, m23: number, m33: number, m43: number,
+    m14: number, m24: number, m34: number, m44: number,
+  ) {
+    this._values = new Float64Array([
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ]);
+  }
+
+  /**
+   * Returns new `Float64Matrix4x4` over 16 elements of `buffer` from `byteOffset`, sharing the memory instead of copying.
+   * Throws a `RangeError` if `byteOffset` is misaligned or the matrix does not fit in `buffer`.
+   * @param {ArrayBuffer} buffer
+   * @param {number} byteOffset
+   * @returns {Float64Matrix4x4}
+   */
+  static view(buffer: ArrayBuffer, byteOffset: number = 0): Float64Matrix4x4 {
+    const m: Float64Matrix4x4 = Object.create(Float64Matrix4x4.prototype);
+    m._values = viewBuffer(Float64Array, buffer, byteOffset, 16);
+    return m;
+  }
+
+  /**
+   * Set values in column major order to the matrix and returns the matrix itself.
+   * @returns {Float64Matrix4x4}
+   */
+  set(
+    m11: number, m21: number, m31: number, m41: number,
+    m12: number, m22: number, m32: number, m42: number,
+    m13: number, m23: number, m33: number, m43: number,
+    m14: number, m24: number, m34: number, m44: number,
+  ): Float64Matrix4x4 {
+    const v = this._values;
+    v[0] = m11; v[1] = m21; v[2] = m31; v[3] = m41;
+    v[4] = m12; v[5] = m22; v[6] = m32; v[7] = m42;
+    v[8] = m13; v[9] = m23; v[10] = m33; v[11] = m43;
+    v[12] = m14; v[13] = m24; v[14] = m34; v[15] = m44;
+    return this;
+  }
+
+  /**
+   * Copy the values of `other` to the matrix and returns the matrix itself.
+   * @param {Float64Matrix4x4} other
+   * @returns {Float64Matrix4x4}
+   */
+  copyFrom(other: Float64Matrix4x4): Float64Matrix4x4 {
+    this._values.set(other.values);
+    return this;
+  }
+
+  /**
+   * Make the matrix an identity matrix and returns the matrix itself.
+   * @returns {Float64Matrix4x4}
+   */
+  setIdentity(): Float64Matrix4x4 {
+    return this.set(
+      1.0, 0.0, 0.0, 0.0,
+      0.0, 1.0, 0.0, 0.0,
+      0.0, 0.0, 1.0, 0.0,
+      0.0, 0.0, 0.0, 1.0,
+    );
+  }
+
+  /**
+   * Returns an identity matrix.
+   * @returns {Float64Matrix4x4}
+   */
+  static identity(): Float64Matrix4x4 {
+    return new Float64Matrix4x4(
+      1.0, 0.0, 0.0, 0.0,
+      0.0, 1.0, 0.0, 0.0,
+      0.0, 0.0, 1.0, 0.0,
+      0.0, 0.0, 0.0, 1.0,
+    );
+  }
+
+  /**
+   * Returns translation matrix.
+   * @param {number} tx
+   * @param {number} ty
+   * @param {number} tz
+   * @returns {Float64Matrix4x4}
+   */
+  static translation(tx: number, ty: number, tz: number): Float64Matrix4x4 {
+    return new Float64Matrix4x4(
+      1.0, 0.0, 0.0, 0.0,
+      0.0, 1.0, 0.0, 0.0,
+      0.0, 0.0, 1.0, 0.0,
+      tx,  ty,  tz,  1.0,
+    );
+  }
+
+  /**
+   * Returns scaling matrix.
+   * @param {number} sx
+   * @param {number} sy
+   * @param {number} sz
+   * @returns {Float64Matrix4x4}
+   */
+  static scaling(sx: number, sy: number, sz: number): Float64Matrix4x4 {
+    return new Float64Matrix4x4(
+      sx,  0.0, 0.0, 0.0,
+      0.0, sy,  0.0, 0.0,
+      0.0, 0.0, sz,  0.0,
+      0.0, 0.0, 0.0, 1.0,
+    );
+  }
+
+  /**
+   * Returns rotation matrix around x-axis.
+   * @param {number} radian
+   * @returns {Float64Matrix4x4}
+   */
+  static rotationX(radian: number): Float64Matrix4x4 {
+    const sin: number = Math.sin(radian);
+    const cos: number = Math.cos(radian);
+
+    return new Float64Matrix4x4(
+      1.0, 0.0,  0.0, 0.0,
+      0.0, cos,  sin, 0.0,
+      0.0, -sin, cos, 0.0,
+      0.0, 0.0,  0.0, 1.0,
+    );
+  }
+
+  /**
+   * Returns rotation matrix around y-axis.
+   * @param {number} radian
+   * @returns {Float64Matrix4x4}
+   */
+  static rotationY(radian: number): Float64Matrix4x4 {
+    const sin: number = Math.sin(radian);
+    const cos: number = Math.cos(radian);
+
+    return new Float64Matrix4x4(
+      cos, 0.0, -sin, 0.0,
+      0.0, 1.0, 0.0,  0.0,
+      sin, 0.0, cos,  0.0,
+      0.0, 0.0, 0.0,  1.0,
+    );
+  }
+
+  /**
+   * Returns rotation matrix around z-axis.
+   * @param {number} radian
+   * @returns {Float64Matrix4x4}
+   */
+  static rotationZ(radian: number): Float64Matrix4x4 {
+    const sin: number = Math.sin(radian);
+    const cos: number = Math.cos(radian);
+
+    return new Float64Matrix4x4(
+      cos,  sin, 0.0, 0.0,
+      -sin, cos, 0.0, 0.0,
+      0.0,  0.0, 1.0, 0.0,
+      0.0,  0.0, 0.0, 1.0,
+    );
+  }
+
+  /**
+   * Returns rotation matrix around `normalizedAxis`. `normalizedAxis` must be normalized.
+   * @param {Float64Vector3} normalizedAxis
+   * @param {number} radian
+   * @returns {Float64Matrix4x4}
+   */
+  static rotationAround(normalizedAxis: Float64Vector3, radian: number) : Float64Matrix4x4 {
+    const q = Float64Quaternion.rotationAround(normalizedAxis, radian);
+    return q.toRotationMatrix4();
+  }
+
+  /**
+   * Returns "look at" matrix.
+   * @param {Float64Vector3} cameraPosition
+   * @param {Float64Vector3} lookAtPosition
+   * @param {Float64Vector3} cameraUp
+   * @returns {Float64Matrix4x4}
+   */
+  static lookAt(cameraPosition: Float64Vector3, lookAtPosition: Float64Vector3, cameraUp: Float64Vector3): Float64Matrix4x4 {
+    const zAxis: Float64Vector3 = cameraPosition.sub(lookAtPosition).normalize();
+    const xAxis: Float64Vector3 = cameraUp.cross(zAxis).normalize();
+    const yAxis: Float64Vector3 = zAxis.cross(xAxis).normalize();
+
+    return new Float64Matrix4x4(
+      xAxis.x, yAxis.x, zAxis.x, 0.0,
+      xAxis.y, yAxis.y, zAxis.y, 0.0,
+      xAxis.z, yAxis.z, zAxis.z, 0.0,
+      -cameraPosition.dot(xAxis), -cameraPosition.dot(yAxis), -cameraPosition.dot(zAxis), 1.0,
+    );
+  }
+
+  /**
+   * Returns "look at" matrix for a left-handed coordinate system, where the camera looks down +z-axis.
+   * @param {Float64Vector3} cameraPosition
+   * @param {Float64Vector3} lookAtPosition
+   * @param {Float64Vector3} cameraUp
+   * @returns {Float64Matrix4x4}
+   */
+  static lookAtLH(cameraPosition: Float64Vector3, lookAtPosition: Float64Vector3, cameraUp: Float64Vector3): Float64Matrix4x4 {
+    const zAxis: Float64Vector3 = lookAtPosition.sub(cameraPosition).normalize();
+    const xAxis: Float64Vector3 = cameraUp.cross(zAxis).normalize();
+    const yAxis: Float64Vector3 = zAxis.cross(xAxis).normalize();
+
+    return new Float64Matrix4x4(
+      xAxis.x, yAxis.x, zAxis.x, 0.0,
+      xAxis.y, yAxis.y, zAxis.y, 0.0,
+      xAxis.z, yAxis.z, zAxis.z, 0.0,
+      -cameraPosition.dot(xAxis), -cameraPosition.dot(yAxis), -cameraPosition.dot(zAxis), 1.0,
+    );
+  }
+
+  /**
+   * Returns an orthographic projection matrix.
+   *
+   * By default depth is mapped to [-1, 1] as WebGL expects. See `DepthOptions` for the other conventions.
+   * `far` must be finite, because an orthographic projection of an infinite depth maps every depth to the same value.
+   * Throws a `RangeError` otherwise.
+   * @param {{top: number; bottom: number; left: number; right: number; near: number; far: number} & DepthOptions} argsObject
+   * @returns {Float64Matrix4x4}
+   */
+  static orthographic(argsObject: {top: number, bottom: number, left: number, right: number, near: number, far: number} & DepthOptions): Float64Matrix4x4 {
+    const top: number = argsObject.top;
+    const bottom: number = argsObject.bottom;
+    const left: number = argsObject.left;
+    const right: number = argsObject.right;
+    const near: number = argsObject.near;
+    const far: number = argsObject.far;
+
+    if (!isFinite(far)) {
+      throw new RangeError('Float64Matrix4x4.orthographic needs a finite far plane.');
+    }
+
+    // Map the view-space depth -near and -far linearly to the depth values of the near and the far plane.
+    const depth = resolveDepthValues(argsObject);
+    const scaleZ: number = (depth.near - depth.far) / (far - near);
+    const offsetZ: number = depth.near + scaleZ * near;
+
+    return new Float64Matrix4x4(
+      2 / (right - left),               0.0,                              0.0,     0.0,
+      0.0,                              2 / (top - bottom),               0.0,     0.0,
+      0.0,                              0.0,                              scaleZ,  0.0,
+      -(right + left) / (right - left), -(top + bottom) / (top - bottom), offsetZ, 1.0,
+    );
+  }
+
+  /**
+   * Returns an orthographic projection matrix for a left-handed coordinate system,
+   * where `near` and `far` are distances along +z-axis.
+   * @param {{top: number; bottom: number; left: number; right: number; near: number; far: number} & DepthOptions} argsObject
+   * @returns {Float64Matrix4x4}
+   */
+  static orthographicLH(argsObject: {top: number, bottom: number, left: number, right: number, near: number, far: number} & DepthOptions): Float64Matrix4x4 {
+    // Flipping z of the view space turns the right-handed projection into the left-handed one.
+    return Float64Matrix4x4.orthographic(argsObject).scale(1, 1, -1);
+  }
+
+  /**
+   * Returns a frustrum projection matrix.
+   *
+   * By default depth is mapped to [-1, 1] as WebGL expects. See `DepthOptions` for the other conventions.
+   * `far` can be `Infinity` for an infinite far plane, that never clips distant objects.
+   * @param {{top: number; bottom: number; left: number; right: number; near: number; far: number} & DepthOptions} argsObject
+   * @returns {Float64Matrix4x4}
+   */
+  static frustum(argsObject: {top: number, bottom: number, left: number, right: number, near: number, far: number} & DepthOptions): Float64Matrix4x4 {
+    const top: number = argsObject.top;
+    const bottom: number = argsObject.bottom;
+    const left: number = argsObject.left;
+    const right: number = argsObject.right;
+    const near: number = argsObject.near;
+    const far: number = argsObject.far;
+
+    // The depth after the perspective division is -scaleZ + offsetZ / distance,
+    // which equals the depth values of the near and the far plane at distance `near` and `far`.
+    const depth = resolveDepthValues(argsObject);
+    const scaleZ: number = isFinite(far)
+      ? (depth.near - depth.far) * near / (far - near) - depth.far
+      : -depth.far;
+    const offsetZ: number = isFinite(far)
+      ? (depth.near - depth.far) * near * far / (far - near)
+      : (depth.near - depth.far) * near;
+
+    return new Float64Matrix4x4(
+      2 * near / (right - left),       0.0,                             0.0,      0.0,
+      0.0,                             2 * near / (top - bottom),       0.0,      0.0,
+      (right + left) / (right - left), (top + bottom) / (top - bottom), scaleZ,   -1.0,
+      0.0,                             0.0,                             offsetZ,  0.0,
+    );
+  }
+
+  /**
+   * Returns a frustrum projection matrix for a left-handed coordinate system,
+   * where `near` and `far` are distances along +z-axis.
+   * @param {{top: number; bottom: number; left: number; right: number; near: number; far: number} & DepthOptions} argsObject
+   * @returns {Float64Matrix4x4}
+   */
+  static frustumLH(argsObject: {top: number, bottom: number, left: number, right: number, near: number, far: number} & DepthOptions): Float64Matrix4x4 {
+    return Float64Matrix4x4.frustum(argsObject).scale(1, 1, -1);
+  }
+
+  /**
+   * Returns a perspective projection matrix.
+   *
+   * By default depth is mapped to [-1, 1] as WebGL expects. See `DepthOptions` for the other conventions.
+   * `far` can be `Infinity` for an infinite far plane, that never clips distant objects.
+   * @param {{fovYRadian: number; aspectRatio: number; near: number; far: number} & DepthOptions} argsObject
+   * @returns {Float64Matrix4x4}
+   */
+  static perspective(argsObject: {fovYRadian: number, aspectRatio: number, near: number, far: number} & DepthOptions): Float64Matrix4x4 {
+    const top = argsObject.near * Math.tan(argsObject.fovYRadian * 0.5);
+    const height = top * 2;
+    const width = argsObject.aspectRatio * height;
+    const left = -0.5 * width;
+    const right = left + width;
+    const bottom = top - height;
+
+    return Float64Matrix4x4.frustum({
+      top,
+      bottom,
+      left,
+      right,
+      near: argsObject.near,
+      far: argsObject.far,
+      depthRange: argsObject.depthRange,
+      reversedDepth: argsObject.reversedDepth,
+    });
+  }
+
+  /**
+   * Returns a perspective projection matrix for a left-handed coordinate system,
+   * where `near` and `far` are distances along +z-axis.
+   * @param {{fovYRadian: number; aspectRatio: number; near: number; far: number} & DepthOptions} argsObject
+   * @returns {Float64Matrix4x4}
+   */
+  static perspectiveLH(argsObject: {fovYRadian: number, aspectRatio: number, near: number, far: number} & DepthOptions): Float64Matrix4x4 {
+    return Float64Matrix4x4.perspective(argsObject).scale(1, 1, -1);
+  }
+
+  /**
+   * Returns a matrix that scales, rotates and then translates, in this order.
+   *
+   * This is the reverse of `decompose`.
+   * @param {Float64Vector3} translation
+   * @param {Float64Quaternion} rotation A normalized rotation quaternion.
+   * @param {Float64Vector3} scale
+   * @returns {Float64Matrix4x4}
+   */
+  static compose(translation: Float64Vector3, rotation: Float64Quaternion, scale: Float64Vector3): Float64Matrix4x4 {
+    return Float64Matrix4x4.translation(translation.x, translation.y, translation.z)
+                    .mulByMatrix4x4(rotation.toRotationMatrix4())
+                    .scale(scale.x, scale.y, scale.z);
+  }
+
+  /**
+   * Returns rotation matrix from Euler angles.
+   * @param {number} x Angle around x-axis in radian.
+   * @param {number} y Angle around y-axis in radian.
+   * @param {number} z Angle around z-axis in radian.
+   * @param {EulerOrder} order
+   * @returns {Float64Matrix4x4}
+   */
+  static fromEuler(x: number, y: number, z: number, order: EulerOrder = 'XYZ'): Float64Matrix4x4 {
+    const rotations: { [axis: string]: Float64Matrix4x4 } = {
+      X: Float64Matrix4x4.rotationX(x),
+      Y: Float64Matrix4x4.rotationY(y),
+      Z: Float64Matrix4x4.rotationZ(z),
+    };
+
+    return rotations[order[0]].mulByMatrix4x4(rotations[order[1]]).mulByMatrix4x4(rotations[order[2]]);
+  }
+
+  /**
+   * Multiply by `other` vector and returns a vector.
+   * @param {Float64Vector4} other
+   * @param {Float64Vector4} out The vector to write the result into. New `Float64Vector4` by default.
+   * @returns {Float64Vector4}
+   */
+  mulByVector4(other: Float64Vector4, out: Float64Vector4 = new Float64Vector4(0, 0, 0, 0)): Float64Vector4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+    const [
+      o1, o2, o3, o4,
+    ] = other.values as any;
+
+    const p1: number = (m11 * o1) + (m12 * o2) + (m13 * o3) + (m14 * o4);
+    const p2: number = (m21 * o1) + (m22 * o2) + (m23 * o3) + (m24 * o4);
+    const p3: number = (m31 * o1) + (m32 * o2) + (m33 * o3) + (m34 * o4);
+    const p4: number = (m41 * o1) + (m42 * o2) + (m43 * o3) + (m44 * o4);
+
+    out.x = p1;
+    out.y = p2;
+    out.z = p3;
+    out.w = p4;
+    return out;
+  }
+
+  /**
+   * Transform every point of 3 components in `array` by the matrix, as (x, y, z, 1).
+   *
+   * The bottom row of the matrix is ignored, so the matrix must be affine.
+   * Use `transformPointsProjective` for projection matrices.
+   * @param {Float64Array} array Interleaved points described by `options`.
+   * @param {BatchTransformOptions<Float64Array>} options
+   * @returns {Float64Array} `options.out` if given, otherwise `array`.
+   */
+  transformPoints(array: Float64Array, options: BatchTransformOptions<Float64Array> = {}): Float64Array {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33, ,
+      m14, m24, m34,
+    ] = this.values as any;
+    const { stride, offset, count } = resolveBatchLayout(array.length, 3, options);
+    const out: Float64Array = options.out || array;
+
+    for (let i = 0, j = offset; i < count; i += 1, j += stride) {
+      const x: number = array[j];
+      const y: number = array[j + 1];
+      const z: number = array[j + 2];
+
+      out[j] = (m11 * x) + (m12 * y) + (m13 * z) + m14;
+      out[j + 1] = (m21 * x) + (m22 * y) + (m23 * z) + m24;
+      out[j + 2] = (m31 * x) + (m32 * y) + (m33 * z) + m34;
+    }
+
+    return out;
+  }
+
+  /**
+   * Transform every direction of 3 components in `array` by the matrix, as (x, y, z, 0).
+   * Directions are not affected by translation.
+   *
+   * To transform normals under non-uniform scaling, use `normalMatrix().transformVectors` instead.
+   * @param {Float64Array} array Interleaved directions described by `options`.
+   * @param {BatchTransformOptions<Float64Array>} options
+   * @returns {Float64Array} `options.out` if given, otherwise `array`.
+   */
+  transformDirections(array: Float64Array, options: BatchTransformOptions<Float64Array> = {}): Float64Array {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33,
+    ] = this.values as any;
+    const { stride, offset, count } = resolveBatchLayout(array.length, 3, options);
+    const out: Float64Array = options.out || array;
+
+    for (let i = 0, j = offset; i < count; i += 1, j += stride) {
+      const x: number = array[j];
+      const y: number = array[j + 1];
+      const z: number = array[j + 2];
+
+      out[j] = (m11 * x) + (m12 * y) + (m13 * z);
+      out[j + 1] = (m21 * x) + (m22 * y) + (m23 * z);
+      out[j + 2] = (m31 * x) + (m32 * y) + (m33 * z);
+    }
+
+    return out;
+  }
+
+  /**
+   * Transform every point of 3 components in `array` by the matrix as (x, y, z, 1),
+   * and divide the results by their w, for example to get normalized device coordinates.
+   * @param {Float64Array} array Interleaved points described by `options`.
+   * @param {BatchTransformOptions<Float64Array>} options
+   * @returns {Float64Array} `options.out` if given, otherwise `array`.
+   */
+  transformPointsProjective(array: Float64Array, options: BatchTransformOptions<Float64Array> = {}): Float64Array {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+    const { stride, offset, count } = resolveBatchLayout(array.length, 3, options);
+    const out: Float64Array = options.out || array;
+
+    for (let i = 0, j = offset; i < count; i += 1, j += stride) {
+      const x: number = array[j];
+      const y: number = array[j + 1];
+      const z: number = array[j + 2];
+      const r: number = 1 / ((m41 * x) + (m42 * y) + (m43 * z) + m44);
+
+      out[j] = ((m11 * x) + (m12 * y) + (m13 * z) + m14) * r;
+      out[j + 1] = ((m21 * x) + (m22 * y) + (m23 * z) + m24) * r;
+      out[j + 2] = ((m31 * x) + (m32 * y) + (m33 * z) + m34) * r;
+    }
+
+    return out;
+  }
+
+  /**
+   * Multiply by `other` matrix and returns a product.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {Float64Matrix4x4} other
+   * @param {Float64Matrix4x4} out The matrix to write the result into. New `Float64Matrix4x4` by default.
+   * @returns {Float64Matrix4x4}
+   */
+  mulByMatrix4x4(other: Float64Matrix4x4, out: Float64Matrix4x4 = Float64Matrix4x4.identity()): Float64Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+    const [
+      o11, o21, o31, o41,
+      o12, o22, o32, o42,
+      o13, o23, o33, o43,
+      o14, o24, o34, o44,
+    ] = other.values as any;
+
+    const p11: number = (m11 * o11) + (m12 * o21) + (m13 * o31) + (m14 * o41);
+    const p21: number = (m21 * o11) + (m22 * o21) + (m23 * o31) + (m24 * o41);
+    const p31: number = (m31 * o11) + (m32 * o21) + (m33 * o31) + (m34 * o41);
+    const p41: number = (m41 * o11) + (m42 * o21) + (m43 * o31) + (m44 * o41);
+
+    const p12: number = (m11 * o12) + (m12 * o22) + (m13 * o32) + (m14 * o42);
+    const p22: number = (m21 * o12) + (m22 * o22) + (m23 * o32) + (m24 * o42);
+    const p32: number = (m31 * o12) + (m32 * o22) + (m33 * o32) + (m34 * o42);
+    const p42: number = (m41 * o12) + (m42 * o22) + (m43 * o32) + (m44 * o42);
+
+    const p13: number = (m11 * o13) + (m12 * o23) + (m13 * o33) + (m14 * o43);
+    const p23: number = (m21 * o13) + (m22 * o23) + (m23 * o33) + (m24 * o43);
+    const p33: number = (m31 * o13) + (m32 * o23) + (m33 * o33) + (m34 * o43);
+    const p43: number = (m41 * o13) + (m42 * o23) + (m43 * o33) + (m44 * o43);
+
+    const p14: number = (m11 * o14) + (m12 * o24) + (m13 * o34) + (m14 * o44);
+    const p24: number = (m21 * o14) + (m22 * o24) + (m23 * o34) + (m24 * o44);
+    const p34: number = (m31 * o14) + (m32 * o24) + (m33 * o34) + (m34 * o44);
+    const p44: number = (m41 * o14) + (m42 * o24) + (m43 * o34) + (m44 * o44);
+
+    return out.set(
+      p11, p21, p31, p41,
+      p12, p22, p32, p42,
+      p13, p23, p33, p43,
+      p14, p24, p34, p44,
+    );
+  }
+
+  /**
+   * An alias for `mulByMatrix4x4`.
+   * @param {Float64Matrix4x4} other
+   * @param {Float64Matrix4x4} out The matrix to write the result into. New `Float64Matrix4x4` by default.
+   * @returns {Float64Matrix4x4}
+   */
+  mulByMatrix4(other: Float64Matrix4x4, out: Float64Matrix4x4 = Float64Matrix4x4.identity()): Float64Matrix4x4 {
+    return this.mulByMatrix4x4(other, out);
+  }
+
+  /**
+   * Translate the matrix and returns new `Float64Matrix4x4`.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {number} tx
+   * @param {number} ty
+   * @param {number} tz
+   * @param {Float64Matrix4x4} out The matrix to write the result into. New `Float64Matrix4x4` by default.
+   * @returns {Float64Matrix4x4}
+   */
+  translate(tx: number, ty: number, tz: number, out: Float64Matrix4x4 = Float64Matrix4x4.identity()): Float64Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    // Equals `this.mulByMatrix4x4(Float64Matrix4x4.translation(tx, ty, tz))`, which changes the last column only.
+    return out.set(
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      (m11 * tx) + (m12 * ty) + (m13 * tz) + m14,
+      (m21 * tx) + (m22 * ty) + (m23 * tz) + m24,
+      (m31 * tx) + (m32 * ty) + (m33 * tz) + m34,
+      (m41 * tx) + (m42 * ty) + (m43 * tz) + m44,
+    );
+  }
+
+  /**
+   * Scale the matrix and returns new `Float64Matrix4x4`.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {number} sx
+   * @param {number} sy
+   * @param {number} sz
+   * @param {Float64Matrix4x4} out The matrix to write the result into. New `Float64Matrix4x4` by default.
+   * @returns {Float64Matrix4x4}
+   */
+  scale(sx: number, sy: number, sz: number, out: Float64Matrix4x4 = Float64Matrix4x4.identity()): Float64Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    return out.set(
+      m11 * sx, m21 * sx, m31 * sx, m41 * sx,
+      m12 * sy, m22 * sy, m32 * sy, m42 * sy,
+      m13 * sz, m23 * sz, m33 * sz, m43 * sz,
+      m14,      m24,      m34,      m44,
+    );
+  }
+
+  /**
+   * Rotate the matrix around x-axis and returns new `Float64Matrix4x4`.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {number} radian
+   * @param {Float64Matrix4x4} out The matrix to write the result into. New `Float64Matrix4x4` by default.
+   * @returns {Float64Matrix4x4}
+   */
+  rotateX(radian: number, out: Float64Matrix4x4 = Float64Matrix4x4.identity()): Float64Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+    const sin: number = Math.sin(radian);
+    const cos: number = Math.cos(radian);
+
+    return out.set(
+      m11,                       m21,                       m31,                       m41,
+      (m12 * cos) + (m13 * sin), (m22 * cos) + (m23 * sin), (m32 * cos) + (m33 * sin), (m42 * cos) + (m43 * sin),
+      (m13 * cos) - (m12 * sin), (m23 * cos) - (m22 * sin), (m33 * cos) - (m32 * sin), (m43 * cos) - (m42 * sin),
+      m14,                       m24,                       m34,                       m44,
+    );
+  }
+
+  /**
+   * Rotate the matrix around y-axis and returns new `Float64Matrix4x4`.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {number} radian
+   * @param {Float64Matrix4x4} out The matrix to write the result into. New `Float64Matrix4x4` by default.
+   * @returns {Float64Matrix4x4}
+   */
+  rotateY(radian: number, out: Float64Matrix4x4 = Float64Matrix4x4.identity()): Float64Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+    const sin: number = Math.sin(radian);
+    const cos: number = Math.cos(radian);
+
+    return out.set(
+      (m11 * cos) - (m13 * sin), (m21 * cos) - (m23 * sin), (m31 * cos) - (m33 * sin), (m41 * cos) - (m43 * sin),
+      m12,                       m22,                       m32,                       m42,
+      (m11 * sin) + (m13 * cos), (m21 * sin) + (m23 * cos), (m31 * sin) + (m33 * cos), (m41 * sin) + (m43 * cos),
+      m14,                       m24,                       m34,                       m44,
+    );
+  }
+
+  /**
+   * Rotate the matrix around z-axis and returns new `Float64Matrix4x4`.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {number} radian
+   * @param {Float64Matrix4x4} out The matrix to write the result into. New `Float64Matrix4x4` by default.
+   * @returns {Float64Matrix4x4}
+   */
+  rotateZ(radian: number, out: Float64Matrix4x4 = Float64Matrix4x4.identity()): Float64Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+    const sin: number = Math.sin(radian);
+    const cos: number = Math.cos(radian);
+
+    return out.set(
+      (m11 * cos) + (m12 * sin), (m21 * cos) + (m22 * sin), (m31 * cos) + (m32 * sin), (m41 * cos) + (m42 * sin),
+      (m12 * cos) - (m11 * sin), (m22 * cos) - (m21 * sin), (m32 * cos) - (m31 * sin), (m42 * cos) - (m41 * sin),
+      m13,                       m23,                       m33,                       m43,
+      m14,                       m24,                       m34,                       m44,
+    );
+  }
+
+  /**
+   * Rotate the matrix around the `normalizedAxis` and return new Float64Matrix4x4.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {Float64Vector3} normalizedAxis
+   * @param {number} radian
+   * @param {Float64Matrix4x4} out The matrix to write the result into. New `Float64Matrix4x4` by default.
+   * @returns {Float64Matrix4x4}
+   */
+  rotateAround(normalizedAxis: Float64Vector3, radian: number, out: Float64Matrix4x4 = Float64Matrix4x4.identity()): Float64Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+    const x: number = normalizedAxis.x;
+    const y: number = normalizedAxis.y;
+    const z: number = normalizedAxis.z;
+    const sin: number = Math.sin(radian);
+    const cos: number = Math.cos(radian);
+    const c: number = 1 - cos;
+
+    // Rodrigues' rotation formula, the same rotation as `Float64Matrix4x4.rotationAround`.
+    const r11: number = x * x * c + cos;
+    const r21: number = y * x * c + z * sin;
+    const r31: number = z * x * c - y * sin;
+    const r12: number = x * y * c - z * sin;
+    const r22: number = y * y * c + cos;
+    const r32: number = z * y * c + x * sin;
+    const r13: number = x * z * c + y * sin;
+    const r23: number = y * z * c - x * sin;
+    const r33: number = z * z * c + cos;
+
+    return out.set(
+      m11 * r11 + m12 * r21 + m13 * r31, m21 * r11 + m22 * r21 + m23 * r31,
+      m31 * r11 + m32 * r21 + m33 * r31, m41 * r11 + m42 * r21 + m43 * r31,
+      m11 * r12 + m12 * r22 + m13 * r32, m21 * r12 + m22 * r22 + m23 * r32,
+      m31 * r12 + m32 * r22 + m33 * r32, m41 * r12 + m42 * r22 + m43 * r32,
+      m11 * r13 + m12 * r23 + m13 * r33, m21 * r13 + m22 * r23 + m23 * r33,
+      m31 * r13 + m32 * r23 + m33 * r33, m41 * r13 + m42 * r23 + m43 * r33,
+      m14, m24, m34, m44,
+    );
+  }
+
+  /**
+   * Returns the transposed matrix.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {Float64Matrix4x4} out The matrix to write the result into. New `Float64Matrix4x4` by default.
+   * @returns {Float64Matrix4x4}
+   */
+  transpose(out: Float64Matrix4x4 = Float64Matrix4x4.identity()): Float64Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    return out.set(
+      m11, m12, m13, m14,
+      m21, m22, m23, m24,
+      m31, m32, m33, m34,
+      m41, m42, m43, m44,
+    );
+  }
+
+  /**
+   * Converts a transformation between a right-handed and a left-handed coordinate system by flipping z-axis.
+   * The conversion is its own inverse, so it works in both directions.
+   *
+   * Use it for model and view matrices. Create projection matrices with the factories of the target convention instead.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {Float64Matrix4x4} out The matrix to write the result into. New `Float64Matrix4x4` by default.
+   * @returns {Float64Matrix4x4}
+   */
+  convertHandedness(out: Float64Matrix4x4 = Float64Matrix4x4.identity()): Float64Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    // S * M * S with S = diag(1, 1, -1, 1) negates the elements in either the third row or the third column.
+    return out.set(
+      m11,  m21,  -m31, m41,
+      m12,  m22,  -m32, m42,
+      -m13, -m23, m33,  -m43,
+      m14,  m24,  -m34, m44,
+    );
+  }
+
+  /**
+   * Calculates the determinant of the matrix.
+   * @returns {number}
+   */
+  determinant(): number {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    // 2x2 sub-determinants of the left two columns and of the right two columns.
+    const s0: number = m11 * m22 - m21 * m12;
+    const s1: number = m11 * m32 - m31 * m12;
+    const s2: number = m11 * m42 - m41 * m12;
+    const s3: number = m21 * m32 - m31 * m22;
+    const s4: number = m21 * m42 - m41 * m22;
+    const s5: number = m31 * m42 - m41 * m32;
+    const c0: number = m13 * m24 - m23 * m14;
+    const c1: number = m13 * m34 - m33 * m14;
+    const c2: number = m13 * m44 - m43 * m14;
+    const c3: number = m23 * m34 - m33 * m24;
+    const c4: number = m23 * m44 - m43 * m24;
+    const c5: number = m33 * m44 - m43 * m34;
+
+    return s0 * c5 - s1 * c4 + s2 * c3 + s3 * c2 - s4 * c1 + s5 * c0;
+  }
+
+  /**
+   * Returns the inverse matrix, or `null` if the matrix is singular.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {Float64Matrix4x4} out The matrix to write the result into. New `Float64Matrix4x4` by default.
+   * @returns {Float64Matrix4x4 | null}
+   */
+  inverse(out: Float64Matrix4x4 = Float64Matrix4x4.identity()): Float64Matrix4x4 | null {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    // 2x2 sub-determinants of the left two columns and of the right two columns.
+    const s0: number = m11 * m22 - m21 * m12;
+    const s1: number = m11 * m32 - m31 * m12;
+    const s2: number = m11 * m42 - m41 * m12;
+    const s3: number = m21 * m32 - m31 * m22;
+    const s4: number = m21 * m42 - m41 * m22;
+    const s5: number = m31 * m42 - m41 * m32;
+    const c0: number = m13 * m24 - m23 * m14;
+    const c1: number = m13 * m34 - m33 * m14;
+    const c2: number = m13 * m44 - m43 * m14;
+    const c3: number = m23 * m34 - m33 * m24;
+    const c4: number = m23 * m44 - m43 * m24;
+    const c5: number = m33 * m44 - m43 * m34;
+
+    const det: number = s0 * c5 - s1 * c4 + s2 * c3 + s3 * c2 - s4 * c1 + s5 * c0;
+    if (det === 0) { return null; }
+    const r: number = 1 / det;
+
+    return out.set(
+      (m22 * c5 - m32 * c4 + m42 * c3) * r,
+      (m31 * c4 - m21 * c5 - m41 * c3) * r,
+      (m24 * s5 - m34 * s4 + m44 * s3) * r,
+      (m33 * s4 - m23 * s5 - m43 * s3) * r,
+
+      (m32 * c2 - m12 * c5 - m42 * c1) * r,
+      (m11 * c5 - m31 * c2 + m41 * c1) * r,
+      (m34 * s2 - m14 * s5 - m44 * s1) * r,
+      (m13 * s5 - m33 * s2 + m43 * s1) * r,
+
+      (m12 * c4 - m22 * c2 + m42 * c0) * r,
+      (m21 * c2 - m11 * c4 - m41 * c0) * r,
+      (m14 * s4 - m24 * s2 + m44 * s0) * r,
+      (m23 * s2 - m13 * s4 - m43 * s0) * r,
+
+      (m22 * c1 - m12 * c3 - m32 * c0) * r,
+      (m11 * c3 - m21 * c1 + m31 * c0) * r,
+      (m24 * s1 - m14 * s3 - m34 * s0) * r,
+      (m13 * s3 - m23 * s1 + m33 * s0) * r,
+    );
+  }
+
+  /**
+   * Returns the inverse matrix of an affine transformation, or `null` if the matrix is singular.
+   *
+   * The bottom row of the matrix must be (0, 0, 0, 1),
+   * which holds for translation, rotation, scaling and "look at" matrices and their products.
+   * Cheaper than `inverse`, but the result is wrong for projection matrices.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {Float64Matrix4x4} out The matrix to write the result into. New `Float64Matrix4x4` by default.
+   * @returns {Float64Matrix4x4 | null}
+   */
+  invertAffine(out: Float64Matrix4x4 = Float64Matrix4x4.identity()): Float64Matrix4x4 | null {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33, ,
+      m14, m24, m34,
+    ] = this.values as any;
+
+    // Cofactors of the upper-left 3x3.
+    const c11: number = m22 * m33 - m32 * m23;
+    const c21: number = m32 * m13 - m12 * m33;
+    const c31: number = m12 * m23 - m22 * m13;
+
+    const det: number = m11 * c11 + m21 * c21 + m31 * c31;
+    if (det === 0) { return null; }
+    const r: number = 1 / det;
+
+    const i11: number = c11 * r;
+    const i12: number = c21 * r;
+    const i13: number = c31 * r;
+    const i21: number = (m31 * m23 - m21 * m33) * r;
+    const i22: number = (m11 * m33 - m31 * m13) * r;
+    const i23: number = (m21 * m13 - m11 * m23) * r;
+    const i31: number = (m21 * m32 - m31 * m22) * r;
+    const i32: number = (m31 * m12 - m11 * m32) * r;
+    const i33: number = (m11 * m22 - m21 * m12) * r;
+
+    return out.set(
+      i11, i21, i31, 0.0,
+      i12, i22, i32, 0.0,
+      i13, i23, i33, 0.0,
+      -(i11 * m14 + i12 * m24 + i13 * m34),
+      -(i21 * m14 + i22 * m24 + i23 * m34),
+      -(i31 * m14 + i32 * m24 + i33 * m34),
+      1.0,
+    );
+  }
+
+  /**
+   * Returns the inverse matrix of a rigid-body transformation.
+   *
+   * The matrix must consist of rotation and translation only,
+   * so that its upper-left 3x3 is orthonormal and its bottom row is (0, 0, 0, 1).
+   * The inverse is then calculated by transposing the rotation part.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {Float64Matrix4x4} out The matrix to write the result into. New `Float64Matrix4x4` by default.
+   * @returns {Float64Matrix4x4}
+   */
+  invertRigid(out: Float64Matrix4x4 = Float64Matrix4x4.identity()): Float64Matrix4x4 {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33, ,
+      m14, m24, m34,
+    ] = this.values as any;
+
+    return out.set(
+      m11, m12, m13, 0.0,
+      m21, m22, m23, 0.0,
+      m31, m32, m33, 0.0,
+      -(m11 * m14 + m21 * m24 + m31 * m34),
+      -(m12 * m14 + m22 * m24 + m32 * m34),
+      -(m13 * m14 + m23 * m24 + m33 * m34),
+      1.0,
+    );
+  }
+
+  /**
+   * Returns the upper-left 3x3 part of the matrix as `Float64Matrix3x3`.
+   * @param {Float64Matrix3x3} out The matrix to write the result into. New `Float64Matrix3x3` by default.
+   * @returns {Float64Matrix3x3}
+   */
+  upperLeft3x3(out: Float64Matrix3x3 = Float64Matrix3x3.identity()): Float64Matrix3x3 {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33,
+    ] = this.values as any;
+
+    return out.set(
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    );
+  }
+
+  /**
+   * Returns the normal matrix, that is the inverse transpose of the upper-left 3x3 part,
+   * or `null` if the part is singular.
+   *
+   * Use it on a model-view matrix to transform normal vectors for lighting.
+   * Unlike the upper-left 3x3 itself, it keeps normals perpendicular to surfaces under non-uniform scaling.
+   * `out` is left untouched when the result is `null`.
+   * @param {Float64Matrix3x3} out The matrix to write the result into. New `Float64Matrix3x3` by default.
+   * @returns {Float64Matrix3x3 | null}
+   */
+  normalMatrix(out: Float64Matrix3x3 = Float64Matrix3x3.identity()): Float64Matrix3x3 | null {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33,
+    ] = this.values as any;
+
+    // Cofactors of the upper-left 3x3.
+    const c11: number = m22 * m33 - m32 * m23;
+    const c12: number = m31 * m23 - m21 * m33;
+    const c13: number = m21 * m32 - m31 * m22;
+    const c21: number = m32 * m13 - m12 * m33;
+    const c22: number = m11 * m33 - m31 * m13;
+    const c23: number = m31 * m12 - m11 * m32;
+    const c31: number = m12 * m23 - m22 * m13;
+    const c32: number = m21 * m13 - m11 * m23;
+    const c33: number = m11 * m22 - m21 * m12;
+
+    const det: number = m11 * c11 + m21 * c21 + m31 * c31;
+    if (det === 0) { return null; }
+    const r: number = 1 / det;
+
+    // The inverse transpose equals the cofactor matrix divided by the determinant.
+    return out.set(
+      c11 * r, c21 * r, c31 * r,
+      c12 * r, c22 * r, c32 * r,
+      c13 * r, c23 * r, c33 * r,
+    );
+  }
+
+  /**
+   * Decomposes the matrix into translation, rotation and scale, so that
+   * `Float64Matrix4x4.compose(translation, rotation, scale)` restores the matrix.
+   *
+   * A mirroring transformation is returned as a negative x scale.
+   * Returns `null` if the matrix is not affine, contains shear or has zero scale,
+   * because such a matrix cannot be expressed by the three components.
+   * @returns {{translation: Float64Vector3; rotation: Float64Quaternion; scale: Float64Vector3} | null}
+   */
+  decompose(): { translation: Float64Vector3, rotation: Float64Quaternion, scale: Float64Vector3 } | null {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    if (
+      Math.abs(m41) > DECOMPOSE_TOLERANCE || Math.abs(m42) > DECOMPOSE_TOLERANCE ||
+      Math.abs(m43) > DECOMPOSE_TOLERANCE || Math.abs(m44 - 1) > DECOMPOSE_TOLERANCE
+    ) {
+      return null;
+    }
+
+    const xAxis = new Float64Vector3(m11, m21, m31);
+    const yAxis = new Float64Vector3(m12, m22, m32);
+    const zAxis = new Float64Vector3(m13, m23, m33);
+
+    let sx: number = xAxis.magnitude;
+    const sy: number = yAxis.magnitude;
+    const sz: number = zAxis.magnitude;
+    if (sx === 0 || sy === 0 || sz === 0) { return null; }
+
+    // A negative determinant means the matrix mirrors, which a rotation cannot do.
+    if (xAxis.cross(yAxis).dot(zAxis) < 0) {
+      sx = -sx;
+    }
+
+    const rx: Float64Vector3 = xAxis.mulByScalar(1 / sx);
+    const ry: Float64Vector3 = yAxis.mulByScalar(1 / sy);
+    const rz: Float64Vector3 = zAxis.mulByScalar(1 / sz);
+
+    // The axes must be orthogonal after removing the scale, otherwise the matrix has shear.
+    if (
+      Math.abs(rx.dot(ry)) > DECOMPOSE_TOLERANCE ||
+      Math.abs(ry.dot(rz)) > DECOMPOSE_TOLERANCE ||
+      Math.abs(rz.dot(rx)) > DECOMPOSE_TOLERANCE
+    ) {
+      return null;
+    }
+
+    return {
+      translation: new Float64Vector3(m14, m24, m34),
+      rotation: Float64Quaternion.fromRotationMatrix3(new Float64Matrix3x3(
+        rx.x, rx.y, rx.z,
+        ry.x, ry.y, ry.z,
+        rz.x, rz.y, rz.z,
+      )),
+      scale: new Float64Vector3(sx, sy, sz),
+    };
+  }
+
+  /**
+   * Returns Euler angles of the rotation as `Float64Vector3` of radians around x, y and z-axis.
+   * The upper-left 3x3 part of the matrix must be a pure rotation.
+   * The angle of the middle rotation is in [-PI/2, PI/2] and the others are in [-PI, PI].
+   *
+   * When the middle rotation is at +-90 degrees (gimbal lock), the first and the last rotation
+   * share a single axis. Then the last rotation is set to 0 and the first one holds the whole angle.
+   * @param {EulerOrder} order
+   * @param {Float64Vector3} out The vector to write the result into. New `Float64Vector3` by default.
+   * @returns {Float64Vector3}
+   */
+  toEuler(order: EulerOrder = 'XYZ', out: Float64Vector3 = new Float64Vector3(0, 0, 0)): Float64Vector3 {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33,
+    ] = this.values as any;
+    const clamp = (value: number) => Math.min(Math.max(value, -1), 1);
+
+    let x: number;
+    let y: number;
+    let z: number;
+
+    switch (order) {
+      case 'XYZ':
+        y = Math.asin(clamp(m13));
+        if (Math.abs(m13) < GIMBAL_LOCK_THRESHOLD) {
+          x = Math.atan2(-m23, m33);
+          z = Math.atan2(-m12, m11);
+        } else {
+          x = Math.atan2(m32, m22);
+          z = 0;
+        }
+        break;
+      case 'XZY':
+        z = Math.asin(-clamp(m12));
+        if (Math.abs(m12) < GIMBAL_LOCK_THRESHOLD) {
+          x = Math.atan2(m32, m22);
+          y = Math.atan2(m13, m11);
+        } else {
+          x = Math.atan2(-m23, m33);
+          y = 0;
+        }
+        break;
+      case 'YXZ':
+        x = Math.asin(-clamp(m23));
+        if (Math.abs(m23) < GIMBAL_LOCK_THRESHOLD) {
+          y = Math.atan2(m13, m33);
+          z = Math.atan2(m21, m22);
+        } else {
+          y = Math.atan2(-m31, m11);
+          z = 0;
+        }
+        break;
+      case 'YZX':
+        z = Math.asin(clamp(m21));
+        if (Math.abs(m21) < GIMBAL_LOCK_THRESHOLD) {
+          x = Math.atan2(-m23, m22);
+          y = Math.atan2(-m31, m11);
+        } else {
+          x = 0;
+          y = Math.atan2(m13, m33);
+        }
+        break;
+      case 'ZXY':
+        x = Math.asin(clamp(m32));
+        if (Math.abs(m32) < GIMBAL_LOCK_THRESHOLD) {
+          y = Math.atan2(-m31, m33);
+          z = Math.atan2(-m12, m22);
+        } else {
+          y = 0;
+          z = Math.atan2(m21, m11);
+        }
+        break;
+      default: // 'ZYX'
+        y = Math.asin(-clamp(m31));
+        if (Math.abs(m31) < GIMBAL_LOCK_THRESHOLD) {
+          x = Math.atan2(m32, m33);
+          z = Math.atan2(m21, m11);
+        } else {
+          x = 0;
+          z = Math.atan2(-m12, m22);
+        }
+    }
+
+    return out.set(x, y, z);
+  }
+
+  /**
+   * Convert the matrix to `Matrix4x4`, for example to upload it to WebGL.
+   * @returns {Matrix4x4}
+   */
+  toFloat32(): Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    return new Matrix4x4(
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    );
+  }
+
+  get values(): Float64Array {
+    return this._values;
+  }
+
+  toString(): string {
+    return this._values.toString();
+  }
+}
@@ -0,0 +1,649 @@
+// This file is generated by scripts/generate_float64.js from src/float32vector.ts. Do not edit it by hand.
+
+import { viewBuffer } from './buffer_view';
+import { Float32Vector2, Float32Vector3, Float32Vector4 } from './float32vector';
+import { defineSwizzles } from './swizzle';
+import { Swizzle2, Swizzle3, Swizzle4 } from './swizzle_types';
+import { Vector2Base, Vector3Base, Vector4Base } from './vector_base';
+
+/**
+ * A 2-dimensional vector of double-precision float numbers.
+ */
+export class Float64Vector2 extends Vector2Base<Float64Array> {
+  constructor(x: number, y: number) {
+    super();
+    this._values = new Float64Array([x, y]);
+  }
+
+  /**
+   * Returns new `Float64Vector2` over 2 elements of `buffer` from `byteOffset`, sharing the memory instead of copying.
+   * Throws a `RangeError` if `byteOffset` is misaligned or the vector does not fit in `buffer`.
+   * @param {ArrayBuffer} buffer
+   * @param {number} byteOffset
+   * @returns {Float64Vector2}
+   */
+  static view(buffer: ArrayBuffer, byteOffset: number = 0): Float64Vector2 {
+    const v: Float64Vector2 = Object.create(Float64Vector2.prototype);
+    v._values = viewBuffer(Float64Array, buffer, byteOffset, 2);
+    return v;
+  }
+
+  /**
+   * Add `other` to the vector and returns new `Float64Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @param {Float64Vector2} other
+   * @returns {Float64Vector2}
+   */
+  add(other: Float64Vector2): Float64Vector2 {
+    return new Float64Vector2(this.x + other.x, this.y + other.y);
+  }
+
+  /**
+   * Subtract `other` from the vector and returns new `Float64Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @param {Float64Vector2} other
+   * @returns {Float64Vector2}
+   */
+  sub(other: Float64Vector2): Float64Vector2 {
+    return new Float64Vector2(this.x - other.x, this.y - other.y);
+  }
+
+  /**
+   * Multiply the vector by `scalar` and returns new `Float64Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @param {number} scalar
+   * @returns {Float64Vector2}
+   */
+  mulByScalar(scalar: number): Float64Vector2 {
+    return new Float64Vector2(this.x * scalar, this.y * scalar);
+  }
+
+  /**
+   * Calculate dot product.
+   * @param {Float64Vector2} other
+   * @returns {number}
+   */
+  dot(other: Float64Vector2): number {
+    return this.x * other.x + this.y * other.y;
+  }
+
+  /**
+   * Calculate 2D cross product, also known as perp dot product.
+   *
+   * It equals the z value of the cross product of 3-dimensional vectors on the xy-plane,
+   * and is positive when `other` is counterclockwise from the vector.
+   * @param {Float64Vector2} other
+   * @returns {number}
+   */
+  cross(other: Float64Vector2): number {
+    return this.x * other.y - this.y * other.x;
+  }
+
+  /**
+   * Calculate the signed angle from the vector to `other` in radian, in [-PI, PI].
+   *
+   * The angle is positive when `other` is counterclockwise from the vector.
+   * @param {Float64Vector2} other
+   * @returns {number}
+   */
+  angle(other: Float64Vector2): number {
+    return Math.atan2(this.cross(other), this.dot(other));
+  }
+
+  /**
+   * Normalize the vector and returns new `Float64Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @returns {Float64Vector2}
+   */
+  normalize(): Float64Vector2 {
+    const mag: number = this.magnitude;
+    if (mag === 0) { return new Float64Vector2(this.x, this.y); }
+    return new Float64Vector2(this.x / mag, this.y / mag);
+  }
+
+  /**
+   * Negate the vector and returns new `Float64Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @returns {Float64Vector2}
+   */
+  negate(): Float64Vector2 {
+    return new Float64Vector2(-this.x, -this.y);
+  }
+
+  /**
+   * Multiply the vector by `other` component-wise and returns new `Float64Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @param {Float64Vector2} other
+   * @returns {Float64Vector2}
+   */
+  mul(other: Float64Vector2): Float64Vector2 {
+    return new Float64Vector2(this.x * other.x, this.y * other.y);
+  }
+
+  /**
+   * Divide the vector by `other` component-wise and returns new `Float64Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @param {Float64Vector2} other
+   * @returns {Float64Vector2}
+   */
+  div(other: Float64Vector2): Float64Vector2 {
+    return new Float64Vector2(this.x / other.x, this.y / other.y);
+  }
+
+  /**
+   * Calculate the distance between the vector and `other`.
+   * @param {Float64Vector2} other
+   * @returns {number}
+   */
+  distance(other: Float64Vector2): number {
+    return this.sub(other).magnitude;
+  }
+
+  /**
+   * Calculate linear interpolation between the vector and `other` and returns new `Float64Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @param {Float64Vector2} other
+   * @param {number} t 0.0 <= t <= 1.0
+   * @returns {Float64Vector2}
+   */
+  lerp(other: Float64Vector2, t: number): Float64Vector2 {
+    return new Float64Vector2(this.x + (other.x - this.x) * t, this.y + (other.y - this.y) * t);
+  }
+
+  /**
+   * Returns new `Float64Vector2` of the smaller values of the vector and `other` component-wise.
+   * @param {Float64Vector2} other
+   * @returns {Float64Vector2}
+   */
+  min(other: Float64Vector2): Float64Vector2 {
+    return new Float64Vector2(Math.min(this.x, other.x), Math.min(this.y, other.y));
+  }
+
+  /**
+   * Returns new `Float64Vector2` of the larger values of the vector and `other` component-wise.
+   * @param {Float64Vector2} other
+   * @returns {Float64Vector2}
+   */
+  max(other: Float64Vector2): Float64Vector2 {
+    return new Float64Vector2(Math.max(this.x, other.x), Math.max(this.y, other.y));
+  }
+
+  /**
+   * Clamp the vector between `min` and `max` component-wise and returns new `Float64Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @param {Float64Vector2} min
+   * @param {Float64Vector2} max
+   * @returns {Float64Vector2}
+   */
+  clamp(min: Float64Vector2, max: Float64Vector2): Float64Vector2 {
+    return this.max(min).min(max);
+  }
+
+  /**
+   * Returns true if every component of the vector differs from that of `other` by `tolerance` or less.
+   * @param {Float64Vector2} other
+   * @param {number} tolerance
+   * @returns {boolean}
+   */
+  equals(other: Float64Vector2, tolerance: number = 0): boolean {
+    return Math.abs(this.x - other.x) <= tolerance
+      && Math.abs(this.y - other.y) <= tolerance;
+  }
+
+  /**
+   * Convert the vector to `Float32Vector2`, for example to upload it to WebGL.
+   * @returns {Float32Vector2}
+   */
+  toFloat32(): Float32Vector2 {
+    return new Float32Vector2(this.x, this.y);
+  }
+}
+
+/**
+ * A 3-dimensional vector of double-precision float numbers.
+ */
+export class Float64Vector3 extends Vector3Base<Float64Array> {
+  constructor(x: number, y: number, z: number) {
+    super();
+    this._values = new Float64Array([x, y, z]);
+  }
+
+  /**
+   * Returns new `Float64Vector3` over 3 elements of `buffer` from `byteOffset`, sharing the memory instead of copying.
+   * Throws a `RangeError` if `byteOffset` is misaligned or the vector does not fit in `buffer`.
+   * @param {ArrayBuffer} buffer
+   * @param {number} byteOffset
+   * @returns {Float64Vector3}
+   */
+  static view(buffer: ArrayBuffer, byteOffset: number = 0): Float64Vector3 {
+    const v: Float64Vector3 = Object.create(Float64Vector3.prototype);
+    v._values = viewBuffer(Float64Array, buffer, byteOffset, 3);
+    return v;
+  }
+
+  /**
+   * Set `x`, `y` and `z` to the vector and returns the vector itself.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {Float64Vector3}
+   */
+  set(x: number, y: number, z: number): Float64Vector3 {
+    this._values[0] = x;
+    this._values[1] = y;
+    this._values[2] = z;
+    return this;
+  }
+
+  /**
+   * Copy the values of `other` to the vector and returns the vector itself.
+   * @param {Float64Vector3} other
+   * @returns {Float64Vector3}
+   */
+  copyFrom(other: Float64Vector3): Float64Vector3 {
+    this._values.set(other.values);
+    return this;
+  }
+
+  /**
+   * Add `other` to the vector and returns new `Float64Vector3`.
+   *
+   * This method does not mutate the vector unless it is passed as `out`.
+   * @param {Float64Vector3} other
+   * @param {Float64Vector3} out The vector to write the result into. New `Float64Vector3` by default.
+   * @returns {Float64Vector3}
+   */
+  add(other: Float64Vector3, out: Float64Vector3 = new Float64Vector3(0, 0, 0)): Float64Vector3 {
+    return out.set(this.x + other.x, this.y + other.y, this.z + other.z);
+  }
+
+  /**
+   * Subtract `other` from the vector and returns new `Float64Vector3`.
+   *
+   * This method does not mutate the vector unless it is passed as `out`.
+   * @param {Float64Vector3} other
+   * @param {Float64Vector3} out The vector to write the result into. New `Float64Vector3` by default.
+   * @returns {Float64Vector3}
+   */
+  sub(other: Float64Vector3, out: Float64Vector3 = new Float64Vector3(0, 0, 0)): Float64Vector3 {
+    return out.set(this.x - other.x, this.y - other.y, this.z - other.z);
+  }
+
+  /**
+   * Multiply the vector by `scalar` and returns new `Float64Vector3`.
+   *
+   * This method does not mutate the vector unless it is passed as `out`.
+   * @param {number} scalar
+   * @param {Float64Vector3} out The vector to write the result into. New `Float64Vector3` by default.
+   * @returns {Float64Vector3}
+   */
+  mulByScalar(scalar: number, out: Float64Vector3 = new Float64Vector3(0, 0, 0)): Float64Vector3 {
+    return out.set(this.x * scalar, this.y * scalar, this.z * scalar);
+  }
+
+  /**
+   * Calculate dot product.
+   * @param {Float64Vector3} other
+   * @returns {number}
+   */
+  dot(other: Float64Vector3): number {
+    return this.x * other.x + this.y * other.y + this.z * other.z;
+  }
+
+  /**
+   * Calculate cross product.
+   * @param {Float64Vector3} other
+   * @param {Float64Vector3} out The vector to write the result into. New `Float64Vector3` by default.
+   * @returns {Float64Vector3}
+   */
+  cross(other: Float64Vector3, out: Float64Vector3 = new Float64Vector3(0, 0, 0)): Float64Vector3 {
+    const cx: number = this.y * other.z - this.z * other.y;
+    const cy: number = this.z * other.x - this.x * other.z;
+    const cz: number = this.x * other.y - this.y * other.x;
+
+    return out.set(cx, cy, cz);
+  }
+
+  /**
+   * Normalize the vector and returns new `Float64Vector3`.
+   *
+   * This method does not mutate the vector unless it is passed as `out`.
+   * @param {Float64Vector3} out The vector to write the result into. New `Float64Vector3` by default.
+   * @returns {Float64Vector3}
+   */
+  normalize(out: Float64Vector3 = new Float64Vector3(0, 0, 0)): Float64Vector3 {
+    const mag: number = this.magnitude;
+    if (mag === 0) { return out.copyFrom(this); }
+    return out.set(this.x / mag, this.y / mag, this.z / mag);
+  }
+
+  /**
+   * Negate the vector and returns new `Float64Vector3`.
+   *
+   * This method does not mutate the vector unless it is passed as `out`.
+   * @param {Float64Vector3} out The vector to write the result into. New `Float64Vector3` by default.
+   * @returns {Float64Vector3}
+   */
+  negate(out: Float64Vector3 = new Float64Vector3(0, 0, 0)): Float64Vector3 {
+    return out.set(-this.x, -this.y, -this.z);
+  }
+
+  /**
+   * Multiply the vector by `other` component-wise and returns new `Float64Vector3`.
+   *
+   * This method does not mutate the vector unless it is passed as `out`.
+   * @param {Float64Vector3} other
+   * @param {Float64Vector3} out The vector to write the result into. New `Float64Vector3` by default.
+   * @returns {Float64Vector3}
+   */
+  mul(other: Float64Vector3, out: Float64Vector3 = new Float64Vector3(0, 0, 0)): Float64Vector3 {
+    return out.set(this.x * other.x, this.y * other.y, this.z * other.z);
+  }
+
+  /**
+   * Divide the vector by `other` component-wise and returns new `Float64Vector3`.
+   *
+   * This method does not mutate the vector unless it is passed as `out`.
+   * @param {Float64Vector3} other
+   * @param {Float64Vector3} out The vector to write the result into. New `Float64Vector3` by default.
+   * @returns {Float64Vector3}
+   */
+  div(other: Float64Vector3, out: Float64Vector3 = new Float64Vector3(0, 0, 0)): Float64Vector3 {
+    return out.set(this.x / other.x, this.y / other.y, this.z / other.z);
+  }
+
+  /**
+   * Calculate the distance between the vector and `other`.
+   * @param {Float64Vector3} other
+   * @returns {number}
+   */
+  distance(other: Float64Vector3): number {
+    return this.sub(other).magnitude;
+  }
+
+  /**
+   * Calculate linear interpolation between the vector and `other` and returns new `Float64Vector3`.
+   *
+   * This method does not mutate the vector unless it is passed as `out`.
+   * @param {Float64Vector3} other
+   * @param {number} t 0.0 <= t <= 1.0
+   * @param {Float64Vector3} out The vector to write the result into. New `Float64Vector3` by default.
+   * @returns {Float64Vector3}
+   */
+  lerp(other: Float64Vector3, t: number, out: Float64Vector3 = new Float64Vector3(0, 0, 0)): Float64Vector3 {
+    return out.set(this.x + (other.x - this.x) * t, this.y + (other.y - this.y) * t, this.z + (other.z - this.z) * t);
+  }
+
+  /**
+   * Returns new `Float64Vector3` of the smaller values of the vector and `other` component-wise.
+   * @param {Float64Vector3} other
+   * @param {Float64Vector3} out The vector to write the result into. New `Float64Vector3` by default.
+   * @returns {Float64Vector3}
+   */
+  min(other: Float64Vector3, out: Float64Vector3 = new Float64Vector3(0, 0, 0)): Float64Vector3 {
+    return out.set(Math.min(this.x, other.x), Math.min(this.y, other.y), Math.min(this.z, other.z));
+  }
+
+  /**
+   * Returns new `Float64Vector3` of the larger values of the vector and `other` component-wise.
+   * @param {Float64Vector3} other
+   * @param {Float64Vector3} out The vector to write the result into. New `Float64Vector3` by default.
+   * @returns {Float64Vector3}
+   */
+  max(other: Float64Vector3, out: Float64Vector3 = new Float64Vector3(0, 0, 0)): Float64Vector3 {
+    return out.set(Math.max(this.x, other.x), Math.max(this.y, other.y), Math.max(this.z, other.z));
+  }
+
+  /**
+   * Clamp the vector between `min` and `max` component-wise and returns new `Float64Vector3`.
+   *
+   * This method does not mutate the vector unless it is passed as `out`.
+   * @param {Float64Vector3} min
+   * @param {Float64Vector3} max
+   * @param {Float64Vector3} out The vector to write the result into. New `Float64Vector3` by default.
+   * @returns {Float64Vector3}
+   */
+  clamp(min: Float64Vector3, max: Float64Vector3, out: Float64Vector3 = new Float64Vector3(0, 0, 0)): Float64Vector3 {
+    // Read everything before writing, because `out` may be `min` or `max`.
+    const x: number = Math.min(Math.max(this.x, min.x), max.x);
+    const y: number = Math.min(Math.max(this.y, min.y), max.y);
+    const z: number = Math.min(Math.max(this.z, min.z), max.z);
+    return out.set(x, y, z);
+  }
+
+  /**
+   * Returns true if every component of the vector differs from that of `other` by `tolerance` or less.
+   * @param {Float64Vector3} other
+   * @param {number} tolerance
+   * @returns {boolean}
+   */
+  equals(other: Float64Vector3, tolerance: number = 0): boolean {
+    return Math.abs(this.x - other.x) <= tolerance
+      && Math.abs(this.y - other.y) <= tolerance
+      && Math.abs(this.z - other.z) <= tolerance;
+  }
+
+  /**
+   * Returns cartesian xy values of the vector as `Float64Vector2` from homogeneous coordinates.
+   * @returns {Float64Vector2}
+   */
+  get hom2cart(): Float64Vector2 {
+    return new Float64Vector2(this.x / this.z, this.y / this.z);
+  }
+
+  /**
+   * Convert the vector to `Float32Vector3`, for example to upload it to WebGL.
+   * @returns {Float32Vector3}
+   */
+  toFloat32(): Float32Vector3 {
+    return new Float32Vector3(this.x, this.y, this.z);
+  }
+}
+
+/**
+ * A 4-dimensional vector of double-precision float numbers.
+ */
+export class Float64Vector4 extends Vector4Base<Float64Array> {
+  constructor(x: number, y: number, z: number, w: number) {
+    super();
+    this._values = new Float64Array([x, y, z, w]);
+  }
+
+  /**
+   * Returns new `Float64Vector4` over 4 elements of `buffer` from `byteOffset`, sharing the memory instead of copying.
+   * Throws a `RangeError` if `byteOffset` is misaligned or the vector does not fit in `buffer`.
+   * @param {ArrayBuffer} buffer
+   * @param {number} byteOffset
+   * @returns {Float64Vector4}
+   */
+  static view(buffer: ArrayBuffer, byteOffset: number = 0): Float64Vector4 {
+    const v: Float64Vector4 = Object.create(Float64Vector4.prototype);
+    v._values = viewBuffer(Float64Array, buffer, byteOffset, 4);
+    return v;
+  }
+
+  /**
+   * Add `other` to the vector and returns new `Float64Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @param {Float64Vector4} other
+   * @returns {Float64Vector4}
+   */
+  add(other: Float64Vector4): Float64Vector4 {
+    return new Float64Vector4(this.x + other.x, this.y + other.y, this.z + other.z, this.w + other.w);
+  }
+
+  /**
+   * Subtract `other` from the vector and returns new `Float64Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @param {Float64Vector4} other
+   * @returns {Float64Vector4}
+   */
+  sub(other: Float64Vector4): Float64Vector4 {
+    return new Float64Vector4(this.x - other.x, this.y - other.y, this.z - other.z, this.w - other.w);
+  }
+
+  /**
+   * Multiply the vector by `scalar` and returns new `Float64Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @param {number} scalar
+   * @returns {Float64Vector4}
+   */
+  mulByScalar(scalar: number): Float64Vector4 {
+    return new Float64Vector4(this.x * scalar, this.y * scalar, this.z * scalar, this.w * scalar);
+  }
+
+  /**
+   * Calculate dot product.
+   * @param {Float64Vector4} other
+   * @returns {number}
+   */
+  dot(other: Float64Vector4): number {
+    return this.x * other.x + this.y * other.y + this.z * other.z + this.w * other.w;
+  }
+
+  /**
+   * Normalize the vector and returns new `Float64Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @returns {Float64Vector4}
+   */
+  normalize(): Float64Vector4 {
+    const mag: number = this.magnitude;
+    if (mag === 0) { return new Float64Vector4(this.x, this.y, this.z, this.w); }
+    return new Float64Vector4(this.x / mag, this.y / mag, this.z / mag, this.w / mag);
+  }
+
+  /**
+   * Negate the vector and returns new `Float64Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @returns {Float64Vector4}
+   */
+  negate(): Float64Vector4 {
+    return new Float64Vector4(-this.x, -this.y, -this.z, -this.w);
+  }
+
+  /**
+   * Multiply the vector by `other` component-wise and returns new `Float64Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @param {Float64Vector4} other
+   * @returns {Float64Vector4}
+   */
+  mul(other: Float64Vector4): Float64Vector4 {
+    return new Float64Vector4(this.x * other.x, this.y * other.y, this.z * other.z, this.w * other.w);
+  }
+
+  /**
+   * Divide the vector by `other` component-wise and returns new `Float64Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @param {Float64Vector4} other
+   * @returns {Float64Vector4}
+   */
+  div(other: Float64Vector4): Float64Vector4 {
+    return new Float64Vector4(this.x / other.x, this.y / other.y, this.z / other.z, this.w / other.w);
+  }
+
+  /**
+   * Calculate the distance between the vector and `other`.
+   * @param {Float64Vector4} other
+   * @returns {number}
+   */
+  distance(other: Float64Vector4): number {
+    return this.sub(other).magnitude;
+  }
+
+  /**
+   * Calculate linear interpolation between the vector and `other` and returns new `Float64Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @param {Float64Vector4} other
+   * @param {number} t 0.0 <= t <= 1.0
+   * @returns {Float64Vector4}
+   */
+  lerp(other: Float64Vector4, t: number): Float64Vector4 {
+    return new Float64Vector4(this.x + (other.x - this.x) * t, this.y + (other.y - this.y) * t, this.z + (other.z - this.z) * t, this.w + (other.w - this.w) * t);
+  }
+
+  /**
+   * Returns new `Float64Vector4` of the smaller values of the vector and `other` component-wise.
+   * @param {Float64Vector4} other
+   * @returns {Float64Vector4}
+   */
+  min(other: Float64Vector4): Float64Vector4 {
+    return new Float64Vector4(Math.min(this.x, other.x), Math.min(this.y, other.y), Math.min(this.z, other.z), Math.min(this.w, other.w));
+  }
+
+  /**
+   * Returns new `Float64Vector4` of the larger values of the vector and `other` component-wise.
+   * @param {Float64Vector4} other
+   * @returns {Float64Vector4}
+   */
+  max(other: Float64Vector4): Float64Vector4 {
+    return new Float64Vector4(Math.max(this.x, other.x), Math.max(this.y, other.y), Math.max(this.z, other.z), Math.max(this.w, other.w));
+  }
+
+  /**
+   * Clamp the vector between `min` and `max` component-wise and returns new `Float64Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @param {Float64Vector4} min
+   * @param {Float64Vector4} max
+   * @returns {Float64Vector4}
+   */
+  clamp(min: Float64Vector4, max: Float64Vector4): Float64Vector4 {
+    return this.max(min).min(max);
+  }
+
+  /**
+   * Returns true if every component of the vector differs from that of `other` by `tolerance` or less.
+   * @param {Float64Vector4} other
+   * @param {number} tolerance
+   * @returns {boolean}
+   */
+  equals(other: Float64Vector4, tolerance: number = 0): boolean {
+    return Math.abs(this.x - other.x) <= tolerance
+      && Math.abs(this.y - other.y) <= tolerance
+      && Math.abs(this.z - other.z) <= tolerance
+      && Math.abs(this.w - other.w) <= tolerance;
+  }
+
+  /**
+   * Returns cartesian xyz values of the vector as `Float64Vector3` from homogeneous coordinates.
+   * @returns {Float64Vector3}
+   */
+  get hom2cart(): Float64Vector3 {
+    return new Float64Vector3(this.x / this.w, this.y / this.w, this.z / this.w);
+  }
+
+  /**
+   * Convert the vector to `Float32Vector4`, for example to upload it to WebGL.
+   * @returns {Float32Vector4}
+   */
+  toFloat32(): Float32Vector4 {
+    return new Float32Vector4(this.x, this.y, this.z, this.w);
+  }
+}
+
+// Swizzles such as `v.zyx` and `v.rg` are defined at runtime. These declarations merge their typings into the classes.
+export interface Float64Vector2 extends Swizzle2<Float64Vector2, Float64Vector3, Float64Vector4> {}
+export interface Float64Vector3 extends Swizzle3<Float64Vector2, Float64Vector3, Float64Vector4> {}
+export interface Float64Vector4 extends Swizzle4<Float64Vector2, Float64Vector3, Float64Vector4> {}
+
+const float64Vectors = { 2: Float64Vector2, 3: Float64Vector3, 4: Float64Vector4 };
+defineSwizzles(Float64Vector2, 2, float64Vectors);
+defineSwizzles(Float64Vector3, 3, float64Vectors);
+defineSwizzles(Float64Vector4, 4, float64Vectors);
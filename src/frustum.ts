@@ -0,0 +1,108 @@
+import { AABB } from './aabb';
+import { DepthOptions, resolveDepthValues } from './depth';
+import { Float32Vector3 } from './float32vector';
+import { Matrix4x4 } from './matrix';
+import { Plane } from './plane';
+import { Sphere } from './sphere';
+
+/**
+ * A viewing volume bounded by six planes, for culling objects outside the view.
+ *
+ * The sphere and box tests are conservative: an object just outside a corner of the frustum may also pass,
+ * which is harmless for culling.
+ */
+export class Frustum {
+  protected _planes: Plane[];
+
+  /**
+   * The normals of `planes` must face the inside of the frustum.
+   * @param {Plane[]} planes Normalized planes in the order of left, right, bottom, top, near and far.
+   */
+  constructor(planes: Plane[]) {
+    this._planes = planes;
+  }
+
+  /**
+   * Extracts the frustum of the clip space from `viewProj`, in world space.
+   * Pass a projection matrix alone to get the frustum in view space.
+   *
+   * With an infinite far plane, the far plane has a zero normal and every point is inside it.
+   * @param {Matrix4x4} viewProj The product of a projection matrix and a view matrix.
+   * @param {DepthOptions} options The depth options that the projection matrix was created with.
+   * @returns {Frustum}
+   */
+  static fromMatrix(viewProj: Matrix4x4, options: DepthOptions = {}): Frustum {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = viewProj.values as any;
+
+    // A clip-space point (x, y, z, w) is inside when -w <= x <= w and so on,
+    // so each plane is the sum or the difference of the last row and another row.
+    const plane = (a: number, b: number, c: number, d: number) => new Plane(new Float32Vector3(a, b, c), d).normalize();
+
+    // Depth is inside when z >= depth * w at the near end of the range and z <= w at the far end.
+    const depth = resolveDepthValues(options);
+    const minDepth: number = Math.min(depth.near, depth.far);
+    const lower = plane(m31 - minDepth * m41, m32 - minDepth * m42, m33 - minDepth * m43, m34 - minDepth * m44);
+    const upper = plane(m41 - m31, m42 - m32, m43 - m33, m44 - m34);
+
+    return new Frustum([
+      plane(m41 + m11, m42 + m12, m43 + m13, m44 + m14),
+      plane(m41 - m11, m42 - m12, m43 - m13, m44 - m14),
+      plane(m41 + m21, m42 + m22, m43 + m23, m44 + m24),
+      plane(m41 - m21, m42 - m22, m43 - m23, m44 - m24),
+      options.reversedDepth ? upper : lower,
+      options.reversedDepth ? lower : upper,
+    ]);
+  }
+
+  /**
+   * Returns true if `point` is inside the frustum or on its boundary.
+   * @param {Float32Vector3} point
+   * @returns {boolean}
+   */
+  containsPoint(point: Float32Vector3): boolean {
+    return this._planes.every(plane => plane.distanceToPoint(point) >= 0);
+  }
+
+  /**
+   * Returns true if `sphere` is inside the frustum or crosses its boundary.
+   * The center must be on the inner side of every plane, or closer to it than the radius.
+   * @param {Sphere} sphere
+   * @returns {boolean}
+   */
+  intersectsSphere(sphere: Sphere): boolean {
+    return this._planes.every(plane => plane.distanceToPoint(sphere.center) >= -sphere.radius);
+  }
+
+  /**
+   * Returns true if `box` is inside the frustum or crosses its boundary.
+   * @param {AABB} box
+   * @returns {boolean}
+   */
+  intersectsAABB(box: AABB): boolean {
+    const min = box.min;
+    const max = box.max;
+
+    return this._planes.every((plane) => {
+      // The corner of the box farthest along the normal is the last one to leave the plane.
+      const normal = plane.normal;
+      const distance: number = normal.x * (normal.x >= 0 ? max.x : min.x)
+        + normal.y * (normal.y >= 0 ? max.y : min.y)
+        + normal.z * (normal.z >= 0 ? max.z : min.z)
+        + plane.constant;
+      return distance >= 0;
+    });
+  }
+
+  /**
+   * Returns the planes of the frustum in the order of left, right, bottom, top, near and far.
+   * @returns {Plane[]}
+   */
+  get planes(): Plane[] {
+    return this._planes;
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * Multiplies `a` and `b` as 32-bit integers, and returns the lower 32 bits of the product as a signed integer.
+ *
+ * The plain `*` operator loses the lower bits once the product exceeds 2^53.
+ * Same as `Math.imul`, which is not available in ES5.
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function imul(a: number, b: number): number {
+  const aHi: number = (a >>> 16) & 0xffff;
+  const aLo: number = a & 0xffff;
+  const bHi: number = (b >>> 16) & 0xffff;
+  const bLo: number = b & 0xffff;
+  return (aLo * bLo) + (((aHi * bLo + aLo * bHi) << 16) >>> 0) | 0;
+}
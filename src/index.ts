@@ -1,3 +1,18 @@
 export * from './float32vector';
+export * from './float64vector';
+export * from './int32vector';
+export * from './uint32vector';
 export * from './matrix';
+export * from './float64matrix';
 export * from './quaternion';
+export * from './float64quaternion';
+export * from './quaternion_track';
+export * from './projection';
+export * from './ray';
+export * from './plane';
+export * from './sphere';
+export * from './aabb';
+export * from './intersection';
+export * from './frustum';
+export { BatchTransformOptions } from './batch';
+export { DepthOptions, DepthRange } from './depth';
@@ -0,0 +1,417 @@
+import { viewBuffer } from './buffer_view';
+import { imul } from './imul';
+import { defineSwizzles } from './swizzle';
+import { Swizzle2, Swizzle3, Swizzle4 } from './swizzle_types';
+import { Vector2Base, Vector3Base, Vector4Base } from './vector_base';
+
+/**
+ * A 2-dimensional vector of signed 32-bit integers.
+ *
+ * Values are converted to signed 32-bit integers when stored, so fractions are truncated toward zero
+ * and results out of range wrap around, as `ivec2` does in GLSL ES 3.00.
+ */
+export class Int32Vector2 extends Vector2Base<Int32Array> {
+  constructor(x: number, y: number) {
+    super();
+    this._values = new Int32Array([x, y]);
+  }
+
+  /**
+   * Returns new `Int32Vector2` over 2 elements of `buffer` from `byteOffset`, sharing the memory instead of copying.
+   * Throws a `RangeError` if `byteOffset` is misaligned or the vector does not fit in `buffer`.
+   * @param {ArrayBuffer} buffer
+   * @param {number} byteOffset
+   * @returns {Int32Vector2}
+   */
+  static view(buffer: ArrayBuffer, byteOffset: number = 0): Int32Vector2 {
+    const v: Int32Vector2 = Object.create(Int32Vector2.prototype);
+    v._values = viewBuffer(Int32Array, buffer, byteOffset, 2);
+    return v;
+  }
+
+  /**
+   * Add `other` to the vector and returns new `Int32Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector2} other
+   * @returns {Int32Vector2}
+   */
+  add(other: Int32Vector2): Int32Vector2 {
+    return new Int32Vector2(this.x + other.x, this.y + other.y);
+  }
+
+  /**
+   * Subtract `other` from the vector and returns new `Int32Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector2} other
+   * @returns {Int32Vector2}
+   */
+  sub(other: Int32Vector2): Int32Vector2 {
+    return new Int32Vector2(this.x - other.x, this.y - other.y);
+  }
+
+  /**
+   * Multiply the vector by `scalar` and returns new `Int32Vector2`.
+   * `scalar` is truncated to an integer first.
+   *
+   * This method does not mutate the vector.
+   * @param {number} scalar
+   * @returns {Int32Vector2}
+   */
+  mulByScalar(scalar: number): Int32Vector2 {
+    return new Int32Vector2(imul(this.x, scalar), imul(this.y, scalar));
+  }
+
+  /**
+   * Multiply the vector by `other` component-wise and returns new `Int32Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector2} other
+   * @returns {Int32Vector2}
+   */
+  mul(other: Int32Vector2): Int32Vector2 {
+    return new Int32Vector2(imul(this.x, other.x), imul(this.y, other.y));
+  }
+
+  /**
+   * Divide the vector by `other` component-wise and returns new `Int32Vector2`.
+   * The quotients are truncated toward zero, and division by zero results in 0.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector2} other
+   * @returns {Int32Vector2}
+   */
+  div(other: Int32Vector2): Int32Vector2 {
+    return new Int32Vector2(this.x / other.x, this.y / other.y);
+  }
+
+  /**
+   * Negate the vector and returns new `Int32Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @returns {Int32Vector2}
+   */
+  negate(): Int32Vector2 {
+    return new Int32Vector2(-this.x, -this.y);
+  }
+
+  /**
+   * Returns new `Int32Vector2` of the smaller values of the vector and `other` component-wise.
+   * @param {Int32Vector2} other
+   * @returns {Int32Vector2}
+   */
+  min(other: Int32Vector2): Int32Vector2 {
+    return new Int32Vector2(Math.min(this.x, other.x), Math.min(this.y, other.y));
+  }
+
+  /**
+   * Returns new `Int32Vector2` of the larger values of the vector and `other` component-wise.
+   * @param {Int32Vector2} other
+   * @returns {Int32Vector2}
+   */
+  max(other: Int32Vector2): Int32Vector2 {
+    return new Int32Vector2(Math.max(this.x, other.x), Math.max(this.y, other.y));
+  }
+
+  /**
+   * Clamp the vector between `min` and `max` component-wise and returns new `Int32Vector2`.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector2} min
+   * @param {Int32Vector2} max
+   * @returns {Int32Vector2}
+   */
+  clamp(min: Int32Vector2, max: Int32Vector2): Int32Vector2 {
+    return this.max(min).min(max);
+  }
+
+  /**
+   * Returns true if the vector has the same values as `other`.
+   * @param {Int32Vector2} other
+   * @returns {boolean}
+   */
+  equals(other: Int32Vector2): boolean {
+    return this.x === other.x
+      && this.y === other.y;
+  }
+}
+
+/**
+ * A 3-dimensional vector of signed 32-bit integers.
+ *
+ * Values are converted to signed 32-bit integers when stored, so fractions are truncated toward zero
+ * and results out of range wrap around, as `ivec3` does in GLSL ES 3.00.
+ */
+export class Int32Vector3 extends Vector3Base<Int32Array> {
+  constructor(x: number, y: number, z: number) {
+    super();
+    this._values = new Int32Array([x, y, z]);
+  }
+
+  /**
+   * Returns new `Int32Vector3` over 3 elements of `buffer` from `byteOffset`, sharing the memory instead of copying.
+   * Throws a `RangeError` if `byteOffset` is misaligned or the vector does not fit in `buffer`.
+   * @param {ArrayBuffer} buffer
+   * @param {number} byteOffset
+   * @returns {Int32Vector3}
+   */
+  static view(buffer: ArrayBuffer, byteOffset: number = 0): Int32Vector3 {
+    const v: Int32Vector3 = Object.create(Int32Vector3.prototype);
+    v._values = viewBuffer(Int32Array, buffer, byteOffset, 3);
+    return v;
+  }
+
+  /**
+   * Add `other` to the vector and returns new `Int32Vector3`.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector3} other
+   * @returns {Int32Vector3}
+   */
+  add(other: Int32Vector3): Int32Vector3 {
+    return new Int32Vector3(this.x + other.x, this.y + other.y, this.z + other.z);
+  }
+
+  /**
+   * Subtract `other` from the vector and returns new `Int32Vector3`.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector3} other
+   * @returns {Int32Vector3}
+   */
+  sub(other: Int32Vector3): Int32Vector3 {
+    return new Int32Vector3(this.x - other.x, this.y - other.y, this.z - other.z);
+  }
+
+  /**
+   * Multiply the vector by `scalar` and returns new `Int32Vector3`.
+   * `scalar` is truncated to an integer first.
+   *
+   * This method does not mutate the vector.
+   * @param {number} scalar
+   * @returns {Int32Vector3}
+   */
+  mulByScalar(scalar: number): Int32Vector3 {
+    return new Int32Vector3(imul(this.x, scalar), imul(this.y, scalar), imul(this.z, scalar));
+  }
+
+  /**
+   * Multiply the vector by `other` component-wise and returns new `Int32Vector3`.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector3} other
+   * @returns {Int32Vector3}
+   */
+  mul(other: Int32Vector3): Int32Vector3 {
+    return new Int32Vector3(imul(this.x, other.x), imul(this.y, other.y), imul(this.z, other.z));
+  }
+
+  /**
+   * Divide the vector by `other` component-wise and returns new `Int32Vector3`.
+   * The quotients are truncated toward zero, and division by zero results in 0.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector3} other
+   * @returns {Int32Vector3}
+   */
+  div(other: Int32Vector3): Int32Vector3 {
+    return new Int32Vector3(this.x / other.x, this.y / other.y, this.z / other.z);
+  }
+
+  /**
+   * Negate the vector and returns new `Int32Vector3`.
+   *
+   * This method does not mutate the vector.
+   * @returns {Int32Vector3}
+   */
+  negate(): Int32Vector3 {
+    return new Int32Vector3(-this.x, -this.y, -this.z);
+  }
+
+  /**
+   * Returns new `Int32Vector3` of the smaller values of the vector and `other` component-wise.
+   * @param {Int32Vector3} other
+   * @returns {Int32Vector3}
+   */
+  min(other: Int32Vector3): Int32Vector3 {
+    return new Int32Vector3(Math.min(this.x, other.x), Math.min(this.y, other.y), Math.min(this.z, other.z));
+  }
+
+  /**
+   * Returns new `Int32Vector3` of the larger values of the vector and `other` component-wise.
+   * @param {Int32Vector3} other
+   * @returns {Int32Vector3}
+   */
+  max(other: Int32Vector3): Int32Vector3 {
+    return new Int32Vector3(Math.max(this.x, other.x), Math.max(this.y, other.y), Math.max(this.z, other.z));
+  }
+
+  /**
+   * Clamp the vector between `min` and `max` component-wise and returns new `Int32Vector3`.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector3} min
+   * @param {Int32Vector3} max
+   * @returns {Int32Vector3}
+   */
+  clamp(min: Int32Vector3, max: Int32Vector3): Int32Vector3 {
+    return this.max(min).min(max);
+  }
+
+  /**
+   * Returns true if the vector has the same values as `other`.
+   * @param {Int32Vector3} other
+   * @returns {boolean}
+   */
+  equals(other: Int32Vector3): boolean {
+    return this.x === other.x
+      && this.y === other.y
+      && this.z === other.z;
+  }
+}
+
+/**
+ * A 4-dimensional vector of signed 32-bit integers.
+ *
+ * Values are converted to signed 32-bit integers when stored, so fractions are truncated toward zero
+ * and results out of range wrap around, as `ivec4` does in GLSL ES 3.00.
+ */
+export class Int32Vector4 extends Vector4Base<Int32Array> {
+  constructor(x: number, y: number, z: number, w: number) {
+    super();
+    this._values = new Int32Array([x, y, z, w]);
+  }
+
+  /**
+   * Returns new `Int32Vector4` over 4 elements of `buffer` from `byteOffset`, sharing the memory instead of copying.
+   * Throws a `RangeError` if `byteOffset` is misaligned or the vector does not fit in `buffer`.
+   * @param {ArrayBuffer} buffer
+   * @param {number} byteOffset
+   * @returns {Int32Vector4}
+   */
+  static view(buffer: ArrayBuffer, byteOffset: number = 0): Int32Vector4 {
+    const v: Int32Vector4 = Object.create(Int32Vector4.prototype);
+    v._values = viewBuffer(Int32Array, buffer, byteOffset, 4);
+    return v;
+  }
+
+  /**
+   * Add `other` to the vector and returns new `Int32Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector4} other
+   * @returns {Int32Vector4}
+   */
+  add(other: Int32Vector4): Int32Vector4 {
+    return new Int32Vector4(this.x + other.x, this.y + other.y, this.z + other.z, this.w + other.w);
+  }
+
+  /**
+   * Subtract `other` from the vector and returns new `Int32Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector4} other
+   * @returns {Int32Vector4}
+   */
+  sub(other: Int32Vector4): Int32Vector4 {
+    return new Int32Vector4(this.x - other.x, this.y - other.y, this.z - other.z, this.w - other.w);
+  }
+
+  /**
+   * Multiply the vector by `scalar` and returns new `Int32Vector4`.
+   * `scalar` is truncated to an integer first.
+   *
+   * This method does not mutate the vector.
+   * @param {number} scalar
+   * @returns {Int32Vector4}
+   */
+  mulByScalar(scalar: number): Int32Vector4 {
+    return new Int32Vector4(imul(this.x, scalar), imul(this.y, scalar), imul(this.z, scalar), imul(this.w, scalar));
+  }
+
+  /**
+   * Multiply the vector by `other` component-wise and returns new `Int32Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector4} other
+   * @returns {Int32Vector4}
+   */
+  mul(other: Int32Vector4): Int32Vector4 {
+    return new Int32Vector4(imul(this.x, other.x), imul(this.y, other.y), imul(this.z, other.z), imul(this.w, other.w));
+  }
+
+  /**
+   * Divide the vector by `other` component-wise and returns new `Int32Vector4`.
+   * The quotients are truncated toward zero, and division by zero results in 0.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector4} other
+   * @returns {Int32Vector4}
+   */
+  div(other: Int32Vector4): Int32Vector4 {
+    return new Int32Vector4(this.x / other.x, this.y / other.y, this.z / other.z, this.w / other.w);
+  }
+
+  /**
+   * Negate the vector and returns new `Int32Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @returns {Int32Vector4}
+   */
+  negate(): Int32Vector4 {
+    return new Int32Vector4(-this.x, -this.y, -this.z, -this.w);
+  }
+
+  /**
+   * Returns new `Int32Vector4` of the smaller values of the vector and `other` component-wise.
+   * @param {Int32Vector4} other
+   * @returns {Int32Vector4}
+   */
+  min(other: Int32Vector4): Int32Vector4 {
+    return new Int32Vector4(Math.min(this.x, other.x), Math.min(this.y, other.y), Math.min(this.z, other.z), Math.min(this.w, other.w));
+  }
+
+  /**
+   * Returns new `Int32Vector4` of the larger values of the vector and `other` component-wise.
+   * @param {Int32Vector4} other
+   * @returns {Int32Vector4}
+   */
+  max(other: Int32Vector4): Int32Vector4 {
+    return new Int32Vector4(Math.max(this.x, other.x), Math.max(this.y, other.y), Math.max(this.z, other.z), Math.max(this.w, other.w));
+  }
+
+  /**
+   * Clamp the vector between `min` and `max` component-wise and returns new `Int32Vector4`.
+   *
+   * This method does not mutate the vector.
+   * @param {Int32Vector4} min
+   * @param {Int32Vector4} max
+   * @returns {Int32Vector4}
+   */
+  clamp(min: Int32Vector4, max: Int32Vector4): Int32Vector4 {
+    return this.max(min).min(max);
+  }
+
+  /**
+   * Returns true if the vector has the same values as `other`.
+   * @param {Int32Vector4} other
+   * @returns {boolean}
+   */
+  equals(other: Int32Vector4): boolean {
+    return this.x === other.x
+      && this.y === other.y
+      && this.z === other.z
+      && this.w === other.w;
+  }
+}
+
+// Swizzles such as `v.zyx` and `v.rg` are defined at runtime. These declarations merge their typings into the classes.
+export interface Int32Vector2 extends Swizzle2<Int32Vector2, Int32Vector3, Int32Vector4> {}
+export interface Int32Vector3 extends Swizzle3<Int32Vector2, Int32Vector3, Int32Vector4> {}
+export interface Int32Vector4 extends Swizzle4<Int32Vector2, Int32Vector3, Int32Vector4> {}
+
+const int32Vectors = { 2: Int32Vector2, 3: Int32Vector3, 4: Int32Vector4 };
+defineSwizzles(Int32Vector2, 2, int32Vectors);
+defineSwizzles(Int32Vector3, 3, int32Vectors);
+defineSwizzles(Int32Vector4, 4, int32Vectors);
@@ -0,0 +1,18 @@
+import { Float32Vector3 } from './float32vector';
+
+/**
+ * A result of intersection tests such as `Ray.intersectSphere` and `AABB.intersectAABB`.
+ */
+export interface Intersection {
+  /**
+   * For ray tests, the distance from the origin of the ray to the hit point.
+   * For box/box tests, the depth of penetration.
+   */
+  distance: number;
+
+  /**
+   * The normalized surface normal at the hit point,
+   * or the direction to separate the boxes for box/box tests.
+   */
+  normal: Float32Vector3;
+}
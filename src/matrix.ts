@@ -1,14 +1,17 @@
-import { Float32Vector3, Float32Vector4 } from './float32vector';
+import { BatchTransformOptions, resolveBatchLayout } from './batch';
+import { viewBuffer } from './buffer_view';
+import { DepthOptions, resolveDepthValues } from './depth';
+import { Float32Vector2, Float32Vector3, Float32Vector4 } from './float32vector';
 import { Quaternion } from './quaternion';
 
 /**
  * An interface for matrices;
  */
-export interface Matrix {
+export interface Matrix<T extends Float32Array | Float64Array = Float32Array> {
   /**
    * Values of the matrix, that is stored in column major order.
    */
-  readonly values: Float32Array;
+  readonly values: T;
 
   /**
    * Returns `values` as string.
@@ -17,6 +20,14 @@ export interface Matrix {
   toString(): string;
 }
 
+/**
+ * Order of rotations for Euler angles.
+ *
+ * The order is read as a matrix product, so `'XYZ'` means `Rx * Ry * Rz`:
+ * a vector is rotated around z-axis first, then around y-axis and finally around x-axis.
+ */
+export type EulerOrder = 'XYZ' | 'XZY' | 'YXZ' | 'YZX' | 'ZXY' | 'ZYX';
+
 /**
  * 2x2 Matrix of single-precision float numbers.
  *
@@ -32,6 +43,19 @@ export class Matrix2x2 implements Matrix {
     ]);
   }
 
+  /**
+   * Returns new `Matrix2x2` over 4 elements of `buffer` from `byteOffset`, sharing the memory instead of copying.
+   * Throws a `RangeError` if `byteOffset` is misaligned or the matrix does not fit in `buffer`.
+   * @param {ArrayBuffer} buffer
+   * @param {number} byteOffset
+   * @returns {Matrix2x2}
+   */
+  static view(buffer: ArrayBuffer, byteOffset: number = 0): Matrix2x2 {
+    const m: Matrix2x2 = Object.create(Matrix2x2.prototype);
+    m._values = viewBuffer(Float32Array, buffer, byteOffset, 4);
+    return m;
+  }
+
   /**
    * Returns an identity matrix.
    * @returns {Matrix2x2}
@@ -40,6 +64,170 @@ export class Matrix2x2 implements Matrix {
     return new Matrix2x2(1.0, 0.0, 0.0, 1.0);
   }
 
+  /**
+   * Returns scaling matrix.
+   * @param {number} sx
+   * @param {number} sy
+   * @returns {Matrix2x2}
+   */
+  static scaling(sx: number, sy: number): Matrix2x2 {
+    return new Matrix2x2(
+      sx,  0.0,
+      0.0, sy,
+    );
+  }
+
+  /**
+   * Returns rotation matrix.
+   * @param {number} radian
+   * @returns {Matrix2x2}
+   */
+  static rotation(radian: number): Matrix2x2 {
+    const sin: number = Math.sin(radian);
+    const cos: number = Math.cos(radian);
+
+    return new Matrix2x2(
+      cos,  sin,
+      -sin, cos,
+    );
+  }
+
+  /**
+   * Multiply by `other` vector and returns a vector.
+   * @param {Float32Vector2} other
+   * @returns {Float32Vector2}
+   */
+  mulByVector2(other: Float32Vector2): Float32Vector2 {
+    const [
+      m11, m21,
+      m12, m22,
+    ] = this.values as any;
+    const [
+      o1, o2,
+    ] = other.values as any;
+
+    const p1: number = (m11 * o1) + (m12 * o2);
+    const p2: number = (m21 * o1) + (m22 * o2);
+
+    return new Float32Vector2(p1, p2);
+  }
+
+  /**
+   * Multiply by `other` matrix and returns a product.
+   *
+   * This method does not mutate the matrix.
+   * @param {Matrix2x2} other
+   * @returns {Matrix2x2}
+   */
+  mulByMatrix2x2(other: Matrix2x2): Matrix2x2 {
+    const [
+      m11, m21,
+      m12, m22,
+    ] = this.values as any;
+    const [
+      o11, o21,
+      o12, o22,
+    ] = other.values as any;
+
+    const p11: number = (m11 * o11) + (m12 * o21);
+    const p21: number = (m21 * o11) + (m22 * o21);
+
+    const p12: number = (m11 * o12) + (m12 * o22);
+    const p22: number = (m21 * o12) + (m22 * o22);
+
+    return new Matrix2x2(
+      p11, p21,
+      p12, p22,
+    );
+  }
+
+  /**
+   * An alias for `mulByMatrix2x2`.
+   * @param {Matrix2x2} other
+   * @returns {Matrix2x2}
+   */
+  mulByMatrix2(other: Matrix2x2): Matrix2x2 {
+    return this.mulByMatrix2x2(other);
+  }
+
+  /**
+   * Scale the matrix and returns new `Matrix2x2`.
+   *
+   * This method does not mutate the matrix.
+   * @param {number} sx
+   * @param {number} sy
+   * @returns {Matrix2x2}
+   */
+  scale(sx: number, sy: number): Matrix2x2 {
+    const s: Matrix2x2 = Matrix2x2.scaling(sx, sy);
+    return this.mulByMatrix2x2(s);
+  }
+
+  /**
+   * Rotate the matrix and returns new `Matrix2x2`.
+   *
+   * This method does not mutate the matrix.
+   * @param {number} radian
+   * @returns {Matrix2x2}
+   */
+  rotate(radian: number): Matrix2x2 {
+    const r: Matrix2x2 = Matrix2x2.rotation(radian);
+    return this.mulByMatrix2x2(r);
+  }
+
+  /**
+   * Returns the transposed matrix.
+   *
+   * This method does not mutate the matrix.
+   * @returns {Matrix2x2}
+   */
+  transpose(): Matrix2x2 {
+    const [
+      m11, m21,
+      m12, m22,
+    ] = this.values as any;
+
+    return new Matrix2x2(
+      m11, m12,
+      m21, m22,
+    );
+  }
+
+  /**
+   * Calculates the determinant of the matrix.
+   * @returns {number}
+   */
+  determinant(): number {
+    const [
+      m11, m21,
+      m12, m22,
+    ] = this.values as any;
+
+    return m11 * m22 - m12 * m21;
+  }
+
+  /**
+   * Returns the inverse matrix, or `null` if the matrix is singular.
+   *
+   * This method does not mutate the matrix.
+   * @returns {Matrix2x2 | null}
+   */
+  inverse(): Matrix2x2 | null {
+    const [
+      m11, m21,
+      m12, m22,
+    ] = this.values as any;
+
+    const det: number = m11 * m22 - m12 * m21;
+    if (det === 0) { return null; }
+    const r: number = 1 / det;
+
+    return new Matrix2x2(
+      m22 * r,  -m21 * r,
+      -m12 * r, m11 * r,
+    );
+  }
+
   get values(): Float32Array {
     return this._values;
   }
@@ -69,6 +257,57 @@ export class Matrix3x3 implements Matrix {
     ]);
   }
 
+  /**
+   * Returns new `Matrix3x3` over 9 elements of `buffer` from `byteOffset`, sharing the memory instead of copying.
+   * Throws a `RangeError` if `byteOffset` is misaligned or the matrix does not fit in `buffer`.
+   * @param {ArrayBuffer} buffer
+   * @param {number} byteOffset
+   * @returns {Matrix3x3}
+   */
+  static view(buffer: ArrayBuffer, byteOffset: number = 0): Matrix3x3 {
+    const m: Matrix3x3 = Object.create(Matrix3x3.prototype);
+    m._values = viewBuffer(Float32Array, buffer, byteOffset, 9);
+    return m;
+  }
+
+  /**
+   * Set values in column major order to the matrix and returns the matrix itself.
+   * @returns {Matrix3x3}
+   */
+  set(
+    m11: number, m21: number, m31: number,
+    m12: number, m22: number, m32: number,
+    m13: number, m23: number, m33: number,
+  ): Matrix3x3 {
+    const v = this._values;
+    v[0] = m11; v[1] = m21; v[2] = m31;
+    v[3] = m12; v[4] = m22; v[5] = m32;
+    v[6] = m13; v[7] = m23; v[8] = m33;
+    return this;
+  }
+
+  /**
+   * Copy the values of `other` to the matrix and returns the matrix itself.
+   * @param {Matrix3x3} other
+   * @returns {Matrix3x3}
+   */
+  copyFrom(other: Matrix3x3): Matrix3x3 {
+    this._values.set(other.values);
+    return this;
+  }
+
+  /**
+   * Make the matrix an identity matrix and returns the matrix itself.
+   * @returns {Matrix3x3}
+   */
+  setIdentity(): Matrix3x3 {
+    return this.set(
+      1.0, 0.0, 0.0,
+      0.0, 1.0, 0.0,
+      0.0, 0.0, 1.0,
+    );
+  }
+
   /**
    * Returns an identity matrix.
    * @returns {Matrix3x3}
@@ -212,8 +451,8 @@ export class Matrix3x3 implements Matrix {
     const b1: number = d123 * d234 * x4d;
     const a2: number = d134 * d234 * y2d;
     const b2: number = -d134 * d234 * x2d;
-    const a0: number = d11 * d123 * y4d + d22 * d134 * y2d;
-    const b0: number = d11 * d123 * x4d + d22 * d134 * x2d;
+    const a0: number = d22 * d134 * y2d - d11 * d123 * y4d;
+    const b0: number = d11 * d123 * x4d - d22 * d134 * x2d;
     const c0: number = -d123 * d124 * d134;
 
     return new Matrix3x3(
@@ -247,6 +486,35 @@ export class Matrix3x3 implements Matrix {
     return new Float32Vector3(p1, p2, p3);
   }
 
+  /**
+   * Multiply every 3-dimensional vector in `array` by the matrix, as `mulByVector3` does.
+   * For example, pass a normal matrix to transform the normals of a vertex buffer.
+   * @param {Float32Array} array Interleaved vectors described by `options`.
+   * @param {BatchTransformOptions<Float32Array>} options
+   * @returns {Float32Array} `options.out` if given, otherwise `array`.
+   */
+  transformVectors(array: Float32Array, options: BatchTransformOptions<Float32Array> = {}): Float32Array {
+    const [
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    ] = this.values as any;
+    const { stride, offset, count } = resolveBatchLayout(array.length, 3, options);
+    const out: Float32Array = options.out || array;
+
+    for (let i = 0, j = offset; i < count; i += 1, j += stride) {
+      const x: number = array[j];
+      const y: number = array[j + 1];
+      const z: number = array[j + 2];
+
+      out[j] = (m11 * x) + (m12 * y) + (m13 * z);
+      out[j + 1] = (m21 * x) + (m22 * y) + (m23 * z);
+      out[j + 2] = (m31 * x) + (m32 * y) + (m33 * z);
+    }
+
+    return out;
+  }
+
   /**
    * Multiply by `other` matrix and returns a product.
    *
@@ -330,6 +598,77 @@ export class Matrix3x3 implements Matrix {
     return this.mulByMatrix3x3(r);
   }
 
+  /**
+   * Returns the transposed matrix.
+   *
+   * This method does not mutate the matrix.
+   * @returns {Matrix3x3}
+   */
+  transpose(): Matrix3x3 {
+    const [
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    ] = this.values as any;
+
+    return new Matrix3x3(
+      m11, m12, m13,
+      m21, m22, m23,
+      m31, m32, m33,
+    );
+  }
+
+  /**
+   * Calculates the determinant of the matrix.
+   * @returns {number}
+   */
+  determinant(): number {
+    const [
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    ] = this.values as any;
+
+    return m11 * (m22 * m33 - m32 * m23)
+      + m21 * (m32 * m13 - m12 * m33)
+      + m31 * (m12 * m23 - m22 * m13);
+  }
+
+  /**
+   * Returns the inverse matrix, or `null` if the matrix is singular.
+   *
+   * This method does not mutate the matrix.
+   * @returns {Matrix3x3 | null}
+   */
+  inverse(): Matrix3x3 | null {
+    const [
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    ] = this.values as any;
+
+    // Cofactors of the matrix.
+    const c11: number = m22 * m33 - m32 * m23;
+    const c12: number = m31 * m23 - m21 * m33;
+    const c13: number = m21 * m32 - m31 * m22;
+    const c21: number = m32 * m13 - m12 * m33;
+    const c22: number = m11 * m33 - m31 * m13;
+    const c23: number = m31 * m12 - m11 * m32;
+    const c31: number = m12 * m23 - m22 * m13;
+    const c32: number = m21 * m13 - m11 * m23;
+    const c33: number = m11 * m22 - m21 * m12;
+
+    const det: number = m11 * c11 + m21 * c21 + m31 * c31;
+    if (det === 0) { return null; }
+    const r: number = 1 / det;
+
+    return new Matrix3x3(
+      c11 * r, c12 * r, c13 * r,
+      c21 * r, c22 * r, c23 * r,
+      c31 * r, c32 * r, c33 * r,
+    );
+  }
+
   get values(): Float32Array {
     return this._values;
   }
@@ -339,6 +678,16 @@ export class Matrix3x3 implements Matrix {
   }
 }
 
+/**
+ * Tolerance used by `Matrix4x4.decompose` to tell whether the matrix is affine and free of shear.
+ */
+const DECOMPOSE_TOLERANCE = 0.0001;
+
+/**
+ * `Matrix4x4.toEuler` treats the middle rotation as +-90 degrees when the sine of it exceeds this value.
+ */
+const GIMBAL_LOCK_THRESHOLD = 0.9999999;
+
 /**
  * 4x4 Matrix of single-precision float numbers.
  *
@@ -361,6 +710,60 @@ export class Matrix4x4 implements Matrix {
     ]);
   }
 
+  /**
+   * Returns new `Matrix4x4` over 16 elements of `buffer` from `byteOffset`, sharing the memory instead of copying.
+   * Throws a `RangeError` if `byteOffset` is misaligned or the matrix does not fit in `buffer`.
+   * @param {ArrayBuffer} buffer
+   * @param {number} byteOffset
+   * @returns {Matrix4x4}
+   */
+  static view(buffer: ArrayBuffer, byteOffset: number = 0): Matrix4x4 {
+    const m: Matrix4x4 = Object.create(Matrix4x4.prototype);
+    m._values = viewBuffer(Float32Array, buffer, byteOffset, 16);
+    return m;
+  }
+
+  /**
+   * Set values in column major order to the matrix and returns the matrix itself.
+   * @returns {Matrix4x4}
+   */
+  set(
+    m11: number, m21: number, m31: number, m41: number,
+    m12: number, m22: number, m32: number, m42: number,
+    m13: number, m23: number, m33: number, m43: number,
+    m14: number, m24: number, m34: number, m44: number,
+  ): Matrix4x4 {
+    const v = this._values;
+    v[0] = m11; v[1] = m21; v[2] = m31; v[3] = m41;
+    v[4] = m12; v[5] = m22; v[6] = m32; v[7] = m42;
+    v[8] = m13; v[9] = m23; v[10] = m33; v[11] = m43;
+    v[12] = m14; v[13] = m24; v[14] = m34; v[15] = m44;
+    return this;
+  }
+
+  /**
+   * Copy the values of `other` to the matrix and returns the matrix itself.
+   * @param {Matrix4x4} other
+   * @returns {Matrix4x4}
+   */
+  copyFrom(other: Matrix4x4): Matrix4x4 {
+    this._values.set(other.values);
+    return this;
+  }
+
+  /**
+   * Make the matrix an identity matrix and returns the matrix itself.
+   * @returns {Matrix4x4}
+   */
+  setIdentity(): Matrix4x4 {
+    return this.set(
+      1.0, 0.0, 0.0, 0.0,
+      0.0, 1.0, 0.0, 0.0,
+      0.0, 0.0, 1.0, 0.0,
+      0.0, 0.0, 0.0, 1.0,
+    );
+  }
+
   /**
    * Returns an identity matrix.
    * @returns {Matrix4x4}
@@ -488,12 +891,36 @@ export class Matrix4x4 implements Matrix {
     );
   }
 
+  /**
+   * Returns "look at" matrix for a left-handed coordinate system, where the camera looks down +z-axis.
+   * @param {Float32Vector3} cameraPosition
+   * @param {Float32Vector3} lookAtPosition
+   * @param {Float32Vector3} cameraUp
+   * @returns {Matrix4x4}
+   */
+  static lookAtLH(cameraPosition: Float32Vector3, lookAtPosition: Float32Vector3, cameraUp: Float32Vector3): Matrix4x4 {
+    const zAxis: Float32Vector3 = lookAtPosition.sub(cameraPosition).normalize();
+    const xAxis: Float32Vector3 = cameraUp.cross(zAxis).normalize();
+    const yAxis: Float32Vector3 = zAxis.cross(xAxis).normalize();
+
+    return new Matrix4x4(
+      xAxis.x, yAxis.x, zAxis.x, 0.0,
+      xAxis.y, yAxis.y, zAxis.y, 0.0,
+      xAxis.z, yAxis.z, zAxis.z, 0.0,
+      -cameraPosition.dot(xAxis), -cameraPosition.dot(yAxis), -cameraPosition.dot(zAxis), 1.0,
+    );
+  }
+
   /**
    * Returns an orthographic projection matrix.
-   * @param {{top: number; bottom: number; left: number; right: number; near: number; far: number}} argsObject
+   *
+   * By default depth is mapped to [-1, 1] as WebGL expects. See `DepthOptions` for the other conventions.
+   * `far` must be finite, because an orthographic projection of an infinite depth maps every depth to the same value.
+   * Throws a `RangeError` otherwise.
+   * @param {{top: number; bottom: number; left: number; right: number; near: number; far: number} & DepthOptions} argsObject
    * @returns {Matrix4x4}
    */
-  static orthographic(argsObject: {top: number, bottom: number, left: number, right: number, near: number, far: number}): Matrix4x4 {
+  static orthographic(argsObject: {top: number, bottom: number, left: number, right: number, near: number, far: number} & DepthOptions): Matrix4x4 {
     const top: number = argsObject.top;
     const bottom: number = argsObject.bottom;
     const left: number = argsObject.left;
@@ -501,20 +928,43 @@ export class Matrix4x4 implements Matrix {
     const near: number = argsObject.near;
     const far: number = argsObject.far;
 
+    if (!isFinite(far)) {
+      throw new RangeError('Matrix4x4.orthographic needs a finite far plane.');
+    }
+
+    // Map the view-space depth -near and -far linearly to the depth values of the near and the far plane.
+    const depth = resolveDepthValues(argsObject);
+    const scaleZ: number = (depth.near - depth.far) / (far - near);
+    const offsetZ: number = depth.near + scaleZ * near;
+
     return new Matrix4x4(
-      2 / (right - left),               0.0,                              0.0,                          0.0,
-      0.0,                              2 / (top - bottom),               0.0,                          0.0,
-      0.0,                              0.0,                              -2 / (far - near),            0.0,
-      -(right + left) / (right - left), -(top + bottom) / (top - bottom), -(far + near) / (far - near), 1.0,
+      2 / (right - left),               0.0,                              0.0,     0.0,
+      0.0,                              2 / (top - bottom),               0.0,     0.0,
+      0.0,                              0.0,                              scaleZ,  0.0,
+      -(right + left) / (right - left), -(top + bottom) / (top - bottom), offsetZ, 1.0,
     );
   }
 
+  /**
+   * Returns an orthographic projection matrix for a left-handed coordinate system,
+   * where `near` and `far` are distances along +z-axis.
+   * @param {{top: number; bottom: number; left: number; right: number; near: number; far: number} & DepthOptions} argsObject
+   * @returns {Matrix4x4}
+   */
+  static orthographicLH(argsObject: {top: number, bottom: number, left: number, right: number, near: number, far: number} & DepthOptions): Matrix4x4 {
+    // Flipping z of the view space turns the right-handed projection into the left-handed one.
+    return Matrix4x4.orthographic(argsObject).scale(1, 1, -1);
+  }
+
   /**
    * Returns a frustrum projection matrix.
-   * @param {{top: number; bottom: number; left: number; right: number; near: number; far: number}} argsObject
+   *
+   * By default depth is mapped to [-1, 1] as WebGL expects. See `DepthOptions` for the other conventions.
+   * `far` can be `Infinity` for an infinite far plane, that never clips distant objects.
+   * @param {{top: number; bottom: number; left: number; right: number; near: number; far: number} & DepthOptions} argsObject
    * @returns {Matrix4x4}
    */
-  static frustum(argsObject: {top: number, bottom: number, left: number, right: number, near: number, far: number}): Matrix4x4 {
+  static frustum(argsObject: {top: number, bottom: number, left: number, right: number, near: number, far: number} & DepthOptions): Matrix4x4 {
     const top: number = argsObject.top;
     const bottom: number = argsObject.bottom;
     const left: number = argsObject.left;
@@ -522,20 +972,43 @@ export class Matrix4x4 implements Matrix {
     const near: number = argsObject.near;
     const far: number = argsObject.far;
 
+    // The depth after the perspective division is -scaleZ + offsetZ / distance,
+    // which equals the depth values of the near and the far plane at distance `near` and `far`.
+    const depth = resolveDepthValues(argsObject);
+    const scaleZ: number = isFinite(far)
+      ? (depth.near - depth.far) * near / (far - near) - depth.far
+      : -depth.far;
+    const offsetZ: number = isFinite(far)
+      ? (depth.near - depth.far) * near * far / (far - near)
+      : (depth.near - depth.far) * near;
+
     return new Matrix4x4(
-      2 * near / (right - left),       0.0,                             0.0,                             0.0,
-      0.0,                             2 * near / (top - bottom),       0.0,                             0.0,
-      (right + left) / (right - left), (top + bottom) / (top - bottom), -(far + near) / (far - near),   -1.0,
-      0.0,                             0.0,                             -2 * far * near / (far - near),  0.0,
+      2 * near / (right - left),       0.0,                             0.0,      0.0,
+      0.0,                             2 * near / (top - bottom),       0.0,      0.0,
+      (right + left) / (right - left), (top + bottom) / (top - bottom), scaleZ,   -1.0,
+      0.0,                             0.0,                             offsetZ,  0.0,
     );
   }
 
+  /**
+   * Returns a frustrum projection matrix for a left-handed coordinate system,
+   * where `near` and `far` are distances along +z-axis.
+   * @param {{top: number; bottom: number; left: number; right: number; near: number; far: number} & DepthOptions} argsObject
+   * @returns {Matrix4x4}
+   */
+  static frustumLH(argsObject: {top: number, bottom: number, left: number, right: number, near: number, far: number} & DepthOptions): Matrix4x4 {
+    return Matrix4x4.frustum(argsObject).scale(1, 1, -1);
+  }
+
   /**
    * Returns a perspective projection matrix.
-   * @param {{fovYRadian: number; aspectRatio: number; near: number; far: number}} argsObject
+   *
+   * By default depth is mapped to [-1, 1] as WebGL expects. See `DepthOptions` for the other conventions.
+   * `far` can be `Infinity` for an infinite far plane, that never clips distant objects.
+   * @param {{fovYRadian: number; aspectRatio: number; near: number; far: number} & DepthOptions} argsObject
    * @returns {Matrix4x4}
    */
-  static perspective(argsObject: {fovYRadian: number, aspectRatio: number, near: number, far: number}): Matrix4x4 {
+  static perspective(argsObject: {fovYRadian: number, aspectRatio: number, near: number, far: number} & DepthOptions): Matrix4x4 {
     const top = argsObject.near * Math.tan(argsObject.fovYRadian * 0.5);
     const height = top * 2;
     const width = argsObject.aspectRatio * height;
@@ -550,15 +1023,61 @@ export class Matrix4x4 implements Matrix {
       right,
       near: argsObject.near,
       far: argsObject.far,
+      depthRange: argsObject.depthRange,
+      reversedDepth: argsObject.reversedDepth,
     });
   }
 
+  /**
+   * Returns a perspective projection matrix for a left-handed coordinate system,
+   * where `near` and `far` are distances along +z-axis.
+   * @param {{fovYRadian: number; aspectRatio: number; near: number; far: number} & DepthOptions} argsObject
+   * @returns {Matrix4x4}
+   */
+  static perspectiveLH(argsObject: {fovYRadian: number, aspectRatio: number, near: number, far: number} & DepthOptions): Matrix4x4 {
+    return Matrix4x4.perspective(argsObject).scale(1, 1, -1);
+  }
+
+  /**
+   * Returns a matrix that scales, rotates and then translates, in this order.
+   *
+   * This is the reverse of `decompose`.
+   * @param {Float32Vector3} translation
+   * @param {Quaternion} rotation A normalized rotation quaternion.
+   * @param {Float32Vector3} scale
+   * @returns {Matrix4x4}
+   */
+  static compose(translation: Float32Vector3, rotation: Quaternion, scale: Float32Vector3): Matrix4x4 {
+    return Matrix4x4.translation(translation.x, translation.y, translation.z)
+                    .mulByMatrix4x4(rotation.toRotationMatrix4())
+                    .scale(scale.x, scale.y, scale.z);
+  }
+
+  /**
+   * Returns rotation matrix from Euler angles.
+   * @param {number} x Angle around x-axis in radian.
+   * @param {number} y Angle around y-axis in radian.
+   * @param {number} z Angle around z-axis in radian.
+   * @param {EulerOrder} order
+   * @returns {Matrix4x4}
+   */
+  static fromEuler(x: number, y: number, z: number, order: EulerOrder = 'XYZ'): Matrix4x4 {
+    const rotations: { [axis: string]: Matrix4x4 } = {
+      X: Matrix4x4.rotationX(x),
+      Y: Matrix4x4.rotationY(y),
+      Z: Matrix4x4.rotationZ(z),
+    };
+
+    return rotations[order[0]].mulByMatrix4x4(rotations[order[1]]).mulByMatrix4x4(rotations[order[2]]);
+  }
+
   /**
    * Multiply by `other` vector and returns a vector.
    * @param {Float32Vector4} other
+   * @param {Float32Vector4} out The vector to write the result into. New `Float32Vector4` by default.
    * @returns {Float32Vector4}
    */
-  mulByVector4(other: Float32Vector4): Float32Vector4 {
+  mulByVector4(other: Float32Vector4, out: Float32Vector4 = new Float32Vector4(0, 0, 0, 0)): Float32Vector4 {
     const [
       m11, m21, m31, m41,
       m12, m22, m32, m42,
@@ -574,17 +1093,116 @@ export class Matrix4x4 implements Matrix {
     const p3: number = (m31 * o1) + (m32 * o2) + (m33 * o3) + (m34 * o4);
     const p4: number = (m41 * o1) + (m42 * o2) + (m43 * o3) + (m44 * o4);
 
-    return new Float32Vector4(p1, p2, p3, p4);
+    out.x = p1;
+    out.y = p2;
+    out.z = p3;
+    out.w = p4;
+    return out;
+  }
+
+  /**
+   * Transform every point of 3 components in `array` by the matrix, as (x, y, z, 1).
+   *
+   * The bottom row of the matrix is ignored, so the matrix must be affine.
+   * Use `transformPointsProjective` for projection matrices.
+   * @param {Float32Array} array Interleaved points described by `options`.
+   * @param {BatchTransformOptions<Float32Array>} options
+   * @returns {Float32Array} `options.out` if given, otherwise `array`.
+   */
+  transformPoints(array: Float32Array, options: BatchTransformOptions<Float32Array> = {}): Float32Array {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33, ,
+      m14, m24, m34,
+    ] = this.values as any;
+    const { stride, offset, count } = resolveBatchLayout(array.length, 3, options);
+    const out: Float32Array = options.out || array;
+
+    for (let i = 0, j = offset; i < count; i += 1, j += stride) {
+      const x: number = array[j];
+      const y: number = array[j + 1];
+      const z: number = array[j + 2];
+
+      out[j] = (m11 * x) + (m12 * y) + (m13 * z) + m14;
+      out[j + 1] = (m21 * x) + (m22 * y) + (m23 * z) + m24;
+      out[j + 2] = (m31 * x) + (m32 * y) + (m33 * z) + m34;
+    }
+
+    return out;
+  }
+
+  /**
+   * Transform every direction of 3 components in `array` by the matrix, as (x, y, z, 0).
+   * Directions are not affected by translation.
+   *
+   * To transform normals under non-uniform scaling, use `normalMatrix().transformVectors` instead.
+   * @param {Float32Array} array Interleaved directions described by `options`.
+   * @param {BatchTransformOptions<Float32Array>} options
+   * @returns {Float32Array} `options.out` if given, otherwise `array`.
+   */
+  transformDirections(array: Float32Array, options: BatchTransformOptions<Float32Array> = {}): Float32Array {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33,
+    ] = this.values as any;
+    const { stride, offset, count } = resolveBatchLayout(array.length, 3, options);
+    const out: Float32Array = options.out || array;
+
+    for (let i = 0, j = offset; i < count; i += 1, j += stride) {
+      const x: number = array[j];
+      const y: number = array[j + 1];
+      const z: number = array[j + 2];
+
+      out[j] = (m11 * x) + (m12 * y) + (m13 * z);
+      out[j + 1] = (m21 * x) + (m22 * y) + (m23 * z);
+      out[j + 2] = (m31 * x) + (m32 * y) + (m33 * z);
+    }
+
+    return out;
+  }
+
+  /**
+   * Transform every point of 3 components in `array` by the matrix as (x, y, z, 1),
+   * and divide the results by their w, for example to get normalized device coordinates.
+   * @param {Float32Array} array Interleaved points described by `options`.
+   * @param {BatchTransformOptions<Float32Array>} options
+   * @returns {Float32Array} `options.out` if given, otherwise `array`.
+   */
+  transformPointsProjective(array: Float32Array, options: BatchTransformOptions<Float32Array> = {}): Float32Array {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+    const { stride, offset, count } = resolveBatchLayout(array.length, 3, options);
+    const out: Float32Array = options.out || array;
+
+    for (let i = 0, j = offset; i < count; i += 1, j += stride) {
+      const x: number = array[j];
+      const y: number = array[j + 1];
+      const z: number = array[j + 2];
+      const r: number = 1 / ((m41 * x) + (m42 * y) + (m43 * z) + m44);
+
+      out[j] = ((m11 * x) + (m12 * y) + (m13 * z) + m14) * r;
+      out[j + 1] = ((m21 * x) + (m22 * y) + (m23 * z) + m24) * r;
+      out[j + 2] = ((m31 * x) + (m32 * y) + (m33 * z) + m34) * r;
+    }
+
+    return out;
   }
 
   /**
    * Multiply by `other` matrix and returns a product.
    *
-   * This method does not mutate the matrix.
+   * This method does not mutate the matrix unless it is passed as `out`.
    * @param {Matrix4x4} other
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
    * @returns {Matrix4x4}
    */
-  mulByMatrix4x4(other: Matrix4x4): Matrix4x4 {
+  mulByMatrix4x4(other: Matrix4x4, out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 {
     const [
       m11, m21, m31, m41,
       m12, m22, m32, m42,
@@ -618,7 +1236,7 @@ export class Matrix4x4 implements Matrix {
     const p34: number = (m31 * o14) + (m32 * o24) + (m33 * o34) + (m34 * o44);
     const p44: number = (m41 * o14) + (m42 * o24) + (m43 * o34) + (m44 * o44);
 
-    return new Matrix4x4(
+    return out.set(
       p11, p21, p31, p41,
       p12, p22, p32, p42,
       p13, p23, p33, p43,
@@ -629,85 +1247,613 @@ export class Matrix4x4 implements Matrix {
   /**
    * An alias for `mulByMatrix4x4`.
    * @param {Matrix4x4} other
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
    * @returns {Matrix4x4}
    */
-  mulByMatrix4(other: Matrix4x4): Matrix4x4 {
-    return this.mulByMatrix4x4(other);
+  mulByMatrix4(other: Matrix4x4, out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 {
+    return this.mulByMatrix4x4(other, out);
   }
 
   /**
    * Translate the matrix and returns new `Matrix4x4`.
    *
-   * This method does not mutate the matrix.
+   * This method does not mutate the matrix unless it is passed as `out`.
    * @param {number} tx
    * @param {number} ty
    * @param {number} tz
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
    * @returns {Matrix4x4}
    */
-  translate(tx: number, ty: number, tz: number): Matrix4x4 {
-    const t: Matrix4x4 = Matrix4x4.translation(tx, ty, tz);
-    return this.mulByMatrix4x4(t);
+  translate(tx: number, ty: number, tz: number, out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    // Equals `this.mulByMatrix4x4(Matrix4x4.translation(tx, ty, tz))`, which changes the last column only.
+    return out.set(
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      (m11 * tx) + (m12 * ty) + (m13 * tz) + m14,
+      (m21 * tx) + (m22 * ty) + (m23 * tz) + m24,
+      (m31 * tx) + (m32 * ty) + (m33 * tz) + m34,
+      (m41 * tx) + (m42 * ty) + (m43 * tz) + m44,
+    );
   }
 
   /**
    * Scale the matrix and returns new `Matrix4x4`.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
    * @param {number} sx
    * @param {number} sy
    * @param {number} sz
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
    * @returns {Matrix4x4}
    */
-  scale(sx: number, sy: number, sz: number): Matrix4x4 {
-    const s: Matrix4x4 = Matrix4x4.scaling(sx, sy, sz);
-    return this.mulByMatrix4x4(s);
+  scale(sx: number, sy: number, sz: number, out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    return out.set(
+      m11 * sx, m21 * sx, m31 * sx, m41 * sx,
+      m12 * sy, m22 * sy, m32 * sy, m42 * sy,
+      m13 * sz, m23 * sz, m33 * sz, m43 * sz,
+      m14,      m24,      m34,      m44,
+    );
   }
 
   /**
    * Rotate the matrix around x-axis and returns new `Matrix4x4`.
    *
-   * This method does not mutate the matrix.
+   * This method does not mutate the matrix unless it is passed as `out`.
    * @param {number} radian
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
    * @returns {Matrix4x4}
    */
-  rotateX(radian: number): Matrix4x4 {
-    const rx: Matrix4x4 = Matrix4x4.rotationX(radian);
-    return this.mulByMatrix4x4(rx);
+  rotateX(radian: number, out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+    const sin: number = Math.sin(radian);
+    const cos: number = Math.cos(radian);
+
+    return out.set(
+      m11,                       m21,                       m31,                       m41,
+      (m12 * cos) + (m13 * sin), (m22 * cos) + (m23 * sin), (m32 * cos) + (m33 * sin), (m42 * cos) + (m43 * sin),
+      (m13 * cos) - (m12 * sin), (m23 * cos) - (m22 * sin), (m33 * cos) - (m32 * sin), (m43 * cos) - (m42 * sin),
+      m14,                       m24,                       m34,                       m44,
+    );
   }
 
   /**
    * Rotate the matrix around y-axis and returns new `Matrix4x4`.
    *
-   * This method does not mutate the matrix.
+   * This method does not mutate the matrix unless it is passed as `out`.
    * @param {number} radian
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
    * @returns {Matrix4x4}
    */
-  rotateY(radian: number): Matrix4x4 {
-    const ry: Matrix4x4 = Matrix4x4.rotationY(radian);
-    return this.mulByMatrix4x4(ry);
+  rotateY(radian: number, out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+    const sin: number = Math.sin(radian);
+    const cos: number = Math.cos(radian);
+
+    return out.set(
+      (m11 * cos) - (m13 * sin), (m21 * cos) - (m23 * sin), (m31 * cos) - (m33 * sin), (m41 * cos) - (m43 * sin),
+      m12,                       m22,                       m32,                       m42,
+      (m11 * sin) + (m13 * cos), (m21 * sin) + (m23 * cos), (m31 * sin) + (m33 * cos), (m41 * sin) + (m43 * cos),
+      m14,                       m24,                       m34,                       m44,
+    );
   }
 
   /**
    * Rotate the matrix around z-axis and returns new `Matrix4x4`.
    *
-   * This method does not mutate the matrix.
+   * This method does not mutate the matrix unless it is passed as `out`.
    * @param {number} radian
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
    * @returns {Matrix4x4}
    */
-  rotateZ(radian: number): Matrix4x4 {
-    const rz: Matrix4x4 = Matrix4x4.rotationZ(radian);
-    return this.mulByMatrix4x4(rz);
+  rotateZ(radian: number, out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+    const sin: number = Math.sin(radian);
+    const cos: number = Math.cos(radian);
+
+    return out.set(
+      (m11 * cos) + (m12 * sin), (m21 * cos) + (m22 * sin), (m31 * cos) + (m32 * sin), (m41 * cos) + (m42 * sin),
+      (m12 * cos) - (m11 * sin), (m22 * cos) - (m21 * sin), (m32 * cos) - (m31 * sin), (m42 * cos) - (m41 * sin),
+      m13,                       m23,                       m33,                       m43,
+      m14,                       m24,                       m34,                       m44,
+    );
   }
 
   /**
    * Rotate the matrix around the `normalizedAxis` and return new Matrix4x4.
    *
-   * This method does not mutate the matrix.
+   * This method does not mutate the matrix unless it is passed as `out`.
    * @param {Float32Vector3} normalizedAxis
    * @param {number} radian
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
+   * @returns {Matrix4x4}
+   */
+  rotateAround(normalizedAxis: Float32Vector3, radian: number, out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+    const x: number = normalizedAxis.x;
+    const y: number = normalizedAxis.y;
+    const z: number = normalizedAxis.z;
+    const sin: number = Math.sin(radian);
+    const cos: number = Math.cos(radian);
+    const c: number = 1 - cos;
+
+    // Rodrigues' rotation formula, the same rotation as `Matrix4x4.rotationAround`.
+    const r11: number = x * x * c + cos;
+    const r21: number = y * x * c + z * sin;
+    const r31: number = z * x * c - y * sin;
+    const r12: number = x * y * c - z * sin;
+    const r22: number = y * y * c + cos;
+    const r32: number = z * y * c + x * sin;
+    const r13: number = x * z * c + y * sin;
+    const r23: number = y * z * c - x * sin;
+    const r33: number = z * z * c + cos;
+
+    return out.set(
+      m11 * r11 + m12 * r21 + m13 * r31, m21 * r11 + m22 * r21 + m23 * r31,
+      m31 * r11 + m32 * r21 + m33 * r31, m41 * r11 + m42 * r21 + m43 * r31,
+      m11 * r12 + m12 * r22 + m13 * r32, m21 * r12 + m22 * r22 + m23 * r32,
+      m31 * r12 + m32 * r22 + m33 * r32, m41 * r12 + m42 * r22 + m43 * r32,
+      m11 * r13 + m12 * r23 + m13 * r33, m21 * r13 + m22 * r23 + m23 * r33,
+      m31 * r13 + m32 * r23 + m33 * r33, m41 * r13 + m42 * r23 + m43 * r33,
+      m14, m24, m34, m44,
+    );
+  }
+
+  /**
+   * Returns the transposed matrix.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
+   * @returns {Matrix4x4}
+   */
+  transpose(out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    return out.set(
+      m11, m12, m13, m14,
+      m21, m22, m23, m24,
+      m31, m32, m33, m34,
+      m41, m42, m43, m44,
+    );
+  }
+
+  /**
+   * Converts a transformation between a right-handed and a left-handed coordinate system by flipping z-axis.
+   * The conversion is its own inverse, so it works in both directions.
+   *
+   * Use it for model and view matrices. Create projection matrices with the factories of the target convention instead.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
    * @returns {Matrix4x4}
    */
-  rotateAround(normalizedAxis: Float32Vector3, radian: number): Matrix4x4 {
-    const r = Matrix4x4.rotationAround(normalizedAxis, radian);
-    return this.mulByMatrix4x4(r);
+  convertHandedness(out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    // S * M * S with S = diag(1, 1, -1, 1) negates the elements in either the third row or the third column.
+    return out.set(
+      m11,  m21,  -m31, m41,
+      m12,  m22,  -m32, m42,
+      -m13, -m23, m33,  -m43,
+      m14,  m24,  -m34, m44,
+    );
+  }
+
+  /**
+   * Calculates the determinant of the matrix.
+   * @returns {number}
+   */
+  determinant(): number {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    // 2x2 sub-determinants of the left two columns and of the right two columns.
+    const s0: number = m11 * m22 - m21 * m12;
+    const s1: number = m11 * m32 - m31 * m12;
+    const s2: number = m11 * m42 - m41 * m12;
+    const s3: number = m21 * m32 - m31 * m22;
+    const s4: number = m21 * m42 - m41 * m22;
+    const s5: number = m31 * m42 - m41 * m32;
+    const c0: number = m13 * m24 - m23 * m14;
+    const c1: number = m13 * m34 - m33 * m14;
+    const c2: number = m13 * m44 - m43 * m14;
+    const c3: number = m23 * m34 - m33 * m24;
+    const c4: number = m23 * m44 - m43 * m24;
+    const c5: number = m33 * m44 - m43 * m34;
+
+    return s0 * c5 - s1 * c4 + s2 * c3 + s3 * c2 - s4 * c1 + s5 * c0;
+  }
+
+  /**
+   * Returns the inverse matrix, or `null` if the matrix is singular.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
+   * @returns {Matrix4x4 | null}
+   */
+  inverse(out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 | null {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    // 2x2 sub-determinants of the left two columns and of the right two columns.
+    const s0: number = m11 * m22 - m21 * m12;
+    const s1: number = m11 * m32 - m31 * m12;
+    const s2: number = m11 * m42 - m41 * m12;
+    const s3: number = m21 * m32 - m31 * m22;
+    const s4: number = m21 * m42 - m41 * m22;
+    const s5: number = m31 * m42 - m41 * m32;
+    const c0: number = m13 * m24 - m23 * m14;
+    const c1: number = m13 * m34 - m33 * m14;
+    const c2: number = m13 * m44 - m43 * m14;
+    const c3: number = m23 * m34 - m33 * m24;
+    const c4: number = m23 * m44 - m43 * m24;
+    const c5: number = m33 * m44 - m43 * m34;
+
+    const det: number = s0 * c5 - s1 * c4 + s2 * c3 + s3 * c2 - s4 * c1 + s5 * c0;
+    if (det === 0) { return null; }
+    const r: number = 1 / det;
+
+    return out.set(
+      (m22 * c5 - m32 * c4 + m42 * c3) * r,
+      (m31 * c4 - m21 * c5 - m41 * c3) * r,
+      (m24 * s5 - m34 * s4 + m44 * s3) * r,
+      (m33 * s4 - m23 * s5 - m43 * s3) * r,
+
+      (m32 * c2 - m12 * c5 - m42 * c1) * r,
+      (m11 * c5 - m31 * c2 + m41 * c1) * r,
+      (m34 * s2 - m14 * s5 - m44 * s1) * r,
+      (m13 * s5 - m33 * s2 + m43 * s1) * r,
+
+      (m12 * c4 - m22 * c2 + m42 * c0) * r,
+      (m21 * c2 - m11 * c4 - m41 * c0) * r,
+      (m14 * s4 - m24 * s2 + m44 * s0) * r,
+      (m23 * s2 - m13 * s4 - m43 * s0) * r,
+
+      (m22 * c1 - m12 * c3 - m32 * c0) * r,
+      (m11 * c3 - m21 * c1 + m31 * c0) * r,
+      (m24 * s1 - m14 * s3 - m34 * s0) * r,
+      (m13 * s3 - m23 * s1 + m33 * s0) * r,
+    );
+  }
+
+  /**
+   * Returns the inverse matrix of an affine transformation, or `null` if the matrix is singular.
+   *
+   * The bottom row of the matrix must be (0, 0, 0, 1),
+   * which holds for translation, rotation, scaling and "look at" matrices and their products.
+   * Cheaper than `inverse`, but the result is wrong for projection matrices.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
+   * @returns {Matrix4x4 | null}
+   */
+  invertAffine(out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 | null {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33, ,
+      m14, m24, m34,
+    ] = this.values as any;
+
+    // Cofactors of the upper-left 3x3.
+    const c11: number = m22 * m33 - m32 * m23;
+    const c21: number = m32 * m13 - m12 * m33;
+    const c31: number = m12 * m23 - m22 * m13;
+
+    const det: number = m11 * c11 + m21 * c21 + m31 * c31;
+    if (det === 0) { return null; }
+    const r: number = 1 / det;
+
+    const i11: number = c11 * r;
+    const i12: number = c21 * r;
+    const i13: number = c31 * r;
+    const i21: number = (m31 * m23 - m21 * m33) * r;
+    const i22: number = (m11 * m33 - m31 * m13) * r;
+    const i23: number = (m21 * m13 - m11 * m23) * r;
+    const i31: number = (m21 * m32 - m31 * m22) * r;
+    const i32: number = (m31 * m12 - m11 * m32) * r;
+    const i33: number = (m11 * m22 - m21 * m12) * r;
+
+    return out.set(
+      i11, i21, i31, 0.0,
+      i12, i22, i32, 0.0,
+      i13, i23, i33, 0.0,
+      -(i11 * m14 + i12 * m24 + i13 * m34),
+      -(i21 * m14 + i22 * m24 + i23 * m34),
+      -(i31 * m14 + i32 * m24 + i33 * m34),
+      1.0,
+    );
+  }
+
+  /**
+   * Returns the inverse matrix of a rigid-body transformation.
+   *
+   * The matrix must consist of rotation and translation only,
+   * so that its upper-left 3x3 is orthonormal and its bottom row is (0, 0, 0, 1).
+   * The inverse is then calculated by transposing the rotation part.
+   *
+   * This method does not mutate the matrix unless it is passed as `out`.
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
+   * @returns {Matrix4x4}
+   */
+  invertRigid(out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33, ,
+      m14, m24, m34,
+    ] = this.values as any;
+
+    return out.set(
+      m11, m12, m13, 0.0,
+      m21, m22, m23, 0.0,
+      m31, m32, m33, 0.0,
+      -(m11 * m14 + m21 * m24 + m31 * m34),
+      -(m12 * m14 + m22 * m24 + m32 * m34),
+      -(m13 * m14 + m23 * m24 + m33 * m34),
+      1.0,
+    );
+  }
+
+  /**
+   * Returns the upper-left 3x3 part of the matrix as `Matrix3x3`.
+   * @param {Matrix3x3} out The matrix to write the result into. New `Matrix3x3` by default.
+   * @returns {Matrix3x3}
+   */
+  upperLeft3x3(out: Matrix3x3 = Matrix3x3.identity()): Matrix3x3 {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33,
+    ] = this.values as any;
+
+    return out.set(
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    );
+  }
+
+  /**
+   * Returns the normal matrix, that is the inverse transpose of the upper-left 3x3 part,
+   * or `null` if the part is singular.
+   *
+   * Use it on a model-view matrix to transform normal vectors for lighting.
+   * Unlike the upper-left 3x3 itself, it keeps normals perpendicular to surfaces under non-uniform scaling.
+   * `out` is left untouched when the result is `null`.
+   * @param {Matrix3x3} out The matrix to write the result into. New `Matrix3x3` by default.
+   * @returns {Matrix3x3 | null}
+   */
+  normalMatrix(out: Matrix3x3 = Matrix3x3.identity()): Matrix3x3 | null {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33,
+    ] = this.values as any;
+
+    // Cofactors of the upper-left 3x3.
+    const c11: number = m22 * m33 - m32 * m23;
+    const c12: number = m31 * m23 - m21 * m33;
+    const c13: number = m21 * m32 - m31 * m22;
+    const c21: number = m32 * m13 - m12 * m33;
+    const c22: number = m11 * m33 - m31 * m13;
+    const c23: number = m31 * m12 - m11 * m32;
+    const c31: number = m12 * m23 - m22 * m13;
+    const c32: number = m21 * m13 - m11 * m23;
+    const c33: number = m11 * m22 - m21 * m12;
+
+    const det: number = m11 * c11 + m21 * c21 + m31 * c31;
+    if (det === 0) { return null; }
+    const r: number = 1 / det;
+
+    // The inverse transpose equals the cofactor matrix divided by the determinant.
+    return out.set(
+      c11 * r, c21 * r, c31 * r,
+      c12 * r, c22 * r, c32 * r,
+      c13 * r, c23 * r, c33 * r,
+    );
+  }
+
+  /**
+   * Decomposes the matrix into translation, rotation and scale, so that
+   * `Matrix4x4.compose(translation, rotation, scale)` restores the matrix.
+   *
+   * A mirroring transformation is returned as a negative x scale.
+   * Returns `null` if the matrix is not affine, contains shear or has zero scale,
+   * because such a matrix cannot be expressed by the three components.
+   * @returns {{translation: Float32Vector3; rotation: Quaternion; scale: Float32Vector3} | null}
+   */
+  decompose(): { translation: Float32Vector3, rotation: Quaternion, scale: Float32Vector3 } | null {
+    const [
+      m11, m21, m31, m41,
+      m12, m22, m32, m42,
+      m13, m23, m33, m43,
+      m14, m24, m34, m44,
+    ] = this.values as any;
+
+    if (
+      Math.abs(m41) > DECOMPOSE_TOLERANCE || Math.abs(m42) > DECOMPOSE_TOLERANCE ||
+      Math.abs(m43) > DECOMPOSE_TOLERANCE || Math.abs(m44 - 1) > DECOMPOSE_TOLERANCE
+    ) {
+      return null;
+    }
+
+    const xAxis = new Float32Vector3(m11, m21, m31);
+    const yAxis = new Float32Vector3(m12, m22, m32);
+    const zAxis = new Float32Vector3(m13, m23, m33);
+
+    let sx: number = xAxis.magnitude;
+    const sy: number = yAxis.magnitude;
+    const sz: number = zAxis.magnitude;
+    if (sx === 0 || sy === 0 || sz === 0) { return null; }
+
+    // A negative determinant means the matrix mirrors, which a rotation cannot do.
+    if (xAxis.cross(yAxis).dot(zAxis) < 0) {
+      sx = -sx;
+    }
+
+    const rx: Float32Vector3 = xAxis.mulByScalar(1 / sx);
+    const ry: Float32Vector3 = yAxis.mulByScalar(1 / sy);
+    const rz: Float32Vector3 = zAxis.mulByScalar(1 / sz);
+
+    // The axes must be orthogonal after removing the scale, otherwise the matrix has shear.
+    if (
+      Math.abs(rx.dot(ry)) > DECOMPOSE_TOLERANCE ||
+      Math.abs(ry.dot(rz)) > DECOMPOSE_TOLERANCE ||
+      Math.abs(rz.dot(rx)) > DECOMPOSE_TOLERANCE
+    ) {
+      return null;
+    }
+
+    return {
+      translation: new Float32Vector3(m14, m24, m34),
+      rotation: Quaternion.fromRotationMatrix3(new Matrix3x3(
+        rx.x, rx.y, rx.z,
+        ry.x, ry.y, ry.z,
+        rz.x, rz.y, rz.z,
+      )),
+      scale: new Float32Vector3(sx, sy, sz),
+    };
+  }
+
+  /**
+   * Returns Euler angles of the rotation as `Float32Vector3` of radians around x, y and z-axis.
+   * The upper-left 3x3 part of the matrix must be a pure rotation.
+   * The angle of the middle rotation is in [-PI/2, PI/2] and the others are in [-PI, PI].
+   *
+   * When the middle rotation is at +-90 degrees (gimbal lock), the first and the last rotation
+   * share a single axis. Then the last rotation is set to 0 and the first one holds the whole angle.
+   * @param {EulerOrder} order
+   * @param {Float32Vector3} out The vector to write the result into. New `Float32Vector3` by default.
+   * @returns {Float32Vector3}
+   */
+  toEuler(order: EulerOrder = 'XYZ', out: Float32Vector3 = new Float32Vector3(0, 0, 0)): Float32Vector3 {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33,
+    ] = this.values as any;
+    const clamp = (value: number) => Math.min(Math.max(value, -1), 1);
+
+    let x: number;
+    let y: number;
+    let z: number;
+
+    switch (order) {
+      case 'XYZ':
+        y = Math.asin(clamp(m13));
+        if (Math.abs(m13) < GIMBAL_LOCK_THRESHOLD) {
+          x = Math.atan2(-m23, m33);
+          z = Math.atan2(-m12, m11);
+        } else {
+          x = Math.atan2(m32, m22);
+          z = 0;
+        }
+        break;
+      case 'XZY':
+        z = Math.asin(-clamp(m12));
+        if (Math.abs(m12) < GIMBAL_LOCK_THRESHOLD) {
+          x = Math.atan2(m32, m22);
+          y = Math.atan2(m13, m11);
+        } else {
+          x = Math.atan2(-m23, m33);
+          y = 0;
+        }
+        break;
+      case 'YXZ':
+        x = Math.asin(-clamp(m23));
+        if (Math.abs(m23) < GIMBAL_LOCK_THRESHOLD) {
+          y = Math.atan2(m13, m33);
+          z = Math.atan2(m21, m22);
+        } else {
+          y = Math.atan2(-m31, m11);
+          z = 0;
+        }
+        break;
+      case 'YZX':
+        z = Math.asin(clamp(m21));
+        if (Math.abs(m21) < GIMBAL_LOCK_THRESHOLD) {
+          x = Math.atan2(-m23, m22);
+          y = Math.atan2(-m31, m11);
+        } else {
+          x = 0;
+          y = Math.atan2(m13, m33);
+        }
+        break;
+      case 'ZXY':
+        x = Math.asin(clamp(m32));
+        if (Math.abs(m32) < GIMBAL_LOCK_THRESHOLD) {
+          y = Math.atan2(-m31, m33);
+          z = Math.atan2(-m12, m22);
+        } else {
+          y = 0;
+          z = Math.atan2(m21, m11);
+        }
+        break;
+      default: // 'ZYX'
+        y = Math.asin(-clamp(m31));
+        if (Math.abs(m31) < GIMBAL_LOCK_THRESHOLD) {
+          x = Math.atan2(m32, m33);
+          z = Math.atan2(m21, m11);
+        } else {
+          x = 0;
+          z = Math.atan2(-m12, m22);
+        }
+    }
+
+    return out.set(x, y, z);
   }
 
   get values(): Float32Array {
@@ -0,0 +1,100 @@
+import { Float32Vector3, Float32Vector4 } from './float32vector';
+import { Matrix3x3, Matrix4x4 } from './matrix';
+
+/**
+ * An infinite plane of points `p` that satisfy `normal.dot(p) + constant === 0`.
+ */
+export class Plane {
+  protected _normal: Float32Vector3;
+  protected _constant: number;
+
+  /**
+   * `normal` should be normalized, otherwise `distanceToPoint` is scaled by its magnitude.
+   * @param {Float32Vector3} normal
+   * @param {number} constant
+   */
+  constructor(normal: Float32Vector3, constant: number) {
+    this._normal = normal;
+    this._constant = constant;
+  }
+
+  /**
+   * Returns the plane that passes through `point` and faces `normal`.
+   * @param {Float32Vector3} point
+   * @param {Float32Vector3} normal A normalized vector.
+   * @returns {Plane}
+   */
+  static fromPointAndNormal(point: Float32Vector3, normal: Float32Vector3): Plane {
+    return new Plane(normal, -normal.dot(point));
+  }
+
+  /**
+   * Returns the plane that passes through `a`, `b` and `c`,
+   * facing the side from which they appear counter-clockwise.
+   * Returns `null` if the points are on a line.
+   * @param {Float32Vector3} a
+   * @param {Float32Vector3} b
+   * @param {Float32Vector3} c
+   * @returns {Plane | null}
+   */
+  static fromPoints(a: Float32Vector3, b: Float32Vector3, c: Float32Vector3): Plane | null {
+    const cross: Float32Vector3 = b.sub(a).cross(c.sub(a));
+    if (cross.magnitude === 0) { return null; }
+    return Plane.fromPointAndNormal(a, cross.normalize());
+  }
+
+  /**
+   * Returns the signed distance from the plane to `point`, which is positive on the side the normal faces.
+   * @param {Float32Vector3} point
+   * @returns {number}
+   */
+  distanceToPoint(point: Float32Vector3): number {
+    return this._normal.dot(point) + this._constant;
+  }
+
+  /**
+   * Returns the plane with the normal normalized and the constant scaled accordingly.
+   * Returns the plane itself if the normal is zero.
+   * @returns {Plane}
+   */
+  normalize(): Plane {
+    const mag: number = this._normal.magnitude;
+    if (mag === 0) { return this; }
+    return new Plane(this._normal.mulByScalar(1 / mag), this._constant / mag);
+  }
+
+  /**
+   * Returns the plane transformed by `matrix`, or `null` if the upper-left 3x3 part of `matrix` is singular.
+   * The normal is transformed by the normal matrix, so that it stays perpendicular under non-uniform scaling.
+   * @param {Matrix4x4} matrix
+   * @returns {Plane | null}
+   */
+  transform(matrix: Matrix4x4): Plane | null {
+    const normalMatrix: Matrix3x3 | null = matrix.normalMatrix();
+    if (normalMatrix === null) { return null; }
+
+    // `-constant * normal` is on the plane only if the normal is a unit vector.
+    const unit: Plane = this.normalize();
+    const p = unit.normal.mulByScalar(-unit.constant);
+    const point: Float32Vector3 = matrix.mulByVector4(new Float32Vector4(p.x, p.y, p.z, 1)).xyz;
+    const normal: Float32Vector3 = normalMatrix.mulByVector3(this._normal).normalize();
+
+    return Plane.fromPointAndNormal(point, normal);
+  }
+
+  /**
+   * Returns the normal of the plane.
+   * @returns {Float32Vector3}
+   */
+  get normal(): Float32Vector3 {
+    return this._normal;
+  }
+
+  /**
+   * Returns the constant of the plane, that is the negated distance from the origin along the normal.
+   * @returns {number}
+   */
+  get constant(): number {
+    return this._constant;
+  }
+}
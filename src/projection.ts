@@ -0,0 +1,64 @@
+import { DepthOptions } from './depth';
+import { Float32Vector3, Float32Vector4 } from './float32vector';
+import { Matrix4x4 } from './matrix';
+
+/**
+ * A viewport rectangle in pixels, the same as the arguments of `gl.viewport`.
+ */
+export interface Viewport {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/**
+ * Projects a world-space `point` to window coordinates.
+ *
+ * As in WebGL, x and y are in pixels from the bottom-left corner of the canvas,
+ * and z is the depth in [0, 1], where 0 is the near plane unless the depth is reversed.
+ * Returns `null` if the point is on the plane of the camera, where it has no projection.
+ * @param {Float32Vector3} point
+ * @param {Matrix4x4} viewProj The product of a projection matrix and a view matrix.
+ * @param {Viewport} viewport
+ * @param {DepthOptions} options The depth options that the projection matrix was created with.
+ * @returns {Float32Vector3 | null}
+ */
+export function project(point: Float32Vector3, viewProj: Matrix4x4, viewport: Viewport, options: DepthOptions = {}): Float32Vector3 | null {
+  const clip: Float32Vector4 = viewProj.mulByVector4(new Float32Vector4(point.x, point.y, point.z, 1));
+  if (clip.w === 0) { return null; }
+
+  const ndc: Float32Vector3 = clip.hom2cart;
+  return new Float32Vector3(
+    viewport.x + (ndc.x + 1) * 0.5 * viewport.width,
+    viewport.y + (ndc.y + 1) * 0.5 * viewport.height,
+    options.depthRange === 'zeroToOne' ? ndc.z : (ndc.z + 1) * 0.5,
+  );
+}
+
+/**
+ * Converts window coordinates back to a world-space point. This is the reverse of `project`.
+ *
+ * Mouse events count y from the top, so pass `canvas.height - event.offsetY` as y.
+ * Returns `null` if `viewProj` is singular, or if the depth is at an infinite far plane.
+ * @param {Float32Vector3} screen Window coordinates and the depth in [0, 1].
+ * @param {Matrix4x4} viewProj The product of a projection matrix and a view matrix.
+ * @param {Viewport} viewport
+ * @param {DepthOptions} options The depth options that the projection matrix was created with.
+ * @returns {Float32Vector3 | null}
+ */
+export function unproject(screen: Float32Vector3, viewProj: Matrix4x4, viewport: Viewport, options: DepthOptions = {}): Float32Vector3 | null {
+  const inverse: Matrix4x4 | null = viewProj.inverse();
+  if (inverse === null) { return null; }
+
+  const ndc = new Float32Vector4(
+    (screen.x - viewport.x) / viewport.width * 2 - 1,
+    (screen.y - viewport.y) / viewport.height * 2 - 1,
+    options.depthRange === 'zeroToOne' ? screen.z : screen.z * 2 - 1,
+    1,
+  );
+  const world: Float32Vector4 = inverse.mulByVector4(ndc);
+  if (world.w === 0) { return null; }
+
+  return world.hom2cart;
+}
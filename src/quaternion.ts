@@ -1,5 +1,28 @@
+import { viewBuffer } from './buffer_view';
 import { Float32Vector3 } from './float32vector';
-import { Matrix4x4 } from './matrix';
+import { EulerOrder, Matrix3x3, Matrix4x4 } from './matrix';
+
+/**
+ * `Quaternion.slerp` falls back to normalized linear interpolation when the dot product exceeds this value.
+ */
+const SLERP_THRESHOLD = 0.9995;
+
+/**
+ * `Quaternion.fromUnitVectors` treats the vectors as opposite when `1 + dot` is less than this value.
+ */
+const ANTIPARALLEL_THRESHOLD = 0.000001;
+
+/**
+ * Options of `Quaternion.slerp` for the shorter arc, shared so that calls do not allocate them.
+ */
+export const SHORTER_ANGLE = { chooseShorterAngle: true };
+
+/**
+ * Temporary values of `Quaternion.squad` and `Quaternion.toEuler`, created on first use
+ * because the classes are not defined yet while the modules that import each other load.
+ */
+let scratchQuaternion: Quaternion | undefined;
+let scratchMatrix: Matrix4x4 | undefined;
 
 /**
  * Quaternion which is 4-dimensional complex number.
@@ -12,6 +35,53 @@ export class Quaternion {
     this._values = new Float32Array([x, y, z, w]);
   }
 
+  /**
+   * Returns new `Quaternion` over 4 elements of `buffer` from `byteOffset`, sharing the memory instead of copying.
+   * Throws a `RangeError` if `byteOffset` is misaligned or the quaternion does not fit in `buffer`.
+   * @param {ArrayBuffer} buffer
+   * @param {number} byteOffset
+   * @returns {Quaternion}
+   */
+  static view(buffer: ArrayBuffer, byteOffset: number = 0): Quaternion {
+    const q: Quaternion = Object.create(Quaternion.prototype);
+    q._values = viewBuffer(Float32Array, buffer, byteOffset, 4);
+    return q;
+  }
+
+  /**
+   * Set `x`, `y`, `z` and `w` to the quaternion and returns the quaternion itself.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} w
+   * @returns {Quaternion}
+   */
+  set(x: number, y: number, z: number, w: number): Quaternion {
+    this._values[0] = x;
+    this._values[1] = y;
+    this._values[2] = z;
+    this._values[3] = w;
+    return this;
+  }
+
+  /**
+   * Copy the values of `other` to the quaternion and returns the quaternion itself.
+   * @param {Quaternion} other
+   * @returns {Quaternion}
+   */
+  copyFrom(other: Quaternion): Quaternion {
+    this._values.set(other.values);
+    return this;
+  }
+
+  /**
+   * Make the quaternion the identity rotation and returns the quaternion itself.
+   * @returns {Quaternion}
+   */
+  setIdentity(): Quaternion {
+    return this.set(0, 0, 0, 1);
+  }
+
   /**
    * Create a rotation quaternion around `normalizedAxis`.
    * `normalizedAxis` must be normalized.
@@ -25,37 +95,332 @@ export class Quaternion {
     return new Quaternion(normalizedAxis.x * sin, normalizedAxis.y * sin, normalizedAxis.z * sin, cos);
   }
 
+  /**
+   * Create a rotation quaternion from a rotation matrix.
+   * The matrix must be orthonormal, that is it must not contain scaling or shear.
+   * @param {Matrix3x3} m
+   * @returns {Quaternion}
+   */
+  static fromRotationMatrix3(m: Matrix3x3): Quaternion {
+    const [
+      m11, m21, m31,
+      m12, m22, m32,
+      m13, m23, m33,
+    ] = m.values as any;
+    const trace: number = m11 + m22 + m33;
+
+    // Calculate the largest component first, so that we never divide by a number close to zero.
+    if (trace > 0) {
+      const s: number = 2 * Math.sqrt(trace + 1);
+      return new Quaternion((m32 - m23) / s, (m13 - m31) / s, (m21 - m12) / s, 0.25 * s);
+    }
+    if (m11 > m22 && m11 > m33) {
+      const s: number = 2 * Math.sqrt(1 + m11 - m22 - m33);
+      return new Quaternion(0.25 * s, (m12 + m21) / s, (m13 + m31) / s, (m32 - m23) / s);
+    }
+    if (m22 > m33) {
+      const s: number = 2 * Math.sqrt(1 + m22 - m11 - m33);
+      return new Quaternion((m12 + m21) / s, 0.25 * s, (m23 + m32) / s, (m13 - m31) / s);
+    }
+    const s: number = 2 * Math.sqrt(1 + m33 - m11 - m22);
+    return new Quaternion((m13 + m31) / s, (m23 + m32) / s, 0.25 * s, (m21 - m12) / s);
+  }
+
+  /**
+   * Create a rotation quaternion from the upper-left 3x3 part of a rotation matrix.
+   * The part must be orthonormal, that is it must not contain scaling or shear.
+   * Translation is ignored.
+   * @param {Matrix4x4} m
+   * @returns {Quaternion}
+   */
+  static fromRotationMatrix4(m: Matrix4x4): Quaternion {
+    return Quaternion.fromRotationMatrix3(m.upperLeft3x3());
+  }
+
+  /**
+   * Calculates control quaternions of `quaternions` for `Quaternion.squad`.
+   *
+   * The quaternions must be normalized, and each of them should have a non-negative dot product with the next one,
+   * otherwise the curve takes the longer arc. `QuaternionTrack` takes care of it.
+   * The control points assume that the keyframes are evenly spaced in time.
+   * @param {Quaternion[]} quaternions
+   * @returns {Quaternion[]}
+   */
+  static squadControlPoints(quaternions: Quaternion[]): Quaternion[] {
+    const last = quaternions.length - 1;
+
+    return quaternions.map((current, i) => {
+      // The curve has no tangent to match at both ends.
+      if (i === 0 || i === last) { return current; }
+
+      const prev = quaternions[i - 1];
+      const next = quaternions[i + 1];
+      const inv = current.conjugate();
+
+      // s = q * exp(-(log(q^-1 * next) + log(q^-1 * prev)) / 4)
+      const logSum = inv.mul(next).log().add(inv.mul(prev).log());
+      return current.mul(logSum.mulByScalar(-0.25).exp());
+    });
+  }
+
+  /**
+   * Create a rotation quaternion that rotates `from` onto `to` through the shortest arc.
+   * Both vectors must be normalized.
+   *
+   * When the vectors point in opposite directions, the rotation is half a turn around an axis perpendicular to `from`.
+   * @param {Float32Vector3} from
+   * @param {Float32Vector3} to
+   * @returns {Quaternion}
+   */
+  static fromUnitVectors(from: Float32Vector3, to: Float32Vector3): Quaternion {
+    // The quaternion (from x to, 1 + from . to) rotates by twice the wanted angle, until it is normalized.
+    const r: number = from.dot(to) + 1;
+
+    if (r < ANTIPARALLEL_THRESHOLD) {
+      // Any axis perpendicular to `from` does. Build it from the larger components to keep precision.
+      const axis: Float32Vector3 = Math.abs(from.x) > Math.abs(from.z)
+        ? new Float32Vector3(-from.y, from.x, 0)
+        : new Float32Vector3(0, -from.z, from.y);
+      const n: Float32Vector3 = axis.normalize();
+      return new Quaternion(n.x, n.y, n.z, 0);
+    }
+
+    const c: Float32Vector3 = from.cross(to);
+    return new Quaternion(c.x, c.y, c.z, r).normalize();
+  }
+
+  /**
+   * Create a rotation quaternion that turns -z-axis toward `forward` and y-axis toward `up`,
+   * that is the orientation of a camera looking at `forward`.
+   * It is the inverse of the rotation part of `Matrix4x4.lookAt`.
+   *
+   * If `up` is parallel to `forward`, the shortest rotation from -z-axis to `forward` is returned.
+   * @param {Float32Vector3} forward
+   * @param {Float32Vector3} up
+   * @returns {Quaternion}
+   */
+  static lookRotation(forward: Float32Vector3, up: Float32Vector3): Quaternion {
+    const zAxis: Float32Vector3 = forward.normalize().mulByScalar(-1);
+    const xAxis: Float32Vector3 = up.cross(zAxis).normalize();
+
+    if (xAxis.magnitude === 0) {
+      return Quaternion.fromUnitVectors(new Float32Vector3(0, 0, -1), zAxis.mulByScalar(-1));
+    }
+
+    const yAxis: Float32Vector3 = zAxis.cross(xAxis);
+
+    return Quaternion.fromRotationMatrix3(new Matrix3x3(
+      xAxis.x, xAxis.y, xAxis.z,
+      yAxis.x, yAxis.y, yAxis.z,
+      zAxis.x, zAxis.y, zAxis.z,
+    ));
+  }
+
+  /**
+   * Create a rotation quaternion from Euler angles.
+   * See `EulerOrder` for the meaning of `order`.
+   * @param {number} x Angle around x-axis in radian.
+   * @param {number} y Angle around y-axis in radian.
+   * @param {number} z Angle around z-axis in radian.
+   * @param {EulerOrder} order
+   * @returns {Quaternion}
+   */
+  static fromEuler(x: number, y: number, z: number, order: EulerOrder = 'XYZ'): Quaternion {
+    const rotations: { [axis: string]: Quaternion } = {
+      X: new Quaternion(Math.sin(x / 2.0), 0, 0, Math.cos(x / 2.0)),
+      Y: new Quaternion(0, Math.sin(y / 2.0), 0, Math.cos(y / 2.0)),
+      Z: new Quaternion(0, 0, Math.sin(z / 2.0), Math.cos(z / 2.0)),
+    };
+
+    return rotations[order[0]].mul(rotations[order[1]]).mul(rotations[order[2]]);
+  }
+
   /**
    * Returns a normalized quaternion.
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
    * @returns {Quaternion}
    */
-  normalize() : Quaternion {
+  normalize(out: Quaternion = new Quaternion(0, 0, 0, 1)) : Quaternion {
     const mag = this.magnitude;
-    if (mag === 0) { return this; }
+    if (mag === 0) { return out.copyFrom(this); }
     const r = 1 / mag;
-    return new Quaternion(this.x * r, this.y * r, this.z * r, this.w * r);
+    return out.set(this.x * r, this.y * r, this.z * r, this.w * r);
   }
 
   /**
    * Adds the `other` to the quaternion and returns the sum.
    *
-   * This method does not mutate the quaternion.
+   * This method does not mutate the quaternion unless it is passed as `out`.
    * @param {Quaternion} other
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
    * @returns {Quaternion}
    */
-  add(other: Quaternion): Quaternion {
-    return new Quaternion(this.x + other.x, this.y + other.y, this.z + other.z, this.w + other.w);
+  add(other: Quaternion, out: Quaternion = new Quaternion(0, 0, 0, 1)): Quaternion {
+    return out.set(this.x + other.x, this.y + other.y, this.z + other.z, this.w + other.w);
   }
 
   /**
    * Multiplies the quaternion by `scalar` and returns the product.
    *
-   * This method does not mutate the quaternion.
+   * This method does not mutate the quaternion unless it is passed as `out`.
    * @param {number} scalar
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
    * @returns {Quaternion}
    */
-  mulByScalar(scalar: number): Quaternion {
-    return new Quaternion(this.x * scalar, this.y * scalar, this.z * scalar, this.w * scalar);
+  mulByScalar(scalar: number, out: Quaternion = new Quaternion(0, 0, 0, 1)): Quaternion {
+    return out.set(this.x * scalar, this.y * scalar, this.z * scalar, this.w * scalar);
+  }
+
+  /**
+   * Multiplies the quaternion by `other` (Hamilton product) and returns the product `this * other`.
+   *
+   * As with `Matrix4x4.mulByMatrix4x4`, the product rotates by `other` first and then by the quaternion,
+   * so `q1.mul(q2).toRotationMatrix4()` equals `q1.toRotationMatrix4().mulByMatrix4x4(q2.toRotationMatrix4())`.
+   *
+   * This method does not mutate the quaternion unless it is passed as `out`.
+   * @param {Quaternion} other
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
+   * @returns {Quaternion}
+   */
+  mul(other: Quaternion, out: Quaternion = new Quaternion(0, 0, 0, 1)): Quaternion {
+    const { x: ax, y: ay, z: az, w: aw } = this as any;
+    const { x: bx, y: by, z: bz, w: bw } = other as any;
+
+    return out.set(
+      aw * bx + ax * bw + ay * bz - az * by,
+      aw * by - ax * bz + ay * bw + az * bx,
+      aw * bz + ax * by - ay * bx + az * bw,
+      aw * bw - ax * bx - ay * by - az * bz,
+    );
+  }
+
+  /**
+   * Returns the conjugate of the quaternion.
+   * For a normalized quaternion it is the opposite rotation.
+   *
+   * This method does not mutate the quaternion unless it is passed as `out`.
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
+   * @returns {Quaternion}
+   */
+  conjugate(out: Quaternion = new Quaternion(0, 0, 0, 1)): Quaternion {
+    return out.set(-this.x, -this.y, -this.z, this.w);
+  }
+
+  /**
+   * Converts a rotation between a right-handed and a left-handed coordinate system by flipping z-axis.
+   * The conversion is its own inverse, so it works in both directions.
+   *
+   * This method does not mutate the quaternion unless it is passed as `out`.
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
+   * @returns {Quaternion}
+   */
+  convertHandedness(out: Quaternion = new Quaternion(0, 0, 0, 1)): Quaternion {
+    // The mirrored axis is (x, y, -z), and the mirror also reverses the direction of the rotation.
+    return out.set(-this.x, -this.y, this.z, this.w);
+  }
+
+  /**
+   * Returns the inverse of the quaternion, or `null` if its norm is zero.
+   *
+   * This method does not mutate the quaternion unless it is passed as `out`.
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
+   * @returns {Quaternion | null}
+   */
+  inverse(out: Quaternion = new Quaternion(0, 0, 0, 1)): Quaternion | null {
+    const normSq: number = this.dot(this);
+    if (normSq === 0) { return null; }
+    const r = 1 / normSq;
+    return out.set(-this.x * r, -this.y * r, -this.z * r, this.w * r);
+  }
+
+  /**
+   * Rotates `v` by the quaternion and returns new `Float32Vector3`.
+   * The quaternion must be normalized.
+   * @param {Float32Vector3} v
+   * @param {Float32Vector3} out The vector to write the result into. New `Float32Vector3` by default.
+   * @returns {Float32Vector3}
+   */
+  rotateVector3(v: Float32Vector3, out: Float32Vector3 = new Float32Vector3(0, 0, 0)): Float32Vector3 {
+    const { x: qx, y: qy, z: qz, w: qw } = this as any;
+    const { x: vx, y: vy, z: vz } = v as any;
+
+    // Expanded form of q * v * conjugate(q), that is v + w * t + cross(q.xyz, t) where t = 2 * cross(q.xyz, v).
+    const tx: number = 2 * (qy * vz - qz * vy);
+    const ty: number = 2 * (qz * vx - qx * vz);
+    const tz: number = 2 * (qx * vy - qy * vx);
+
+    return out.set(
+      vx + qw * tx + (qy * tz - qz * ty),
+      vy + qw * ty + (qz * tx - qx * tz),
+      vz + qw * tz + (qx * ty - qy * tx),
+    );
+  }
+
+  /**
+   * Calculates the exponential of the quaternion.
+   *
+   * For a pure quaternion `(axis * angle, 0)`, the result is the rotation quaternion of `2 * angle` around `axis`.
+   *
+   * This method does not mutate the quaternion unless it is passed as `out`.
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
+   * @returns {Quaternion}
+   */
+  exp(out: Quaternion = new Quaternion(0, 0, 0, 1)): Quaternion {
+    const vecMag: number = Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+    const expW: number = Math.exp(this.w);
+    // sin(vecMag) / vecMag approaches 1 as vecMag approaches 0.
+    const r: number = vecMag === 0 ? expW : expW * Math.sin(vecMag) / vecMag;
+    return out.set(this.x * r, this.y * r, this.z * r, expW * Math.cos(vecMag));
+  }
+
+  /**
+   * Calculates the natural logarithm of the quaternion.
+   *
+   * For a normalized quaternion, the result is a pure quaternion `(axis * angle / 2, 0)`.
+   * The w value of the result is `-Infinity` if the norm is zero.
+   *
+   * This method does not mutate the quaternion unless it is passed as `out`.
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
+   * @returns {Quaternion}
+   */
+  log(out: Quaternion = new Quaternion(0, 0, 0, 1)): Quaternion {
+    const mag: number = this.magnitude;
+    const vecMag: number = Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+    const r: number = vecMag === 0 ? 0 : Math.atan2(vecMag, this.w) / vecMag;
+    return out.set(this.x * r, this.y * r, this.z * r, Math.log(mag));
+  }
+
+  /**
+   * Raises the quaternion to the power of `exponent`.
+   *
+   * For a normalized quaternion, the result is the rotation around the same axis by `exponent` times the angle.
+   *
+   * This method does not mutate the quaternion unless it is passed as `out`.
+   * @param {number} exponent
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
+   * @returns {Quaternion}
+   */
+  pow(exponent: number, out: Quaternion = new Quaternion(0, 0, 0, 1)): Quaternion {
+    return this.log(out).mulByScalar(exponent, out).exp(out);
+  }
+
+  /**
+   * Returns the rotation axis as normalized `Float32Vector3` and the rotation angle in radian, in [0, 2 * PI].
+   * The quaternion must be normalized.
+   *
+   * For the identity quaternion, the axis is (1, 0, 0) and the angle is 0.
+   * @returns {{axis: Float32Vector3; angle: number}}
+   */
+  toAxisAngle(): { axis: Float32Vector3, angle: number } {
+    const vecMag: number = Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+    if (vecMag === 0) {
+      return { axis: new Float32Vector3(1, 0, 0), angle: 0 };
+    }
+
+    return {
+      axis: new Float32Vector3(this.x / vecMag, this.y / vecMag, this.z / vecMag),
+      angle: 2 * Math.atan2(vecMag, this.w),
+    };
   }
 
   /**
@@ -67,31 +432,137 @@ export class Quaternion {
     return this.x * other.x + this.y * other.y + this.z * other.z + this.w * other.w;
   }
 
+  /**
+   * Calculates normalized linear interpolation(also known as Nlerp) and returns new `Quaternion` between the quaternion and the other.
+   *
+   * Nlerp always rotates through the shorter arc. It is cheaper than Slerp,
+   * but the angular velocity is not constant.
+   * @param {Quaternion} other
+   * @param {number} t 0.0 <= t <= 1.0
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
+   * @returns {Quaternion}
+   */
+  nlerp(other: Quaternion, t: number, out: Quaternion = new Quaternion(0, 0, 0, 1)): Quaternion {
+    const s1: number = 1 - t;
+    const s2: number = this.dot(other) < 0 ? -t : t;
+
+    return out.set(
+      this.x * s1 + other.x * s2,
+      this.y * s1 + other.y * s2,
+      this.z * s1 + other.z * s2,
+      this.w * s1 + other.w * s2,
+    ).normalize(out);
+  }
+
   /**
    * Calculates spherical linear interpolation(also known as Slerp) and returns new `Quaternion` between the quaternion and the other.
+   *
+   * Both quaternions must be normalized.
+   * When they are almost identical, the result is calculated by normalized linear interpolation instead,
+   * because Slerp divides by the sine of the angle between them.
    * @param {Quaternion} other
    * @param {number} t 0.0 <= t <= 1.0
-   * @param {{chooseShorterAngle: boolean}} options Does not work currently. slerp chooses shorter angle regardless of this value.
+   * @param {{chooseShorterAngle: boolean}} options If `chooseShorterAngle` is true, slerp rotates through the shorter arc,
+   * otherwise through the longer arc.
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
    * @returns {Quaternion}
    */
-  slerp(other: Quaternion , t: number, options: { chooseShorterAngle: boolean } = { chooseShorterAngle: true }): Quaternion {
+  slerp(
+    other: Quaternion,
+    t: number,
+    options: { chooseShorterAngle: boolean } = { chooseShorterAngle: true },
+    out: Quaternion = new Quaternion(0, 0, 0, 1),
+  ): Quaternion {
     let dotProd: number = this.dot(other);
-    let otherQuaternion: Quaternion = other;
+    let sign: number = 1;
 
-    // When the dot product is negative, slerp chooses the longer way.
-    // So we should negate the `other` quaternion.
-    if (dotProd < 0) {
+    // `other` and its negation represent the same rotation, but slerp takes the shorter arc
+    // toward the one whose dot product is positive. So negate `other` to choose the other arc.
+    if ((dotProd < 0) === options.chooseShorterAngle) {
       dotProd = -dotProd;
-      otherQuaternion = other.mulByScalar(-1);
+      sign = -1;
+    }
+
+    if (dotProd > SLERP_THRESHOLD) {
+      const s1: number = 1 - t;
+      const s2: number = sign * t;
+      return out.set(
+        this.x * s1 + other.x * s2,
+        this.y * s1 + other.y * s2,
+        this.z * s1 + other.z * s2,
+        this.w * s1 + other.w * s2,
+      ).normalize(out);
+    }
+
+    // The longer arc between almost identical rotations is a full turn around an arbitrary axis.
+    // Use the quaternion (-y, x, -w, z), which is perpendicular to this one, as the midpoint of the turn,
+    // and slerp to it and then from it to `other`, so that the turn ends exactly at `other`.
+    if (dotProd < -SLERP_THRESHOLD) {
+      const px: number = -this.y;
+      const py: number = this.x;
+      const pz: number = -this.w;
+      const pw: number = this.z;
+
+      if (t < 0.5) {
+        const cos: number = Math.cos(Math.PI * t);
+        const sin: number = Math.sin(Math.PI * t);
+        return out.set(
+          this.x * cos + px * sin,
+          this.y * cos + py * sin,
+          this.z * cos + pz * sin,
+          this.w * cos + pw * sin,
+        );
+      }
+
+      // The midpoint is almost perpendicular to `other` too, so the angle is far from zero.
+      const midOmega: number = Math.acos(sign * (px * other.x + py * other.y + pz * other.z + pw * other.w));
+      const sinMidOmega: number = Math.sin(midOmega);
+      const u: number = t * 2 - 1;
+      const m1: number = Math.sin((1 - u) * midOmega) / sinMidOmega;
+      const m2: number = sign * Math.sin(u * midOmega) / sinMidOmega;
+      return out.set(
+        px * m1 + other.x * m2,
+        py * m1 + other.y * m2,
+        pz * m1 + other.z * m2,
+        pw * m1 + other.w * m2,
+      );
     }
 
     const omega: number = Math.acos(dotProd);
     const sinOmega: number = Math.sin(omega);
+    const s1: number = Math.sin((1 - t) * omega) / sinOmega;
+    const s2: number = sign * Math.sin(t * omega) / sinOmega;
 
-    const q1: Quaternion = this.mulByScalar(Math.sin((1 - t) * omega) / sinOmega);
-    const q2: Quaternion = otherQuaternion.mulByScalar(Math.sin(t * omega) / sinOmega);
+    return out.set(
+      this.x * s1 + other.x * s2,
+      this.y * s1 + other.y * s2,
+      this.z * s1 + other.z * s2,
+      this.w * s1 + other.w * s2,
+    );
+  }
 
-    return q1.add(q2);
+  /**
+   * Calculates spherical quadrangle interpolation(also known as Squad) and returns new `Quaternion` between the quaternion and the other.
+   *
+   * Unlike Slerp, a sequence of Squad segments has continuous angular velocity at keyframes.
+   * `controlA` and `controlB` are the control quaternions of the quaternion and the other,
+   * calculated by `Quaternion.squadControlPoints`.
+   * @param {Quaternion} other
+   * @param {Quaternion} controlA
+   * @param {Quaternion} controlB
+   * @param {number} t 0.0 <= t <= 1.0
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
+   * @returns {Quaternion}
+   */
+  squad(other: Quaternion, controlA: Quaternion, controlB: Quaternion, t: number, out: Quaternion = new Quaternion(0, 0, 0, 1)): Quaternion {
+    if (scratchQuaternion === undefined) {
+      scratchQuaternion = new Quaternion(0, 0, 0, 1);
+    }
+
+    // Interpolate the keyframes before writing `out`, which may be one of them.
+    const q: Quaternion = this.slerp(other, t, SHORTER_ANGLE, scratchQuaternion);
+    const c: Quaternion = controlA.slerp(controlB, t, SHORTER_ANGLE, out);
+    return q.slerp(c, 2 * t * (1 - t), SHORTER_ANGLE, out);
   }
 
   /**
@@ -185,9 +656,10 @@ export class Quaternion {
 
   /**
    * Convert the quaternion to a rotation matrix.
+   * @param {Matrix4x4} out The matrix to write the result into. New `Matrix4x4` by default.
    * @returns {Matrix4x4}
    */
-  toRotationMatrix4(): Matrix4x4 {
+  toRotationMatrix4(out: Matrix4x4 = Matrix4x4.identity()): Matrix4x4 {
     /*
     const x = this.x;
     const y = this.y;
@@ -215,7 +687,7 @@ export class Quaternion {
     const m43 = 0;
     const m44 = 1;
 
-    return new Matrix4x4(
+    return out.set(
       m11, m21, m31, m41,
       m12, m22, m32, m42,
       m13, m23, m33, m43,
@@ -223,6 +695,21 @@ export class Quaternion {
     );
   }
 
+  /**
+   * Convert the quaternion to Euler angles as `Float32Vector3` of radians around x, y and z-axis.
+   * The quaternion must be normalized.
+   * See `Matrix4x4.toEuler` for the behaviour at gimbal lock.
+   * @param {EulerOrder} order
+   * @param {Float32Vector3} out The vector to write the result into. New `Float32Vector3` by default.
+   * @returns {Float32Vector3}
+   */
+  toEuler(order: EulerOrder = 'XYZ', out: Float32Vector3 = new Float32Vector3(0, 0, 0)): Float32Vector3 {
+    if (scratchMatrix === undefined) {
+      scratchMatrix = Matrix4x4.identity();
+    }
+    return this.toRotationMatrix4(scratchMatrix).toEuler(order, out);
+  }
+
   /**
    * Returns values as `String`.
    * @returns {string}
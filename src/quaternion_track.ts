@@ -0,0 +1,89 @@
+import { Quaternion, SHORTER_ANGLE } from './quaternion';
+
+/**
+ * Interpolation methods of `QuaternionTrack`.
+ *
+ * `'squad'` gives the smoothest curve when the keyframes are evenly spaced in time.
+ */
+export type QuaternionInterpolation = 'nlerp' | 'slerp' | 'squad';
+
+/**
+ * A sequence of rotation keyframes, that returns interpolated rotation at any time.
+ */
+export class QuaternionTrack {
+  protected _times: number[];
+  protected _quaternions: Quaternion[];
+  protected _controlPoints: Quaternion[];
+  protected _interpolation: QuaternionInterpolation;
+
+  /**
+   * `times` must be sorted in ascending order and have the same length as `quaternions`.
+   * `quaternions` must be normalized.
+   * @param {number[]} times
+   * @param {Quaternion[]} quaternions
+   * @param {{interpolation: QuaternionInterpolation}} options
+   */
+  constructor(
+    times: number[],
+    quaternions: Quaternion[],
+    options: { interpolation: QuaternionInterpolation } = { interpolation: 'squad' },
+  ) {
+    if (times.length === 0 || times.length !== quaternions.length) {
+      throw new Error('QuaternionTrack needs the same number of times and quaternions, at least one each.');
+    }
+
+    // Copy the keyframes, so that writing to the originals does not change the track,
+    // and flip the sign of them where needed, so that every segment takes the shorter arc.
+    const aligned: Quaternion[] = [quaternions[0].mulByScalar(1)];
+    for (let i = 1; i < quaternions.length; i += 1) {
+      const q = quaternions[i];
+      aligned.push(q.mulByScalar(aligned[i - 1].dot(q) < 0 ? -1 : 1));
+    }
+
+    this._times = times.slice();
+    this._quaternions = aligned;
+    this._interpolation = options.interpolation;
+    this._controlPoints = options.interpolation === 'squad' ? Quaternion.squadControlPoints(aligned) : [];
+  }
+
+  /**
+   * Returns the interpolated rotation at `time`.
+   * Before the first keyframe or after the last one, the rotation of the nearest keyframe is returned.
+   * @param {number} time
+   * @param {Quaternion} out The quaternion to write the result into. New `Quaternion` by default.
+   * @returns {Quaternion}
+   */
+  sample(time: number, out: Quaternion = new Quaternion(0, 0, 0, 1)): Quaternion {
+    const times = this._times;
+    const last = times.length - 1;
+
+    // Return a copy, so that writing to the result does not change the keyframe.
+    if (time <= times[0]) { return out.copyFrom(this._quaternions[0]); }
+    if (time >= times[last]) { return out.copyFrom(this._quaternions[last]); }
+
+    // Binary search for the segment that satisfies times[i] <= time < times[i + 1].
+    let low = 0;
+    let high = last;
+    while (high - low > 1) {
+      const mid = (low + high) >> 1;
+      if (times[mid] <= time) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    const t: number = (time - times[low]) / (times[high] - times[low]);
+    const q1 = this._quaternions[low];
+    const q2 = this._quaternions[high];
+
+    switch (this._interpolation) {
+      case 'nlerp':
+        return q1.nlerp(q2, t, out);
+      case 'slerp':
+        return q1.slerp(q2, t, SHORTER_ANGLE, out);
+      default:
+        return q1.squad(q2, this._controlPoints[low], this._controlPoints[high], t, out);
+    }
+  }
+}
@@ -0,0 +1,188 @@
+import { AABB } from './aabb';
+import { DepthOptions } from './depth';
+import { Float32Vector3, Float32Vector4 } from './float32vector';
+import { Intersection } from './intersection';
+import { Matrix4x4 } from './matrix';
+import { Plane } from './plane';
+import { unproject, Viewport } from './projection';
+import { Sphere } from './sphere';
+
+/**
+ * `Ray.intersectPlane` treats the ray as parallel to the plane when the cosine between them is less than this value.
+ */
+const PARALLEL_THRESHOLD = 0.000001;
+
+/**
+ * A half-line that starts from `origin` and extends in `direction`.
+ */
+export class Ray {
+  protected _origin: Float32Vector3;
+  protected _direction: Float32Vector3;
+
+  /**
+   * `direction` must be normalized, so that distances along the ray are in world units.
+   * @param {Float32Vector3} origin
+   * @param {Float32Vector3} direction
+   */
+  constructor(origin: Float32Vector3, direction: Float32Vector3) {
+    this._origin = origin;
+    this._direction = direction;
+  }
+
+  /**
+   * Returns the world-space ray through the pixel (`x`, `y`) of the viewport,
+   * starting from the near plane and heading away from the camera.
+   *
+   * As with `unproject`, `y` is counted from the bottom of the canvas.
+   * Returns `null` if the product of `proj` and `view` is singular.
+   * @param {number} x
+   * @param {number} y
+   * @param {Matrix4x4} view
+   * @param {Matrix4x4} proj
+   * @param {Viewport} viewport
+   * @param {DepthOptions} options The depth options that `proj` was created with.
+   * @returns {Ray | null}
+   */
+  static fromScreen(x: number, y: number, view: Matrix4x4, proj: Matrix4x4, viewport: Viewport, options: DepthOptions = {}): Ray | null {
+    const viewProj: Matrix4x4 = proj.mulByMatrix4x4(view);
+
+    // The middle of the depth range stays at a finite distance even with an infinite far plane.
+    const near = unproject(new Float32Vector3(x, y, options.reversedDepth ? 1 : 0), viewProj, viewport, options);
+    const middle = unproject(new Float32Vector3(x, y, 0.5), viewProj, viewport, options);
+    if (near === null || middle === null) { return null; }
+
+    return new Ray(near, middle.sub(near).normalize());
+  }
+
+  /**
+   * Returns the point at `distance` from the origin along the ray.
+   * @param {number} distance
+   * @returns {Float32Vector3}
+   */
+  at(distance: number): Float32Vector3 {
+    return this._origin.add(this._direction.mulByScalar(distance));
+  }
+
+  /**
+   * Returns the ray transformed by `matrix`, with the direction normalized again.
+   * Distances along the result are in the transformed space.
+   * @param {Matrix4x4} matrix An affine transformation matrix.
+   * @returns {Ray}
+   */
+  transform(matrix: Matrix4x4): Ray {
+    const o = this._origin;
+    const d = this._direction;
+    const origin: Float32Vector3 = matrix.mulByVector4(new Float32Vector4(o.x, o.y, o.z, 1)).xyz;
+    const direction: Float32Vector3 = matrix.mulByVector4(new Float32Vector4(d.x, d.y, d.z, 0)).xyz.normalize();
+
+    return new Ray(origin, direction);
+  }
+
+  /**
+   * Returns where the ray hits `plane`, or `null` if the ray is parallel to the plane or points away from it.
+   * `normal` is the normal of the plane on the side of the origin of the ray.
+   * @param {Plane} plane
+   * @returns {Intersection | null}
+   */
+  intersectPlane(plane: Plane): Intersection | null {
+    const cos: number = plane.normal.dot(this._direction);
+    if (Math.abs(cos) < PARALLEL_THRESHOLD) { return null; }
+
+    const distance: number = -plane.distanceToPoint(this._origin) / cos;
+    if (distance < 0) { return null; }
+
+    return { distance, normal: cos < 0 ? plane.normal : plane.normal.negate() };
+  }
+
+  /**
+   * Returns where the ray hits the surface of `sphere`, or `null` if it misses.
+   * `normal` is the outward normal of the sphere at the hit point.
+   * If the origin is inside the sphere, the hit point is where the ray exits.
+   * @param {Sphere} sphere
+   * @returns {Intersection | null}
+   */
+  intersectSphere(sphere: Sphere): Intersection | null {
+    // Solve |origin + t * direction - center| = radius, that is t^2 + 2bt + c = 0.
+    const offset: Float32Vector3 = this._origin.sub(sphere.center);
+    const b: number = offset.dot(this._direction);
+    const c: number = offset.dot(offset) - sphere.radius * sphere.radius;
+    const discriminant: number = b * b - c;
+    if (discriminant < 0) { return null; }
+
+    const root: number = Math.sqrt(discriminant);
+    const distance: number = -b - root >= 0 ? -b - root : -b + root;
+    if (distance < 0) { return null; }
+
+    const normal: Float32Vector3 = this.at(distance).sub(sphere.center).normalize();
+    return { distance, normal };
+  }
+
+  /**
+   * Returns where the ray hits the surface of `box`, or `null` if it misses.
+   * `normal` is the outward normal of the face that is hit.
+   * If the origin is inside the box, the hit point is where the ray exits.
+   * @param {AABB} box
+   * @returns {Intersection | null}
+   */
+  intersectAABB(box: AABB): Intersection | null {
+    const origin = this._origin.values;
+    const direction = this._direction.values;
+    const min = box.min.values;
+    const max = box.max.values;
+
+    // Slab method: clip the ray by the pair of faces perpendicular to each axis.
+    let near: number = -Infinity;
+    let far: number = Infinity;
+    let nearAxis: number = 0;
+    let farAxis: number = 0;
+    let nearSign: number = 0;
+    let farSign: number = 0;
+
+    for (let i = 0; i < 3; i += 1) {
+      if (direction[i] === 0) {
+        if (origin[i] < min[i] || origin[i] > max[i]) { return null; }
+        continue;
+      }
+
+      const toMin: number = (min[i] - origin[i]) / direction[i];
+      const toMax: number = (max[i] - origin[i]) / direction[i];
+      const entering: boolean = toMin < toMax;
+      const enter: number = entering ? toMin : toMax;
+      const exit: number = entering ? toMax : toMin;
+
+      if (enter > near) {
+        near = enter;
+        nearAxis = i;
+        nearSign = entering ? -1 : 1;
+      }
+      if (exit < far) {
+        far = exit;
+        farAxis = i;
+        farSign = entering ? 1 : -1;
+      }
+      if (near > far || far < 0) { return null; }
+    }
+
+    const inside: boolean = near < 0;
+    const normal = new Float32Vector3(0, 0, 0);
+    normal.values[inside ? farAxis : nearAxis] = inside ? farSign : nearSign;
+
+    return { distance: inside ? far : near, normal };
+  }
+
+  /**
+   * Returns the origin of the ray.
+   * @returns {Float32Vector3}
+   */
+  get origin(): Float32Vector3 {
+    return this._origin;
+  }
+
+  /**
+   * Returns the normalized direction of the ray.
+   * @returns {Float32Vector3}
+   */
+  get direction(): Float32Vector3 {
+    return this._direction;
+  }
+}
@@ -0,0 +1,120 @@
+import { Float32Vector3, Float32Vector4 } from './float32vector';
+import { Matrix4x4 } from './matrix';
+
+/**
+ * A solid sphere, for example a bounding sphere of a mesh.
+ */
+export class Sphere {
+  protected _center: Float32Vector3;
+  protected _radius: number;
+
+  /**
+   * @param {Float32Vector3} center
+   * @param {number} radius
+   */
+  constructor(center: Float32Vector3, radius: number) {
+    this._center = center;
+    this._radius = radius;
+  }
+
+  /**
+   * Returns true if `point` is inside the sphere or on its surface.
+   * @param {Float32Vector3} point
+   * @returns {boolean}
+   */
+  containsPoint(point: Float32Vector3): boolean {
+    return this._center.distance(point) <= this._radius;
+  }
+
+  /**
+   * Returns true if `other` is entirely inside the sphere.
+   * @param {Sphere} other
+   * @returns {boolean}
+   */
+  containsSphere(other: Sphere): boolean {
+    return this._center.distance(other.center) + other.radius <= this._radius;
+  }
+
+  /**
+   * Returns true if the sphere and `other` overlap or touch.
+   * @param {Sphere} other
+   * @returns {boolean}
+   */
+  intersectsSphere(other: Sphere): boolean {
+    return this._center.distance(other.center) <= this._radius + other.radius;
+  }
+
+  /**
+   * Returns the smallest sphere that contains both the sphere and `other`.
+   * @param {Sphere} other
+   * @returns {Sphere}
+   */
+  union(other: Sphere): Sphere {
+    if (this.containsSphere(other)) { return this; }
+    if (other.containsSphere(this)) { return other; }
+
+    const offset: Float32Vector3 = other.center.sub(this._center);
+    const distance: number = offset.magnitude;
+    const radius: number = (distance + this._radius + other.radius) * 0.5;
+    const center: Float32Vector3 = this._center.add(offset.mulByScalar((radius - this._radius) / distance));
+
+    return new Sphere(center, radius);
+  }
+
+  /**
+   * Returns the smallest sphere that contains both the sphere and `point`.
+   * @param {Float32Vector3} point
+   * @returns {Sphere}
+   */
+  expandByPoint(point: Float32Vector3): Sphere {
+    if (this.containsPoint(point)) { return this; }
+
+    const offset: Float32Vector3 = point.sub(this._center);
+    const distance: number = offset.magnitude;
+    const radius: number = (distance + this._radius) * 0.5;
+    const center: Float32Vector3 = this._center.add(offset.mulByScalar((radius - this._radius) / distance));
+
+    return new Sphere(center, radius);
+  }
+
+  /**
+   * Returns the sphere transformed by `matrix`.
+   * Under non-uniform scaling the result is the smallest sphere that contains the transformed ellipsoid,
+   * so it is the largest scale that applies to the radius.
+   * @param {Matrix4x4} matrix An affine transformation matrix.
+   * @returns {Sphere}
+   */
+  transform(matrix: Matrix4x4): Sphere {
+    const [
+      m11, m21, m31, ,
+      m12, m22, m32, ,
+      m13, m23, m33,
+    ] = matrix.values as any;
+    const c = this._center;
+
+    const center: Float32Vector3 = matrix.mulByVector4(new Float32Vector4(c.x, c.y, c.z, 1)).xyz;
+    const scale: number = Math.sqrt(Math.max(
+      m11 * m11 + m21 * m21 + m31 * m31,
+      m12 * m12 + m22 * m22 + m32 * m32,
+      m13 * m13 + m23 * m23 + m33 * m33,
+    ));
+
+    return new Sphere(center, this._radius * scale);
+  }
+
+  /**
+   * Returns the center of the sphere.
+   * @returns {Float32Vector3}
+   */
+  get center(): Float32Vector3 {
+    return this._center;
+  }
+
+  /**
+   * Returns the radius of the sphere.
+   * @returns {number}
+   */
+  get radius(): number {
+    return this._radius;
+  }
+}
@@ -0,0 +1,106 @@
+import { TypedArrayLike, VectorBase } from './vector_base';
+
+/**
+ * A constructor of vectors, that takes values as arguments.
+ */
+export type VectorConstructor = new (...values: number[]) => VectorBase<TypedArrayLike>;
+
+/**
+ * Names of components, in the order of their indices.
+ * `scripts/generate_swizzle_types.js` must be updated when these change.
+ */
+const COMPONENT_SETS = ['xyzw', 'rgba', 'stpq'];
+
+/**
+ * Returns every sequence of `length` indices lower than `dimension`, such as `[0, 0]`, `[0, 1]`, ... .
+ * @param {number} dimension
+ * @param {number} length
+ * @returns {number[][]}
+ */
+function indexSequences(dimension: number, length: number): number[][] {
+  if (length === 0) {
+    return [[]];
+  }
+
+  const sequences: number[][] = [];
+  indexSequences(dimension, length - 1).forEach((sequence) => {
+    for (let i = 0; i < dimension; i += 1) {
+      sequences.push(sequence.concat(i));
+    }
+  });
+  return sequences;
+}
+
+/**
+ * Returns true if `indices` contains no duplicate.
+ * @param {number[]} indices
+ * @returns {boolean}
+ */
+function isDistinct(indices: number[]): boolean {
+  return indices.every((index, i) => indices.indexOf(index) === i);
+}
+
+/**
+ * Defines GLSL-style swizzling properties, such as `zyx`, `rgb` and `st`, on `vectorClass`.
+ *
+ * A swizzle returns a new vector created by `constructors[length]`.
+ * Swizzles without a repeated component can also be assigned, which writes the components in place.
+ * Components of the same swizzle must come from the same set, `xyzw`, `rgba` or `stpq`.
+ *
+ * The typings of these properties are `Swizzle2`, `Swizzle3` and `Swizzle4`.
+ * @param {Function} vectorClass
+ * @param {number} dimension
+ * @param {{[length: number]: VectorConstructor}} constructors
+ */
+export function defineSwizzles(
+  vectorClass: Function,
+  dimension: number,
+  constructors: { [length: number]: VectorConstructor },
+): void {
+  const prototype = vectorClass.prototype;
+
+  COMPONENT_SETS.forEach((set, setIndex) => {
+    // x, y, z and w are already defined by the base classes.
+    if (setIndex > 0) {
+      for (let i = 0; i < dimension; i += 1) {
+        const index = i;
+        Object.defineProperty(prototype, set[i], {
+          get(this: VectorBase<TypedArrayLike>): number {
+            return this.values[index];
+          },
+          set(this: VectorBase<TypedArrayLike>, value: number) {
+            this.values[index] = value;
+          },
+          configurable: true,
+        });
+      }
+    }
+
+    for (let length = 2; length <= 4; length += 1) {
+      const Vector = constructors[length];
+
+      indexSequences(dimension, length).forEach((indices) => {
+        const name = indices.map(i => set[i]).join('');
+        const descriptor: PropertyDescriptor = {
+          get(this: VectorBase<TypedArrayLike>): VectorBase<TypedArrayLike> {
+            const values = this.values;
+            return new Vector(...indices.map(i => values[i]));
+          },
+          configurable: true,
+        };
+
+        if (isDistinct(indices)) {
+          descriptor.set = function (this: VectorBase<TypedArrayLike>, vector: VectorBase<TypedArrayLike>) {
+            // Read every component first, so that assigning the vector itself works.
+            const source = indices.map((_, i) => vector.values[i]);
+            indices.forEach((index, i) => {
+              this.values[index] = source[i];
+            });
+          };
+        }
+
+        Object.defineProperty(prototype, name, descriptor);
+      });
+    }
+  });
+}
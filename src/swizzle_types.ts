@@ -0,0 +1,1489 @@
+// This file is generated by scripts/generate_swizzle_types.js. Do not edit it by hand.
+
+/**
+ * Swizzling properties of 2-dimensional vectors.
+ *
+ * `V2`, `V3` and `V4` are the vector classes of the same element type.
+ * Properties that repeat a component, such as `xx`, are read-only.
+ */
+export interface Swizzle2<V2, V3, V4> {
+  readonly xx: V2;
+  xy: V2;
+  yx: V2;
+  readonly yy: V2;
+  readonly xxx: V3;
+  readonly xxy: V3;
+  readonly xyx: V3;
+  readonly xyy: V3;
+  readonly yxx: V3;
+  readonly yxy: V3;
+  readonly yyx: V3;
+  readonly yyy: V3;
+  readonly xxxx: V4;
+  readonly xxxy: V4;
+  readonly xxyx: V4;
+  readonly xxyy: V4;
+  readonly xyxx: V4;
+  readonly xyxy: V4;
+  readonly xyyx: V4;
+  readonly xyyy: V4;
+  readonly yxxx: V4;
+  readonly yxxy: V4;
+  readonly yxyx: V4;
+  readonly yxyy: V4;
+  readonly yyxx: V4;
+  readonly yyxy: V4;
+  readonly yyyx: V4;
+  readonly yyyy: V4;
+  r: number;
+  g: number;
+  readonly rr: V2;
+  rg: V2;
+  gr: V2;
+  readonly gg: V2;
+  readonly rrr: V3;
+  readonly rrg: V3;
+  readonly rgr: V3;
+  readonly rgg: V3;
+  readonly grr: V3;
+  readonly grg: V3;
+  readonly ggr: V3;
+  readonly ggg: V3;
+  readonly rrrr: V4;
+  readonly rrrg: V4;
+  readonly rrgr: V4;
+  readonly rrgg: V4;
+  readonly rgrr: V4;
+  readonly rgrg: V4;
+  readonly rggr: V4;
+  readonly rggg: V4;
+  readonly grrr: V4;
+  readonly grrg: V4;
+  readonly grgr: V4;
+  readonly grgg: V4;
+  readonly ggrr: V4;
+  readonly ggrg: V4;
+  readonly gggr: V4;
+  readonly gggg: V4;
+  s: number;
+  t: number;
+  readonly ss: V2;
+  st: V2;
+  ts: V2;
+  readonly tt: V2;
+  readonly sss: V3;
+  readonly sst: V3;
+  readonly sts: V3;
+  readonly stt: V3;
+  readonly tss: V3;
+  readonly tst: V3;
+  readonly tts: V3;
+  readonly ttt: V3;
+  readonly ssss: V4;
+  readonly ssst: V4;
+  readonly ssts: V4;
+  readonly sstt: V4;
+  readonly stss: V4;
+  readonly stst: V4;
+  readonly stts: V4;
+  readonly sttt: V4;
+  readonly tsss: V4;
+  readonly tsst: V4;
+  readonly tsts: V4;
+  readonly tstt: V4;
+  readonly ttss: V4;
+  readonly ttst: V4;
+  readonly ttts: V4;
+  readonly tttt: V4;
+}
+
+/**
+ * Swizzling properties of 3-dimensional vectors.
+ *
+ * `V2`, `V3` and `V4` are the vector classes of the same element type.
+ * Properties that repeat a component, such as `xx`, are read-only.
+ */
+export interface Swizzle3<V2, V3, V4> {
+  readonly xx: V2;
+  xy: V2;
+  xz: V2;
+  yx: V2;
+  readonly yy: V2;
+  yz: V2;
+  zx: V2;
+  zy: V2;
+  readonly zz: V2;
+  readonly xxx: V3;
+  readonly xxy: V3;
+  readonly xxz: V3;
+  readonly xyx: V3;
+  readonly xyy: V3;
+  xyz: V3;
+  readonly xzx: V3;
+  xzy: V3;
+  readonly xzz: V3;
+  readonly yxx: V3;
+  readonly yxy: V3;
+  yxz: V3;
+  readonly yyx: V3;
+  readonly yyy: V3;
+  readonly yyz: V3;
+  yzx: V3;
+  readonly yzy: V3;
+  readonly yzz: V3;
+  readonly zxx: V3;
+  zxy: V3;
+  readonly zxz: V3;
+  zyx: V3;
+  readonly zyy: V3;
+  readonly zyz: V3;
+  readonly zzx: V3;
+  readonly zzy: V3;
+  readonly zzz: V3;
+  readonly xxxx: V4;
+  readonly xxxy: V4;
+  readonly xxxz: V4;
+  readonly xxyx: V4;
+  readonly xxyy: V4;
+  readonly xxyz: V4;
+  readonly xxzx: V4;
+  readonly xxzy: V4;
+  readonly xxzz: V4;
+  readonly xyxx: V4;
+  readonly xyxy: V4;
+  readonly xyxz: V4;
+  readonly xyyx: V4;
+  readonly xyyy: V4;
+  readonly xyyz: V4;
+  readonly xyzx: V4;
+  readonly xyzy: V4;
+  readonly xyzz: V4;
+  readonly xzxx: V4;
+  readonly xzxy: V4;
+  readonly xzxz: V4;
+  readonly xzyx: V4;
+  readonly xzyy: V4;
+  readonly xzyz: V4;
+  readonly xzzx: V4;
+  readonly xzzy: V4;
+  readonly xzzz: V4;
+  readonly yxxx: V4;
+  readonly yxxy: V4;
+  readonly yxxz: V4;
+  readonly yxyx: V4;
+  readonly yxyy: V4;
+  readonly yxyz: V4;
+  readonly yxzx: V4;
+  readonly yxzy: V4;
+  readonly yxzz: V4;
+  readonly yyxx: V4;
+  readonly yyxy: V4;
+  readonly yyxz: V4;
+  readonly yyyx: V4;
+  readonly yyyy: V4;
+  readonly yyyz: V4;
+  readonly yyzx: V4;
+  readonly yyzy: V4;
+  readonly yyzz: V4;
+  readonly yzxx: V4;
+  readonly yzxy: V4;
+  readonly yzxz: V4;
+  readonly yzyx: V4;
+  readonly yzyy: V4;
+  readonly yzyz: V4;
+  readonly yzzx: V4;
+  readonly yzzy: V4;
+  readonly yzzz: V4;
+  readonly zxxx: V4;
+  readonly zxxy: V4;
+  readonly zxxz: V4;
+  readonly zxyx: V4;
+  readonly zxyy: V4;
+  readonly zxyz: V4;
+  readonly zxzx: V4;
+  readonly zxzy: V4;
+  readonly zxzz: V4;
+  readonly zyxx: V4;
+  readonly zyxy: V4;
+  readonly zyxz: V4;
+  readonly zyyx: V4;
+  readonly zyyy: V4;
+  readonly zyyz: V4;
+  readonly zyzx: V4;
+  readonly zyzy: V4;
+  readonly zyzz: V4;
+  readonly zzxx: V4;
+  readonly zzxy: V4;
+  readonly zzxz: V4;
+  readonly zzyx: V4;
+  readonly zzyy: V4;
+  readonly zzyz: V4;
+  readonly zzzx: V4;
+  readonly zzzy: V4;
+  readonly zzzz: V4;
+  r: number;
+  g: number;
+  b: number;
+  readonly rr: V2;
+  rg: V2;
+  rb: V2;
+  gr: V2;
+  readonly gg: V2;
+  gb: V2;
+  br: V2;
+  bg: V2;
+  readonly bb: V2;
+  readonly rrr: V3;
+  readonly rrg: V3;
+  readonly rrb: V3;
+  readonly rgr: V3;
+  readonly rgg: V3;
+  rgb: V3;
+  readonly rbr: V3;
+  rbg: V3;
+  readonly rbb: V3;
+  readonly grr: V3;
+  readonly grg: V3;
+  grb: V3;
+  readonly ggr: V3;
+  readonly ggg: V3;
+  readonly ggb: V3;
+  gbr: V3;
+  readonly gbg: V3;
+  readonly gbb: V3;
+  readonly brr: V3;
+  brg: V3;
+  readonly brb: V3;
+  bgr: V3;
+  readonly bgg: V3;
+  readonly bgb: V3;
+  readonly bbr: V3;
+  readonly bbg: V3;
+  readonly bbb: V3;
+  readonly rrrr: V4;
+  readonly rrrg: V4;
+  readonly rrrb: V4;
+  readonly rrgr: V4;
+  readonly rrgg: V4;
+  readonly rrgb: V4;
+  readonly rrbr: V4;
+  readonly rrbg: V4;
+  readonly rrbb: V4;
+  readonly rgrr: V4;
+  readonly rgrg: V4;
+  readonly rgrb: V4;
+  readonly rggr: V4;
+  readonly rggg: V4;
+  readonly rggb: V4;
+  readonly rgbr: V4;
+  readonly rgbg: V4;
+  readonly rgbb: V4;
+  readonly rbrr: V4;
+  readonly rbrg: V4;
+  readonly rbrb: V4;
+  readonly rbgr: V4;
+  readonly rbgg: V4;
+  readonly rbgb: V4;
+  readonly rbbr: V4;
+  readonly rbbg: V4;
+  readonly rbbb: V4;
+  readonly grrr: V4;
+  readonly grrg: V4;
+  readonly grrb: V4;
+  readonly grgr: V4;
+  readonly grgg: V4;
+  readonly grgb: V4;
+  readonly grbr: V4;
+  readonly grbg: V4;
+  readonly grbb: V4;
+  readonly ggrr: V4;
+  readonly ggrg: V4;
+  readonly ggrb: V4;
+  readonly gggr: V4;
+  readonly gggg: V4;
+  readonly gggb: V4;
+  readonly ggbr: V4;
+  readonly ggbg: V4;
+  readonly ggbb: V4;
+  readonly gbrr: V4;
+  readonly gbrg: V4;
+  readonly gbrb: V4;
+  readonly gbgr: V4;
+  readonly gbgg: V4;
+  readonly gbgb: V4;
+  readonly gbbr: V4;
+  readonly gbbg: V4;
+  readonly gbbb: V4;
+  readonly brrr: V4;
+  readonly brrg: V4;
+  readonly brrb: V4;
+  readonly brgr: V4;
+  readonly brgg: V4;
+  readonly brgb: V4;
+  readonly brbr: V4;
+  readonly brbg: V4;
+  readonly brbb: V4;
+  readonly bgrr: V4;
+  readonly bgrg: V4;
+  readonly bgrb: V4;
+  readonly bggr: V4;
+  readonly bggg: V4;
+  readonly bggb: V4;
+  readonly bgbr: V4;
+  readonly bgbg: V4;
+  readonly bgbb: V4;
+  readonly bbrr: V4;
+  readonly bbrg: V4;
+  readonly bbrb: V4;
+  readonly bbgr: V4;
+  readonly bbgg: V4;
+  readonly bbgb: V4;
+  readonly bbbr: V4;
+  readonly bbbg: V4;
+  readonly bbbb: V4;
+  s: number;
+  t: number;
+  p: number;
+  readonly ss: V2;
+  st: V2;
+  sp: V2;
+  ts: V2;
+  readonly tt: V2;
+  tp: V2;
+  ps: V2;
+  pt: V2;
+  readonly pp: V2;
+  readonly sss: V3;
+  readonly sst: V3;
+  readonly ssp: V3;
+  readonly sts: V3;
+  readonly stt: V3;
+  stp: V3;
+  readonly sps: V3;
+  spt: V3;
+  readonly spp: V3;
+  readonly tss: V3;
+  readonly tst: V3;
+  tsp: V3;
+  readonly tts: V3;
+  readonly ttt: V3;
+  readonly ttp: V3;
+  tps: V3;
+  readonly tpt: V3;
+  readonly tpp: V3;
+  readonly pss: V3;
+  pst: V3;
+  readonly psp: V3;
+  pts: V3;
+  readonly ptt: V3;
+  readonly ptp: V3;
+  readonly pps: V3;
+  readonly ppt: V3;
+  readonly ppp: V3;
+  readonly ssss: V4;
+  readonly ssst: V4;
+  readonly sssp: V4;
+  readonly ssts: V4;
+  readonly sstt: V4;
+  readonly sstp: V4;
+  readonly ssps: V4;
+  readonly sspt: V4;
+  readonly sspp: V4;
+  readonly stss: V4;
+  readonly stst: V4;
+  readonly stsp: V4;
+  readonly stts: V4;
+  readonly sttt: V4;
+  readonly sttp: V4;
+  readonly stps: V4;
+  readonly stpt: V4;
+  readonly stpp: V4;
+  readonly spss: V4;
+  readonly spst: V4;
+  readonly spsp: V4;
+  readonly spts: V4;
+  readonly sptt: V4;
+  readonly sptp: V4;
+  readonly spps: V4;
+  readonly sppt: V4;
+  readonly sppp: V4;
+  readonly tsss: V4;
+  readonly tsst: V4;
+  readonly tssp: V4;
+  readonly tsts: V4;
+  readonly tstt: V4;
+  readonly tstp: V4;
+  readonly tsps: V4;
+  readonly tspt: V4;
+  readonly tspp: V4;
+  readonly ttss: V4;
+  readonly ttst: V4;
+  readonly ttsp: V4;
+  readonly ttts: V4;
+  readonly tttt: V4;
+  readonly tttp: V4;
+  readonly ttps: V4;
+  readonly ttpt: V4;
+  readonly ttpp: V4;
+  readonly tpss: V4;
+  readonly tpst: V4;
+  readonly tpsp: V4;
+  readonly tpts: V4;
+  readonly tptt: V4;
+  readonly tptp: V4;
+  readonly tpps: V4;
+  readonly tppt: V4;
+  readonly tppp: V4;
+  readonly psss: V4;
+  readonly psst: V4;
+  readonly pssp: V4;
+  readonly psts: V4;
+  readonly pstt: V4;
+  readonly pstp: V4;
+  readonly psps: V4;
+  readonly pspt: V4;
+  readonly pspp: V4;
+  readonly ptss: V4;
+  readonly ptst: V4;
+  readonly ptsp: V4;
+  readonly ptts: V4;
+  readonly pttt: V4;
+  readonly pttp: V4;
+  readonly ptps: V4;
+  readonly ptpt: V4;
+  readonly ptpp: V4;
+  readonly ppss: V4;
+  readonly ppst: V4;
+  readonly ppsp: V4;
+  readonly ppts: V4;
+  readonly pptt: V4;
+  readonly pptp: V4;
+  readonly ppps: V4;
+  readonly pppt: V4;
+  readonly pppp: V4;
+}
+
+/**
+ * Swizzling properties of 4-dimensional vectors.
+ *
+ * `V2`, `V3` and `V4` are the vector classes of the same element type.
+ * Properties that repeat a component, such as `xx`, are read-only.
+ */
+export interface Swizzle4<V2, V3, V4> {
+  readonly xx: V2;
+  xy: V2;
+  xz: V2;
+  xw: V2;
+  yx: V2;
+  readonly yy: V2;
+  yz: V2;
+  yw: V2;
+  zx: V2;
+  zy: V2;
+  readonly zz: V2;
+  zw: V2;
+  wx: V2;
+  wy: V2;
+  wz: V2;
+  readonly ww: V2;
+  readonly xxx: V3;
+  readonly xxy: V3;
+  readonly xxz: V3;
+  readonly xxw: V3;
+  readonly xyx: V3;
+  readonly xyy: V3;
+  xyz: V3;
+  xyw: V3;
+  readonly xzx: V3;
+  xzy: V3;
+  readonly xzz: V3;
+  xzw: V3;
+  readonly xwx: V3;
+  xwy: V3;
+  xwz: V3;
+  readonly xww: V3;
+  readonly yxx: V3;
+  readonly yxy: V3;
+  yxz: V3;
+  yxw: V3;
+  readonly yyx: V3;
+  readonly yyy: V3;
+  readonly yyz: V3;
+  readonly yyw: V3;
+  yzx: V3;
+  readonly yzy: V3;
+  readonly yzz: V3;
+  yzw: V3;
+  ywx: V3;
+  readonly ywy: V3;
+  ywz: V3;
+  readonly yww: V3;
+  readonly zxx: V3;
+  zxy: V3;
+  readonly zxz: V3;
+  zxw: V3;
+  zyx: V3;
+  readonly zyy: V3;
+  readonly zyz: V3;
+  zyw: V3;
+  readonly zzx: V3;
+  readonly zzy: V3;
+  readonly zzz: V3;
+  readonly zzw: V3;
+  zwx: V3;
+  zwy: V3;
+  readonly zwz: V3;
+  readonly zww: V3;
+  readonly wxx: V3;
+  wxy: V3;
+  wxz: V3;
+  readonly wxw: V3;
+  wyx: V3;
+  readonly wyy: V3;
+  wyz: V3;
+  readonly wyw: V3;
+  wzx: V3;
+  wzy: V3;
+  readonly wzz: V3;
+  readonly wzw: V3;
+  readonly wwx: V3;
+  readonly wwy: V3;
+  readonly wwz: V3;
+  readonly www: V3;
+  readonly xxxx: V4;
+  readonly xxxy: V4;
+  readonly xxxz: V4;
+  readonly xxxw: V4;
+  readonly xxyx: V4;
+  readonly xxyy: V4;
+  readonly xxyz: V4;
+  readonly xxyw: V4;
+  readonly xxzx: V4;
+  readonly xxzy: V4;
+  readonly xxzz: V4;
+  readonly xxzw: V4;
+  readonly xxwx: V4;
+  readonly xxwy: V4;
+  readonly xxwz: V4;
+  readonly xxww: V4;
+  readonly xyxx: V4;
+  readonly xyxy: V4;
+  readonly xyxz: V4;
+  readonly xyxw: V4;
+  readonly xyyx: V4;
+  readonly xyyy: V4;
+  readonly xyyz: V4;
+  readonly xyyw: V4;
+  readonly xyzx: V4;
+  readonly xyzy: V4;
+  readonly xyzz: V4;
+  xyzw: V4;
+  readonly xywx: V4;
+  readonly xywy: V4;
+  xywz: V4;
+  readonly xyww: V4;
+  readonly xzxx: V4;
+  readonly xzxy: V4;
+  readonly xzxz: V4;
+  readonly xzxw: V4;
+  readonly xzyx: V4;
+  readonly xzyy: V4;
+  readonly xzyz: V4;
+  xzyw: V4;
+  readonly xzzx: V4;
+  readonly xzzy: V4;
+  readonly xzzz: V4;
+  readonly xzzw: V4;
+  readonly xzwx: V4;
+  xzwy: V4;
+  readonly xzwz: V4;
+  readonly xzww: V4;
+  readonly xwxx: V4;
+  readonly xwxy: V4;
+  readonly xwxz: V4;
+  readonly xwxw: V4;
+  readonly xwyx: V4;
+  readonly xwyy: V4;
+  xwyz: V4;
+  readonly xwyw: V4;
+  readonly xwzx: V4;
+  xwzy: V4;
+  readonly xwzz: V4;
+  readonly xwzw: V4;
+  readonly xwwx: V4;
+  readonly xwwy: V4;
+  readonly xwwz: V4;
+  readonly xwww: V4;
+  readonly yxxx: V4;
+  readonly yxxy: V4;
+  readonly yxxz: V4;
+  readonly yxxw: V4;
+  readonly yxyx: V4;
+  readonly yxyy: V4;
+  readonly yxyz: V4;
+  readonly yxyw: V4;
+  readonly yxzx: V4;
+  readonly yxzy: V4;
+  readonly yxzz: V4;
+  yxzw: V4;
+  readonly yxwx: V4;
+  readonly yxwy: V4;
+  yxwz: V4;
+  readonly yxww: V4;
+  readonly yyxx: V4;
+  readonly yyxy: V4;
+  readonly yyxz: V4;
+  readonly yyxw: V4;
+  readonly yyyx: V4;
+  readonly yyyy: V4;
+  readonly yyyz: V4;
+  readonly yyyw: V4;
+  readonly yyzx: V4;
+  readonly yyzy: V4;
+  readonly yyzz: V4;
+  readonly yyzw: V4;
+  readonly yywx: V4;
+  readonly yywy: V4;
+  readonly yywz: V4;
+  readonly yyww: V4;
+  readonly yzxx: V4;
+  readonly yzxy: V4;
+  readonly yzxz: V4;
+  yzxw: V4;
+  readonly yzyx: V4;
+  readonly yzyy: V4;
+  readonly yzyz: V4;
+  readonly yzyw: V4;
+  readonly yzzx: V4;
+  readonly yzzy: V4;
+  readonly yzzz: V4;
+  readonly yzzw: V4;
+  yzwx: V4;
+  readonly yzwy: V4;
+  readonly yzwz: V4;
+  readonly yzww: V4;
+  readonly ywxx: V4;
+  readonly ywxy: V4;
+  ywxz: V4;
+  readonly ywxw: V4;
+  readonly ywyx: V4;
+  readonly ywyy: V4;
+  readonly ywyz: V4;
+  readonly ywyw: V4;
+  ywzx: V4;
+  readonly ywzy: V4;
+  readonly ywzz: V4;
+  readonly ywzw: V4;
+  readonly ywwx: V4;
+  readonly ywwy: V4;
+  readonly ywwz: V4;
+  readonly ywww: V4;
+  readonly zxxx: V4;
+  readonly zxxy: V4;
+  readonly zxxz: V4;
+  readonly zxxw: V4;
+  readonly zxyx: V4;
+  readonly zxyy: V4;
+  readonly zxyz: V4;
+  zxyw: V4;
+  readonly zxzx: V4;
+  readonly zxzy: V4;
+  readonly zxzz: V4;
+  readonly zxzw: V4;
+  readonly zxwx: V4;
+  zxwy: V4;
+  readonly zxwz: V4;
+  readonly zxww: V4;
+  readonly zyxx: V4;
+  readonly zyxy: V4;
+  readonly zyxz: V4;
+  zyxw: V4;
+  readonly zyyx: V4;
+  readonly zyyy: V4;
+  readonly zyyz: V4;
+  readonly zyyw: V4;
+  readonly zyzx: V4;
+  readonly zyzy: V4;
+  readonly zyzz: V4;
+  readonly zyzw: V4;
+  zywx: V4;
+  readonly zywy: V4;
+  readonly zywz: V4;
+  readonly zyww: V4;
+  readonly zzxx: V4;
+  readonly zzxy: V4;
+  readonly zzxz: V4;
+  readonly zzxw: V4;
+  readonly zzyx: V4;
+  readonly zzyy: V4;
+  readonly zzyz: V4;
+  readonly zzyw: V4;
+  readonly zzzx: V4;
+  readonly zzzy: V4;
+  readonly zzzz: V4;
+  readonly zzzw: V4;
+  readonly zzwx: V4;
+  readonly zzwy: V4;
+  readonly zzwz: V4;
+  readonly zzww: V4;
+  readonly zwxx: V4;
+  zwxy: V4;
+  readonly zwxz: V4;
+  readonly zwxw: V4;
+  zwyx: V4;
+  readonly zwyy: V4;
+  readonly zwyz: V4;
+  readonly zwyw: V4;
+  readonly zwzx: V4;
+  readonly zwzy: V4;
+  readonly zwzz: V4;
+  readonly zwzw: V4;
+  readonly zwwx: V4;
+  readonly zwwy: V4;
+  readonly zwwz: V4;
+  readonly zwww: V4;
+  readonly wxxx: V4;
+  readonly wxxy: V4;
+  readonly wxxz: V4;
+  readonly wxxw: V4;
+  readonly wxyx: V4;
+  readonly wxyy: V4;
+  wxyz: V4;
+  readonly wxyw: V4;
+  readonly wxzx: V4;
+  wxzy: V4;
+  readonly wxzz: V4;
+  readonly wxzw: V4;
+  readonly wxwx: V4;
+  readonly wxwy: V4;
+  readonly wxwz: V4;
+  readonly wxww: V4;
+  readonly wyxx: V4;
+  readonly wyxy: V4;
+  wyxz: V4;
+  readonly wyxw: V4;
+  readonly wyyx: V4;
+  readonly wyyy: V4;
+  readonly wyyz: V4;
+  readonly wyyw: V4;
+  wyzx: V4;
+  readonly wyzy: V4;
+  readonly wyzz: V4;
+  readonly wyzw: V4;
+  readonly wywx: V4;
+  readonly wywy: V4;
+  readonly wywz: V4;
+  readonly wyww: V4;
+  readonly wzxx: V4;
+  wzxy: V4;
+  readonly wzxz: V4;
+  readonly wzxw: V4;
+  wzyx: V4;
+  readonly wzyy: V4;
+  readonly wzyz: V4;
+  readonly wzyw: V4;
+  readonly wzzx: V4;
+  readonly wzzy: V4;
+  readonly wzzz: V4;
+  readonly wzzw: V4;
+  readonly wzwx: V4;
+  readonly wzwy: V4;
+  readonly wzwz: V4;
+  readonly wzww: V4;
+  readonly wwxx: V4;
+  readonly wwxy: V4;
+  readonly wwxz: V4;
+  readonly wwxw: V4;
+  readonly wwyx: V4;
+  readonly wwyy: V4;
+  readonly wwyz: V4;
+  readonly wwyw: V4;
+  readonly wwzx: V4;
+  readonly wwzy: V4;
+  readonly wwzz: V4;
+  readonly wwzw: V4;
+  readonly wwwx: V4;
+  readonly wwwy: V4;
+  readonly wwwz: V4;
+  readonly wwww: V4;
+  r: number;
+  g: number;
+  b: number;
+  a: number;
+  readonly rr: V2;
+  rg: V2;
+  rb: V2;
+  ra: V2;
+  gr: V2;
+  readonly gg: V2;
+  gb: V2;
+  ga: V2;
+  br: V2;
+  bg: V2;
+  readonly bb: V2;
+  ba: V2;
+  ar: V2;
+  ag: V2;
+  ab: V2;
+  readonly aa: V2;
+  readonly rrr: V3;
+  readonly rrg: V3;
+  readonly rrb: V3;
+  readonly rra: V3;
+  readonly rgr: V3;
+  readonly rgg: V3;
+  rgb: V3;
+  rga: V3;
+  readonly rbr: V3;
+  rbg: V3;
+  readonly rbb: V3;
+  rba: V3;
+  readonly rar: V3;
+  rag: V3;
+  rab: V3;
+  readonly raa: V3;
+  readonly grr: V3;
+  readonly grg: V3;
+  grb: V3;
+  gra: V3;
+  readonly ggr: V3;
+  readonly ggg: V3;
+  readonly ggb: V3;
+  readonly gga: V3;
+  gbr: V3;
+  readonly gbg: V3;
+  readonly gbb: V3;
+  gba: V3;
+  gar: V3;
+  readonly gag: V3;
+  gab: V3;
+  readonly gaa: V3;
+  readonly brr: V3;
+  brg: V3;
+  readonly brb: V3;
+  bra: V3;
+  bgr: V3;
+  readonly bgg: V3;
+  readonly bgb: V3;
+  bga: V3;
+  readonly bbr: V3;
+  readonly bbg: V3;
+  readonly bbb: V3;
+  readonly bba: V3;
+  bar: V3;
+  bag: V3;
+  readonly bab: V3;
+  readonly baa: V3;
+  readonly arr: V3;
+  arg: V3;
+  arb: V3;
+  readonly ara: V3;
+  agr: V3;
+  readonly agg: V3;
+  agb: V3;
+  readonly aga: V3;
+  abr: V3;
+  abg: V3;
+  readonly abb: V3;
+  readonly aba: V3;
+  readonly aar: V3;
+  readonly aag: V3;
+  readonly aab: V3;
+  readonly aaa: V3;
+  readonly rrrr: V4;
+  readonly rrrg: V4;
+  readonly rrrb: V4;
+  readonly rrra: V4;
+  readonly rrgr: V4;
+  readonly rrgg: V4;
+  readonly rrgb: V4;
+  readonly rrga: V4;
+  readonly rrbr: V4;
+  readonly rrbg: V4;
+  readonly rrbb: V4;
+  readonly rrba: V4;
+  readonly rrar: V4;
+  readonly rrag: V4;
+  readonly rrab: V4;
+  readonly rraa: V4;
+  readonly rgrr: V4;
+  readonly rgrg: V4;
+  readonly rgrb: V4;
+  readonly rgra: V4;
+  readonly rggr: V4;
+  readonly rggg: V4;
+  readonly rggb: V4;
+  readonly rgga: V4;
+  readonly rgbr: V4;
+  readonly rgbg: V4;
+  readonly rgbb: V4;
+  rgba: V4;
+  readonly rgar: V4;
+  readonly rgag: V4;
+  rgab: V4;
+  readonly rgaa: V4;
+  readonly rbrr: V4;
+  readonly rbrg: V4;
+  readonly rbrb: V4;
+  readonly rbra: V4;
+  readonly rbgr: V4;
+  readonly rbgg: V4;
+  readonly rbgb: V4;
+  rbga: V4;
+  readonly rbbr: V4;
+  readonly rbbg: V4;
+  readonly rbbb: V4;
+  readonly rbba: V4;
+  readonly rbar: V4;
+  rbag: V4;
+  readonly rbab: V4;
+  readonly rbaa: V4;
+  readonly rarr: V4;
+  readonly rarg: V4;
+  readonly rarb: V4;
+  readonly rara: V4;
+  readonly ragr: V4;
+  readonly ragg: V4;
+  ragb: V4;
+  readonly raga: V4;
+  readonly rabr: V4;
+  rabg: V4;
+  readonly rabb: V4;
+  readonly raba: V4;
+  readonly raar: V4;
+  readonly raag: V4;
+  readonly raab: V4;
+  readonly raaa: V4;
+  readonly grrr: V4;
+  readonly grrg: V4;
+  readonly grrb: V4;
+  readonly grra: V4;
+  readonly grgr: V4;
+  readonly grgg: V4;
+  readonly grgb: V4;
+  readonly grga: V4;
+  readonly grbr: V4;
+  readonly grbg: V4;
+  readonly grbb: V4;
+  grba: V4;
+  readonly grar: V4;
+  readonly grag: V4;
+  grab: V4;
+  readonly graa: V4;
+  readonly ggrr: V4;
+  readonly ggrg: V4;
+  readonly ggrb: V4;
+  readonly ggra: V4;
+  readonly gggr: V4;
+  readonly gggg: V4;
+  readonly gggb: V4;
+  readonly ggga: V4;
+  readonly ggbr: V4;
+  readonly ggbg: V4;
+  readonly ggbb: V4;
+  readonly ggba: V4;
+  readonly ggar: V4;
+  readonly ggag: V4;
+  readonly ggab: V4;
+  readonly ggaa: V4;
+  readonly gbrr: V4;
+  readonly gbrg: V4;
+  readonly gbrb: V4;
+  gbra: V4;
+  readonly gbgr: V4;
+  readonly gbgg: V4;
+  readonly gbgb: V4;
+  readonly gbga: V4;
+  readonly gbbr: V4;
+  readonly gbbg: V4;
+  readonly gbbb: V4;
+  readonly gbba: V4;
+  gbar: V4;
+  readonly gbag: V4;
+  readonly gbab: V4;
+  readonly gbaa: V4;
+  readonly garr: V4;
+  readonly garg: V4;
+  garb: V4;
+  readonly gara: V4;
+  readonly gagr: V4;
+  readonly gagg: V4;
+  readonly gagb: V4;
+  readonly gaga: V4;
+  gabr: V4;
+  readonly gabg: V4;
+  readonly gabb: V4;
+  readonly gaba: V4;
+  readonly gaar: V4;
+  readonly gaag: V4;
+  readonly gaab: V4;
+  readonly gaaa: V4;
+  readonly brrr: V4;
+  readonly brrg: V4;
+  readonly brrb: V4;
+  readonly brra: V4;
+  readonly brgr: V4;
+  readonly brgg: V4;
+  readonly brgb: V4;
+  brga: V4;
+  readonly brbr: V4;
+  readonly brbg: V4;
+  readonly brbb: V4;
+  readonly brba: V4;
+  readonly brar: V4;
+  brag: V4;
+  readonly brab: V4;
+  readonly braa: V4;
+  readonly bgrr: V4;
+  readonly bgrg: V4;
+  readonly bgrb: V4;
+  bgra: V4;
+  readonly bggr: V4;
+  readonly bggg: V4;
+  readonly bggb: V4;
+  readonly bgga: V4;
+  readonly bgbr: V4;
+  readonly bgbg: V4;
+  readonly bgbb: V4;
+  readonly bgba: V4;
+  bgar: V4;
+  readonly bgag: V4;
+  readonly bgab: V4;
+  readonly bgaa: V4;
+  readonly bbrr: V4;
+  readonly bbrg: V4;
+  readonly bbrb: V4;
+  readonly bbra: V4;
+  readonly bbgr: V4;
+  readonly bbgg: V4;
+  readonly bbgb: V4;
+  readonly bbga: V4;
+  readonly bbbr: V4;
+  readonly bbbg: V4;
+  readonly bbbb: V4;
+  readonly bbba: V4;
+  readonly bbar: V4;
+  readonly bbag: V4;
+  readonly bbab: V4;
+  readonly bbaa: V4;
+  readonly barr: V4;
+  barg: V4;
+  readonly barb: V4;
+  readonly bara: V4;
+  bagr: V4;
+  readonly bagg: V4;
+  readonly bagb: V4;
+  readonly baga: V4;
+  readonly babr: V4;
+  readonly babg: V4;
+  readonly babb: V4;
+  readonly baba: V4;
+  readonly baar: V4;
+  readonly baag: V4;
+  readonly baab: V4;
+  readonly baaa: V4;
+  readonly arrr: V4;
+  readonly arrg: V4;
+  readonly arrb: V4;
+  readonly arra: V4;
+  readonly argr: V4;
+  readonly argg: V4;
+  argb: V4;
+  readonly arga: V4;
+  readonly arbr: V4;
+  arbg: V4;
+  readonly arbb: V4;
+  readonly arba: V4;
+  readonly arar: V4;
+  readonly arag: V4;
+  readonly arab: V4;
+  readonly araa: V4;
+  readonly agrr: V4;
+  readonly agrg: V4;
+  agrb: V4;
+  readonly agra: V4;
+  readonly aggr: V4;
+  readonly aggg: V4;
+  readonly aggb: V4;
+  readonly agga: V4;
+  agbr: V4;
+  readonly agbg: V4;
+  readonly agbb: V4;
+  readonly agba: V4;
+  readonly agar: V4;
+  readonly agag: V4;
+  readonly agab: V4;
+  readonly agaa: V4;
+  readonly abrr: V4;
+  abrg: V4;
+  readonly abrb: V4;
+  readonly abra: V4;
+  abgr: V4;
+  readonly abgg: V4;
+  readonly abgb: V4;
+  readonly abga: V4;
+  readonly abbr: V4;
+  readonly abbg: V4;
+  readonly abbb: V4;
+  readonly abba: V4;
+  readonly abar: V4;
+  readonly abag: V4;
+  readonly abab: V4;
+  readonly abaa: V4;
+  readonly aarr: V4;
+  readonly aarg: V4;
+  readonly aarb: V4;
+  readonly aara: V4;
+  readonly aagr: V4;
+  readonly aagg: V4;
+  readonly aagb: V4;
+  readonly aaga: V4;
+  readonly aabr: V4;
+  readonly aabg: V4;
+  readonly aabb: V4;
+  readonly aaba: V4;
+  readonly aaar: V4;
+  readonly aaag: V4;
+  readonly aaab: V4;
+  readonly aaaa: V4;
+  s: number;
+  t: number;
+  p: number;
+  q: number;
+  readonly ss: V2;
+  st: V2;
+  sp: V2;
+  sq: V2;
+  ts: V2;
+  readonly tt: V2;
+  tp: V2;
+  tq: V2;
+  ps: V2;
+  pt: V2;
+  readonly pp: V2;
+  pq: V2;
+  qs: V2;
+  qt: V2;
+  qp: V2;
+  readonly qq: V2;
+  readonly sss: V3;
+  readonly sst: V3;
+  readonly ssp: V3;
+  readonly ssq: V3;
+  readonly sts: V3;
+  readonly stt: V3;
+  stp: V3;
+  stq: V3;
+  readonly sps: V3;
+  spt: V3;
+  readonly spp: V3;
+  spq: V3;
+  readonly sqs: V3;
+  sqt: V3;
+  sqp: V3;
+  readonly sqq: V3;
+  readonly tss: V3;
+  readonly tst: V3;
+  tsp: V3;
+  tsq: V3;
+  readonly tts: V3;
+  readonly ttt: V3;
+  readonly ttp: V3;
+  readonly ttq: V3;
+  tps: V3;
+  readonly tpt: V3;
+  readonly tpp: V3;
+  tpq: V3;
+  tqs: V3;
+  readonly tqt: V3;
+  tqp: V3;
+  readonly tqq: V3;
+  readonly pss: V3;
+  pst: V3;
+  readonly psp: V3;
+  psq: V3;
+  pts: V3;
+  readonly ptt: V3;
+  readonly ptp: V3;
+  ptq: V3;
+  readonly pps: V3;
+  readonly ppt: V3;
+  readonly ppp: V3;
+  readonly ppq: V3;
+  pqs: V3;
+  pqt: V3;
+  readonly pqp: V3;
+  readonly pqq: V3;
+  readonly qss: V3;
+  qst: V3;
+  qsp: V3;
+  readonly qsq: V3;
+  qts: V3;
+  readonly qtt: V3;
+  qtp: V3;
+  readonly qtq: V3;
+  qps: V3;
+  qpt: V3;
+  readonly qpp: V3;
+  readonly qpq: V3;
+  readonly qqs: V3;
+  readonly qqt: V3;
+  readonly qqp: V3;
+  readonly qqq: V3;
+  readonly ssss: V4;
+  readonly ssst: V4;
+  readonly sssp: V4;
+  readonly sssq: V4;
+  readonly ssts: V4;
+  readonly sstt: V4;
+  readonly sstp: V4;
+  readonly sstq: V4;
+  readonly ssps: V4;
+  readonly sspt: V4;
+  readonly sspp: V4;
+  readonly sspq: V4;
+  readonly ssqs: V4;
+  readonly ssqt: V4;
+  readonly ssqp: V4;
+  readonly ssqq: V4;
+  readonly stss: V4;
+  readonly stst: V4;
+  readonly stsp: V4;
+  readonly stsq: V4;
+  readonly stts: V4;
+  readonly sttt: V4;
+  readonly sttp: V4;
+  readonly sttq: V4;
+  readonly stps: V4;
+  readonly stpt: V4;
+  readonly stpp: V4;
+  stpq: V4;
+  readonly stqs: V4;
+  readonly stqt: V4;
+  stqp: V4;
+  readonly stqq: V4;
+  readonly spss: V4;
+  readonly spst: V4;
+  readonly spsp: V4;
+  readonly spsq: V4;
+  readonly spts: V4;
+  readonly sptt: V4;
+  readonly sptp: V4;
+  sptq: V4;
+  readonly spps: V4;
+  readonly sppt: V4;
+  readonly sppp: V4;
+  readonly sppq: V4;
+  readonly spqs: V4;
+  spqt: V4;
+  readonly spqp: V4;
+  readonly spqq: V4;
+  readonly sqss: V4;
+  readonly sqst: V4;
+  readonly sqsp: V4;
+  readonly sqsq: V4;
+  readonly sqts: V4;
+  readonly sqtt: V4;
+  sqtp: V4;
+  readonly sqtq: V4;
+  readonly sqps: V4;
+  sqpt: V4;
+  readonly sqpp: V4;
+  readonly sqpq: V4;
+  readonly sqqs: V4;
+  readonly sqqt: V4;
+  readonly sqqp: V4;
+  readonly sqqq: V4;
+  readonly tsss: V4;
+  readonly tsst: V4;
+  readonly tssp: V4;
+  readonly tssq: V4;
+  readonly tsts: V4;
+  readonly tstt: V4;
+  readonly tstp: V4;
+  readonly tstq: V4;
+  readonly tsps: V4;
+  readonly tspt: V4;
+  readonly tspp: V4;
+  tspq: V4;
+  readonly tsqs: V4;
+  readonly tsqt: V4;
+  tsqp: V4;
+  readonly tsqq: V4;
+  readonly ttss: V4;
+  readonly ttst: V4;
+  readonly ttsp: V4;
+  readonly ttsq: V4;
+  readonly ttts: V4;
+  readonly tttt: V4;
+  readonly tttp: V4;
+  readonly tttq: V4;
+  readonly ttps: V4;
+  readonly ttpt: V4;
+  readonly ttpp: V4;
+  readonly ttpq: V4;
+  readonly ttqs: V4;
+  readonly ttqt: V4;
+  readonly ttqp: V4;
+  readonly ttqq: V4;
+  readonly tpss: V4;
+  readonly tpst: V4;
+  readonly tpsp: V4;
+  tpsq: V4;
+  readonly tpts: V4;
+  readonly tptt: V4;
+  readonly tptp: V4;
+  readonly tptq: V4;
+  readonly tpps: V4;
+  readonly tppt: V4;
+  readonly tppp: V4;
+  readonly tppq: V4;
+  tpqs: V4;
+  readonly tpqt: V4;
+  readonly tpqp: V4;
+  readonly tpqq: V4;
+  readonly tqss: V4;
+  readonly tqst: V4;
+  tqsp: V4;
+  readonly tqsq: V4;
+  readonly tqts: V4;
+  readonly tqtt: V4;
+  readonly tqtp: V4;
+  readonly tqtq: V4;
+  tqps: V4;
+  readonly tqpt: V4;
+  readonly tqpp: V4;
+  readonly tqpq: V4;
+  readonly tqqs: V4;
+  readonly tqqt: V4;
+  readonly tqqp: V4;
+  readonly tqqq: V4;
+  readonly psss: V4;
+  readonly psst: V4;
+  readonly pssp: V4;
+  readonly pssq: V4;
+  readonly psts: V4;
+  readonly pstt: V4;
+  readonly pstp: V4;
+  pstq: V4;
+  readonly psps: V4;
+  readonly pspt: V4;
+  readonly pspp: V4;
+  readonly pspq: V4;
+  readonly psqs: V4;
+  psqt: V4;
+  readonly psqp: V4;
+  readonly psqq: V4;
+  readonly ptss: V4;
+  readonly ptst: V4;
+  readonly ptsp: V4;
+  ptsq: V4;
+  readonly ptts: V4;
+  readonly pttt: V4;
+  readonly pttp: V4;
+  readonly pttq: V4;
+  readonly ptps: V4;
+  readonly ptpt: V4;
+  readonly ptpp: V4;
+  readonly ptpq: V4;
+  ptqs: V4;
+  readonly ptqt: V4;
+  readonly ptqp: V4;
+  readonly ptqq: V4;
+  readonly ppss: V4;
+  readonly ppst: V4;
+  readonly ppsp: V4;
+  readonly ppsq: V4;
+  readonly ppts: V4;
+  readonly pptt: V4;
+  readonly pptp: V4;
+  readonly pptq: V4;
+  readonly ppps: V4;
+  readonly pppt: V4;
+  readonly pppp: V4;
+  readonly pppq: V4;
+  readonly ppqs: V4;
+  readonly ppqt: V4;
+  readonly ppqp: V4;
+  readonly ppqq: V4;
+  readonly pqss: V4;
+  pqst: V4;
+  readonly pqsp: V4;
+  readonly pqsq: V4;
+  pqts: V4;
+  readonly pqtt: V4;
+  readonly pqtp: V4;
+  readonly pqtq: V4;
+  readonly pqps: V4;
+  readonly pqpt: V4;
+  readonly pqpp: V4;
+  readonly pqpq: V4;
+  readonly pqqs: V4;
+  readonly pqqt: V4;
+  readonly pqqp: V4;
+  readonly pqqq: V4;
+  readonly qsss: V4;
+  readonly qsst: V4;
+  readonly qssp: V4;
+  readonly qssq: V4;
+  readonly qsts: V4;
+  readonly qstt: V4;
+  qstp: V4;
+  readonly qstq: V4;
+  readonly qsps: V4;
+  qspt: V4;
+  readonly qspp: V4;
+  readonly qspq: V4;
+  readonly qsqs: V4;
+  readonly qsqt: V4;
+  readonly qsqp: V4;
+  readonly qsqq: V4;
+  readonly qtss: V4;
+  readonly qtst: V4;
+  qtsp: V4;
+  readonly qtsq: V4;
+  readonly qtts: V4;
+  readonly qttt: V4;
+  readonly qttp: V4;
+  readonly qttq: V4;
+  qtps: V4;
+  readonly qtpt: V4;
+  readonly qtpp: V4;
+  readonly qtpq: V4;
+  readonly qtqs: V4;
+  readonly qtqt: V4;
+  readonly qtqp: V4;
+  readonly qtqq: V4;
+  readonly qpss: V4;
+  qpst: V4;
+  readonly qpsp: V4;
+  readonly qpsq: V4;
+  qpts: V4;
+  readonly qptt: V4;
+  readonly qptp: V4;
+  readonly qptq: V4;
+  readonly qpps: V4;
+  readonly qppt: V4;
+  readonly qppp: V4;
+  readonly qppq: V4;
+  readonly qpqs: V4;
+  readonly qpqt: V4;
+  readonly qpqp: V4;
+  readonly qpqq: V4;
+  readonly qqss: V4;
+  readonly qqst: V4;
+  readonly qqsp: V4;
+  readonly qqsq: V4;
+  readonly qqts: V4;
+  readonly qqtt: V4;
+  readonly qqtp: V4;
+  readonly qqtq: V4;
+  readonly qqps: V4;
+  readonly qqpt: V4;
+  readonly qqpp: V4;
+  readonly qqpq: V4;
+  readonly qqqs: V4;
+  readonly qqqt: V4;
+  readonly qqqp: V4;
+  readonly qqqq: V4;
+}